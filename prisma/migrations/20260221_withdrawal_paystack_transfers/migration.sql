@@ -0,0 +1,7 @@
+ALTER TABLE withdrawals
+ADD COLUMN IF NOT EXISTS recipient_code TEXT,
+ADD COLUMN IF NOT EXISTS transfer_status TEXT,
+ADD COLUMN IF NOT EXISTS transfer_initiated_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_withdrawals_transfer_code
+  ON withdrawals(transfer_code);
@@ -0,0 +1,30 @@
+ALTER TABLE projects
+ADD COLUMN IF NOT EXISTS company_id INTEGER REFERENCES companies(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS title TEXT,
+ADD COLUMN IF NOT EXISTS description TEXT,
+ADD COLUMN IF NOT EXISTS budget NUMERIC(12,2),
+ADD COLUMN IF NOT EXISTS deadline DATE,
+ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'open',
+ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT NOW(),
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW(),
+ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP;
+
+ALTER TABLE applications
+ADD COLUMN IF NOT EXISTS project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS cover_letter TEXT,
+ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'pending',
+ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT NOW(),
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW(),
+ADD COLUMN IF NOT EXISTS decided_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS withdrawn_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_projects_company_status
+  ON projects(company_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_applications_project_status
+  ON applications(project_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_applications_user_created
+  ON applications(user_id, created_at DESC);
@@ -0,0 +1,37 @@
+CREATE TABLE IF NOT EXISTS payment_milestones (
+  id SERIAL PRIMARY KEY,
+  payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  title TEXT NOT NULL,
+  amount NUMERIC(12,2) NOT NULL CHECK (amount > 0),
+  due_date DATE,
+  status TEXT NOT NULL DEFAULT 'pending',
+  disputed BOOLEAN NOT NULL DEFAULT FALSE,
+  deliverable_url TEXT,
+  deliverable_note TEXT,
+  submitted_at TIMESTAMP,
+  released_at TIMESTAMP,
+  refunded_at TIMESTAMP,
+  student_amount NUMERIC(12,2),
+  platform_fee NUMERIC(12,2),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT payment_milestones_status_check
+    CHECK (status IN ('pending', 'submitted', 'changes_requested', 'released', 'refunded')),
+  CONSTRAINT payment_milestones_payment_position_unique
+    UNIQUE (payment_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_milestones_payment_status
+  ON payment_milestones(payment_id, status);
+
+ALTER TABLE disputes
+ADD COLUMN IF NOT EXISTS milestone_id INTEGER REFERENCES payment_milestones(id) ON DELETE SET NULL;
+
+-- A payment may now carry one active payment-level dispute plus one active
+-- dispute per milestone.
+DROP INDEX IF EXISTS idx_disputes_one_active_per_payment;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_disputes_one_active_per_payment
+  ON disputes(payment_id, COALESCE(milestone_id, 0))
+  WHERE status IN ('open', 'under_review');
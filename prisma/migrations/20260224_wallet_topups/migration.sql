@@ -0,0 +1,23 @@
+CREATE TABLE IF NOT EXISTS wallet_topups (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  amount NUMERIC(12,2) NOT NULL CHECK (amount > 0),
+  provider TEXT NOT NULL DEFAULT 'paystack',
+  provider_ref TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  paid_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT wallet_topups_status_check
+    CHECK (status IN ('pending', 'paid', 'failed'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wallet_topups_provider_ref
+  ON wallet_topups(provider_ref);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_topups_user_created
+  ON wallet_topups(user_id, created_at DESC);
+
+-- 'card' payments are funded by a Paystack charge; 'wallet' payments move the
+-- company's available balance into escrow.
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS funding_source TEXT NOT NULL DEFAULT 'card';
@@ -0,0 +1,37 @@
+-- Existing rows are all naira; the defaults backfill them without touching
+-- the append-only ledger trigger (ADD COLUMN with a constant default does
+-- not rewrite rows).
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'NGN';
+
+ALTER TABLE ledger_entries
+ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'NGN';
+
+ALTER TABLE wallet_topups
+ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'NGN';
+
+ALTER TABLE withdrawals
+ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'NGN';
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_user_currency_type
+  ON ledger_entries(user_id, currency, balance_type);
+
+-- One wallet per user per currency.
+ALTER TABLE wallets
+ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'NGN';
+
+ALTER TABLE wallets
+DROP CONSTRAINT IF EXISTS wallets_user_id_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wallets_user_currency
+  ON wallets(user_id, currency);
+
+-- Settlement reports are produced per currency per day.
+ALTER TABLE settlement_reports
+ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'NGN';
+
+ALTER TABLE settlement_reports
+DROP CONSTRAINT IF EXISTS settlement_reports_report_date_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_settlement_reports_date_currency
+  ON settlement_reports(report_date, currency);
@@ -0,0 +1,22 @@
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  idempotency_key TEXT NOT NULL,
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  -- sha256 of method, path and body; a reused key must match it.
+  request_hash TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'processing',
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMP,
+  CONSTRAINT idempotency_keys_status_check
+    CHECK (status IN ('processing', 'completed'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_idempotency_keys_user_key
+  ON idempotency_keys(user_id, idempotency_key);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at
+  ON idempotency_keys(created_at);
@@ -0,0 +1,74 @@
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS full_name TEXT,
+ADD COLUMN IF NOT EXISTS phone TEXT,
+ADD COLUMN IF NOT EXISTS account_type TEXT,
+ADD COLUMN IF NOT EXISTS institution TEXT,
+ADD COLUMN IF NOT EXISTS kyc_status TEXT NOT NULL DEFAULT 'unverified',
+ADD COLUMN IF NOT EXISTS kyc_verified_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP NOT NULL DEFAULT NOW();
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'users_account_type_check'
+  ) THEN
+    ALTER TABLE users
+    ADD CONSTRAINT users_account_type_check
+      CHECK (account_type IS NULL OR account_type IN ('student', 'company'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'users_kyc_status_check'
+  ) THEN
+    ALTER TABLE users
+    ADD CONSTRAINT users_kyc_status_check
+      CHECK (kyc_status IN ('unverified', 'pending', 'verified', 'rejected'));
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS kyc_submissions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  id_type TEXT NOT NULL,
+  id_number TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP,
+  rejection_reason TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT kyc_submissions_status_check
+    CHECK (status IN ('pending', 'approved', 'rejected'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_kyc_submissions_user_created
+  ON kyc_submissions(user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_kyc_submissions_pending
+  ON kyc_submissions(created_at)
+  WHERE status = 'pending';
+
+-- Bank accounts confirmed through Paystack's account resolve API. The
+-- transfer recipient is created once here and reused by every withdrawal.
+CREATE TABLE IF NOT EXISTS payout_accounts (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  currency TEXT NOT NULL DEFAULT 'NGN',
+  bank_code TEXT NOT NULL,
+  bank_name TEXT NOT NULL,
+  account_number TEXT NOT NULL,
+  account_name TEXT NOT NULL,
+  recipient_code TEXT,
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  verified_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payout_accounts_user_bank_account
+  ON payout_accounts(user_id, bank_code, account_number);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payout_accounts_user_default
+  ON payout_accounts(user_id)
+  WHERE is_default = TRUE;
+
+ALTER TABLE withdrawals
+ADD COLUMN IF NOT EXISTS payout_account_id INTEGER REFERENCES payout_accounts(id) ON DELETE SET NULL;
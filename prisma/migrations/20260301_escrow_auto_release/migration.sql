@@ -0,0 +1,10 @@
+-- Review-window bookkeeping for escrow auto-release. The deadline itself is
+-- derived from projects.completed_at so a changed window applies to every
+-- open payment.
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS auto_release_reminders_sent INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS auto_release_blocked_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_payments_paid_project
+  ON payments(project_id)
+  WHERE status = 'paid';
@@ -0,0 +1,19 @@
+-- A company release is two requests: the first returns a short-lived token
+-- and the release summary, the second spends the token. Only the hash is kept.
+CREATE TABLE IF NOT EXISTS payment_release_confirmations (
+  id SERIAL PRIMARY KEY,
+  payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  requested_by INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  confirmed_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_release_confirmations_payment
+  ON payment_release_confirmations(payment_id, created_at DESC);
+
+-- Who performed the audited action when it was not an admin (e.g. the
+-- company releasing its own escrow).
+ALTER TABLE risk_audit_logs
+ADD COLUMN IF NOT EXISTS actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
@@ -0,0 +1,23 @@
+CREATE TABLE IF NOT EXISTS payment_status_history (
+  id SERIAL PRIMARY KEY,
+  payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  source TEXT NOT NULL,
+  reason TEXT,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_status_history_payment
+  ON payment_status_history(payment_id, created_at);
+
+-- Payments that predate the history table get a single row describing
+-- where they are now, so every payment has at least one entry.
+INSERT INTO payment_status_history (payment_id, from_status, to_status, source, created_at)
+SELECT p.id, NULL, p.status, 'backfill', p.created_at
+FROM payments p
+WHERE NOT EXISTS (
+  SELECT 1 FROM payment_status_history h WHERE h.payment_id = p.id
+);
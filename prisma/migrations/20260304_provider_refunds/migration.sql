@@ -0,0 +1,27 @@
+CREATE TABLE IF NOT EXISTS payment_refunds (
+  id SERIAL PRIMARY KEY,
+  payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  provider TEXT NOT NULL,
+  provider_refund_id TEXT,
+  provider_status TEXT,
+  amount NUMERIC(14,2) NOT NULL CHECK (amount > 0),
+  currency VARCHAR(3) NOT NULL DEFAULT 'NGN',
+  refund_type TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processed', 'failed')),
+  reason TEXT,
+  failure_reason TEXT,
+  requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_refunds_payment
+  ON payment_refunds(payment_id, created_at);
+
+-- A payment has at most one refund waiting on the provider.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_refunds_one_pending
+  ON payment_refunds(payment_id)
+  WHERE status = 'pending';
@@ -0,0 +1,35 @@
+-- One row per provider chargeback. The internal dispute row it opened keeps
+-- the payment frozen; this tracks the provider's side: deadline, evidence
+-- sent and the final decision.
+CREATE TABLE IF NOT EXISTS payment_chargebacks (
+  id SERIAL PRIMARY KEY,
+  payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  dispute_id INTEGER REFERENCES disputes(id) ON DELETE SET NULL,
+  provider TEXT NOT NULL,
+  provider_dispute_id TEXT NOT NULL,
+  provider_status TEXT,
+  amount NUMERIC(14,2),
+  currency VARCHAR(3) NOT NULL DEFAULT 'NGN',
+  reason TEXT,
+  status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'won', 'lost')),
+  resolution TEXT,
+  -- posted: the loss went through the ledger; manual: an admin has to recover it.
+  clawback_status TEXT
+    CHECK (clawback_status IS NULL OR clawback_status IN ('posted', 'manual')),
+  due_at TIMESTAMP,
+  reminded_at TIMESTAMP,
+  evidence JSONB,
+  provider_evidence_id TEXT,
+  evidence_submitted_at TIMESTAMP,
+  evidence_submitted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  resolved_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_chargebacks_provider_dispute
+  ON payment_chargebacks(provider, provider_dispute_id);
+
+CREATE INDEX IF NOT EXISTS idx_payment_chargebacks_payment
+  ON payment_chargebacks(payment_id, created_at);
@@ -0,0 +1,11 @@
+-- Pending payments whose charge never completed are swept to 'abandoned',
+-- which frees their application for a new payment.
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS abandoned_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_payments_pending_created
+  ON payments(created_at)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_payments_application
+  ON payments(application_id);
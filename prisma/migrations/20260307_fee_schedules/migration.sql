@@ -0,0 +1,55 @@
+-- Platform fee rules. The most specific active rule whose scopes match the
+-- release wins; PLATFORM_FEE_PERCENT applies when none does.
+CREATE TABLE IF NOT EXISTS fee_schedules (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  fee_type TEXT NOT NULL CHECK (fee_type IN ('percentage', 'flat')),
+  rate NUMERIC(14,4) NOT NULL CHECK (rate >= 0),
+  currency TEXT,
+  min_fee NUMERIC(14,2) CHECK (min_fee >= 0),
+  max_fee NUMERIC(14,2) CHECK (max_fee >= 0),
+  company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+  project_category TEXT,
+  student_tier TEXT,
+  priority INTEGER NOT NULL DEFAULT 0,
+  effective_from TIMESTAMP NOT NULL DEFAULT NOW(),
+  effective_to TIMESTAMP,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (min_fee IS NULL OR max_fee IS NULL OR min_fee <= max_fee),
+  CHECK (effective_to IS NULL OR effective_to > effective_from)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fee_schedules_active
+  ON fee_schedules(active, effective_from);
+
+-- The fee each release actually posted, so settlements can be reproduced
+-- after the rules change. release_key is the release's ledger idempotency
+-- base; fee_schedule_id is NULL when the env default applied.
+CREATE TABLE IF NOT EXISTS payment_release_fees (
+  id SERIAL PRIMARY KEY,
+  payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  milestone_id INTEGER REFERENCES payment_milestones(id) ON DELETE SET NULL,
+  release_key TEXT NOT NULL UNIQUE,
+  fee_schedule_id INTEGER REFERENCES fee_schedules(id) ON DELETE SET NULL,
+  fee_type TEXT NOT NULL,
+  rate NUMERIC(14,4) NOT NULL,
+  min_fee NUMERIC(14,2),
+  max_fee NUMERIC(14,2),
+  gross_amount NUMERIC(14,2) NOT NULL,
+  fee_amount NUMERIC(14,2) NOT NULL,
+  student_amount NUMERIC(14,2) NOT NULL,
+  currency TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_release_fees_payment
+  ON payment_release_fees(payment_id, created_at);
+
+ALTER TABLE projects
+ADD COLUMN IF NOT EXISTS category TEXT;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS student_tier TEXT;
@@ -0,0 +1,72 @@
+-- Taxes withheld on releases are held in the platform's 'tax' balance until
+-- they are remitted.
+ALTER TABLE ledger_entries
+DROP CONSTRAINT IF EXISTS ledger_entries_balance_type_check;
+
+ALTER TABLE ledger_entries
+ADD CONSTRAINT ledger_entries_balance_type_check
+CHECK (
+  balance_type IN ('available', 'escrow', 'locked', 'platform', 'revenue', 'payout', 'tax')
+);
+
+-- Withholding tax is charged on the student's share of a release, VAT on
+-- the platform fee. Scopes and precedence work like fee_schedules.
+CREATE TABLE IF NOT EXISTS tax_rules (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  tax_type TEXT NOT NULL CHECK (tax_type IN ('withholding', 'vat')),
+  rate NUMERIC(7,4) NOT NULL CHECK (rate > 0 AND rate <= 100),
+  currency TEXT,
+  company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+  project_category TEXT,
+  student_tier TEXT,
+  priority INTEGER NOT NULL DEFAULT 0,
+  effective_from TIMESTAMP NOT NULL DEFAULT NOW(),
+  effective_to TIMESTAMP,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (effective_to IS NULL OR effective_to > effective_from)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tax_rules_active
+  ON tax_rules(tax_type, active, effective_from);
+
+-- The tax each release withheld, keyed like payment_release_fees.
+CREATE TABLE IF NOT EXISTS payment_release_taxes (
+  id SERIAL PRIMARY KEY,
+  payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  milestone_id INTEGER REFERENCES payment_milestones(id) ON DELETE SET NULL,
+  release_key TEXT NOT NULL,
+  student_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  tax_rule_id INTEGER REFERENCES tax_rules(id) ON DELETE SET NULL,
+  tax_type TEXT NOT NULL,
+  rate NUMERIC(7,4) NOT NULL,
+  taxable_amount NUMERIC(14,2) NOT NULL,
+  tax_amount NUMERIC(14,2) NOT NULL,
+  currency TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (release_key, tax_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_release_taxes_student
+  ON payment_release_taxes(student_user_id, created_at);
+
+-- Payments of withheld tax to the tax authority.
+CREATE TABLE IF NOT EXISTS tax_remittances (
+  id SERIAL PRIMARY KEY,
+  tax_type TEXT NOT NULL CHECK (tax_type IN ('withholding', 'vat')),
+  currency TEXT NOT NULL,
+  amount NUMERIC(14,2) NOT NULL CHECK (amount > 0),
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  authority_reference TEXT,
+  notes TEXT,
+  recorded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (period_end >= period_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tax_remittances_period
+  ON tax_remittances(currency, period_end DESC);
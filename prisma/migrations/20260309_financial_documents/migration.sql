@@ -0,0 +1,32 @@
+-- Invoices for funded escrow and receipts for releases and withdrawals.
+-- Numbers are allocated per series and year from document_sequences inside
+-- the transaction that posts the money, so they are sequential without gaps.
+CREATE TABLE IF NOT EXISTS document_sequences (
+  series TEXT NOT NULL,
+  year INTEGER NOT NULL,
+  last_number INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (series, year)
+);
+
+CREATE TABLE IF NOT EXISTS financial_documents (
+  id SERIAL PRIMARY KEY,
+  document_number TEXT NOT NULL UNIQUE,
+  document_type TEXT NOT NULL
+    CHECK (document_type IN ('invoice', 'release_receipt', 'withdrawal_receipt')),
+  source_key TEXT NOT NULL UNIQUE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+  milestone_id INTEGER REFERENCES payment_milestones(id) ON DELETE SET NULL,
+  withdrawal_id INTEGER REFERENCES withdrawals(id) ON DELETE SET NULL,
+  currency TEXT NOT NULL,
+  total_amount NUMERIC(14,2) NOT NULL,
+  line_items JSONB NOT NULL DEFAULT '[]'::jsonb,
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  issued_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_financial_documents_user
+  ON financial_documents(user_id, issued_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_financial_documents_payment
+  ON financial_documents(payment_id);
@@ -0,0 +1,14 @@
+-- Team projects: a payment's gross can be split across several students.
+-- Without rows here the payment's applicant receives the whole release.
+CREATE TABLE IF NOT EXISTS payment_splits (
+  id SERIAL PRIMARY KEY,
+  payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  student_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+  amount NUMERIC(14,2) NOT NULL CHECK (amount > 0),
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (payment_id, student_user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_splits_student
+  ON payment_splits(student_user_id);
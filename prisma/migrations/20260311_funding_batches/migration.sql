@@ -0,0 +1,32 @@
+-- One gateway charge that funds escrow for many accepted applications.
+-- Each row becomes its own payment (funding_source 'batch') and the charge
+-- success fans out into all of them.
+CREATE TABLE IF NOT EXISTS funding_batches (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  currency TEXT NOT NULL,
+  total_amount NUMERIC(14,2) NOT NULL CHECK (total_amount > 0),
+  item_count INTEGER NOT NULL CHECK (item_count > 0),
+  provider TEXT NOT NULL DEFAULT 'paystack',
+  provider_ref TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  paid_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT funding_batches_status_check
+    CHECK (status IN ('pending', 'paid', 'failed', 'abandoned'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_funding_batches_provider_ref
+  ON funding_batches(provider_ref);
+
+CREATE INDEX IF NOT EXISTS idx_funding_batches_user_created
+  ON funding_batches(user_id, created_at DESC);
+
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS funding_batch_id INTEGER REFERENCES funding_batches(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_payments_funding_batch
+  ON payments(funding_batch_id)
+  WHERE funding_batch_id IS NOT NULL;
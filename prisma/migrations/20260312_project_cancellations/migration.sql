@@ -0,0 +1,57 @@
+-- When work started, so cancellation rules can tell how far a project got.
+ALTER TABLE projects
+ADD COLUMN IF NOT EXISTS started_at TIMESTAMP;
+
+-- How much of a cancelled payment compensates the student. The active rule
+-- for the project's status with the highest min_days_in_progress not above
+-- the days since the project started wins; CANCELLATION_COMPENSATION_PERCENT
+-- applies to in-progress projects when none does.
+CREATE TABLE IF NOT EXISTS cancellation_rules (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  project_status TEXT NOT NULL CHECK (project_status IN ('open', 'in_progress')),
+  min_days_in_progress INTEGER NOT NULL DEFAULT 0 CHECK (min_days_in_progress >= 0),
+  compensation_percent NUMERIC(5,2) NOT NULL
+    CHECK (compensation_percent >= 0 AND compensation_percent <= 100),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_cancellation_rules_status
+  ON cancellation_rules(project_status, active);
+
+-- A request to cancel a funded payment's project. The split is quoted when
+-- the request is made and applied once the other party confirms.
+CREATE TABLE IF NOT EXISTS project_cancellations (
+  id SERIAL PRIMARY KEY,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  requested_by_role TEXT NOT NULL CHECK (requested_by_role IN ('company', 'student')),
+  reason TEXT,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'completed', 'declined', 'withdrawn')),
+  cancellation_rule_id INTEGER REFERENCES cancellation_rules(id) ON DELETE SET NULL,
+  project_status TEXT NOT NULL,
+  days_in_progress INTEGER NOT NULL DEFAULT 0,
+  compensation_percent NUMERIC(5,2) NOT NULL,
+  gross_amount NUMERIC(14,2) NOT NULL,
+  compensation_amount NUMERIC(14,2) NOT NULL,
+  refund_amount NUMERIC(14,2) NOT NULL,
+  currency TEXT NOT NULL,
+  company_confirmed_at TIMESTAMP,
+  student_confirmed_at TIMESTAMP,
+  resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_project_cancellations_pending_payment
+  ON project_cancellations(payment_id)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_project_cancellations_project
+  ON project_cancellations(project_id, created_at DESC);
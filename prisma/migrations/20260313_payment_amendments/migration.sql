@@ -0,0 +1,40 @@
+-- Scope changes that raise a funded payment's escrow. The company proposes
+-- a new amount, the student accepts, and the difference is charged under
+-- its own gateway reference but held in escrow against the original payment.
+CREATE TABLE IF NOT EXISTS payment_amendments (
+  id SERIAL PRIMARY KEY,
+  payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  proposed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  previous_amount NUMERIC(14,2) NOT NULL,
+  new_amount NUMERIC(14,2) NOT NULL,
+  difference NUMERIC(14,2) NOT NULL CHECK (difference > 0),
+  currency TEXT NOT NULL,
+  reason TEXT,
+  status TEXT NOT NULL DEFAULT 'proposed'
+    CHECK (status IN ('proposed', 'accepted', 'paid', 'declined', 'withdrawn')),
+  responded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  responded_at TIMESTAMP,
+  provider TEXT,
+  provider_ref TEXT,
+  paid_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (new_amount = previous_amount + difference)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_amendments_provider_ref
+  ON payment_amendments(provider_ref)
+  WHERE provider_ref IS NOT NULL;
+
+-- One amendment in flight per payment.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_amendments_open
+  ON payment_amendments(payment_id)
+  WHERE status IN ('proposed', 'accepted');
+
+CREATE INDEX IF NOT EXISTS idx_payment_amendments_payment
+  ON payment_amendments(payment_id, created_at DESC);
+
+-- Set when a paid amendment raised the amount, after which the original
+-- charge no longer covers the payment and refunds stay in the ledger.
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS amended_at TIMESTAMP;
@@ -0,0 +1,49 @@
+-- Part of a release to a new or high-risk student is kept in a 'reserve'
+-- balance until the hold period passes without a dispute.
+ALTER TABLE ledger_entries
+DROP CONSTRAINT IF EXISTS ledger_entries_balance_type_check;
+
+ALTER TABLE ledger_entries
+ADD CONSTRAINT ledger_entries_balance_type_check
+CHECK (
+  balance_type IN ('available', 'escrow', 'locked', 'platform', 'revenue', 'payout', 'tax', 'reserve')
+);
+
+-- One row per release that held a reserve, keyed like payment_release_fees.
+CREATE TABLE IF NOT EXISTS release_reserves (
+  id SERIAL PRIMARY KEY,
+  payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  milestone_id INTEGER REFERENCES payment_milestones(id) ON DELETE SET NULL,
+  release_key TEXT NOT NULL UNIQUE,
+  student_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  amount NUMERIC(14,2) NOT NULL CHECK (amount > 0),
+  currency TEXT NOT NULL,
+  reserve_percent NUMERIC(5,2) NOT NULL,
+  reason TEXT NOT NULL CHECK (reason IN ('new_account', 'high_risk')),
+  risk_score INTEGER,
+  status TEXT NOT NULL DEFAULT 'held'
+    CHECK (status IN ('held', 'released', 'returned')),
+  release_after TIMESTAMP NOT NULL,
+  released_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_release_reserves_due
+  ON release_reserves(release_after)
+  WHERE status = 'held';
+
+CREATE INDEX IF NOT EXISTS idx_release_reserves_payment
+  ON release_reserves(payment_id);
+
+CREATE INDEX IF NOT EXISTS idx_release_reserves_student
+  ON release_reserves(student_user_id, created_at DESC);
+
+ALTER TABLE settlement_reports
+ADD COLUMN IF NOT EXISTS reserve_held NUMERIC(14,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE settlement_reports
+ADD COLUMN IF NOT EXISTS reserve_released NUMERIC(14,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE settlement_reports
+ADD COLUMN IF NOT EXISTS system_reserve_total NUMERIC(14,2) NOT NULL DEFAULT 0;
@@ -0,0 +1,17 @@
+-- What a user owes the platform after a post-release refund took back more
+-- than their available balance held. Receivable debits record the debt and
+-- credits record what later releases recovered.
+ALTER TABLE ledger_entries
+DROP CONSTRAINT IF EXISTS ledger_entries_balance_type_check;
+
+ALTER TABLE ledger_entries
+ADD CONSTRAINT ledger_entries_balance_type_check
+CHECK (
+  balance_type IN (
+    'available', 'escrow', 'locked', 'platform', 'revenue', 'payout', 'tax', 'reserve', 'receivable'
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_receivable
+  ON ledger_entries(user_id, currency, created_at)
+  WHERE balance_type = 'receivable';
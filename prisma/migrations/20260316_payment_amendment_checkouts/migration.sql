@@ -0,0 +1,33 @@
+-- Every checkout started for an amendment keeps its own reference, so a
+-- charge made through an earlier checkout link can still be matched to its
+-- amendment. The amendment's provider_ref is the checkout that paid it.
+CREATE TABLE IF NOT EXISTS payment_amendment_checkouts (
+  id SERIAL PRIMARY KEY,
+  amendment_id INTEGER NOT NULL REFERENCES payment_amendments(id) ON DELETE CASCADE,
+  provider TEXT NOT NULL,
+  provider_ref TEXT NOT NULL UNIQUE,
+  amount NUMERIC(14,2) NOT NULL CHECK (amount > 0),
+  currency TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'paid')),
+  paid_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_amendment_checkouts_amendment
+  ON payment_amendment_checkouts(amendment_id, created_at DESC);
+
+INSERT INTO payment_amendment_checkouts
+  (amendment_id, provider, provider_ref, amount, currency, status, paid_at, created_at)
+SELECT
+  id,
+  COALESCE(provider, 'paystack'),
+  provider_ref,
+  difference,
+  currency,
+  CASE WHEN status = 'paid' THEN 'paid' ELSE 'open' END,
+  paid_at,
+  updated_at
+FROM payment_amendments
+WHERE provider_ref IS NOT NULL
+ON CONFLICT (provider_ref) DO NOTHING;
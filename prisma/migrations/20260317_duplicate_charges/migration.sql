@@ -0,0 +1,21 @@
+-- Card charges the gateway collected for money Acader already holds, e.g. a
+-- checkout completed after the payment was funded from the company wallet.
+-- They never reach the ledger; each one is sent back through the gateway.
+CREATE TABLE IF NOT EXISTS duplicate_charges (
+  id SERIAL PRIMARY KEY,
+  payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+  provider TEXT NOT NULL,
+  provider_ref TEXT NOT NULL UNIQUE,
+  amount NUMERIC(14,2) NOT NULL CHECK (amount > 0),
+  currency TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'refund_requested', 'refunded', 'refund_failed')),
+  provider_refund_id TEXT,
+  failure_reason TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_duplicate_charges_payment
+  ON duplicate_charges(payment_id);
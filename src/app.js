@@ -5,13 +5,20 @@ import helmet from "helmet";
 import authRoutes from "./routes/auth.routes.js";
 import userRoutes from "./routes/user.routes.js";
 import paymentRoutes from "./routes/payment.routes.js";
+import milestoneRoutes from "./routes/milestone.routes.js";
+import paymentSplitRoutes from "./routes/payment_split.routes.js";
+import paymentAmendmentRoutes from "./routes/payment_amendment.routes.js";
 import reviewRoutes from "./routes/review.routes.js";
 import paystackRoutes from "./routes/paystack.routes.js";
 import projectRoutes from "./routes/project.routes.js";
+import applicationRoutes from "./routes/application.routes.js";
 import adminRoutes from "./routes/admin.routes.js";
 import withdrawalsRoutes from "./routes/withdrawals.routes.js";
+import walletRoutes from "./routes/wallet.routes.js";
 import notificationRoutes from "./routes/notifications.routes.js";
 import webhookRoutes from "./routes/webhook.routes.js";
+import documentRoutes from "./routes/document.routes.js";
+import fundingBatchRoutes from "./routes/funding_batch.routes.js";
 
 const app = express();
 
@@ -33,7 +40,8 @@ app.use(
     credentials: allowAnyOrigin ? false : true,
   }),
 );
-app.use("/api/webhooks/paystack", express.raw({ type: "application/json" }));
+// Gateway webhooks are signed over the raw body.
+app.use("/api/webhooks", express.raw({ type: "application/json" }));
 app.use(express.json());
 
 app.get("/", (req, res) => {
@@ -43,12 +51,19 @@ app.get("/", (req, res) => {
 app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/payments", paymentRoutes);
+app.use("/api/payments/:paymentId/milestones", milestoneRoutes);
+app.use("/api/payments/:paymentId/splits", paymentSplitRoutes);
+app.use("/api/payments/:paymentId/amendments", paymentAmendmentRoutes);
 app.use("/api/reviews", reviewRoutes);
 app.use("/api/paystack", paystackRoutes);
 app.use("/api/projects", projectRoutes);
+app.use("/api/applications", applicationRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/withdrawals", withdrawalsRoutes);
+app.use("/api/wallet", walletRoutes);
 app.use("/api/notifications", notificationRoutes);
+app.use("/api/documents", documentRoutes);
+app.use("/api/funding-batches", fundingBatchRoutes);
 app.use("/api/webhooks", webhookRoutes);
 
 app.use((req, res) => {
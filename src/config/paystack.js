@@ -0,0 +1,5 @@
+const DEFAULT_PAYSTACK_BASE_URL = "https://api.paystack.co";
+
+// Overridable so local and test environments can point at a Paystack stub.
+export const getPaystackBaseUrl = () =>
+  (process.env.PAYSTACK_BASE_URL || DEFAULT_PAYSTACK_BASE_URL).replace(/\/+$/, "");
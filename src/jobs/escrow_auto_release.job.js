@@ -0,0 +1,41 @@
+import cron from "node-cron";
+import { runEscrowAutoRelease } from "../services/escrow_auto_release.service.js";
+
+let autoReleaseTask = null;
+let started = false;
+let running = false;
+
+const runScheduledAutoRelease = async (source) => {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    const summary = await runEscrowAutoRelease();
+    if (summary.reminded > 0 || summary.released > 0 || summary.failed > 0) {
+      console.log("[auto_release] run complete", { source, summary });
+    }
+  } catch (err) {
+    console.error("[auto_release] run failed", {
+      source,
+      error: err.message,
+    });
+  } finally {
+    running = false;
+  }
+};
+
+export const startEscrowAutoReleaseJob = () => {
+  if (started) {
+    return autoReleaseTask;
+  }
+
+  autoReleaseTask = cron.schedule("15 * * * *", async () => {
+    await runScheduledAutoRelease("cron-hourly");
+  });
+
+  started = true;
+  console.log("[auto_release] scheduled escrow auto-release check every hour");
+
+  return autoReleaseTask;
+};
@@ -0,0 +1,32 @@
+import cron from "node-cron";
+import { purgeExpiredIdempotencyKeys } from "../middleware/idempotency.middleware.js";
+
+let idempotencyCleanupTask = null;
+let started = false;
+
+const runIdempotencyCleanup = async (source) => {
+  try {
+    const removed = await purgeExpiredIdempotencyKeys();
+    console.log("[idempotency] expired keys purged", { source, removed });
+  } catch (err) {
+    console.error("[idempotency] purge failed", {
+      source,
+      error: err.message,
+    });
+  }
+};
+
+export const startIdempotencyCleanupJob = () => {
+  if (started) {
+    return idempotencyCleanupTask;
+  }
+
+  idempotencyCleanupTask = cron.schedule("30 3 * * *", async () => {
+    await runIdempotencyCleanup("cron-3:30am");
+  });
+
+  started = true;
+  console.log("[idempotency] scheduled expired key purge at 03:30 server time");
+
+  return idempotencyCleanupTask;
+};
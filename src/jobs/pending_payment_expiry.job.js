@@ -0,0 +1,41 @@
+import cron from "node-cron";
+import { runPendingPaymentExpiry } from "../services/pending_payment_expiry.service.js";
+
+let expiryTask = null;
+let started = false;
+let running = false;
+
+const runScheduledExpiry = async (source) => {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    const summary = await runPendingPaymentExpiry();
+    if (summary.paid > 0 || summary.abandoned > 0 || summary.failed > 0) {
+      console.log("[pending_expiry] run complete", { source, summary });
+    }
+  } catch (err) {
+    console.error("[pending_expiry] run failed", {
+      source,
+      error: err.message,
+    });
+  } finally {
+    running = false;
+  }
+};
+
+export const startPendingPaymentExpiryJob = () => {
+  if (started) {
+    return expiryTask;
+  }
+
+  expiryTask = cron.schedule("45 * * * *", async () => {
+    await runScheduledExpiry("cron-hourly");
+  });
+
+  started = true;
+  console.log("[pending_expiry] scheduled stale pending payment sweep every hour");
+
+  return expiryTask;
+};
@@ -0,0 +1,41 @@
+import cron from "node-cron";
+import { runReserveRelease } from "../services/release_reserve.service.js";
+
+let reserveTask = null;
+let started = false;
+let running = false;
+
+const runScheduledReserveRelease = async (source) => {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    const summary = await runReserveRelease();
+    if (summary.released > 0 || summary.failed > 0) {
+      console.log("[reserve_release] run complete", { source, summary });
+    }
+  } catch (err) {
+    console.error("[reserve_release] run failed", {
+      source,
+      error: err.message,
+    });
+  } finally {
+    running = false;
+  }
+};
+
+export const startReleaseReserveJob = () => {
+  if (started) {
+    return reserveTask;
+  }
+
+  reserveTask = cron.schedule("30 * * * *", async () => {
+    await runScheduledReserveRelease("cron-hourly");
+  });
+
+  started = true;
+  console.log("[reserve_release] scheduled release reserve check every hour");
+
+  return reserveTask;
+};
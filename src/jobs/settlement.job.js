@@ -16,6 +16,7 @@ const runSettlementForDate = async (source, reportDate) => {
     console.log("[settlement] report run complete", {
       source,
       reportDate: result.reportDate,
+      currencies: result.reports.map((report) => report.currency),
       inserted: result.inserted,
     });
   } catch (err) {
@@ -0,0 +1,41 @@
+import cron from "node-cron";
+import { processDueWebhookDeliveries } from "../services/outbound_webhook.service.js";
+
+let webhookDeliveryTask = null;
+let started = false;
+let running = false;
+
+const runWebhookDeliveries = async (source) => {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    const summary = await processDueWebhookDeliveries();
+    if (summary.claimed > 0) {
+      console.log("[webhooks] delivery run complete", { source, summary });
+    }
+  } catch (err) {
+    console.error("[webhooks] delivery run failed", {
+      source,
+      error: err.message,
+    });
+  } finally {
+    running = false;
+  }
+};
+
+export const startWebhookDeliveryJob = () => {
+  if (started) {
+    return webhookDeliveryTask;
+  }
+
+  webhookDeliveryTask = cron.schedule("* * * * *", async () => {
+    await runWebhookDeliveries("cron-minute");
+  });
+
+  started = true;
+  console.log("[webhooks] scheduled outbound webhook delivery every minute");
+
+  return webhookDeliveryTask;
+};
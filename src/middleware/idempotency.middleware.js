@@ -0,0 +1,153 @@
+import crypto from "crypto";
+import pool from "../config/db.js";
+import { stableStringify } from "../utils/hashEvent.js";
+
+const MAX_KEY_LENGTH = 255;
+const KEY_TTL_HOURS = 24;
+
+const fingerprintRequest = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      stableStringify({
+        method: req.method,
+        path: `${req.baseUrl}${req.path}`,
+        body: req.body ?? null,
+      }),
+    )
+    .digest("hex");
+
+/**
+ * Deletes keys past their retention window; returns how many were removed.
+ */
+export const purgeExpiredIdempotencyKeys = async () => {
+  const result = await pool.query(
+    `DELETE FROM idempotency_keys
+     WHERE created_at < NOW() - ($1 || ' hours')::interval`,
+    [String(KEY_TTL_HOURS)],
+  );
+  return result.rowCount;
+};
+
+/**
+ * Honours an optional Idempotency-Key header on money-moving endpoints.
+ * The first request with a key stores its response; retries with the same
+ * key and body replay it, and a reused key with a different request is
+ * rejected. Keys are scoped per user, so this must run after verifyToken.
+ * 5xx responses are not stored so the client can retry them.
+ */
+export const idempotent = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ message: "Invalid Idempotency-Key header" });
+  }
+
+  const userId = req.user?.id;
+  if (!userId) {
+    return res.status(401).json({ message: "No token provided" });
+  }
+
+  const requestHash = fingerprintRequest(req);
+
+  try {
+    await pool.query(
+      `DELETE FROM idempotency_keys
+       WHERE user_id = $1
+         AND idempotency_key = $2
+         AND created_at < NOW() - ($3 || ' hours')::interval`,
+      [userId, key, String(KEY_TTL_HOURS)],
+    );
+
+    const claimed = await pool.query(
+      `INSERT INTO idempotency_keys (user_id, idempotency_key, method, path, request_hash)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_id, idempotency_key) DO NOTHING
+       RETURNING id`,
+      [userId, key, req.method, `${req.baseUrl}${req.path}`, requestHash],
+    );
+
+    if (claimed.rows.length === 0) {
+      const existing = await pool.query(
+        `SELECT request_hash, status, response_status, response_body
+         FROM idempotency_keys
+         WHERE user_id = $1 AND idempotency_key = $2`,
+        [userId, key],
+      );
+      const stored = existing.rows[0];
+
+      if (!stored) {
+        return res.status(409).json({
+          message: "Idempotency-Key was released; retry the request",
+        });
+      }
+      if (stored.request_hash !== requestHash) {
+        return res.status(422).json({
+          message: "Idempotency-Key was already used with a different request",
+        });
+      }
+      if (stored.status !== "completed") {
+        return res.status(409).json({
+          message: "A request with this Idempotency-Key is still in progress",
+        });
+      }
+
+      res.set("Idempotent-Replayed", "true");
+      return res.status(stored.response_status).json(stored.response_body);
+    }
+
+    const recordId = claimed.rows[0].id;
+    const sendJson = res.json.bind(res);
+    let recorded = false;
+
+    // Responses sent without res.json leave nothing to replay; free the key
+    // instead of pinning it to "processing" until it expires.
+    res.on("finish", () => {
+      if (!recorded) {
+        pool
+          .query("DELETE FROM idempotency_keys WHERE id = $1", [recordId])
+          .catch((err) => {
+            console.error("[idempotency] failed to release key", {
+              recordId,
+              error: err.message,
+            });
+          });
+      }
+    });
+
+    // Store the outcome before it reaches the client so a retry can never
+    // observe a sent-but-unrecorded response.
+    res.json = (body) => {
+      recorded = true;
+      const persist =
+        res.statusCode >= 500
+          ? pool.query("DELETE FROM idempotency_keys WHERE id = $1", [recordId])
+          : pool.query(
+              `UPDATE idempotency_keys
+               SET status = 'completed',
+                   response_status = $1,
+                   response_body = $2::jsonb,
+                   completed_at = NOW()
+               WHERE id = $3`,
+              [res.statusCode, JSON.stringify(body ?? null), recordId],
+            );
+
+      persist
+        .catch((err) => {
+          console.error("[idempotency] failed to store response", {
+            recordId,
+            error: err.message,
+          });
+        })
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+};
@@ -2,8 +2,14 @@ import express from "express";
 import pool from "../config/db.js";
 import { requireAdmin } from "../middleware/admin.js";
 import { verifyToken } from "../middleware/auth.middleware.js";
+import { idempotent } from "../middleware/idempotency.middleware.js";
 import { safeNotify } from "../utils/notify.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+  DEFAULT_CURRENCY,
+  isSupportedCurrency,
+  normalizeCurrency,
+} from "../utils/currency.js";
 import {
   applyPaymentPartialRefundLedger,
   applyPaymentRefundLedger,
@@ -26,11 +32,93 @@ import {
   FINANCIAL_EVENT_TYPE,
   verifyFinancialEventChain,
 } from "../services/financial_event_log.service.js";
+import {
+  generateWebhookSecret,
+  redeliverWebhook,
+  WEBHOOK_DELIVERY_STATUS,
+} from "../services/outbound_webhook.service.js";
+import {
+  getMilestoneSummary,
+  getPaymentMilestone,
+  MILESTONE_STATUS,
+  refundMilestone,
+  releaseMilestone,
+  settleOpenMilestones,
+} from "../services/milestone.service.js";
+import { reviewKycSubmission } from "../services/kyc.service.js";
+import {
+  compileChargebackEvidence,
+  getChargebackForDispute,
+  hasOpenChargeback,
+  submitChargebackEvidence,
+} from "../services/chargeback.service.js";
+import { transitionPaymentStatus } from "../services/payment_state.service.js";
+import {
+  createFeeSchedule,
+  deactivateFeeSchedule,
+  getFeeSchedule,
+  listFeeSchedules,
+  listReleaseFees,
+  normalizeFeeScopeLabel,
+  updateFeeSchedule,
+} from "../services/fee_schedule.service.js";
+import {
+  createTaxRule,
+  deactivateTaxRule,
+  getTaxRule,
+  listTaxRules,
+  TAX_TYPE,
+  updateTaxRule,
+} from "../services/tax_rule.service.js";
+import {
+  getTaxCertificate,
+  getTaxLiabilityReport,
+  listTaxRemittances,
+  recordTaxRemittance,
+} from "../services/tax_report.service.js";
+import { getReceivablesAgeingReport } from "../services/receivable.service.js";
+import {
+  getRefundProvider,
+  openProviderRefund,
+  submitProviderRefund,
+} from "../services/payment_refund.service.js";
+import {
+  createCancellationRule,
+  deactivateCancellationRule,
+  getCancellationRule,
+  listCancellationRules,
+  updateCancellationRule,
+} from "../services/project_cancellation.service.js";
 
 const router = express.Router();
 const UUID_REGEX =
   /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 const isUuid = (value) => UUID_REGEX.test(String(value ?? ""));
+const SUBSCRIPTION_COLUMNS = `
+  id, url, description, event_types, active, created_by, created_at, updated_at
+`;
+
+const parseWebhookUrl = (value) => {
+  try {
+    const parsed = new URL(String(value ?? ""));
+    return ["http:", "https:"].includes(parsed.protocol) ? parsed.toString() : null;
+  } catch {
+    return null;
+  }
+};
+
+// Returns null when any entry is not a known financial event type.
+const parseWebhookEventTypes = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    return null;
+  }
+  const known = Object.values(FINANCIAL_EVENT_TYPE);
+  const eventTypes = [...new Set(value.map((type) => String(type).trim()))];
+  return eventTypes.every((type) => known.includes(type)) ? eventTypes : null;
+};
 
 router.use(verifyToken, requireAdmin);
 
@@ -54,7 +142,10 @@ router.get(
       pool.query("SELECT COUNT(*) FROM users"),
       pool.query("SELECT COUNT(*) FROM payments"),
       pool.query(
-        "SELECT SUM(amount) FROM payments WHERE status = 'paid' OR status = 'released'",
+        `SELECT currency, SUM(amount) AS sum
+         FROM payments
+         WHERE status = 'paid' OR status = 'released'
+         GROUP BY currency`,
       ),
       pool.query(
         "SELECT COUNT(*) FROM disputes WHERE status IN ('open', 'under_review')",
@@ -70,10 +161,15 @@ router.get(
       pool.query("SELECT MAX(report_date) AS latest_settlement_date FROM settlement_reports"),
     ]);
 
+    const volumeByCurrency = Object.fromEntries(
+      paymentVolume.rows.map((row) => [row.currency, Number(row.sum || 0)]),
+    );
+
     res.json({
       totalUsers: parseInt(users.rows[0].count),
       totalPayments: parseInt(payments.rows[0].count),
-      totalVolume: parseInt(paymentVolume.rows[0].sum || 0),
+      totalVolume: parseInt(volumeByCurrency[DEFAULT_CURRENCY] || 0),
+      volumeByCurrency,
       openDisputes: parseInt(disputes.rows[0].count),
       pendingWithdrawals: parseInt(withdrawals.rows[0].count),
       pendingFraudReviews: parseInt(pendingFraudReviews.rows[0].count),
@@ -94,12 +190,46 @@ router.get(
   "/users",
   asyncHandler(async (req, res) => {
     const result = await pool.query(
-      "SELECT id, email, role FROM users ORDER BY id DESC",
+      "SELECT id, email, role, student_tier FROM users ORDER BY id DESC",
     );
     res.json(result.rows);
   }),
 );
 
+/**
+ * Set a student's tier, used to scope fee schedules
+ * PATCH /api/admin/users/:id/student-tier
+ * Body: { student_tier: string|null }
+ */
+router.patch(
+  "/users/:id/student-tier",
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid user id" });
+    }
+
+    const tier = normalizeFeeScopeLabel(req.body?.student_tier);
+    if (tier === undefined) {
+      return res
+        .status(400)
+        .json({ message: "student_tier must be a label of up to 60 characters or null" });
+    }
+
+    const result = await pool.query(
+      `UPDATE users SET student_tier = $1
+       WHERE id = $2
+       RETURNING id, email, role, student_tier`,
+      [tier, id],
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.json({ user: result.rows[0] });
+  }),
+);
+
 /**
  * View all payments
  */
@@ -210,6 +340,7 @@ router.get(
  */
 router.post(
   "/fraud/reviews/:id/approve",
+  idempotent,
   asyncHandler(async (req, res) => {
     const id = req.params.id;
     const adminId = Number(req.user.id);
@@ -773,12 +904,262 @@ router.get(
   }),
 );
 
+/**
+ * Outbound webhook subscriptions (admin only); secrets are never listed
+ * GET /api/admin/webhook-subscriptions
+ */
+router.get(
+  "/webhook-subscriptions",
+  asyncHandler(async (_req, res) => {
+    const result = await pool.query(
+      `
+      SELECT ${SUBSCRIPTION_COLUMNS},
+        (
+          SELECT COUNT(*)::int
+          FROM webhook_deliveries d
+          WHERE d.subscription_id = s.id AND d.status = 'failed'
+        ) AS failed_deliveries
+      FROM webhook_subscriptions s
+      ORDER BY created_at DESC
+      `,
+    );
+    res.json({ subscriptions: result.rows });
+  }),
+);
+
+/**
+ * Create an outbound webhook subscription; the signing secret is only
+ * returned here and on rotation
+ * POST /api/admin/webhook-subscriptions
+ * Body: { url, event_types?: string[], description?, secret? }
+ */
+router.post(
+  "/webhook-subscriptions",
+  asyncHandler(async (req, res) => {
+    const { url, event_types, description, secret } = req.body ?? {};
+
+    const parsedUrl = parseWebhookUrl(url);
+    if (!parsedUrl) {
+      return res.status(400).json({ message: "url must be an http(s) URL" });
+    }
+
+    const eventTypes = parseWebhookEventTypes(event_types);
+    if (!eventTypes) {
+      return res.status(400).json({
+        message: `event_types must be an array of: ${Object.values(FINANCIAL_EVENT_TYPE).join(", ")}`,
+      });
+    }
+
+    if (secret !== undefined && (typeof secret !== "string" || secret.length < 16)) {
+      return res
+        .status(400)
+        .json({ message: "secret must be at least 16 characters" });
+    }
+
+    const result = await pool.query(
+      `
+      INSERT INTO webhook_subscriptions (url, description, event_types, secret, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING ${SUBSCRIPTION_COLUMNS}, secret
+      `,
+      [
+        parsedUrl,
+        description ?? null,
+        eventTypes,
+        secret ?? generateWebhookSecret(),
+        req.user.id,
+      ],
+    );
+
+    res.status(201).json({ subscription: result.rows[0] });
+  }),
+);
+
+/**
+ * Update, pause or rotate the secret of a subscription
+ * PATCH /api/admin/webhook-subscriptions/:id
+ * Body: { url?, event_types?, description?, active?, rotate_secret? }
+ */
+router.patch(
+  "/webhook-subscriptions/:id",
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid subscription id" });
+    }
+
+    const { url, event_types, description, active, rotate_secret } =
+      req.body ?? {};
+    const updates = [];
+    const values = [];
+
+    if (url !== undefined) {
+      const parsedUrl = parseWebhookUrl(url);
+      if (!parsedUrl) {
+        return res.status(400).json({ message: "url must be an http(s) URL" });
+      }
+      values.push(parsedUrl);
+      updates.push(`url = $${values.length}`);
+    }
+
+    if (event_types !== undefined) {
+      const eventTypes = parseWebhookEventTypes(event_types);
+      if (!eventTypes) {
+        return res.status(400).json({ message: "Invalid event_types" });
+      }
+      values.push(eventTypes);
+      updates.push(`event_types = $${values.length}`);
+    }
+
+    if (description !== undefined) {
+      values.push(description);
+      updates.push(`description = $${values.length}`);
+    }
+
+    if (active !== undefined) {
+      if (typeof active !== "boolean") {
+        return res.status(400).json({ message: "active must be a boolean" });
+      }
+      values.push(active);
+      updates.push(`active = $${values.length}`);
+    }
+
+    if (rotate_secret === true) {
+      values.push(generateWebhookSecret());
+      updates.push(`secret = $${values.length}`);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ message: "No changes provided" });
+    }
+
+    values.push(id);
+    const result = await pool.query(
+      `
+      UPDATE webhook_subscriptions
+      SET ${updates.join(", ")}, updated_at = NOW()
+      WHERE id = $${values.length}
+      RETURNING ${SUBSCRIPTION_COLUMNS}${rotate_secret === true ? ", secret" : ""}
+      `,
+      values,
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Subscription not found" });
+    }
+
+    res.json({ subscription: result.rows[0] });
+  }),
+);
+
+/**
+ * Delete a subscription and its delivery log
+ * DELETE /api/admin/webhook-subscriptions/:id
+ */
+router.delete(
+  "/webhook-subscriptions/:id",
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid subscription id" });
+    }
+
+    const result = await pool.query(
+      "DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING id",
+      [id],
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Subscription not found" });
+    }
+
+    res.json({ message: "Subscription deleted" });
+  }),
+);
+
+/**
+ * Delivery log for a subscription
+ * GET /api/admin/webhook-subscriptions/:id/deliveries?status=failed&limit=100&offset=0
+ */
+router.get(
+  "/webhook-subscriptions/:id/deliveries",
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid subscription id" });
+    }
+
+    const { status, limit = "100", offset = "0" } = req.query;
+    const parsedLimit = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
+    const parsedOffset = Math.max(parseInt(offset, 10) || 0, 0);
+
+    const filters = ["subscription_id = $1"];
+    const values = [id];
+
+    if (status) {
+      if (!Object.values(WEBHOOK_DELIVERY_STATUS).includes(status)) {
+        return res.status(400).json({ message: "Invalid status filter" });
+      }
+      values.push(status);
+      filters.push(`status = $${values.length}`);
+    }
+
+    const whereClause = `WHERE ${filters.join(" AND ")}`;
+
+    const [deliveriesResult, countResult] = await Promise.all([
+      pool.query(
+        `
+        SELECT *
+        FROM webhook_deliveries
+        ${whereClause}
+        ORDER BY created_at DESC, id DESC
+        LIMIT $${values.length + 1}
+        OFFSET $${values.length + 2}
+        `,
+        [...values, parsedLimit, parsedOffset],
+      ),
+      pool.query(
+        `SELECT COUNT(*)::int AS total FROM webhook_deliveries ${whereClause}`,
+        values,
+      ),
+    ]);
+
+    res.json({
+      filters: {
+        status: status ?? null,
+      },
+      pagination: {
+        limit: parsedLimit,
+        offset: parsedOffset,
+        total: countResult.rows[0]?.total ?? 0,
+      },
+      deliveries: deliveriesResult.rows,
+    });
+  }),
+);
+
+/**
+ * Send a delivery again now, with a fresh retry budget
+ * POST /api/admin/webhook-deliveries/:id/redeliver
+ */
+router.post(
+  "/webhook-deliveries/:id/redeliver",
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid delivery id" });
+    }
+
+    const delivery = await redeliverWebhook(id);
+    res.json({ delivery });
+  }),
+);
+
 /**
  * Ledger report (admin only)
  * GET /api/admin/reports/ledger
  * Query params:
  * - user_id
- * - balance_type: available|escrow|locked|platform|revenue|payout
+ * - balance_type: available|escrow|locked|platform|revenue|payout|reserve|receivable
  * - type
  * - reference (partial match)
  * - from (ISO date)
@@ -816,6 +1197,8 @@ router.get(
       "platform",
       "revenue",
       "payout",
+      "reserve",
+      "receivable",
     ];
     const filters = [];
     const values = [];
@@ -834,7 +1217,7 @@ router.get(
       if (!allowedBalanceTypes.includes(balance_type)) {
         return res.status(400).json({
           message:
-            "Invalid balance_type. Use available|escrow|locked|platform|revenue|payout",
+            "Invalid balance_type. Use available|escrow|locked|platform|revenue|payout|reserve|receivable",
         });
       }
       values.push(balance_type);
@@ -1244,13 +1627,14 @@ router.patch(
  * Query params:
  * - from (YYYY-MM-DD)
  * - to (YYYY-MM-DD)
+ * - currency (e.g. NGN, USD)
  * - limit (default 100, max 500)
  * - offset (default 0)
  */
 router.get(
   "/reports/settlements",
   asyncHandler(async (req, res) => {
-    const { from, to, limit = "100", offset = "0" } = req.query;
+    const { from, to, currency, limit = "100", offset = "0" } = req.query;
 
     const parsedLimit = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
     const parsedOffset = Math.max(parseInt(offset, 10) || 0, 0);
@@ -1278,13 +1662,23 @@ router.get(
       filters.push(`report_date <= $${values.length}::date`);
     }
 
+    let currencyFilter = null;
+    if (currency !== undefined) {
+      if (!isSupportedCurrency(currency)) {
+        return res.status(400).json({ message: "Invalid currency" });
+      }
+      currencyFilter = normalizeCurrency(currency);
+      values.push(currencyFilter);
+      filters.push(`currency = $${values.length}`);
+    }
+
     const whereClause = filters.length > 0 ? `WHERE ${filters.join(" AND ")}` : "";
 
     const reportsQuery = `
       SELECT *
       FROM settlement_reports
       ${whereClause}
-      ORDER BY report_date DESC
+      ORDER BY report_date DESC, currency ASC
       LIMIT $${values.length + 1}
       OFFSET $${values.length + 2}
     `;
@@ -1297,13 +1691,17 @@ router.get(
 
     const totalsQuery = `
       SELECT
+        currency,
         COALESCE(SUM(escrow_inflow), 0) AS escrow_inflow,
         COALESCE(SUM(released_to_students), 0) AS released_to_students,
         COALESCE(SUM(refunded_to_companies), 0) AS refunded_to_companies,
         COALESCE(SUM(withdrawals), 0) AS withdrawals,
-        COALESCE(SUM(platform_fees), 0) AS platform_fees
+        COALESCE(SUM(platform_fees), 0) AS platform_fees,
+        COALESCE(SUM(reserve_held), 0) AS reserve_held,
+        COALESCE(SUM(reserve_released), 0) AS reserve_released
       FROM settlement_reports
       ${whereClause}
+      GROUP BY currency
     `;
 
     const [reportsResult, countResult, totalsResult] = await Promise.all([
@@ -1316,18 +1714,47 @@ router.get(
       filters: {
         from: fromDate ? fromDate.toISOString().slice(0, 10) : null,
         to: toDate ? toDate.toISOString().slice(0, 10) : null,
+        currency: currencyFilter,
       },
       pagination: {
         limit: parsedLimit,
         offset: parsedOffset,
         total: countResult.rows[0]?.total ?? 0,
       },
-      totals: totalsResult.rows[0],
+      // Keyed by currency; amounts in different currencies are not summed.
+      totals: Object.fromEntries(
+        totalsResult.rows.map(({ currency: code, ...sums }) => [code, sums]),
+      ),
       reports: reportsResult.rows,
     });
   }),
 );
 
+/**
+ * Tax liability per currency and tax type for a period: withheld, reversed,
+ * remitted, and outstanding as of `to`
+ * GET /api/admin/reports/tax?from=YYYY-MM-DD&to=YYYY-MM-DD&currency=NGN
+ */
+router.get(
+  "/reports/tax",
+  asyncHandler(async (req, res) => {
+    const { from, to, currency } = req.query;
+    res.json(await getTaxLiabilityReport({ from, to, currency }));
+  }),
+);
+
+/**
+ * Outstanding receivables per user and currency with ageing buckets
+ * (0-30, 31-60, 61-90 and over 90 days since the debt was recorded)
+ * GET /api/admin/reports/receivables?currency=NGN
+ */
+router.get(
+  "/reports/receivables",
+  asyncHandler(async (req, res) => {
+    res.json(await getReceivablesAgeingReport({ currency: req.query.currency }));
+  }),
+);
+
 /**
  * Admin dispute status update
  * PATCH /api/admin/disputes/:id/status
@@ -1386,6 +1813,13 @@ router.patch(
         return res.status(400).json({ message: "Dispute already closed" });
       }
 
+      if (status === "rejected" && (await hasOpenChargeback(id, { client }))) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({
+          message: "The card provider has not decided this chargeback yet",
+        });
+      }
+
       if (status === "under_review") {
         const updated = await client.query(
           `
@@ -1412,14 +1846,26 @@ router.patch(
         );
         updatedDispute = updated.rows[0];
 
-        await client.query(
-          `
-          UPDATE payments
-          SET disputed = false
-          WHERE id = $1
-          `,
-          [dispute.payment_id],
-        );
+        if (dispute.milestone_id) {
+          await client.query(
+            `
+            UPDATE payment_milestones
+            SET disputed = false,
+                updated_at = NOW()
+            WHERE id = $1
+            `,
+            [dispute.milestone_id],
+          );
+        } else {
+          await client.query(
+            `
+            UPDATE payments
+            SET disputed = false
+            WHERE id = $1
+            `,
+            [dispute.payment_id],
+          );
+        }
 
         await createRiskAuditLog(
           {
@@ -1524,6 +1970,7 @@ router.patch(
  */
 router.patch(
   "/disputes/:id/resolve",
+  idempotent,
   asyncHandler(async (req, res) => {
     const id = parseInt(req.params.id, 10);
     const { resolution, partial_amount } = req.body ?? {};
@@ -1560,6 +2007,7 @@ router.patch(
     const client = await pool.connect();
     let updatedDispute;
     let disputeRow;
+    let providerRefundId = null;
     try {
       await client.query("BEGIN");
 
@@ -1572,8 +2020,11 @@ router.patch(
           p.amount AS payment_amount,
           p.user_id AS payment_user_id,
           p.provider_ref AS payment_provider_ref,
+          p.currency AS payment_currency,
           p.escrow AS payment_escrow,
           p.disputed AS payment_disputed,
+          p.provider AS payment_provider,
+          p.funding_source AS payment_funding_source,
           a.user_id AS student_user_id,
           c.user_id AS company_user_id
         FROM disputes d
@@ -1599,11 +2050,63 @@ router.patch(
         return res.status(400).json({ message: "Dispute already closed" });
       }
 
-      if (dispute.payment_disputed !== true && dispute.payment_status !== "disputed") {
+      if (await hasOpenChargeback(id, { client })) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({
+          message: "The card provider has not decided this chargeback yet",
+        });
+      }
+
+      const milestoneId = dispute.milestone_id ? Number(dispute.milestone_id) : null;
+      let milestone = null;
+
+      if (milestoneId) {
+        if (normalizedResolution === "partial_refund") {
+          await client.query("ROLLBACK");
+          return res.status(400).json({
+            message: "Partial refund is not supported for milestone disputes",
+          });
+        }
+
+        milestone = await getPaymentMilestone(dispute.payment_id, milestoneId, {
+          client,
+          forUpdate: true,
+        });
+        if (!milestone || milestone.disputed !== true) {
+          await client.query("ROLLBACK");
+          return res.status(400).json({ message: "Milestone is not under dispute" });
+        }
+
+        if (dispute.payment_status !== "paid") {
+          await client.query("ROLLBACK");
+          return res.status(400).json({
+            message: "Milestone disputes can only be resolved on paid payments",
+          });
+        }
+      } else if (
+        dispute.payment_disputed !== true &&
+        dispute.payment_status !== "disputed"
+      ) {
         await client.query("ROLLBACK");
         return res.status(400).json({ message: "Payment is not under dispute" });
       }
 
+      // A payment-level dispute on a milestone plan settles the milestones
+      // that are still open instead of the full payment amount.
+      const hasMilestonePlan =
+        !milestone &&
+        (await getMilestoneSummary(dispute.payment_id, { client })).total > 0;
+      if (
+        hasMilestonePlan &&
+        normalizedResolution !== "partial_refund" &&
+        dispute.payment_status !== "paid"
+      ) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          message: "Milestone payments can only be resolved from paid state",
+        });
+      }
+
       const companyUserId = Number(dispute.company_user_id);
       const studentUserId = Number(dispute.student_user_id);
 
@@ -1619,7 +2122,10 @@ router.patch(
         status: dispute.payment_status,
         provider_ref:
           dispute.payment_provider_ref ?? `payment:${dispute.payment_id}`,
+        currency: dispute.payment_currency,
         escrow: dispute.payment_escrow,
+        provider: dispute.payment_provider,
+        funding_source: dispute.payment_funding_source,
         company_user_id: dispute.company_user_id,
         student_user_id: dispute.student_user_id,
       };
@@ -1660,7 +2166,24 @@ router.patch(
           });
         }
 
-        if (
+        if (milestone) {
+          await releaseMilestone(client, paymentForLedger, milestone, {
+            source: "dispute_resolve",
+            actorId: adminId,
+            reason: normalizedResolution,
+          });
+        } else if (hasMilestonePlan) {
+          await settleOpenMilestones(
+            client,
+            paymentForLedger,
+            MILESTONE_STATUS.RELEASED,
+            {
+              source: "dispute_resolve",
+              actorId: adminId,
+              reason: normalizedResolution,
+            },
+          );
+        } else if (
           dispute.payment_status === "paid" ||
           dispute.payment_status === "disputed"
         ) {
@@ -1680,17 +2203,19 @@ router.patch(
           });
         }
 
-        await client.query(
-          `
-          UPDATE payments
-          SET status = 'released',
-              escrow = false,
-              released_at = COALESCE(released_at, NOW()),
-              disputed = false
-          WHERE id = $1
-          `,
-          [dispute.payment_id],
-        );
+        if (!milestone && !hasMilestonePlan && dispute.payment_status !== "released") {
+          await transitionPaymentStatus(client, paymentForLedger, "released", {
+            actorId: adminId,
+            source: "dispute_resolve",
+            reason: normalizedResolution,
+            metadata: { dispute_id: dispute.id },
+            clearDispute: true,
+          });
+        } else if (!milestone) {
+          await client.query("UPDATE payments SET disputed = false WHERE id = $1", [
+            dispute.payment_id,
+          ]);
+        }
 
         await createRiskAuditLog(
           {
@@ -1705,7 +2230,24 @@ router.patch(
       }
 
       if (normalizedResolution === "refund_to_company") {
-        if (["paid", "released"].includes(dispute.payment_status)) {
+        if (milestone) {
+          await refundMilestone(client, paymentForLedger, milestone, {
+            source: "dispute_resolve",
+            actorId: adminId,
+            reason: normalizedResolution,
+          });
+        } else if (hasMilestonePlan) {
+          await settleOpenMilestones(
+            client,
+            paymentForLedger,
+            MILESTONE_STATUS.REFUNDED,
+            {
+              source: "dispute_resolve",
+              actorId: adminId,
+              reason: normalizedResolution,
+            },
+          );
+        } else if (["paid", "released"].includes(dispute.payment_status)) {
           const refundResult = await applyPaymentRefundLedger(client, paymentForLedger, {
             idempotencyPrefix: `payment:${dispute.payment_id}:${dispute.payment_status}->refunded:dispute`,
             companyUserId: companyUserId,
@@ -1718,6 +2260,22 @@ router.patch(
             client,
             refundResult.walletUserIds ?? [],
           );
+          const refundProvider = getRefundProvider({
+            ...paymentForLedger,
+            provider_ref: dispute.payment_provider_ref,
+          });
+          if (refundProvider) {
+            const opened = await openProviderRefund(client, paymentForLedger, {
+              provider: refundProvider,
+              companyUserId,
+              refundType: refundResult.refundType,
+              requestedBy: adminId,
+              reason: normalizedResolution,
+              source: "dispute_resolve",
+              clearDispute: true,
+            });
+            providerRefundId = opened.refund.id;
+          }
         } else if (dispute.payment_status === "disputed") {
           await applyPaymentTransitionLedger(client, paymentForLedger, "refunded", {
             idempotencyPrefix: `payment:${dispute.payment_id}:${dispute.payment_status}->refunded:dispute_legacy`,
@@ -1734,19 +2292,21 @@ router.patch(
           });
         }
 
-        await client.query(
-          `
-          UPDATE payments
-          SET status = 'refunded',
-              escrow = false,
-              refunded_at = COALESCE(refunded_at, NOW()),
-              disputed = false
-          WHERE id = $1
-          `,
-          [dispute.payment_id],
-        );
-      }
-
+        if (hasMilestonePlan) {
+          await client.query("UPDATE payments SET disputed = false WHERE id = $1", [
+            dispute.payment_id,
+          ]);
+        } else if (!milestone && !providerRefundId) {
+          await transitionPaymentStatus(client, paymentForLedger, "refunded", {
+            actorId: adminId,
+            source: "dispute_resolve",
+            reason: normalizedResolution,
+            metadata: { dispute_id: dispute.id },
+            clearDispute: true,
+          });
+        }
+      }
+
       if (normalizedResolution === "partial_refund") {
         if (dispute.payment_status !== "released") {
           await client.query("ROLLBACK");
@@ -1777,16 +2337,10 @@ router.patch(
           partialResult.walletUserIds ?? [],
         );
 
-        await client.query(
-          `
-          UPDATE payments
-          SET status = 'released',
-              escrow = false,
-              disputed = false
-          WHERE id = $1
-          `,
-          [dispute.payment_id],
-        );
+        // The payment stays released; only the dispute flag is cleared.
+        await client.query("UPDATE payments SET disputed = false WHERE id = $1", [
+          dispute.payment_id,
+        ]);
       }
 
       const updated = await client.query(
@@ -1866,12 +2420,18 @@ router.patch(
       client.release();
     }
 
+    if (providerRefundId) {
+      await submitProviderRefund(providerRefundId);
+    }
+
     const companyNotif =
       normalizedResolution === "release_to_student"
         ? "Dispute resolved: payment released to student."
-        : normalizedResolution === "refund_to_company"
-          ? "Dispute resolved: payment refunded to company."
-          : "Dispute resolved: partial refund processed.";
+        : providerRefundId
+          ? "Dispute resolved: the payment is being refunded to your original payment method."
+          : normalizedResolution === "refund_to_company"
+            ? "Dispute resolved: payment refunded to company."
+            : "Dispute resolved: partial refund processed.";
 
     await safeNotify(
       disputeRow.payment_user_id,
@@ -1903,4 +2463,448 @@ router.patch(
   }),
 );
 
+/**
+ * Provider chargeback behind a dispute, with the evidence that would be sent
+ * GET /api/admin/disputes/:id/chargeback
+ */
+router.get(
+  "/disputes/:id/chargeback",
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid dispute id" });
+    }
+
+    const chargeback = await getChargebackForDispute(id);
+    const evidence = await compileChargebackEvidence(chargeback.payment_id);
+    res.json({ chargeback, evidence });
+  }),
+);
+
+/**
+ * Compile the project's deliverables, messages and timeline and upload them
+ * to the provider as chargeback evidence
+ * POST /api/admin/disputes/:id/chargeback/evidence
+ * Body: { notes? }
+ */
+router.post(
+  "/disputes/:id/chargeback/evidence",
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid dispute id" });
+    }
+
+    const { notes } = req.body ?? {};
+    const chargeback = await submitChargebackEvidence(id, {
+      adminId: Number(req.user.id),
+      notes: notes ? String(notes).trim() : null,
+    });
+    res.json({ message: "Evidence submitted", chargeback });
+  }),
+);
+
+/**
+ * KYC submissions awaiting or past review
+ * GET /api/admin/kyc?status=pending&limit=100&offset=0
+ */
+router.get(
+  "/kyc",
+  asyncHandler(async (req, res) => {
+    const { status = "pending", limit = "100", offset = "0" } = req.query;
+    if (!["pending", "approved", "rejected"].includes(status)) {
+      return res.status(400).json({ message: "Invalid status filter" });
+    }
+
+    const parsedLimit = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
+    const parsedOffset = Math.max(parseInt(offset, 10) || 0, 0);
+
+    const [submissionsResult, countResult] = await Promise.all([
+      pool.query(
+        `
+        SELECT k.*, u.email, u.full_name, u.account_type, u.institution
+        FROM kyc_submissions k
+        JOIN users u ON u.id = k.user_id
+        WHERE k.status = $1
+        ORDER BY k.created_at ASC, k.id ASC
+        LIMIT $2
+        OFFSET $3
+        `,
+        [status, parsedLimit, parsedOffset],
+      ),
+      pool.query(
+        "SELECT COUNT(*)::int AS total FROM kyc_submissions WHERE status = $1",
+        [status],
+      ),
+    ]);
+
+    res.json({
+      filters: { status },
+      pagination: {
+        limit: parsedLimit,
+        offset: parsedOffset,
+        total: countResult.rows[0]?.total ?? 0,
+      },
+      submissions: submissionsResult.rows,
+    });
+  }),
+);
+
+/**
+ * Approve or reject a KYC submission
+ * PATCH /api/admin/kyc/:id
+ * Body: { status: approved|rejected, reason? }
+ */
+router.patch(
+  "/kyc/:id",
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid submission id" });
+    }
+
+    const { status, reason } = req.body ?? {};
+    if (!["approved", "rejected"].includes(status)) {
+      return res.status(400).json({ message: "status must be approved or rejected" });
+    }
+    if (status === "rejected" && !String(reason ?? "").trim()) {
+      return res.status(400).json({ message: "reason is required when rejecting" });
+    }
+
+    const submission = await reviewKycSubmission(id, {
+      adminId: req.user.id,
+      approve: status === "approved",
+      reason: reason ? String(reason).trim() : null,
+    });
+    res.json({ submission });
+  }),
+);
+
+/**
+ * Platform fee schedules
+ * GET /api/admin/fees?active=true&company_id=1
+ */
+router.get(
+  "/fees",
+  asyncHandler(async (req, res) => {
+    const { active, company_id } = req.query;
+    if (active !== undefined && !["true", "false"].includes(active)) {
+      return res.status(400).json({ message: "active must be true or false" });
+    }
+    const companyId = company_id === undefined ? undefined : parseInt(company_id, 10);
+    if (Number.isNaN(companyId)) {
+      return res.status(400).json({ message: "Invalid company_id" });
+    }
+
+    const schedules = await listFeeSchedules({
+      active: active === undefined ? undefined : active === "true",
+      companyId,
+    });
+    res.json({ schedules });
+  }),
+);
+
+/**
+ * Fees recorded on a payment's releases
+ * GET /api/admin/fees/releases?payment_id=1
+ */
+router.get(
+  "/fees/releases",
+  asyncHandler(async (req, res) => {
+    const paymentId = parseInt(req.query.payment_id, 10);
+    if (Number.isNaN(paymentId)) {
+      return res.status(400).json({ message: "payment_id is required" });
+    }
+
+    res.json({ releases: await listReleaseFees(paymentId) });
+  }),
+);
+
+/**
+ * Create a fee schedule. Unset scopes match everything; the most specific
+ * matching rule wins, then the highest priority.
+ * POST /api/admin/fees
+ * Body: { name, fee_type: percentage|flat, rate, currency?, min_fee?, max_fee?,
+ *         company_id?, project_category?, student_tier?, priority?,
+ *         effective_from?, effective_to? }
+ */
+router.post(
+  "/fees",
+  asyncHandler(async (req, res) => {
+    const schedule = await createFeeSchedule(req.body, req.user.id);
+    res.status(201).json({ schedule });
+  }),
+);
+
+/**
+ * Get a fee schedule
+ * GET /api/admin/fees/:id
+ */
+router.get(
+  "/fees/:id",
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid fee schedule id" });
+    }
+
+    res.json({ schedule: await getFeeSchedule(id) });
+  }),
+);
+
+/**
+ * Update a fee schedule; past releases keep the fee they recorded
+ * PATCH /api/admin/fees/:id
+ * Body: any field accepted by POST /api/admin/fees, plus active
+ */
+router.patch(
+  "/fees/:id",
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid fee schedule id" });
+    }
+
+    res.json({ schedule: await updateFeeSchedule(id, req.body) });
+  }),
+);
+
+/**
+ * Deactivate a fee schedule
+ * DELETE /api/admin/fees/:id
+ */
+router.delete(
+  "/fees/:id",
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid fee schedule id" });
+    }
+
+    res.json({ schedule: await deactivateFeeSchedule(id) });
+  }),
+);
+
+/**
+ * Project cancellation rules
+ * GET /api/admin/cancellation-rules?active=true
+ */
+router.get(
+  "/cancellation-rules",
+  asyncHandler(async (req, res) => {
+    const { active } = req.query;
+    if (active !== undefined && !["true", "false"].includes(active)) {
+      return res.status(400).json({ message: "active must be true or false" });
+    }
+
+    const rules = await listCancellationRules({
+      active: active === undefined ? undefined : active === "true",
+    });
+    res.json({ rules });
+  }),
+);
+
+/**
+ * Create a cancellation rule: the student's share of a cancelled payment
+ * once a project in this status has run for at least min_days_in_progress
+ * POST /api/admin/cancellation-rules
+ * Body: { name, project_status: open|in_progress, compensation_percent,
+ *         min_days_in_progress? }
+ */
+router.post(
+  "/cancellation-rules",
+  asyncHandler(async (req, res) => {
+    const rule = await createCancellationRule(req.body, req.user.id);
+    res.status(201).json({ rule });
+  }),
+);
+
+/**
+ * Get a cancellation rule
+ * GET /api/admin/cancellation-rules/:id
+ */
+router.get(
+  "/cancellation-rules/:id",
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid cancellation rule id" });
+    }
+
+    res.json({ rule: await getCancellationRule(id) });
+  }),
+);
+
+/**
+ * Update a cancellation rule; pending requests keep their quoted split
+ * PATCH /api/admin/cancellation-rules/:id
+ * Body: any field accepted by POST /api/admin/cancellation-rules, plus active
+ */
+router.patch(
+  "/cancellation-rules/:id",
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid cancellation rule id" });
+    }
+
+    res.json({ rule: await updateCancellationRule(id, req.body) });
+  }),
+);
+
+/**
+ * Deactivate a cancellation rule
+ * DELETE /api/admin/cancellation-rules/:id
+ */
+router.delete(
+  "/cancellation-rules/:id",
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid cancellation rule id" });
+    }
+
+    res.json({ rule: await deactivateCancellationRule(id) });
+  }),
+);
+
+/**
+ * Tax rules applied on releases
+ * GET /api/admin/tax/rules?active=true&tax_type=vat
+ */
+router.get(
+  "/tax/rules",
+  asyncHandler(async (req, res) => {
+    const { active, tax_type } = req.query;
+    if (active !== undefined && !["true", "false"].includes(active)) {
+      return res.status(400).json({ message: "active must be true or false" });
+    }
+    if (tax_type !== undefined && !Object.values(TAX_TYPE).includes(tax_type)) {
+      return res.status(400).json({ message: "tax_type must be withholding or vat" });
+    }
+
+    const rules = await listTaxRules({
+      active: active === undefined ? undefined : active === "true",
+      taxType: tax_type,
+    });
+    res.json({ rules });
+  }),
+);
+
+/**
+ * Create a tax rule; scopes and precedence work like fee schedules
+ * POST /api/admin/tax/rules
+ * Body: { name, tax_type: withholding|vat, rate, currency?, company_id?,
+ *         project_category?, student_tier?, priority?, effective_from?, effective_to? }
+ */
+router.post(
+  "/tax/rules",
+  asyncHandler(async (req, res) => {
+    const rule = await createTaxRule(req.body, req.user.id);
+    res.status(201).json({ rule });
+  }),
+);
+
+/**
+ * Get a tax rule
+ * GET /api/admin/tax/rules/:id
+ */
+router.get(
+  "/tax/rules/:id",
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid tax rule id" });
+    }
+
+    res.json({ rule: await getTaxRule(id) });
+  }),
+);
+
+/**
+ * Update a tax rule; past releases keep the tax they recorded
+ * PATCH /api/admin/tax/rules/:id
+ * Body: any field accepted by POST /api/admin/tax/rules, plus active
+ */
+router.patch(
+  "/tax/rules/:id",
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid tax rule id" });
+    }
+
+    res.json({ rule: await updateTaxRule(id, req.body) });
+  }),
+);
+
+/**
+ * Deactivate a tax rule
+ * DELETE /api/admin/tax/rules/:id
+ */
+router.delete(
+  "/tax/rules/:id",
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid tax rule id" });
+    }
+
+    res.json({ rule: await deactivateTaxRule(id) });
+  }),
+);
+
+/**
+ * Recorded tax remittances
+ * GET /api/admin/tax/remittances?currency=NGN
+ */
+router.get(
+  "/tax/remittances",
+  asyncHandler(async (req, res) => {
+    res.json({ remittances: await listTaxRemittances({ currency: req.query.currency }) });
+  }),
+);
+
+/**
+ * Record a payment of withheld tax to the tax authority
+ * POST /api/admin/tax/remittances
+ * Body: { tax_type, currency, amount, period_start, period_end, authority_reference?, notes? }
+ */
+router.post(
+  "/tax/remittances",
+  idempotent,
+  asyncHandler(async (req, res) => {
+    const body = req.body ?? {};
+    const remittance = await recordTaxRemittance(
+      {
+        taxType: body.tax_type,
+        currency: body.currency,
+        amount: body.amount,
+        periodStart: body.period_start,
+        periodEnd: body.period_end,
+        authorityReference: body.authority_reference ?? null,
+        notes: body.notes ?? null,
+      },
+      req.user.id,
+    );
+    res.status(201).json({ remittance });
+  }),
+);
+
+/**
+ * A user's annual tax certificate
+ * GET /api/admin/tax/certificates/:userId/:year
+ */
+router.get(
+  "/tax/certificates/:userId/:year",
+  asyncHandler(async (req, res) => {
+    const userId = parseInt(req.params.userId, 10);
+    if (Number.isNaN(userId)) {
+      return res.status(400).json({ message: "Invalid user id" });
+    }
+
+    res.json({ certificate: await getTaxCertificate(userId, req.params.year) });
+  }),
+);
+
 export default router;
@@ -0,0 +1,255 @@
+import express from "express";
+import pool from "../config/db.js";
+import { verifyToken } from "../middleware/auth.middleware.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { safeNotify } from "../utils/notify.js";
+import {
+  APPLICATION_STATUS,
+  assertApplicationTransition,
+  getApplicationWithProject,
+  hasFundedPayment,
+  PROJECT_STATUS,
+} from "../services/project.service.js";
+
+const router = express.Router();
+
+/**
+ * List the current student's applications (authenticated)
+ * GET /api/applications/mine?status=pending
+ */
+router.get(
+  "/mine",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const { status } = req.query;
+    const values = [req.user.id];
+    let statusClause = "";
+
+    if (status !== undefined) {
+      if (!Object.values(APPLICATION_STATUS).includes(status)) {
+        return res.status(400).json({ message: "Invalid status value" });
+      }
+      values.push(status);
+      statusClause = `AND a.status = $${values.length}`;
+    }
+
+    const result = await pool.query(
+      `SELECT
+         a.*,
+         p.title AS project_title,
+         p.status AS project_status,
+         p.company_id
+       FROM applications a
+       JOIN projects p ON p.id = a.project_id
+       WHERE a.user_id = $1
+       ${statusClause}
+       ORDER BY a.created_at DESC, a.id DESC`,
+      values,
+    );
+
+    res.json(result.rows);
+  }),
+);
+
+/**
+ * Get an application (applicant, owning company or admin)
+ */
+router.get(
+  "/:id",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid application id" });
+    }
+
+    const application = await getApplicationWithProject(id);
+    if (!application) {
+      return res.status(404).json({ message: "Application not found" });
+    }
+
+    if (
+      application.user_id !== req.user.id &&
+      application.company_user_id !== req.user.id &&
+      req.user.role !== "admin"
+    ) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    res.json(application);
+  }),
+);
+
+/**
+ * Accept or reject an application (owning company or admin)
+ * PATCH /api/applications/:id/status
+ * body: { status: "accepted" | "rejected" }
+ */
+router.patch(
+  "/:id/status",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const { status } = req.body ?? {};
+
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid application id" });
+    }
+
+    const allowed = [APPLICATION_STATUS.ACCEPTED, APPLICATION_STATUS.REJECTED];
+    if (!allowed.includes(status)) {
+      return res.status(400).json({ message: "Invalid status value" });
+    }
+
+    const client = await pool.connect();
+    let application;
+    let updated;
+    try {
+      await client.query("BEGIN");
+
+      application = await getApplicationWithProject(id, {
+        client,
+        forUpdate: true,
+      });
+
+      if (!application) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ message: "Application not found" });
+      }
+
+      if (
+        application.company_user_id !== req.user.id &&
+        req.user.role !== "admin"
+      ) {
+        await client.query("ROLLBACK");
+        return res.status(403).json({ message: "Forbidden" });
+      }
+
+      assertApplicationTransition(application.status, status);
+
+      if (
+        status === APPLICATION_STATUS.ACCEPTED &&
+        ![PROJECT_STATUS.OPEN, PROJECT_STATUS.IN_PROGRESS].includes(
+          application.project_status,
+        )
+      ) {
+        await client.query("ROLLBACK");
+        return res
+          .status(400)
+          .json({ message: "Applications can only be accepted on active projects" });
+      }
+
+      const result = await client.query(
+        `UPDATE applications
+         SET status = $1, decided_at = NOW(), updated_at = NOW()
+         WHERE id = $2
+         RETURNING *`,
+        [status, id],
+      );
+      updated = result.rows[0];
+
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    const projectLabel = application.project_title ?? application.project_id;
+    await safeNotify(
+      application.user_id,
+      status === APPLICATION_STATUS.ACCEPTED
+        ? "application_accepted"
+        : "application_rejected",
+      status === APPLICATION_STATUS.ACCEPTED
+        ? `Your application for "${projectLabel}" was accepted.`
+        : `Your application for "${projectLabel}" was not selected.`,
+      id,
+    );
+
+    res.json({
+      message: `Application ${status}`,
+      application: updated,
+    });
+  }),
+);
+
+/**
+ * Withdraw an application (applicant only)
+ * POST /api/applications/:id/withdraw
+ */
+router.post(
+  "/:id/withdraw",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid application id" });
+    }
+
+    const client = await pool.connect();
+    let application;
+    let updated;
+    try {
+      await client.query("BEGIN");
+
+      application = await getApplicationWithProject(id, {
+        client,
+        forUpdate: true,
+      });
+
+      if (!application) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ message: "Application not found" });
+      }
+
+      if (application.user_id !== req.user.id) {
+        await client.query("ROLLBACK");
+        return res.status(403).json({ message: "Forbidden" });
+      }
+
+      assertApplicationTransition(application.status, APPLICATION_STATUS.WITHDRAWN);
+
+      if (await hasFundedPayment({ applicationId: id }, { client })) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({
+          message:
+            "Application has funded escrow or an open checkout and cannot be withdrawn",
+        });
+      }
+
+      const result = await client.query(
+        `UPDATE applications
+         SET status = 'withdrawn', withdrawn_at = NOW(), updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [id],
+      );
+      updated = result.rows[0];
+
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    if (application.company_user_id) {
+      await safeNotify(
+        application.company_user_id,
+        "application_withdrawn",
+        `An applicant withdrew from "${application.project_title ?? application.project_id}".`,
+        id,
+      );
+    }
+
+    res.json({
+      message: "Application withdrawn",
+      application: updated,
+    });
+  }),
+);
+
+export default router;
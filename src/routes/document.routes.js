@@ -0,0 +1,85 @@
+import express from "express";
+import { verifyToken } from "../middleware/auth.middleware.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+  DOCUMENT_TYPE,
+  getDocumentForViewer,
+  listDocumentsForUser,
+  renderDocumentPdf,
+} from "../services/financial_document.service.js";
+
+const router = express.Router();
+
+const parseDocumentId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * Invoices and receipts issued to the current user (admins may pass user_id)
+ * GET /api/documents?type=invoice|release_receipt|withdrawal_receipt&user_id=
+ */
+router.get(
+  "/",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const { type } = req.query;
+    if (type !== undefined && !Object.values(DOCUMENT_TYPE).includes(type)) {
+      return res.status(400).json({ message: "Invalid document type" });
+    }
+
+    let userId = req.user.id;
+    if (req.query.user_id !== undefined) {
+      if (req.user.role !== "admin") {
+        return res.status(403).json({ message: "Forbidden" });
+      }
+      userId = parseDocumentId(req.query.user_id);
+      if (!userId) {
+        return res.status(400).json({ message: "Invalid user_id" });
+      }
+    }
+
+    res.json({ documents: await listDocumentsForUser(userId, { documentType: type }) });
+  }),
+);
+
+/**
+ * One document with its line items
+ * GET /api/documents/:id
+ */
+router.get(
+  "/:id",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const id = parseDocumentId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ message: "Invalid document id" });
+    }
+    res.json({ document: await getDocumentForViewer(id, req.user) });
+  }),
+);
+
+/**
+ * Download a document as PDF
+ * GET /api/documents/:id/pdf
+ */
+router.get(
+  "/:id/pdf",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const id = parseDocumentId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ message: "Invalid document id" });
+    }
+    const document = await getDocumentForViewer(id, req.user);
+    const pdf = await renderDocumentPdf(document);
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${document.document_number}.pdf"`,
+    });
+    res.send(pdf);
+  }),
+);
+
+export default router;
@@ -0,0 +1,118 @@
+import express from "express";
+import { verifyToken } from "../middleware/auth.middleware.js";
+import { idempotent } from "../middleware/idempotency.middleware.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { isSupportedCurrency } from "../utils/currency.js";
+import {
+  PAYMENT_PROVIDER_NAMES,
+  isSupportedPaymentProvider,
+} from "../services/payment_providers/index.js";
+import {
+  createFundingBatch,
+  getFundingBatch,
+  listFundingBatches,
+  markFundingBatchPaidByReference,
+  notifyFundingBatchPaid,
+  verifyFundingBatchReference,
+} from "../services/funding_batch.service.js";
+
+const router = express.Router();
+
+/**
+ * Fund escrow for many accepted applications with one charge.
+ * Rows come as a CSV upload (Content-Type: text/csv, header
+ * `application_id,amount`) or JSON; any invalid row rejects the batch.
+ * POST /api/funding-batches
+ * body: { items: [{ application_id, amount }] } | { csv }, provider?, currency?, email?, callback_url?
+ * query (CSV uploads): provider?, currency?, email?, callback_url?
+ */
+router.post(
+  "/",
+  verifyToken,
+  express.text({ type: "text/csv", limit: "1mb" }),
+  idempotent,
+  asyncHandler(async (req, res) => {
+    const options = typeof req.body === "string" ? req.query : req.body ?? {};
+    const { provider, currency, email, callback_url } = options;
+    if (provider !== undefined && !isSupportedPaymentProvider(provider)) {
+      return res.status(400).json({
+        message: `provider must be one of: ${PAYMENT_PROVIDER_NAMES.join(", ")}`,
+      });
+    }
+    if (currency !== undefined && !isSupportedCurrency(currency)) {
+      return res.status(400).json({ message: "Invalid currency" });
+    }
+
+    try {
+      const checkout = await createFundingBatch(req.user, req.body, {
+        provider,
+        currency,
+        email,
+        callbackUrl: callback_url,
+      });
+      res.status(201).json(checkout);
+    } catch (err) {
+      if (!err.errors) {
+        throw err;
+      }
+      res.status(err.status).json({ message: err.message, errors: err.errors });
+    }
+  }),
+);
+
+/**
+ * Current user's funding batches, newest first
+ * GET /api/funding-batches
+ */
+router.get(
+  "/",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    res.json({ batches: await listFundingBatches(req.user.id) });
+  }),
+);
+
+/**
+ * Verify a batch charge with its gateway and fund its payments if the
+ * webhook has not yet
+ * GET /api/funding-batches/verify/:reference
+ */
+router.get(
+  "/verify/:reference",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const { reference } = req.params;
+    const verification = await verifyFundingBatchReference(reference);
+
+    const result = await markFundingBatchPaidByReference(reference, {
+      enforceUserId: req.user.role === "admin" ? undefined : req.user.id,
+      actorId: req.user.id,
+      source: "funding_batch_verify",
+      charged: { amount: verification.amount, currency: verification.currency },
+    });
+
+    if (result.updated) {
+      await notifyFundingBatchPaid(result);
+    }
+
+    res.json({ message: "Funding batch verified", batch: result.batch });
+  }),
+);
+
+/**
+ * A funding batch and the status of each payment in it (owner or admin)
+ * GET /api/funding-batches/:id
+ */
+router.get(
+  "/:id",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid batch id" });
+    }
+    res.json({ batch: await getFundingBatch(id, req.user) });
+  }),
+);
+
+export default router;
@@ -0,0 +1,637 @@
+import express from "express";
+import pool from "../config/db.js";
+import { verifyToken } from "../middleware/auth.middleware.js";
+import { idempotent } from "../middleware/idempotency.middleware.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { safeNotify } from "../utils/notify.js";
+import { formatMoney } from "../utils/currency.js";
+import {
+  enqueueFraudReview,
+  FRAUD_REVIEW_REASON,
+  getUserRiskScore,
+  getWalletRestriction,
+} from "../services/fraud/review_queue.js";
+import {
+  createRiskAuditLog,
+  RISK_AUDIT_ACTION,
+} from "../services/fraud/risk_audit.js";
+import {
+  appendFinancialEventLog,
+  FINANCIAL_EVENT_TYPE,
+} from "../services/financial_event_log.service.js";
+import {
+  getPaymentForMilestones,
+  getPaymentMilestone,
+  listPaymentMilestones,
+  MILESTONE_STATUS,
+  normalizeMilestonePlan,
+  releaseMilestone,
+  SETTLED_MILESTONE_STATUSES,
+} from "../services/milestone.service.js";
+
+const router = express.Router({ mergeParams: true });
+
+const parseIds = (params) => ({
+  paymentId: parseInt(params.paymentId, 10),
+  milestoneId:
+    params.milestoneId === undefined ? null : parseInt(params.milestoneId, 10),
+});
+
+const isCompany = (payment, user) =>
+  Number(payment.company_user_id) === user.id || payment.user_id === user.id;
+const isStudent = (payment, user) => Number(payment.student_user_id) === user.id;
+
+/**
+ * List a payment's milestones (company, student or admin)
+ * GET /api/payments/:paymentId/milestones
+ */
+router.get(
+  "/",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const { paymentId } = parseIds(req.params);
+    if (Number.isNaN(paymentId)) {
+      return res.status(400).json({ message: "Invalid payment id" });
+    }
+
+    const payment = await getPaymentForMilestones(paymentId);
+    if (!payment) {
+      return res.status(404).json({ message: "Payment not found" });
+    }
+
+    if (
+      !isCompany(payment, req.user) &&
+      !isStudent(payment, req.user) &&
+      req.user.role !== "admin"
+    ) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const milestones = await listPaymentMilestones(paymentId);
+    res.json({ payment_id: paymentId, milestones });
+  }),
+);
+
+/**
+ * Split a payment's escrow into milestones (company or admin)
+ * POST /api/payments/:paymentId/milestones
+ * body: { milestones: [{ title, amount, due_date? }] }
+ */
+router.post(
+  "/",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const { paymentId } = parseIds(req.params);
+    if (Number.isNaN(paymentId)) {
+      return res.status(400).json({ message: "Invalid payment id" });
+    }
+
+    const client = await pool.connect();
+    let milestones = [];
+    let payment;
+    try {
+      await client.query("BEGIN");
+
+      payment = await getPaymentForMilestones(paymentId, {
+        client,
+        forUpdate: true,
+      });
+      if (!payment) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ message: "Payment not found" });
+      }
+
+      if (!isCompany(payment, req.user) && req.user.role !== "admin") {
+        await client.query("ROLLBACK");
+        return res.status(403).json({ message: "Forbidden" });
+      }
+
+      if (!["pending", "paid"].includes(payment.status) || payment.disputed) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          message: "Milestones can only be defined for pending or paid payments",
+        });
+      }
+
+      const existing = await listPaymentMilestones(paymentId, { client });
+      if (existing.length > 0) {
+        await client.query("ROLLBACK");
+        return res
+          .status(409)
+          .json({ message: "Milestones already defined for this payment" });
+      }
+
+      const plan = normalizeMilestonePlan(req.body?.milestones, payment.amount);
+      for (const milestone of plan) {
+        const inserted = await client.query(
+          `INSERT INTO payment_milestones (payment_id, position, title, amount, due_date)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING *`,
+          [
+            paymentId,
+            milestone.position,
+            milestone.title,
+            milestone.amount,
+            milestone.dueDate,
+          ],
+        );
+        milestones.push(inserted.rows[0]);
+      }
+
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    const studentUserId = Number(payment.student_user_id);
+    if (Number.isInteger(studentUserId) && studentUserId > 0) {
+      await safeNotify(
+        studentUserId,
+        "milestones_created",
+        `Payment #${paymentId} was split into ${milestones.length} milestones.`,
+        paymentId,
+      );
+    }
+
+    res.status(201).json({ payment_id: paymentId, milestones });
+  }),
+);
+
+/**
+ * Edit a milestone's title or due date (company or admin)
+ * PATCH /api/payments/:paymentId/milestones/:milestoneId
+ * body: { title?, due_date? }
+ */
+router.patch(
+  "/:milestoneId",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const { paymentId, milestoneId } = parseIds(req.params);
+    if (Number.isNaN(paymentId) || Number.isNaN(milestoneId)) {
+      return res.status(400).json({ message: "Invalid milestone id" });
+    }
+
+    const { title, due_date } = req.body ?? {};
+    if (title === undefined && due_date === undefined) {
+      return res.status(400).json({ message: "Nothing to update" });
+    }
+    if (title !== undefined && (typeof title !== "string" || !title.trim())) {
+      return res.status(400).json({ message: "title must be a non-empty string" });
+    }
+    if (
+      due_date !== undefined &&
+      due_date !== null &&
+      (!/^\d{4}-\d{2}-\d{2}$/.test(String(due_date)) ||
+        Number.isNaN(new Date(due_date).getTime()))
+    ) {
+      return res.status(400).json({ message: "due_date must be YYYY-MM-DD" });
+    }
+
+    const payment = await getPaymentForMilestones(paymentId);
+    if (!payment) {
+      return res.status(404).json({ message: "Payment not found" });
+    }
+    if (!isCompany(payment, req.user) && req.user.role !== "admin") {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const milestone = await getPaymentMilestone(paymentId, milestoneId);
+    if (!milestone) {
+      return res.status(404).json({ message: "Milestone not found" });
+    }
+    if (SETTLED_MILESTONE_STATUSES.includes(milestone.status)) {
+      return res
+        .status(409)
+        .json({ message: `Milestone already ${milestone.status}` });
+    }
+
+    const result = await pool.query(
+      `UPDATE payment_milestones
+       SET title = COALESCE($1, title),
+           due_date = CASE WHEN $2 THEN $3::date ELSE due_date END,
+           updated_at = NOW()
+       WHERE id = $4
+       RETURNING *`,
+      [
+        title === undefined ? null : title.trim(),
+        due_date !== undefined,
+        due_date ?? null,
+        milestoneId,
+      ],
+    );
+
+    res.json({ message: "Milestone updated", milestone: result.rows[0] });
+  }),
+);
+
+/**
+ * Submit a milestone deliverable (student)
+ * POST /api/payments/:paymentId/milestones/:milestoneId/submit
+ * body: { deliverable_url?, deliverable_note? }
+ */
+router.post(
+  "/:milestoneId/submit",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const { paymentId, milestoneId } = parseIds(req.params);
+    if (Number.isNaN(paymentId) || Number.isNaN(milestoneId)) {
+      return res.status(400).json({ message: "Invalid milestone id" });
+    }
+
+    const { deliverable_url, deliverable_note } = req.body ?? {};
+
+    const payment = await getPaymentForMilestones(paymentId);
+    if (!payment) {
+      return res.status(404).json({ message: "Payment not found" });
+    }
+    if (!isStudent(payment, req.user)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const milestone = await getPaymentMilestone(paymentId, milestoneId);
+    if (!milestone) {
+      return res.status(404).json({ message: "Milestone not found" });
+    }
+    if (milestone.disputed) {
+      return res.status(409).json({ message: "Milestone is under dispute" });
+    }
+    if (
+      ![MILESTONE_STATUS.PENDING, MILESTONE_STATUS.CHANGES_REQUESTED].includes(
+        milestone.status,
+      )
+    ) {
+      return res.status(400).json({
+        message: `Milestone cannot be submitted while ${milestone.status}`,
+      });
+    }
+
+    const result = await pool.query(
+      `UPDATE payment_milestones
+       SET status = 'submitted',
+           deliverable_url = $1,
+           deliverable_note = $2,
+           submitted_at = NOW(),
+           updated_at = NOW()
+       WHERE id = $3
+       RETURNING *`,
+      [deliverable_url ?? null, deliverable_note ?? null, milestoneId],
+    );
+
+    await safeNotify(
+      payment.company_user_id ?? payment.user_id,
+      "milestone_submitted",
+      `Milestone "${milestone.title}" was submitted for review.`,
+      paymentId,
+    );
+
+    res.json({ message: "Milestone submitted", milestone: result.rows[0] });
+  }),
+);
+
+/**
+ * Send a submitted milestone back to the student (company)
+ * POST /api/payments/:paymentId/milestones/:milestoneId/request-changes
+ * body: { reason? }
+ */
+router.post(
+  "/:milestoneId/request-changes",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const { paymentId, milestoneId } = parseIds(req.params);
+    if (Number.isNaN(paymentId) || Number.isNaN(milestoneId)) {
+      return res.status(400).json({ message: "Invalid milestone id" });
+    }
+
+    const reason =
+      typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+
+    const payment = await getPaymentForMilestones(paymentId);
+    if (!payment) {
+      return res.status(404).json({ message: "Payment not found" });
+    }
+    if (!isCompany(payment, req.user)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const milestone = await getPaymentMilestone(paymentId, milestoneId);
+    if (!milestone) {
+      return res.status(404).json({ message: "Milestone not found" });
+    }
+    if (milestone.status !== MILESTONE_STATUS.SUBMITTED) {
+      return res
+        .status(400)
+        .json({ message: "Only submitted milestones can be sent back" });
+    }
+
+    const result = await pool.query(
+      `UPDATE payment_milestones
+       SET status = 'changes_requested',
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [milestoneId],
+    );
+
+    await safeNotify(
+      payment.student_user_id,
+      "milestone_changes_requested",
+      reason
+        ? `Changes requested on milestone "${milestone.title}": ${reason}`
+        : `Changes requested on milestone "${milestone.title}".`,
+      paymentId,
+    );
+
+    res.json({ message: "Changes requested", milestone: result.rows[0] });
+  }),
+);
+
+/**
+ * Approve a milestone and release its share of escrow (company or admin)
+ * POST /api/payments/:paymentId/milestones/:milestoneId/approve
+ */
+router.post(
+  "/:milestoneId/approve",
+  verifyToken,
+  idempotent,
+  asyncHandler(async (req, res) => {
+    const { paymentId, milestoneId } = parseIds(req.params);
+    if (Number.isNaN(paymentId) || Number.isNaN(milestoneId)) {
+      return res.status(400).json({ message: "Invalid milestone id" });
+    }
+
+    const client = await pool.connect();
+    let payment;
+    let released;
+    try {
+      await client.query("BEGIN");
+
+      payment = await getPaymentForMilestones(paymentId, {
+        client,
+        forUpdate: true,
+      });
+      if (!payment) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ message: "Payment not found" });
+      }
+
+      if (!isCompany(payment, req.user) && req.user.role !== "admin") {
+        await client.query("ROLLBACK");
+        return res.status(403).json({ message: "Forbidden" });
+      }
+
+      if (payment.disputed === true) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ message: "Payment is under dispute" });
+      }
+
+      if (payment.status !== "paid") {
+        await client.query("ROLLBACK");
+        return res
+          .status(400)
+          .json({ message: "Milestones can only be released from paid payments" });
+      }
+
+      if (payment.application_status !== "accepted") {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ message: "Application not accepted" });
+      }
+
+      const milestone = await getPaymentMilestone(paymentId, milestoneId, {
+        client,
+        forUpdate: true,
+      });
+      if (!milestone) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ message: "Milestone not found" });
+      }
+
+      if (milestone.disputed) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ message: "Milestone is under dispute" });
+      }
+
+      const studentUserId = Number(payment.student_user_id);
+      if (!Number.isInteger(studentUserId) || studentUserId <= 0) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ message: "Invalid student for release" });
+      }
+
+      const restriction = await getWalletRestriction(studentUserId, { client });
+      if (restriction) {
+        await client.query("ROLLBACK");
+        try {
+          await createRiskAuditLog({
+            userId: studentUserId,
+            actionType: RISK_AUDIT_ACTION.ESCROW_RELEASE_REJECTED,
+            reason: "STUDENT_RESTRICTED",
+            relatedPaymentId: paymentId,
+          });
+          await appendFinancialEventLog({
+            eventType: FINANCIAL_EVENT_TYPE.ESCROW_RELEASE_REJECTED,
+            userId: studentUserId,
+            paymentId,
+            eventPayload: {
+              reason: "STUDENT_RESTRICTED",
+              source: "milestone_approve",
+              milestone_id: milestoneId,
+            },
+          });
+        } catch (auditErr) {
+          console.error("[risk_audit] release rejection log failed", auditErr.message);
+        }
+        return res.status(409).json({
+          message: "Student account restricted due to financial risk.",
+        });
+      }
+
+      released = await releaseMilestone(client, payment, milestone, {
+        source: "milestone_approve",
+        actorId: req.user.id,
+      });
+
+      await createRiskAuditLog(
+        {
+          userId: studentUserId,
+          actionType: RISK_AUDIT_ACTION.ESCROW_RELEASE_APPROVED,
+          reason: "MILESTONE_APPROVED",
+          relatedPaymentId: paymentId,
+          adminId: req.user.role === "admin" ? req.user.id : null,
+        },
+        { client },
+      );
+
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    await safeNotify(
+      payment.student_user_id,
+      "milestone_released",
+      `Milestone "${released.milestone.title}" was approved. ${formatMoney(released.ledger.studentNetAmount, payment.currency)} has been added to your wallet.`,
+      paymentId,
+    );
+
+    res.json({
+      message: "Milestone released",
+      milestone: released.milestone,
+      payment_status: released.payment?.status ?? payment.status,
+      student_amount: released.ledger.studentNetAmount,
+      platform_fee: released.ledger.feeAmount,
+      tax_withheld: released.ledger.taxAmount,
+    });
+  }),
+);
+
+/**
+ * Freeze a single milestone by opening a dispute on it (company or student)
+ * POST /api/payments/:paymentId/milestones/:milestoneId/dispute
+ * body: { reason? }
+ */
+router.post(
+  "/:milestoneId/dispute",
+  verifyToken,
+  idempotent,
+  asyncHandler(async (req, res) => {
+    const { paymentId, milestoneId } = parseIds(req.params);
+    if (Number.isNaN(paymentId) || Number.isNaN(milestoneId)) {
+      return res.status(400).json({ message: "Invalid milestone id" });
+    }
+
+    const reason =
+      typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+
+    const client = await pool.connect();
+    let payment;
+    let milestone;
+    let dispute;
+    try {
+      await client.query("BEGIN");
+
+      payment = await getPaymentForMilestones(paymentId, {
+        client,
+        forUpdate: true,
+      });
+      if (!payment) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ message: "Payment not found" });
+      }
+
+      if (!isCompany(payment, req.user) && !isStudent(payment, req.user)) {
+        await client.query("ROLLBACK");
+        return res.status(403).json({ message: "Forbidden" });
+      }
+
+      if (payment.disputed === true || payment.status !== "paid") {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          message: "Milestone disputes require a paid payment that is not under dispute",
+        });
+      }
+
+      milestone = await getPaymentMilestone(paymentId, milestoneId, {
+        client,
+        forUpdate: true,
+      });
+      if (!milestone) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ message: "Milestone not found" });
+      }
+
+      if (SETTLED_MILESTONE_STATUSES.includes(milestone.status)) {
+        await client.query("ROLLBACK");
+        return res
+          .status(400)
+          .json({ message: `Milestone already ${milestone.status}` });
+      }
+
+      if (milestone.disputed) {
+        await client.query("ROLLBACK");
+        return res
+          .status(409)
+          .json({ message: "Milestone is already under dispute" });
+      }
+
+      const created = await client.query(
+        `INSERT INTO disputes (payment_id, milestone_id, raised_by, reason, status, created_at)
+         VALUES ($1, $2, $3, $4, 'open', NOW())
+         RETURNING *`,
+        [paymentId, milestoneId, req.user.id, reason],
+      );
+      dispute = created.rows[0];
+
+      await client.query(
+        `UPDATE payment_milestones
+         SET disputed = true, updated_at = NOW()
+         WHERE id = $1`,
+        [milestoneId],
+      );
+
+      const riskScore = await getUserRiskScore(payment.user_id, { client });
+      await enqueueFraudReview(
+        {
+          userId: payment.user_id,
+          paymentId,
+          riskScore,
+          reason: FRAUD_REVIEW_REASON.DISPUTE_OPENED,
+        },
+        { client },
+      );
+      await createRiskAuditLog(
+        {
+          userId: req.user.id,
+          actionType: RISK_AUDIT_ACTION.DISPUTE_OPENED,
+          reason: "MILESTONE_DISPUTE_OPENED",
+          riskScore,
+          relatedPaymentId: paymentId,
+        },
+        { client },
+      );
+      await appendFinancialEventLog(
+        {
+          eventType: FINANCIAL_EVENT_TYPE.DISPUTE_OPENED,
+          userId: req.user.id,
+          paymentId,
+          disputeId: dispute.id,
+          eventPayload: {
+            reason,
+            milestone_id: milestoneId,
+            amount: milestone.amount,
+            source: "milestone_route",
+          },
+        },
+        { client },
+      );
+
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    const counterpartyUserId = isStudent(payment, req.user)
+      ? (payment.company_user_id ?? payment.user_id)
+      : payment.student_user_id;
+    await safeNotify(
+      counterpartyUserId,
+      "milestone_disputed",
+      `A dispute was opened on milestone "${milestone.title}"; its funds are frozen.`,
+      paymentId,
+    );
+
+    res.status(201).json({
+      message: "Milestone dispute opened",
+      dispute,
+    });
+  }),
+);
+
+export default router;
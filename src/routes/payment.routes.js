@@ -2,17 +2,26 @@ import express from "express";
 import pool from "../config/db.js";
 import { v4 as uuidv4 } from "uuid";
 import { safeNotify } from "../utils/notify.js";
-import { sendEmail } from "../utils/email.js";
 import { verifyToken } from "../middleware/auth.middleware.js";
 import { requireAdmin } from "../middleware/admin.js";
+import { idempotent } from "../middleware/idempotency.middleware.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import {
+  initializePaymentCheckout,
+  isChargeConfirmed,
   markPaymentAsPaidByReference,
-  verifyPaystackReference,
+  verifyPaymentReference,
 } from "../services/paystack.service.js";
+import {
+  isSupportedPaymentProvider,
+  PAYMENT_PROVIDER_NAMES,
+  resolvePaymentCurrency,
+} from "../services/payment_providers/index.js";
 import {
   applyPaymentRefundLedger,
   applyPaymentTransitionLedger,
+  applyWalletEscrowFundingLedger,
+  REFUND_TYPES,
   syncWalletAvailableBalances,
 } from "../services/ledger.service.js";
 import { refreshRiskProfilesForUsers } from "../services/fraud/risk_profile.js";
@@ -30,6 +39,31 @@ import {
   appendFinancialEventLog,
   FINANCIAL_EVENT_TYPE,
 } from "../services/financial_event_log.service.js";
+import {
+  getMilestoneSummary,
+  MILESTONE_STATUS,
+  settleOpenMilestones,
+} from "../services/milestone.service.js";
+import {
+  assertPaymentReleasable,
+  confirmCompanyRelease,
+  releasePaymentEscrow,
+  requestCompanyRelease,
+} from "../services/payment_release.service.js";
+import {
+  getRefundProvider,
+  listPaymentRefunds,
+  openProviderRefund,
+  retryProviderRefund,
+  submitProviderRefund,
+} from "../services/payment_refund.service.js";
+import { listPaymentSplits } from "../services/payment_split.service.js";
+import {
+  findOpenApplicationPayment,
+  getPaymentStatusHistory,
+  recordPaymentCreated,
+  transitionPaymentStatus,
+} from "../services/payment_state.service.js";
 
 const router = express.Router();
 
@@ -39,17 +73,26 @@ const router = express.Router();
 router.post(
   "/",
   verifyToken,
+  idempotent,
   asyncHandler(async (req, res) => {
     const {
       company_id,
       project_id,
       application_id,
       amount,
+      currency,
       provider,
       provider_ref,
     } = req.body;
     const user_id = req.user.id;
 
+    if (provider !== undefined && !isSupportedPaymentProvider(provider)) {
+      return res.status(400).json({
+        message: `provider must be one of: ${PAYMENT_PROVIDER_NAMES.join(", ")}`,
+      });
+    }
+    const paymentCurrency = resolvePaymentCurrency(provider, currency);
+
     const appCheck = await pool.query(
       "SELECT status FROM applications WHERE id = $1",
       [application_id],
@@ -65,20 +108,56 @@ router.post(
       });
     }
 
+    const openPayment = await findOpenApplicationPayment(application_id);
+    if (openPayment) {
+      return res.status(409).json({
+        message: "This application already has a payment in progress",
+        payment_id: openPayment.id,
+      });
+    }
+
     const ref = provider_ref || uuidv4();
 
     const result = await pool.query(
       `INSERT INTO payments 
-      (user_id, company_id, project_id, application_id, amount, provider, provider_ref)
-      VALUES ($1,$2,$3,$4,$5,$6,$7)
+      (user_id, company_id, project_id, application_id, amount, currency, provider, provider_ref)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
       RETURNING *`,
-      [user_id, company_id, project_id, application_id, amount, provider, ref],
+      [
+        user_id,
+        company_id,
+        project_id,
+        application_id,
+        amount,
+        paymentCurrency,
+        provider === undefined ? null : String(provider).toLowerCase(),
+        ref,
+      ],
     );
+    await recordPaymentCreated(result.rows[0], {
+      actorId: req.user.id,
+      source: "payment_create",
+    });
 
     res.status(201).json(result.rows[0]);
   }),
 );
 
+/**
+ * Start a hosted checkout with the chosen gateway (authenticated)
+ * POST /api/payments/initialize
+ * Body: { amount, company_id, project_id?, application_id?, provider?, currency?, callback_url?, email? }
+ */
+router.post(
+  "/initialize",
+  verifyToken,
+  idempotent,
+  asyncHandler(async (req, res) => {
+    const checkout = await initializePaymentCheckout(req.user, req.body ?? {});
+    res.status(201).json(checkout);
+  }),
+);
+
 /**
  * GET all payments (admin only); optional query: search, status
  */
@@ -161,17 +240,47 @@ router.get(
 );
 
 /**
- * Verify Paystack payment (authenticated)
+ * Status transitions of a payment, oldest first (owner or admin)
+ * GET /api/payments/:id/history
+ */
+router.get(
+  "/:id/history",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid payment id" });
+    }
+    const result = await pool.query(
+      "SELECT id, user_id, status FROM payments WHERE id = $1",
+      [id],
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Payment not found" });
+    }
+    const payment = result.rows[0];
+    if (payment.user_id !== req.user.id && req.user.role !== "admin") {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const history = await getPaymentStatusHistory(id);
+    res.json({ payment_id: id, status: payment.status, history });
+  }),
+);
+
+/**
+ * Verify a payment with the gateway it was created through (authenticated)
  */
 router.get(
   "/verify/:reference",
   verifyToken,
   asyncHandler(async (req, res) => {
     const { reference } = req.params;
-    await verifyPaystackReference(reference);
+    await verifyPaymentReference(reference);
 
     const { payment, updated } = await markPaymentAsPaidByReference(reference, {
       enforceUserId: req.user.role === "admin" ? undefined : req.user.id,
+      actorId: req.user.id,
     });
 
     if (updated) {
@@ -190,6 +299,140 @@ router.get(
   }),
 );
 
+/**
+ * Fund a pending payment's escrow from the company's available balance
+ * POST /api/payments/:id/pay-from-wallet
+ */
+router.post(
+  "/:id/pay-from-wallet",
+  verifyToken,
+  idempotent,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid payment id" });
+    }
+
+    const client = await pool.connect();
+    let updatedPayment;
+    let companyUserId;
+    try {
+      await client.query("BEGIN");
+
+      const current = await client.query(
+        `SELECT p.*, c.user_id AS company_user_id, a.status AS application_status
+         FROM payments p
+         LEFT JOIN companies c ON c.id = p.company_id
+         LEFT JOIN applications a ON a.id = p.application_id
+         WHERE p.id = $1
+         FOR UPDATE OF p`,
+        [id],
+      );
+
+      if (current.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ message: "Payment not found" });
+      }
+
+      const payment = current.rows[0];
+      companyUserId = Number(payment.company_user_id);
+      if (!Number.isInteger(companyUserId) || companyUserId <= 0) {
+        await client.query("ROLLBACK");
+        return res
+          .status(400)
+          .json({ message: "Payment is not linked to a valid company" });
+      }
+
+      if (companyUserId !== req.user.id) {
+        await client.query("ROLLBACK");
+        return res.status(403).json({ message: "Forbidden" });
+      }
+
+      if (payment.disputed === true) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ message: "Payment is under dispute" });
+      }
+
+      if (payment.status !== "pending") {
+        await client.query("ROLLBACK");
+        return res.status(409).json({
+          message: `Payment cannot be funded from status ${payment.status}`,
+        });
+      }
+
+      if (payment.application_status !== "accepted") {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          message: "Payment not allowed until application is accepted",
+        });
+      }
+
+      // A card checkout the company already completed funds the payment by
+      // itself; wallet money on top would hold the amount twice.
+      if (await isChargeConfirmed(payment)) {
+        await client.query("ROLLBACK");
+        await markPaymentAsPaidByReference(payment.provider_ref, {
+          actorId: req.user.id,
+          source: "wallet_funding_check",
+        });
+        return res.status(409).json({
+          message: "The card checkout for this payment was already charged and now funds it",
+        });
+      }
+
+      // Serializes balance spends for the company the same way withdrawals do.
+      await client.query("SELECT id FROM users WHERE id = $1 FOR UPDATE", [
+        companyUserId,
+      ]);
+
+      const restriction = await getWalletRestriction(companyUserId, { client });
+      if (restriction) {
+        await client.query("ROLLBACK");
+        try {
+          await createRiskAuditLog({
+            userId: companyUserId,
+            actionType: RISK_AUDIT_ACTION.WALLET_PAYMENT_BLOCKED,
+            reason: "ACCOUNT_RESTRICTED",
+            relatedPaymentId: id,
+          });
+        } catch (auditErr) {
+          console.error("[risk_audit] wallet payment restricted log failed", auditErr.message);
+        }
+        return res.status(403).json({
+          message: "Account restricted due to financial risk.",
+        });
+      }
+
+      await applyWalletEscrowFundingLedger(client, payment, { companyUserId });
+
+      updatedPayment = await transitionPaymentStatus(client, payment, "paid", {
+        actorId: req.user.id,
+        source: "wallet_funding",
+        columns: { funding_source: "wallet" },
+      });
+
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    await safeNotify(
+      updatedPayment.user_id,
+      "payment_paid",
+      "Your payment has been funded from your wallet and is now in escrow.",
+      id,
+    );
+
+    res.json({
+      message: "Payment funded from wallet",
+      payment: updatedPayment,
+    });
+  }),
+);
+
 /**
  * Update payment status (admin only)
  */
@@ -197,6 +440,7 @@ router.patch(
   "/:id/status",
   verifyToken,
   requireAdmin,
+  idempotent,
   asyncHandler(async (req, res) => {
     const { status } = req.body;
     const id = parseInt(req.params.id, 10);
@@ -211,6 +455,22 @@ router.patch(
       return res.status(400).json({ message: "Invalid status value" });
     }
 
+    if (status === "released") {
+      const context = await assertPaymentReleasable(id, {
+        source: "admin_payment_status",
+        adminId,
+      });
+      const releasedPayment = await releasePaymentEscrow(context, {
+        source: "admin_payment_status",
+        reason: "ADMIN_RELEASE",
+        adminId,
+      });
+      return res.json({
+        message: "Payment moved to released",
+        payment: releasedPayment,
+      });
+    }
+
     const current = await pool.query("SELECT * FROM payments WHERE id=$1", [
       id,
     ]);
@@ -227,7 +487,6 @@ router.patch(
       });
     }
 
-    let escrow = payment.escrow;
     let companyUserId = null;
     let studentUserId = null;
 
@@ -252,109 +511,16 @@ router.patch(
       }
     }
 
-    const transitions = {
-      pending: ["paid"],
-      paid: ["released"],
-      released: [],
-      refunded: [],
-    };
-
-    const nextAllowed = transitions[currentStatus] ?? [];
-    if (!nextAllowed.includes(status)) {
-      return res.status(400).json({
-        message: `Invalid transition: ${currentStatus} → ${status}`,
-      });
-    }
-
-    if (status === "released") {
-      const check = await pool.query(
-        `
-        SELECT p.status AS project_status, a.status AS application_status, a.user_id AS student_user_id
-        FROM payments pay
-        JOIN projects p ON pay.project_id = p.id
-        JOIN applications a ON pay.application_id = a.id
-        WHERE pay.id = $1
-        `,
-        [id],
-      );
-
-      if (check.rows.length === 0) {
-        return res.status(400).json({
-          message: "Payment is not linked to a valid project/application",
-        });
-      }
-
-      const { project_status, application_status } = check.rows[0];
-      const parsedStudentUserId = Number(check.rows[0].student_user_id);
-
-      if (!Number.isInteger(parsedStudentUserId) || parsedStudentUserId <= 0) {
-        return res.status(400).json({ message: "Invalid student for release" });
-      }
-
-      if (project_status !== "completed") {
-        return res.status(400).json({ message: "Project not completed" });
-      }
-
-      if (application_status !== "accepted") {
-        return res.status(400).json({ message: "Application not accepted" });
-      }
-
-      studentUserId = parsedStudentUserId;
-      const restriction = await getWalletRestriction(studentUserId);
-      if (restriction) {
-        try {
-          await createRiskAuditLog({
-            userId: studentUserId,
-            actionType: RISK_AUDIT_ACTION.ESCROW_RELEASE_REJECTED,
-            reason: "STUDENT_RESTRICTED",
-            relatedPaymentId: id,
-            adminId,
-          });
-          await appendFinancialEventLog({
-            eventType: FINANCIAL_EVENT_TYPE.ESCROW_RELEASE_REJECTED,
-            userId: studentUserId,
-            paymentId: id,
-            eventPayload: {
-              reason: "STUDENT_RESTRICTED",
-              source: "admin_payment_status",
-            },
-          });
-        } catch (auditErr) {
-          console.error("[risk_audit] release rejection log failed", auditErr.message);
-        }
-        return res.status(409).json({
-          message: "Student account restricted due to financial risk.",
-        });
-      }
-    }
-
-    if (status === "paid") escrow = true;
-    if (status === "released") escrow = false;
-
     const client = await pool.connect();
     let updatedPayment;
     try {
       await client.query("BEGIN");
 
-      const result = await client.query(
-        `
-        UPDATE payments
-        SET status = $1,
-            escrow = $2,
-            paid_at = CASE WHEN $1 = 'paid' THEN COALESCE(paid_at, NOW()) ELSE paid_at END,
-            released_at = CASE WHEN $1 = 'released' THEN NOW() ELSE released_at END,
-            refunded_at = CASE WHEN $1 = 'refunded' THEN NOW() ELSE refunded_at END
-        WHERE id = $3
-        RETURNING *
-        `,
-        [status, escrow, id],
-      );
-
-      updatedPayment = result.rows[0];
-
-      if (!updatedPayment) {
-        throw new Error("Payment not found");
-      }
+      updatedPayment = await transitionPaymentStatus(client, payment, status, {
+        actorId: adminId,
+        source: "admin_payment_status",
+        requireUndisputed: true,
+      });
 
       await applyPaymentTransitionLedger(client, payment, status, {
         idempotencyPrefix: `payment:${payment.id}:${payment.status}->${status}`,
@@ -380,75 +546,76 @@ router.patch(
       );
     }
 
-    if (status === "released") {
-      const recipientUserId = studentUserId ?? updatedPayment.user_id;
-      await appendFinancialEventLog({
-        eventType: FINANCIAL_EVENT_TYPE.ESCROW_RELEASED,
-        userId: recipientUserId,
-        paymentId: id,
-        eventPayload: {
-          source: "admin_payment_status",
-          amount: updatedPayment.amount,
-        },
-      });
-      await createRiskAuditLog({
-        userId: recipientUserId,
-        actionType: RISK_AUDIT_ACTION.ESCROW_RELEASE_APPROVED,
-        reason: "ADMIN_RELEASE",
-        relatedPaymentId: id,
-        adminId,
-      });
-
-      await safeNotify(
-        recipientUserId,
-        "payment_released",
-        "Your payment has been released to your wallet.",
-        id,
-      );
-
-      const userResult = await pool.query(
-        "SELECT email FROM users WHERE id = $1",
-        [recipientUserId],
-      );
-      const user = userResult.rows[0];
+    res.json({
+      message: `Payment moved to ${status}`,
+      payment: updatedPayment,
+    });
+  }),
+);
 
-      if (user?.email) {
-        try {
-          await sendEmail(
-            user.email,
-            "Payment Released",
-            `
-            <h2>Your payment has been released</h2>
-            <p>₦${updatedPayment.amount} has been added to your wallet.</p>
-            `,
-          );
-        } catch (err) {
-          console.error("Email failed:", err.message);
-        }
-      }
+/**
+ * Company starts releasing its own escrow. Nothing moves yet: the response
+ * carries the amounts and a confirmation token valid for 15 minutes.
+ * POST /api/payments/:id/release
+ */
+router.post(
+  "/:id/release",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid payment id" });
     }
 
-    if (status === "refunded") {
-      await safeNotify(
-        updatedPayment.user_id,
-        "payment_refunded",
-        "Your payment has been refunded.",
-        id,
-      );
-    }
+    const pending = await requestCompanyRelease(id, req.user.id);
+    res.json({
+      message: "Confirm to release this payment to the student",
+      confirmation_token: pending.confirmationToken,
+      expires_at: pending.expiresAt,
+      payment_id: pending.payment.id,
+      amount: pending.payment.amount,
+      currency: pending.payment.currency,
+      student_amount: pending.studentAmount,
+      platform_fee: pending.platformFee,
+      tax_withheld: pending.taxWithheld,
+      ...(pending.shares
+        ? {
+            shares: pending.shares.map((share) => ({
+              student_user_id: share.studentUserId,
+              amount: share.grossAmount,
+              student_amount: share.studentNetAmount,
+              platform_fee: share.feeAmount,
+              tax_withheld: share.taxAmount,
+            })),
+          }
+        : {}),
+    });
+  }),
+);
 
-    if (status === "disputed") {
-      await safeNotify(
-        updatedPayment.user_id,
-        "payment_disputed",
-        "Your payment status has been set to disputed.",
-        id,
-      );
+/**
+ * Company confirms a release started with POST /:id/release
+ * POST /api/payments/:id/release/confirm
+ * body: { confirmation_token }
+ */
+router.post(
+  "/:id/release/confirm",
+  verifyToken,
+  idempotent,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid payment id" });
     }
 
+    const payment = await confirmCompanyRelease(
+      id,
+      req.user.id,
+      req.body?.confirmation_token,
+    );
     res.json({
-      message: `Payment moved to ${status}`,
-      payment: updatedPayment,
+      message: "Payment moved to released",
+      payment,
     });
   }),
 );
@@ -461,6 +628,7 @@ router.post(
   "/:id/refund",
   verifyToken,
   requireAdmin,
+  idempotent,
   asyncHandler(async (req, res) => {
     const id = parseInt(req.params.id, 10);
     const reason =
@@ -476,6 +644,7 @@ router.post(
     let companyUserId = null;
     let studentUserId = null;
     let previousStatus = null;
+    let providerRefund = null;
 
     try {
       await client.query("BEGIN");
@@ -524,6 +693,16 @@ router.post(
           .json({ message: "Refund blocked: payment already withdrawn" });
       }
 
+      if (["refund_pending", "refund_failed"].includes(payment.status)) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({
+          message:
+            payment.status === "refund_pending"
+              ? "A refund for this payment is already in progress"
+              : "The provider refund failed; use the retry endpoint",
+        });
+      }
+
       if (!["paid", "released"].includes(payment.status)) {
         await client.query("ROLLBACK");
         return res.status(400).json({
@@ -580,38 +759,65 @@ router.post(
         }
       }
 
-      const refundResult = await applyPaymentRefundLedger(client, payment, {
-        idempotencyPrefix: `payment:${payment.id}:${payment.status}->refunded`,
-        companyUserId,
-        studentUserId:
-          Number.isInteger(studentUserId) && studentUserId > 0
-            ? studentUserId
-            : undefined,
-      });
+      const milestoneSummary = await getMilestoneSummary(id, { client });
+      if (milestoneSummary.total > 0 && payment.status !== "paid") {
+        await client.query("ROLLBACK");
+        return res.status(409).json({
+          message: "Refund blocked: payment was settled through milestones",
+        });
+      }
 
-      refundType = refundResult.refundType;
+      if (milestoneSummary.total > 0) {
+        // Only the milestones still in escrow go back to the company.
+        const settled = await settleOpenMilestones(
+          client,
+          payment,
+          MILESTONE_STATUS.REFUNDED,
+          { source: "admin_refund", actorId: req.user.id, reason: reason || null },
+        );
+        refundType = REFUND_TYPES.ESCROW;
+        updatedPayment =
+          settled.payment ??
+          (await client.query("SELECT * FROM payments WHERE id = $1", [id])).rows[0];
+      } else {
+        const refundResult = await applyPaymentRefundLedger(client, payment, {
+          idempotencyPrefix: `payment:${payment.id}:${payment.status}->refunded`,
+          companyUserId,
+          studentUserId:
+            Number.isInteger(studentUserId) && studentUserId > 0
+              ? studentUserId
+              : undefined,
+        });
 
-      if ((refundResult.walletUserIds ?? []).length > 0) {
-        await syncWalletAvailableBalances(client, refundResult.walletUserIds);
-      }
+        refundType = refundResult.refundType;
 
-      const updateResult = await client.query(
-        `
-        UPDATE payments
-        SET status = 'refunded',
-            escrow = false,
-            refunded_at = COALESCE(refunded_at, NOW())
-        WHERE id = $1
-        RETURNING *
-        `,
-        [id],
-      );
+        if ((refundResult.walletUserIds ?? []).length > 0) {
+          await syncWalletAvailableBalances(client, refundResult.walletUserIds);
+        }
 
-      if (updateResult.rowCount !== 1) {
-        throw new Error("Payment update failed");
+        // Card-funded payments go back through the gateway; the amount stays
+        // held until its refund webhook arrives.
+        const provider = getRefundProvider(payment);
+        if (provider) {
+          const opened = await openProviderRefund(client, payment, {
+            provider,
+            companyUserId,
+            refundType,
+            requestedBy: req.user.id,
+            reason: reason || null,
+            source: "admin_refund",
+          });
+          providerRefund = opened.refund;
+          updatedPayment = opened.payment;
+        } else {
+          updatedPayment = await transitionPaymentStatus(client, payment, "refunded", {
+            actorId: req.user.id,
+            source: "admin_refund",
+            reason: reason || null,
+            metadata: { refund_type: refundType },
+          });
+        }
       }
-
-      updatedPayment = updateResult.rows[0];
       await client.query("COMMIT");
     } catch (err) {
       try {
@@ -624,11 +830,23 @@ router.post(
       client.release();
     }
 
-    const companyRefundMessage = reason
-      ? `Your payment has been refunded. Reason: ${reason}`
+    if (providerRefund) {
+      providerRefund = await submitProviderRefund(providerRefund.id);
+      updatedPayment = (
+        await pool.query("SELECT * FROM payments WHERE id = $1", [id])
+      ).rows[0];
+    }
+
+    const companyRefundMessage = providerRefund
+      ? "Your refund has been sent to your original payment method."
       : "Your payment has been refunded.";
 
-    await safeNotify(companyUserId, "payment_refunded", companyRefundMessage, id);
+    await safeNotify(
+      companyUserId,
+      providerRefund ? "payment_refund_initiated" : "payment_refunded",
+      reason ? `${companyRefundMessage} Reason: ${reason}` : companyRefundMessage,
+      id,
+    );
 
     if (
       previousStatus === "released" &&
@@ -649,19 +867,77 @@ router.post(
     }
 
     res.json({
-      message: "Payment refunded successfully",
+      message: providerRefund ? "Refund initiated" : "Payment refunded successfully",
       refund_type: refundType,
       payment: updatedPayment,
+      ...(providerRefund ? { refund: providerRefund } : {}),
+    });
+  }),
+);
+
+/**
+ * Send a refund that failed at the gateway again (admin only). The amount
+ * is taken back out of the company's wallet, where the failure left it.
+ * POST /api/payments/:id/refund/retry
+ */
+router.post(
+  "/:id/refund/retry",
+  verifyToken,
+  requireAdmin,
+  idempotent,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid payment id" });
+    }
+
+    const reason =
+      typeof req.body?.reason === "string" && req.body.reason.trim()
+        ? req.body.reason.trim()
+        : null;
+    const result = await retryProviderRefund(id, { adminId: req.user.id, reason });
+
+    res.json({
+      message: "Refund initiated",
+      payment: result.payment,
+      refund: result.refund,
     });
   }),
 );
 
+/**
+ * Refunds of a payment and their gateway status (owner or admin)
+ * GET /api/payments/:id/refunds
+ */
+router.get(
+  "/:id/refunds",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid payment id" });
+    }
+    const result = await pool.query("SELECT id, user_id FROM payments WHERE id = $1", [
+      id,
+    ]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Payment not found" });
+    }
+    if (result.rows[0].user_id !== req.user.id && req.user.role !== "admin") {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    res.json(await listPaymentRefunds(id));
+  }),
+);
+
 /**
  * Raise a dispute (authenticated; only payment owner)
  */
 router.post(
   "/:id/dispute",
   verifyToken,
+  idempotent,
   asyncHandler(async (req, res) => {
     const id = parseInt(req.params.id, 10);
     const { reason } = req.body;
@@ -702,7 +978,7 @@ router.post(
       });
     }
 
-    if (pay.status === "refunded") {
+    if (["refunded", "refund_pending", "refund_failed"].includes(pay.status)) {
       return res.status(400).json({
         message: "Refunded payments cannot be disputed",
       });
@@ -847,6 +1123,16 @@ router.post(
         id,
       );
     }
+    for (const split of await listPaymentSplits(id)) {
+      if (split.student_user_id !== studentUserId) {
+        await safeNotify(
+          split.student_user_id,
+          "dispute_opened",
+          "A payment tied to your work is under dispute. Payout actions are frozen.",
+          id,
+        );
+      }
+    }
 
     await refreshRiskProfilesForUsers([pay.user_id, studentUserId]);
 
@@ -0,0 +1,158 @@
+import express from "express";
+import { verifyToken } from "../middleware/auth.middleware.js";
+import { idempotent } from "../middleware/idempotency.middleware.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { verifyPaystackReference } from "../services/paystack.service.js";
+import {
+  listPaymentAmendments,
+  markAmendmentPaidByReference,
+  notifyAmendmentPaid,
+  proposeAmendment,
+  respondToAmendment,
+  startAmendmentCheckout,
+} from "../services/payment_amendment.service.js";
+
+const router = express.Router({ mergeParams: true });
+
+const parseIds = (req, res) => {
+  const paymentId = parseInt(req.params.paymentId, 10);
+  if (Number.isNaN(paymentId)) {
+    res.status(400).json({ message: "Invalid payment id" });
+    return null;
+  }
+  if (req.params.amendmentId === undefined) {
+    return { paymentId };
+  }
+  const amendmentId = parseInt(req.params.amendmentId, 10);
+  if (Number.isNaN(amendmentId)) {
+    res.status(400).json({ message: "Invalid amendment id" });
+    return null;
+  }
+  return { paymentId, amendmentId };
+};
+
+/**
+ * A payment's scope-change history (company, student or admin)
+ * GET /api/payments/:paymentId/amendments
+ */
+router.get(
+  "/",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const ids = parseIds(req, res);
+    if (!ids) return;
+
+    res.json({
+      payment_id: ids.paymentId,
+      amendments: await listPaymentAmendments(ids.paymentId, req.user),
+    });
+  }),
+);
+
+/**
+ * Verify an amendment's charge with Paystack and fund it if the webhook
+ * has not yet (company or admin)
+ * GET /api/payments/:paymentId/amendments/verify/:reference
+ */
+router.get(
+  "/verify/:reference",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const { reference } = req.params;
+    const verification = await verifyPaystackReference(reference);
+
+    const result = await markAmendmentPaidByReference(reference, {
+      enforceUserId: req.user.role === "admin" ? undefined : req.user.id,
+      charged: { amount: verification.amount, currency: verification.currency },
+    });
+    if (result.updated) {
+      await notifyAmendmentPaid(result);
+    }
+
+    res.json({
+      message: "Amendment verified",
+      amendment: result.amendment,
+      payment: result.payment,
+    });
+  }),
+);
+
+/**
+ * Propose a higher amount for a funded payment (paying company)
+ * POST /api/payments/:paymentId/amendments
+ * body: { amount, reason? }
+ */
+router.post(
+  "/",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const ids = parseIds(req, res);
+    if (!ids) return;
+
+    const amendment = await proposeAmendment(ids.paymentId, req.user, {
+      amount: req.body?.amount,
+      reason: req.body?.reason,
+    });
+    res.status(201).json({ amendment });
+  }),
+);
+
+/**
+ * Accept a proposed amendment (student)
+ * POST /api/payments/:paymentId/amendments/:amendmentId/accept
+ */
+router.post(
+  "/:amendmentId/accept",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const ids = parseIds(req, res);
+    if (!ids) return;
+
+    const amendment = await respondToAmendment(ids.paymentId, ids.amendmentId, req.user, {
+      accept: true,
+    });
+    res.json({ amendment });
+  }),
+);
+
+/**
+ * Decline a proposed amendment (student), or withdraw an unpaid one (company)
+ * POST /api/payments/:paymentId/amendments/:amendmentId/decline
+ */
+router.post(
+  "/:amendmentId/decline",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const ids = parseIds(req, res);
+    if (!ids) return;
+
+    const amendment = await respondToAmendment(ids.paymentId, ids.amendmentId, req.user, {
+      accept: false,
+    });
+    res.json({ amendment });
+  }),
+);
+
+/**
+ * Start the Paystack charge for an accepted amendment's difference
+ * (paying company)
+ * POST /api/payments/:paymentId/amendments/:amendmentId/checkout
+ * body: { email?, callback_url? }
+ */
+router.post(
+  "/:amendmentId/checkout",
+  verifyToken,
+  idempotent,
+  asyncHandler(async (req, res) => {
+    const ids = parseIds(req, res);
+    if (!ids) return;
+
+    const checkout = await startAmendmentCheckout(ids.paymentId, ids.amendmentId, req.user, {
+      email: req.body?.email,
+      callbackUrl: req.body?.callback_url,
+    });
+    res.status(201).json(checkout);
+  }),
+);
+
+export default router;
@@ -0,0 +1,130 @@
+import express from "express";
+import pool from "../config/db.js";
+import { verifyToken } from "../middleware/auth.middleware.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { safeNotify } from "../utils/notify.js";
+import { formatMoney } from "../utils/currency.js";
+import {
+  getMilestoneSummary,
+  getPaymentForMilestones,
+} from "../services/milestone.service.js";
+import {
+  listPaymentSplits,
+  normalizeSplitPlan,
+  replacePaymentSplits,
+} from "../services/payment_split.service.js";
+
+const router = express.Router({ mergeParams: true });
+
+const isCompany = (payment, user) =>
+  Number(payment.company_user_id) === user.id || payment.user_id === user.id;
+
+/**
+ * A team payment's split across students (company, team members or admin)
+ * GET /api/payments/:paymentId/splits
+ */
+router.get(
+  "/",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const paymentId = parseInt(req.params.paymentId, 10);
+    if (Number.isNaN(paymentId)) {
+      return res.status(400).json({ message: "Invalid payment id" });
+    }
+
+    const payment = await getPaymentForMilestones(paymentId);
+    if (!payment) {
+      return res.status(404).json({ message: "Payment not found" });
+    }
+
+    const splits = await listPaymentSplits(paymentId);
+    const isMember =
+      Number(payment.student_user_id) === req.user.id ||
+      splits.some((split) => split.student_user_id === req.user.id);
+    if (!isCompany(payment, req.user) && !isMember && req.user.role !== "admin") {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    res.json({ payment_id: paymentId, splits });
+  }),
+);
+
+/**
+ * Split a payment across a team, or remove the split with an empty list
+ * (company or admin, before anything is released)
+ * PUT /api/payments/:paymentId/splits
+ * body: { splits: [{ student_user_id, amount }] }
+ */
+router.put(
+  "/",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const paymentId = parseInt(req.params.paymentId, 10);
+    if (Number.isNaN(paymentId)) {
+      return res.status(400).json({ message: "Invalid payment id" });
+    }
+
+    const client = await pool.connect();
+    let payment;
+    let splits;
+    try {
+      await client.query("BEGIN");
+
+      payment = await getPaymentForMilestones(paymentId, {
+        client,
+        forUpdate: true,
+      });
+      if (!payment) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ message: "Payment not found" });
+      }
+
+      if (!isCompany(payment, req.user) && req.user.role !== "admin") {
+        await client.query("ROLLBACK");
+        return res.status(403).json({ message: "Forbidden" });
+      }
+
+      if (!["pending", "paid"].includes(payment.status) || payment.disputed) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          message: "Splits can only be changed on pending or paid payments",
+        });
+      }
+
+      const summary = await getMilestoneSummary(paymentId, { client });
+      if (summary.released > 0 || summary.disputed > 0) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({
+          message: "Splits cannot change once a milestone is released or disputed",
+        });
+      }
+
+      const requested = req.body?.splits;
+      const plan =
+        Array.isArray(requested) && requested.length === 0
+          ? []
+          : await normalizeSplitPlan(client, payment, requested);
+      splits = await replacePaymentSplits(client, paymentId, plan, req.user.id);
+
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    for (const split of splits) {
+      await safeNotify(
+        split.student_user_id,
+        "payment_split",
+        `Your share of payment #${paymentId} is ${formatMoney(split.amount, payment.currency)}.`,
+        paymentId,
+      );
+    }
+
+    res.json({ payment_id: paymentId, splits });
+  }),
+);
+
+export default router;
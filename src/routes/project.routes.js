@@ -2,10 +2,606 @@ import express from "express";
 import pool from "../config/db.js";
 import { verifyToken } from "../middleware/auth.middleware.js";
 import { requireAdmin } from "../middleware/admin.js";
+import { idempotent } from "../middleware/idempotency.middleware.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { safeNotify } from "../utils/notify.js";
+import {
+  ACTIVE_APPLICATION_STATUSES,
+  APPLICATION_STATUS,
+  assertProjectTransition,
+  getCompanyForUser,
+  getProjectWithOwner,
+  hasFundedPayment,
+  PROJECT_STATUS,
+} from "../services/project.service.js";
+import { normalizeFeeScopeLabel } from "../services/fee_schedule.service.js";
+import {
+  confirmProjectCancellation,
+  declineProjectCancellation,
+  listProjectCancellations,
+  requestProjectCancellation,
+} from "../services/project_cancellation.service.js";
 
 const router = express.Router();
 
+const parseProjectFields = (body, { requireTitle }) => {
+  const fields = {};
+  const { title, description, budget, deadline, category } = body ?? {};
+
+  if (title !== undefined || requireTitle) {
+    if (typeof title !== "string" || title.trim().length === 0) {
+      return { error: "title is required" };
+    }
+    fields.title = title.trim();
+  }
+
+  if (description !== undefined) {
+    if (description !== null && typeof description !== "string") {
+      return { error: "Invalid description" };
+    }
+    fields.description = description?.trim() ?? null;
+  }
+
+  if (budget !== undefined) {
+    const parsedBudget = budget === null ? null : Number(budget);
+    if (parsedBudget !== null && (!Number.isFinite(parsedBudget) || parsedBudget <= 0)) {
+      return { error: "Invalid budget" };
+    }
+    fields.budget = parsedBudget;
+  }
+
+  if (deadline !== undefined) {
+    if (deadline !== null && Number.isNaN(new Date(deadline).getTime())) {
+      return { error: "Invalid deadline" };
+    }
+    fields.deadline =
+      deadline === null ? null : new Date(deadline).toISOString().slice(0, 10);
+  }
+
+  if (category !== undefined) {
+    const label = normalizeFeeScopeLabel(category);
+    if (label === undefined) {
+      return { error: "Invalid category" };
+    }
+    fields.category = label;
+  }
+
+  return { fields };
+};
+
+const loadOwnedProject = async (req, res, options = {}) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) {
+    res.status(400).json({ message: "Invalid project id" });
+    return null;
+  }
+
+  const project = await getProjectWithOwner(id, options);
+  if (!project) {
+    res.status(404).json({ message: "Project not found" });
+    return null;
+  }
+
+  if (project.company_user_id !== req.user.id && req.user.role !== "admin") {
+    res.status(403).json({ message: "Forbidden" });
+    return null;
+  }
+
+  return project;
+};
+
+const notifyApplicants = async (projectId, statuses, type, message) => {
+  const applicants = await pool.query(
+    `SELECT DISTINCT user_id
+     FROM applications
+     WHERE project_id = $1
+       AND status = ANY($2::text[])`,
+    [projectId, statuses],
+  );
+
+  for (const row of applicants.rows) {
+    await safeNotify(row.user_id, type, message, projectId);
+  }
+};
+
+/**
+ * List projects (authenticated)
+ * GET /api/projects?status=open&company_id=1&mine=true
+ */
+router.get(
+  "/",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const { status, company_id, mine } = req.query;
+    const filters = [];
+    const values = [];
+
+    if (status !== undefined) {
+      if (!Object.values(PROJECT_STATUS).includes(status)) {
+        return res.status(400).json({ message: "Invalid status value" });
+      }
+      values.push(status);
+      filters.push(`p.status = $${values.length}`);
+    }
+
+    if (company_id !== undefined) {
+      const companyId = parseInt(company_id, 10);
+      if (Number.isNaN(companyId) || companyId <= 0) {
+        return res.status(400).json({ message: "Invalid company_id" });
+      }
+      values.push(companyId);
+      filters.push(`p.company_id = $${values.length}`);
+    }
+
+    if (mine === "true") {
+      values.push(req.user.id);
+      filters.push(`c.user_id = $${values.length}`);
+    }
+
+    const whereClause = filters.length > 0 ? `WHERE ${filters.join(" AND ")}` : "";
+    const result = await pool.query(
+      `
+      SELECT p.*, c.user_id AS company_user_id
+      FROM projects p
+      LEFT JOIN companies c ON c.id = p.company_id
+      ${whereClause}
+      ORDER BY p.created_at DESC, p.id DESC
+      `,
+      values,
+    );
+
+    res.json(result.rows);
+  }),
+);
+
+/**
+ * Create a project (company accounts only)
+ * POST /api/projects
+ */
+router.post(
+  "/",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const company = await getCompanyForUser(req.user.id);
+    if (!company) {
+      return res
+        .status(403)
+        .json({ message: "Only company accounts can create projects" });
+    }
+
+    const { fields, error } = parseProjectFields(req.body, { requireTitle: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO projects
+       (company_id, title, description, budget, deadline, category, status, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, 'open', NOW(), NOW())
+       RETURNING *`,
+      [
+        company.id,
+        fields.title,
+        fields.description ?? null,
+        fields.budget ?? null,
+        fields.deadline ?? null,
+        fields.category ?? null,
+      ],
+    );
+
+    res.status(201).json(result.rows[0]);
+  }),
+);
+
+/**
+ * Get a project (authenticated)
+ */
+router.get(
+  "/:id",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid project id" });
+    }
+
+    const project = await getProjectWithOwner(id);
+    if (!project) {
+      return res.status(404).json({ message: "Project not found" });
+    }
+
+    res.json(project);
+  }),
+);
+
+/**
+ * Edit an open project (owning company or admin)
+ * PATCH /api/projects/:id
+ */
+router.patch(
+  "/:id",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const project = await loadOwnedProject(req, res);
+    if (!project) return;
+
+    if (project.status !== PROJECT_STATUS.OPEN) {
+      return res
+        .status(400)
+        .json({ message: "Only open projects can be edited" });
+    }
+
+    const { fields, error } = parseProjectFields(req.body, { requireTitle: false });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const columns = Object.keys(fields);
+    if (columns.length === 0) {
+      return res.status(400).json({ message: "No editable fields provided" });
+    }
+
+    const values = columns.map((column) => fields[column]);
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+    values.push(project.id);
+
+    const result = await pool.query(
+      `UPDATE projects
+       SET ${assignments.join(", ")}, updated_at = NOW()
+       WHERE id = $${values.length}
+         AND status = 'open'
+       RETURNING *`,
+      values,
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(409).json({ message: "Project changed, retry the edit" });
+    }
+
+    res.json(result.rows[0]);
+  }),
+);
+
+const transitionProject = (toStatus) =>
+  asyncHandler(async (req, res) => {
+    const project = await loadOwnedProject(req, res);
+    if (!project) return;
+
+    assertProjectTransition(project.status, toStatus);
+
+    if (toStatus === PROJECT_STATUS.IN_PROGRESS) {
+      const accepted = await pool.query(
+        `SELECT id FROM applications WHERE project_id = $1 AND status = 'accepted' LIMIT 1`,
+        [project.id],
+      );
+      if (accepted.rows.length === 0) {
+        return res
+          .status(400)
+          .json({ message: "Accept an application before starting the project" });
+      }
+    }
+
+    if (toStatus === PROJECT_STATUS.CLOSED) {
+      if (await hasFundedPayment({ projectId: project.id })) {
+        return res.status(409).json({
+          message:
+            "Project has funded escrow or an open checkout; settle it before closing",
+        });
+      }
+    }
+
+    const client = await pool.connect();
+    let updated;
+    let autoRejectedUserIds = [];
+    try {
+      await client.query("BEGIN");
+
+      const result = await client.query(
+        `UPDATE projects
+         SET status = $1,
+             updated_at = NOW(),
+             started_at = CASE WHEN $1 = 'in_progress' THEN NOW() ELSE started_at END,
+             completed_at = CASE WHEN $1 = 'completed' THEN NOW() ELSE completed_at END,
+             closed_at = CASE WHEN $1 = 'closed' THEN NOW() ELSE closed_at END
+         WHERE id = $2
+           AND status = $3
+         RETURNING *`,
+        [toStatus, project.id, project.status],
+      );
+
+      if (result.rowCount === 0) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ message: "Project changed, retry the update" });
+      }
+      updated = result.rows[0];
+
+      if (toStatus === PROJECT_STATUS.CLOSED) {
+        const rejected = await client.query(
+          `UPDATE applications
+           SET status = 'rejected', decided_at = NOW(), updated_at = NOW()
+           WHERE project_id = $1
+             AND status = 'pending'
+           RETURNING user_id`,
+          [project.id],
+        );
+        autoRejectedUserIds = rejected.rows.map((row) => row.user_id);
+      }
+
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    if (toStatus === PROJECT_STATUS.IN_PROGRESS) {
+      await notifyApplicants(
+        project.id,
+        [APPLICATION_STATUS.ACCEPTED],
+        "project_started",
+        `Project "${project.title ?? project.id}" has started.`,
+      );
+    }
+
+    if (toStatus === PROJECT_STATUS.COMPLETED) {
+      await notifyApplicants(
+        project.id,
+        [APPLICATION_STATUS.ACCEPTED],
+        "project_completed",
+        `Project "${project.title ?? project.id}" was marked as completed.`,
+      );
+    }
+
+    if (toStatus === PROJECT_STATUS.CLOSED) {
+      const closedMessage = `Project "${project.title ?? project.id}" was closed by the company.`;
+      await notifyApplicants(
+        project.id,
+        [APPLICATION_STATUS.ACCEPTED],
+        "project_closed",
+        closedMessage,
+      );
+      for (const userId of new Set(autoRejectedUserIds)) {
+        await safeNotify(userId, "project_closed", closedMessage, project.id);
+      }
+    }
+
+    res.json({
+      message: `Project marked as ${toStatus}`,
+      project: updated,
+    });
+  });
+
+/**
+ * Company lifecycle actions (owning company or admin)
+ * POST /api/projects/:id/start | /complete | /close
+ */
+router.post("/:id/start", verifyToken, transitionProject(PROJECT_STATUS.IN_PROGRESS));
+router.post("/:id/complete", verifyToken, transitionProject(PROJECT_STATUS.COMPLETED));
+router.post("/:id/close", verifyToken, transitionProject(PROJECT_STATUS.CLOSED));
+
+const parseCancellationParams = (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+  if (Number.isNaN(projectId)) {
+    res.status(400).json({ message: "Invalid project id" });
+    return null;
+  }
+  if (req.params.cancellationId === undefined) {
+    return { projectId };
+  }
+  const cancellationId = parseInt(req.params.cancellationId, 10);
+  if (Number.isNaN(cancellationId)) {
+    res.status(400).json({ message: "Invalid cancellation id" });
+    return null;
+  }
+  return { projectId, cancellationId };
+};
+
+/**
+ * A project's cancellation requests (the paying company, the student or admin)
+ * GET /api/projects/:id/cancellations
+ */
+router.get(
+  "/:id/cancellations",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const params = parseCancellationParams(req, res);
+    if (!params) return;
+
+    res.json({
+      cancellations: await listProjectCancellations(params.projectId, req.user),
+    });
+  }),
+);
+
+/**
+ * Ask to cancel a funded project before delivery (paying company or student).
+ * The split between refund and compensation is quoted from the cancellation
+ * rules now and applied when the other party confirms.
+ * POST /api/projects/:id/cancellations
+ * body: { payment_id?, reason? }
+ */
+router.post(
+  "/:id/cancellations",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const params = parseCancellationParams(req, res);
+    if (!params) return;
+
+    const cancellation = await requestProjectCancellation(params.projectId, req.user, {
+      paymentId: req.body?.payment_id,
+      reason: req.body?.reason,
+    });
+    res.status(201).json({ cancellation });
+  }),
+);
+
+/**
+ * Confirm the other party's cancellation request; refunds and compensates
+ * POST /api/projects/:id/cancellations/:cancellationId/confirm
+ */
+router.post(
+  "/:id/cancellations/:cancellationId/confirm",
+  verifyToken,
+  idempotent,
+  asyncHandler(async (req, res) => {
+    const params = parseCancellationParams(req, res);
+    if (!params) return;
+
+    const cancellation = await confirmProjectCancellation(
+      params.projectId,
+      params.cancellationId,
+      req.user,
+    );
+    res.json({ message: "Project cancelled", cancellation });
+  }),
+);
+
+/**
+ * Decline a cancellation request, or withdraw your own
+ * POST /api/projects/:id/cancellations/:cancellationId/decline
+ */
+router.post(
+  "/:id/cancellations/:cancellationId/decline",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const params = parseCancellationParams(req, res);
+    if (!params) return;
+
+    const cancellation = await declineProjectCancellation(
+      params.projectId,
+      params.cancellationId,
+      req.user,
+    );
+    res.json({ cancellation });
+  }),
+);
+
+/**
+ * List applications for a project (owning company or admin)
+ * GET /api/projects/:id/applications?status=pending
+ */
+router.get(
+  "/:id/applications",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const project = await loadOwnedProject(req, res);
+    if (!project) return;
+
+    const { status } = req.query;
+    const values = [project.id];
+    let statusClause = "";
+    if (status !== undefined) {
+      if (!Object.values(APPLICATION_STATUS).includes(status)) {
+        return res.status(400).json({ message: "Invalid status value" });
+      }
+      values.push(status);
+      statusClause = `AND a.status = $${values.length}`;
+    }
+
+    const result = await pool.query(
+      `SELECT a.*, u.email AS student_email
+       FROM applications a
+       JOIN users u ON u.id = a.user_id
+       WHERE a.project_id = $1
+       ${statusClause}
+       ORDER BY a.created_at ASC, a.id ASC`,
+      values,
+    );
+
+    res.json(result.rows);
+  }),
+);
+
+/**
+ * Apply to an open project (authenticated; user_id from token)
+ * POST /api/projects/:id/applications
+ */
+router.post(
+  "/:id/applications",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const coverLetter =
+      typeof req.body?.cover_letter === "string" ? req.body.cover_letter.trim() : null;
+
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid project id" });
+    }
+
+    const client = await pool.connect();
+    let application;
+    let project;
+    try {
+      await client.query("BEGIN");
+
+      project = await getProjectWithOwner(id, { client, forUpdate: true });
+      if (!project) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ message: "Project not found" });
+      }
+
+      if (project.status !== PROJECT_STATUS.OPEN) {
+        await client.query("ROLLBACK");
+        return res
+          .status(400)
+          .json({ message: "Project is not accepting applications" });
+      }
+
+      if (project.company_user_id === req.user.id) {
+        await client.query("ROLLBACK");
+        return res
+          .status(400)
+          .json({ message: "You cannot apply to your own project" });
+      }
+
+      const existing = await client.query(
+        `SELECT id
+         FROM applications
+         WHERE project_id = $1
+           AND user_id = $2
+           AND status = ANY($3::text[])
+         LIMIT 1`,
+        [id, req.user.id, ACTIVE_APPLICATION_STATUSES],
+      );
+
+      if (existing.rows.length > 0) {
+        await client.query("ROLLBACK");
+        return res
+          .status(409)
+          .json({ message: "You already have an active application for this project" });
+      }
+
+      const created = await client.query(
+        `INSERT INTO applications
+         (project_id, user_id, cover_letter, status, created_at, updated_at)
+         VALUES ($1, $2, $3, 'pending', NOW(), NOW())
+         RETURNING *`,
+        [id, req.user.id, coverLetter],
+      );
+      application = created.rows[0];
+
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    if (project.company_user_id) {
+      await safeNotify(
+        project.company_user_id,
+        "application_submitted",
+        `A new application was submitted for "${project.title ?? project.id}".`,
+        application.id,
+      );
+    }
+
+    res.status(201).json(application);
+  }),
+);
+
 /**
  * Update project status (admin only)
  */
@@ -22,8 +618,14 @@ router.patch(
       return res.status(400).json({ message: "Invalid status value" });
     }
 
+    // completed_at starts the escrow auto-release review window.
     const result = await pool.query(
-      `UPDATE projects SET status=$1 WHERE id=$2 RETURNING *`,
+      `UPDATE projects
+       SET status = $1,
+           updated_at = NOW(),
+           completed_at = CASE WHEN $1 = 'completed' THEN COALESCE(completed_at, NOW()) ELSE completed_at END
+       WHERE id = $2
+       RETURNING *`,
       [status, id]
     );
 
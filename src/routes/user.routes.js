@@ -1,9 +1,35 @@
 import express from "express";
 import pool from "../config/db.js";
 import { verifyToken } from "../middleware/auth.middleware.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { normalizeCurrency } from "../utils/currency.js";
+import { listPaystackBanks } from "../services/paystack_payout.service.js";
+import {
+  createPayoutAccount,
+  deletePayoutAccount,
+  listPayoutAccounts,
+  setDefaultPayoutAccount,
+} from "../services/payout_account.service.js";
+import {
+  getLatestKycSubmission,
+  submitKyc,
+} from "../services/kyc.service.js";
+import { getTaxCertificate } from "../services/tax_report.service.js";
 
 const router = express.Router();
 
+const ACCOUNT_TYPES = ["student", "company"];
+const PHONE_PATTERN = /^\+?\d{7,15}$/;
+const PROFILE_COLUMNS = `
+  id, email, role, full_name, phone, account_type, institution,
+  kyc_status, kyc_verified_at, created_at, updated_at
+`;
+
+const parseAccountId = (value) => {
+  const id = parseInt(value, 10);
+  return Number.isNaN(id) ? null : id;
+};
+
 router.post("/sync", verifyToken, async (req, res) => {
   const { uid, email } = req.user;
 
@@ -34,4 +60,225 @@ router.post("/sync", verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * Current user's profile
+ * GET /api/users/me
+ */
+router.get(
+  "/me",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const result = await pool.query(
+      `SELECT ${PROFILE_COLUMNS} FROM users WHERE id = $1`,
+      [req.user.id],
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.json(result.rows[0]);
+  }),
+);
+
+/**
+ * Update profile fields; omitted fields are left unchanged
+ * PATCH /api/users/me
+ * Body: { full_name?, phone?, account_type?: student|company, institution? }
+ */
+router.patch(
+  "/me",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const { full_name, phone, account_type, institution } = req.body ?? {};
+    const updates = [];
+    const values = [];
+
+    const setField = (column, value) => {
+      values.push(value);
+      updates.push(`${column} = $${values.length}`);
+    };
+
+    if (full_name !== undefined) {
+      const name = String(full_name ?? "").trim();
+      if (!name || name.length > 200) {
+        return res.status(400).json({ message: "full_name must be 1-200 characters" });
+      }
+      setField("full_name", name);
+    }
+    if (phone !== undefined) {
+      const normalizedPhone = phone === null ? null : String(phone).replace(/[\s-]/g, "");
+      if (normalizedPhone !== null && !PHONE_PATTERN.test(normalizedPhone)) {
+        return res.status(400).json({ message: "Invalid phone number" });
+      }
+      setField("phone", normalizedPhone);
+    }
+    if (account_type !== undefined) {
+      if (!ACCOUNT_TYPES.includes(account_type)) {
+        return res.status(400).json({ message: "account_type must be student or company" });
+      }
+      setField("account_type", account_type);
+    }
+    if (institution !== undefined) {
+      const normalizedInstitution =
+        institution === null ? null : String(institution).trim() || null;
+      setField("institution", normalizedInstitution);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ message: "No profile fields to update" });
+    }
+
+    values.push(req.user.id);
+    const result = await pool.query(
+      `UPDATE users
+       SET ${updates.join(", ")}, updated_at = NOW()
+       WHERE id = $${values.length}
+       RETURNING ${PROFILE_COLUMNS}`,
+      values,
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.json(result.rows[0]);
+  }),
+);
+
+/**
+ * Current KYC status and latest submission
+ * GET /api/users/me/kyc
+ */
+router.get(
+  "/me/kyc",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const user = await pool.query(
+      "SELECT kyc_status, kyc_verified_at FROM users WHERE id = $1",
+      [req.user.id],
+    );
+    if (user.rows.length === 0) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.json({
+      ...user.rows[0],
+      submission: await getLatestKycSubmission(req.user.id),
+    });
+  }),
+);
+
+/**
+ * Submit identity details for admin review
+ * POST /api/users/me/kyc
+ * Body: { id_type, id_number }
+ */
+router.post(
+  "/me/kyc",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const { id_type, id_number } = req.body ?? {};
+    const submission = await submitKyc(req.user.id, {
+      idType: id_type,
+      idNumber: id_number,
+    });
+    res.status(201).json({ kyc_status: "pending", submission });
+  }),
+);
+
+/**
+ * The caller's annual tax certificate: tax withheld from their releases
+ * GET /api/users/me/tax-certificates/:year
+ */
+router.get(
+  "/me/tax-certificates/:year",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    res.json({ certificate: await getTaxCertificate(req.user.id, req.params.year) });
+  }),
+);
+
+/**
+ * Banks available for payout accounts
+ * GET /api/users/banks?currency=NGN
+ */
+router.get(
+  "/banks",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const currency = normalizeCurrency(req.query.currency);
+    const banks = await listPaystackBanks(currency);
+    res.json({
+      currency,
+      banks: banks.map((bank) => ({
+        name: bank.name,
+        code: String(bank.code),
+        slug: bank.slug ?? null,
+      })),
+    });
+  }),
+);
+
+/**
+ * Saved payout bank accounts
+ * GET /api/users/me/payout-accounts
+ */
+router.get(
+  "/me/payout-accounts",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    res.json({ accounts: await listPayoutAccounts(req.user.id) });
+  }),
+);
+
+/**
+ * Save a payout bank account, verified against Paystack
+ * POST /api/users/me/payout-accounts
+ * Body: { bank_code, account_number, currency?, is_default? }
+ */
+router.post(
+  "/me/payout-accounts",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const { bank_code, account_number, currency, is_default } = req.body ?? {};
+    const account = await createPayoutAccount(req.user.id, {
+      bankCode: bank_code,
+      accountNumber: account_number,
+      currency,
+      makeDefault: is_default === true,
+    });
+    res.status(201).json({ account });
+  }),
+);
+
+/**
+ * Make a saved account the default payout destination
+ * PATCH /api/users/me/payout-accounts/:id/default
+ */
+router.patch(
+  "/me/payout-accounts/:id/default",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const id = parseAccountId(req.params.id);
+    if (id === null) {
+      return res.status(400).json({ message: "Invalid payout account id" });
+    }
+    const account = await setDefaultPayoutAccount(req.user.id, id);
+    res.json({ account });
+  }),
+);
+
+/**
+ * Remove a saved payout account
+ * DELETE /api/users/me/payout-accounts/:id
+ */
+router.delete(
+  "/me/payout-accounts/:id",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const id = parseAccountId(req.params.id);
+    if (id === null) {
+      return res.status(400).json({ message: "Invalid payout account id" });
+    }
+    await deletePayoutAccount(req.user.id, id);
+    res.json({ message: "Payout account removed" });
+  }),
+);
+
 export default router;
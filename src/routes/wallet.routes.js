@@ -0,0 +1,235 @@
+import express from "express";
+import { v4 as uuidv4 } from "uuid";
+import pool from "../config/db.js";
+import { verifyToken } from "../middleware/auth.middleware.js";
+import { idempotent } from "../middleware/idempotency.middleware.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { safeNotify } from "../utils/notify.js";
+import { isSupportedCurrency, normalizeCurrency } from "../utils/currency.js";
+import { verifyPaystackReference } from "../services/paystack.service.js";
+import { getPaymentProvider } from "../services/payment_providers/index.js";
+import {
+  BALANCE_TYPES,
+  getOutstandingReceivable,
+  getUserBalanceByType,
+} from "../services/ledger.service.js";
+import { listUserReserves } from "../services/release_reserve.service.js";
+import {
+  markTopupAsPaidByReference,
+  TOPUP_REFERENCE_PREFIX,
+} from "../services/wallet.service.js";
+
+const router = express.Router();
+
+/**
+ * Current user's ledger balances in one currency (default NGN); `reserve`
+ * is release money held back until its hold period ends and `receivable`
+ * what the user owes after a clawback
+ * GET /api/wallet?currency=USD
+ */
+router.get(
+  "/",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const { currency } = req.query;
+    if (currency !== undefined && !isSupportedCurrency(currency)) {
+      return res.status(400).json({ message: "Invalid currency" });
+    }
+    const walletCurrency = normalizeCurrency(currency);
+
+    const [available, escrow, locked, reserve, receivable] = await Promise.all([
+      getUserBalanceByType(
+        pool,
+        req.user.id,
+        BALANCE_TYPES.AVAILABLE,
+        walletCurrency,
+      ),
+      getUserBalanceByType(
+        pool,
+        req.user.id,
+        BALANCE_TYPES.ESCROW,
+        walletCurrency,
+      ),
+      getUserBalanceByType(
+        pool,
+        req.user.id,
+        BALANCE_TYPES.LOCKED,
+        walletCurrency,
+      ),
+      getUserBalanceByType(
+        pool,
+        req.user.id,
+        BALANCE_TYPES.RESERVE,
+        walletCurrency,
+      ),
+      getOutstandingReceivable(pool, req.user.id, walletCurrency),
+    ]);
+
+    res.json({ currency: walletCurrency, available, escrow, locked, reserve, receivable });
+  }),
+);
+
+/**
+ * Current user's ledger balances for every currency they hold
+ * GET /api/wallet/balances
+ */
+router.get(
+  "/balances",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const result = await pool.query(
+      `
+      SELECT
+        currency,
+        COALESCE(SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END)
+          FILTER (WHERE balance_type = 'available'), 0)::float AS available,
+        COALESCE(SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END)
+          FILTER (WHERE balance_type = 'escrow'), 0)::float AS escrow,
+        COALESCE(SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END)
+          FILTER (WHERE balance_type = 'locked'), 0)::float AS locked,
+        COALESCE(SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END)
+          FILTER (WHERE balance_type = 'reserve'), 0)::float AS reserve,
+        COALESCE(SUM(CASE WHEN direction = 'debit' THEN amount ELSE -amount END)
+          FILTER (WHERE balance_type = 'receivable'), 0)::float AS receivable
+      FROM ledger_entries
+      WHERE user_id = $1
+      GROUP BY currency
+      ORDER BY currency ASC
+      `,
+      [req.user.id],
+    );
+
+    res.json({ balances: result.rows });
+  }),
+);
+
+/**
+ * Current user's release reserves with the date each one is freed
+ * GET /api/wallet/reserves?currency=NGN&status=held
+ */
+router.get(
+  "/reserves",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const { currency, status } = req.query;
+    if (currency !== undefined && !isSupportedCurrency(currency)) {
+      return res.status(400).json({ message: "Invalid currency" });
+    }
+    if (status !== undefined && !["held", "released", "returned"].includes(status)) {
+      return res.status(400).json({ message: "Invalid status" });
+    }
+
+    res.json({ reserves: await listUserReserves(req.user.id, { currency, status }) });
+  }),
+);
+
+/**
+ * Start a Paystack charge that credits the company's available balance
+ * POST /api/wallet/topups
+ */
+router.post(
+  "/topups",
+  verifyToken,
+  idempotent,
+  asyncHandler(async (req, res) => {
+    const { amount, currency, email, callback_url } = req.body ?? {};
+
+    const numericAmount = Number(amount);
+    if (!Number.isFinite(numericAmount) || numericAmount <= 0) {
+      return res.status(400).json({ message: "Invalid amount" });
+    }
+    if (currency !== undefined && !isSupportedCurrency(currency)) {
+      return res.status(400).json({ message: "Invalid currency" });
+    }
+    const topupCurrency = normalizeCurrency(currency);
+
+    const payerEmail = email ?? req.user?.email;
+    if (!payerEmail) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    const company = await pool.query(
+      "SELECT id FROM companies WHERE user_id = $1 LIMIT 1",
+      [req.user.id],
+    );
+    if (company.rows.length === 0) {
+      return res
+        .status(403)
+        .json({ message: "Only companies can top up a wallet" });
+    }
+
+    const checkout = await getPaymentProvider("paystack").initialize({
+      amount: numericAmount,
+      currency: topupCurrency,
+      email: payerEmail,
+      reference: `${TOPUP_REFERENCE_PREFIX}${uuidv4()}`,
+      callbackUrl: callback_url,
+    });
+
+    const created = await pool.query(
+      `INSERT INTO wallet_topups (user_id, amount, currency, provider, provider_ref)
+       VALUES ($1, $2, $3, 'paystack', $4)
+       RETURNING *`,
+      [req.user.id, numericAmount, topupCurrency, checkout.reference],
+    );
+
+    res.status(201).json({
+      authorization_url: checkout.authorizationUrl,
+      access_code: checkout.accessCode,
+      reference: checkout.reference,
+      topup: created.rows[0],
+    });
+  }),
+);
+
+/**
+ * Current user's top-ups, newest first
+ * GET /api/wallet/topups
+ */
+router.get(
+  "/topups",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const result = await pool.query(
+      `SELECT *
+       FROM wallet_topups
+       WHERE user_id = $1
+       ORDER BY created_at DESC`,
+      [req.user.id],
+    );
+    res.json(result.rows);
+  }),
+);
+
+/**
+ * Verify a top-up with Paystack and credit it if the webhook has not yet
+ * GET /api/wallet/topups/verify/:reference
+ */
+router.get(
+  "/topups/verify/:reference",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const { reference } = req.params;
+    await verifyPaystackReference(reference);
+
+    const { topup, updated } = await markTopupAsPaidByReference(reference, {
+      enforceUserId: req.user.role === "admin" ? undefined : req.user.id,
+    });
+
+    if (updated) {
+      await safeNotify(
+        topup.user_id,
+        "wallet_topup",
+        "Your wallet top-up has been credited to your available balance.",
+        topup.id,
+      );
+    }
+
+    res.json({
+      message: "Top-up verified",
+      topup,
+    });
+  }),
+);
+
+export default router;
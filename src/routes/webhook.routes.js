@@ -1,5 +1,4 @@
 import express from "express";
-import crypto from "crypto";
 import pool from "../config/db.js";
 import {
   applyPaymentTransitionLedger,
@@ -21,6 +20,51 @@ import {
   appendFinancialEventLog,
   FINANCIAL_EVENT_TYPE,
 } from "../services/financial_event_log.service.js";
+import { getMilestoneSummary } from "../services/milestone.service.js";
+import {
+  notifyAdminsOfChargeback,
+  recordChargebackOpened,
+  remindChargeback,
+  resolveChargeback,
+} from "../services/chargeback.service.js";
+import {
+  finalizeProviderRefundByReference,
+  notifyAdminsOfRefund,
+  REFUND_STATUS,
+} from "../services/payment_refund.service.js";
+import {
+  finalizeDuplicateChargeRefund,
+  getDuplicateFundingReason,
+  recordDuplicateCharge,
+  refundDuplicateCharge,
+} from "../services/duplicate_charge.service.js";
+import {
+  canTransitionPayment,
+  transitionPaymentStatus,
+} from "../services/payment_state.service.js";
+import {
+  isTopupReference,
+  markTopupAsFailedByReference,
+  markTopupAsPaidByReference,
+} from "../services/wallet.service.js";
+import {
+  isAmendmentReference,
+  markAmendmentPaidByReference,
+  notifyAdminsOfAmendment,
+  notifyAmendmentPaid,
+} from "../services/payment_amendment.service.js";
+import {
+  closeUnpaidFundingBatch,
+  isFundingBatchCharge,
+  markFundingBatchPaidByReference,
+  notifyAdminsOfFundingBatch,
+  notifyFundingBatchPaid,
+} from "../services/funding_batch.service.js";
+import {
+  getPaymentProvider,
+  isSupportedPaymentProvider,
+} from "../services/payment_providers/index.js";
+import { safeNotify } from "../utils/notify.js";
 
 const router = express.Router();
 
@@ -68,6 +112,7 @@ const processWithdrawalTransferWebhook = async ({
       const updated = await client.query(
         `UPDATE withdrawals
          SET status = 'completed',
+             transfer_status = 'success',
              processed_at = NOW(),
              failure_reason = NULL,
              transfer_code = COALESCE($1, transfer_code)
@@ -114,12 +159,18 @@ const processWithdrawalTransferWebhook = async ({
     const updated = await client.query(
       `UPDATE withdrawals
        SET status = 'failed',
+           transfer_status = $4,
            processed_at = NOW(),
            failure_reason = COALESCE($1, failure_reason, 'Transfer failed'),
            transfer_code = COALESCE($2, transfer_code)
        WHERE id = $3
        RETURNING *`,
-      [failureReason, transferCode, withdrawal.id],
+      [
+        failureReason,
+        transferCode,
+        withdrawal.id,
+        eventName === "transfer.reversed" ? "reversed" : "failed",
+      ],
     );
 
     await client.query("COMMIT");
@@ -156,10 +207,11 @@ const processWithdrawalTransferWebhook = async ({
 };
 
 /**
- * Paystack Webhook
- * POST /api/webhooks/paystack
+ * Payment gateway webhooks; the provider adapter verifies the signature and
+ * maps its payload onto the shared event names below
+ * POST /api/webhooks/:provider (paystack, stripe)
  */
-router.post("/paystack", async (req, res) => {
+router.post("/:provider", async (req, res) => {
   const requestId = `wh_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
   const start = Date.now();
   const isRawBuffer = Buffer.isBuffer(req.body);
@@ -172,14 +224,10 @@ router.post("/paystack", async (req, res) => {
     bodyLength: isRawBuffer ? req.body.length : undefined,
   });
 
-  // 1) Verify signature using raw request body only.
-  const secret = process.env.PAYSTACK_SECRET_KEY;
-  const signature = req.headers["x-paystack-signature"];
-
-  if (!secret || !signature) {
-    console.error(`[${requestId}] missing secret or signature`);
-    return res.sendStatus(200);
+  if (!isSupportedPaymentProvider(req.params.provider)) {
+    return res.status(404).json({ message: "Unknown payment provider" });
   }
+  const gateway = getPaymentProvider(req.params.provider);
 
   if (!isRawBuffer) {
     console.error(
@@ -188,36 +236,31 @@ router.post("/paystack", async (req, res) => {
     return res.sendStatus(200);
   }
 
+  // 1) Verify signature using raw request body only.
   const rawBody = req.body;
-  const expectedHash = crypto
-    .createHmac("sha512", secret)
-    .update(rawBody)
-    .digest("hex");
-  const receivedHash = String(signature);
-  const signatureMatched = expectedHash === receivedHash;
+  const signatureMatched = gateway.verifyWebhookSignature(rawBody, req.headers);
 
   console.log(`[${requestId}] signature verification`, {
+    provider: gateway.name,
     matched: signatureMatched,
-    receivedPrefix: receivedHash.slice(0, 12),
-    expectedPrefix: expectedHash.slice(0, 12),
   });
 
   if (!signatureMatched) {
-    console.error(`[${requestId}] invalid Paystack signature`);
+    console.error(`[${requestId}] invalid ${gateway.name} signature`);
     return res.sendStatus(200);
   }
 
-  // 2) Parse raw JSON payload.
+  // 2) Parse raw JSON payload into the shared event shape.
   let event;
   try {
-    event = JSON.parse(rawBody.toString("utf8"));
+    event = await gateway.parseWebhookEvent(rawBody);
     console.log(`[${requestId}] payload parsed`, {
       event: event?.event,
       reference: event?.data?.reference,
       eventId: event?.id ?? event?.data?.id ?? null,
     });
   } catch (err) {
-    console.error(`[${requestId}] invalid JSON payload`);
+    console.error(`[${requestId}] invalid webhook payload`, err.message);
     return res.sendStatus(200);
   }
 
@@ -246,12 +289,12 @@ router.post("/paystack", async (req, res) => {
        ON CONFLICT (event_id) DO NOTHING
        RETURNING id`,
       [
-        "paystack",
+        gateway.name,
         eventId,
         eventName,
         eventName,
         reference,
-        JSON.stringify(event),
+        rawBody.toString("utf8"),
       ],
     );
 
@@ -273,9 +316,13 @@ router.post("/paystack", async (req, res) => {
     "charge.success",
     "charge.failed",
     "charge.dispute.create",
+    "charge.dispute.remind",
+    "charge.dispute.resolve",
     "transfer.success",
     "transfer.failed",
+    "transfer.reversed",
     "refund.processed",
+    "refund.failed",
   ];
   const isSupportedEvent = supportedEvents.includes(eventName);
 
@@ -294,7 +341,9 @@ router.post("/paystack", async (req, res) => {
   }
 
   const isWithdrawalTransferEvent =
-    (eventName === "transfer.success" || eventName === "transfer.failed") &&
+    ["transfer.success", "transfer.failed", "transfer.reversed"].includes(
+      eventName,
+    ) &&
     typeof reference === "string" &&
     reference.startsWith("withdrawal_");
 
@@ -312,12 +361,226 @@ router.post("/paystack", async (req, res) => {
     return res.sendStatus(200);
   }
 
+  const isTopupChargeEvent =
+    ["charge.success", "charge.failed"].includes(eventName) &&
+    isTopupReference(reference);
+
+  if (isTopupChargeEvent) {
+    try {
+      if (eventName === "charge.success") {
+        const { topup, updated } = await markTopupAsPaidByReference(reference);
+        console.log(`[${requestId}] wallet top-up processed`, {
+          topupId: topup.id,
+          updated,
+        });
+        if (updated) {
+          await safeNotify(
+            topup.user_id,
+            "wallet_topup",
+            "Your wallet top-up has been credited to your available balance.",
+            topup.id,
+          );
+        }
+      } else {
+        const topup = await markTopupAsFailedByReference(reference);
+        console.log(`[${requestId}] wallet top-up failed`, {
+          topupId: topup?.id ?? null,
+          reference,
+        });
+      }
+    } catch (topupErr) {
+      console.error(`[${requestId}] wallet top-up processing error`, topupErr.message);
+    }
+    return res.sendStatus(200);
+  }
+
+  const isFundingBatchChargeEvent =
+    ["charge.success", "charge.failed"].includes(eventName) &&
+    (await isFundingBatchCharge(reference));
+
+  if (isFundingBatchChargeEvent) {
+    try {
+      if (eventName === "charge.success") {
+        const result = await markFundingBatchPaidByReference(reference, {
+          source: `${gateway.name}_webhook`,
+          provider: gateway.name,
+          charged: {
+            amount: Number(event.data?.amount) / 100,
+            currency: event.data?.currency,
+          },
+        });
+        console.log(`[${requestId}] funding batch processed`, {
+          batchId: result.batch.id,
+          payments: result.payments.length,
+          skipped: result.skipped.length,
+          updated: result.updated,
+        });
+        if (result.updated) {
+          await notifyFundingBatchPaid(result);
+        }
+      } else {
+        const batch = await closeUnpaidFundingBatch(reference, "failed", {
+          source: `${gateway.name}_webhook`,
+          reason: event?.data?.gateway_response ?? "Charge failed",
+        });
+        console.log(`[${requestId}] funding batch failed`, {
+          batchId: batch?.id ?? null,
+          reference,
+        });
+      }
+    } catch (batchErr) {
+      console.error(`[${requestId}] funding batch processing error`, batchErr.message);
+      // The company was charged and the batch was not funded.
+      if (eventName === "charge.success") {
+        await notifyAdminsOfFundingBatch(
+          `${gateway.name} charged ${reference} for a funding batch that could not be funded: ${batchErr.message}`,
+          null,
+        );
+      }
+    }
+    return res.sendStatus(200);
+  }
+
+  const isAmendmentChargeEvent =
+    ["charge.success", "charge.failed"].includes(eventName) &&
+    isAmendmentReference(reference);
+
+  if (isAmendmentChargeEvent) {
+    try {
+      if (eventName === "charge.success") {
+        const result = await markAmendmentPaidByReference(reference, {
+          charged: {
+            amount: Number(event.data?.amount) / 100,
+            currency: event.data?.currency,
+          },
+        });
+        console.log(`[${requestId}] payment amendment processed`, {
+          amendmentId: result.amendment.id,
+          paymentId: result.payment.id,
+          updated: result.updated,
+        });
+        if (result.updated) {
+          await notifyAmendmentPaid(result);
+        }
+      } else {
+        // The amendment stays accepted so the company can start a new checkout.
+        console.log(`[${requestId}] payment amendment charge failed`, { reference });
+      }
+    } catch (amendmentErr) {
+      console.error(`[${requestId}] payment amendment processing error`, amendmentErr.message);
+      // Whatever went wrong, the company was charged and nothing retries it.
+      if (eventName === "charge.success") {
+        await notifyAdminsOfAmendment(
+          `${gateway.name} charged ${reference} for a payment amendment that could not be applied: ${amendmentErr.message}`,
+          null,
+        );
+      }
+    }
+    return res.sendStatus(200);
+  }
+
+  if (["refund.processed", "refund.failed"].includes(eventName)) {
+    try {
+      const result = await finalizeProviderRefundByReference(
+        reference,
+        eventName === "refund.processed" ? REFUND_STATUS.PROCESSED : REFUND_STATUS.FAILED,
+        {
+          providerRefundId:
+            event?.data?.id === undefined || event?.data?.id === null
+              ? null
+              : String(event.data.id),
+          providerStatus: event?.data?.status ?? null,
+          reason:
+            event?.data?.gateway_response ??
+            event?.data?.message ??
+            event?.data?.status ??
+            "Refund failed",
+          source: `${gateway.name}_webhook`,
+        },
+      );
+
+      if (result) {
+        console.log(`[${requestId}] refund ${result.refund.status}`, {
+          refundId: result.refund.id,
+          paymentId: result.payment.id,
+          reference,
+        });
+      } else if (
+        await finalizeDuplicateChargeRefund(
+          reference,
+          eventName === "refund.processed",
+          event?.data?.gateway_response ?? event?.data?.message ?? "Refund failed",
+        )
+      ) {
+        console.log(`[${requestId}] duplicate charge ${eventName}`, { reference });
+      } else {
+        // Refunds started from the gateway dashboard never went through
+        // the ledger, so they are left for an admin to reconcile.
+        console.error(`[${requestId}] ${eventName} without a pending refund`, { reference });
+        await notifyAdminsOfRefund(
+          `${gateway.name} reported ${eventName} for ${reference}, but no refund was requested through Acader. Reconcile this payment by hand.`,
+          null,
+        );
+      }
+    } catch (refundErr) {
+      console.error(`[${requestId}] refund webhook processing error`, refundErr.message);
+    }
+    return res.sendStatus(200);
+  }
+
+  if (["charge.dispute.remind", "charge.dispute.resolve"].includes(eventName)) {
+    const chargebackDetails = {
+      provider: gateway.name,
+      providerDisputeId:
+        event?.data?.id === undefined || event?.data?.id === null
+          ? null
+          : String(event.data.id),
+      reference,
+      providerStatus: event?.data?.status ?? null,
+      source: `${gateway.name}_webhook`,
+    };
+
+    try {
+      let chargeback;
+      if (eventName === "charge.dispute.remind") {
+        chargeback = await remindChargeback({
+          ...chargebackDetails,
+          dueAt: event?.data?.due_at ?? null,
+        });
+      } else {
+        const result = await resolveChargeback({
+          ...chargebackDetails,
+          resolution: event?.data?.resolution ?? null,
+        });
+        chargeback = result?.chargeback ?? null;
+      }
+
+      if (chargeback) {
+        console.log(`[${requestId}] ${eventName} processed`, {
+          chargebackId: chargeback.id,
+          paymentId: chargeback.payment_id,
+          status: chargeback.status,
+          clawbackStatus: chargeback.clawback_status,
+        });
+      } else {
+        console.error(`[${requestId}] ${eventName} for an unknown chargeback`, { reference });
+        await notifyAdminsOfChargeback(
+          `${gateway.name} reported ${eventName} for ${reference}, but Acader has no record of that chargeback. Reconcile this payment by hand.`,
+          null,
+        );
+      }
+    } catch (chargebackErr) {
+      console.error(`[${requestId}] chargeback webhook processing error`, chargebackErr.message);
+    }
+    return res.sendStatus(200);
+  }
+
   const statusByEvent = {
     "charge.success": "paid",
     "charge.failed": "failed",
     "transfer.success": "released",
     "transfer.failed": "transfer_failed",
-    "refund.processed": "refunded",
+    "transfer.reversed": "transfer_failed",
   };
 
   const nextStatus = statusByEvent[eventName] ?? null;
@@ -349,6 +612,46 @@ router.post("/paystack", async (req, res) => {
 
       const payment = paymentResult.rows[0];
 
+      // Legacy rows may carry free-form provider labels; only a known
+      // gateway name pins the payment to that gateway's webhooks.
+      if (
+        isSupportedPaymentProvider(payment.provider) &&
+        String(payment.provider).toLowerCase() !== gateway.name
+      ) {
+        await client.query("ROLLBACK");
+        console.error(`[${requestId}] ${gateway.name} event ignored for ${payment.provider} payment`, {
+          paymentId: payment.id,
+          reference,
+        });
+        return res.sendStatus(200);
+      }
+
+      // A charge for money Acader already holds is sent back, not funded.
+      const duplicateReason =
+        eventName === "charge.success"
+          ? await getDuplicateFundingReason(client, payment)
+          : null;
+      if (duplicateReason) {
+        const duplicate = await recordDuplicateCharge(client, {
+          paymentId: payment.id,
+          provider: gateway.name,
+          reference,
+          amount: payment.amount,
+          currency: payment.currency,
+          reason: duplicateReason,
+        });
+        await client.query("COMMIT");
+        console.error(`[${requestId}] ${eventName} duplicates funded money`, {
+          paymentId: payment.id,
+          reference,
+          reason: duplicateReason,
+        });
+        if (duplicate) {
+          await refundDuplicateCharge(duplicate.id);
+        }
+        return res.sendStatus(200);
+      }
+
       if (payment.disputed === true && eventName !== "charge.dispute.create") {
         await client.query("ROLLBACK");
         console.log(`[${requestId}] payment event ignored due to active dispute`, {
@@ -359,17 +662,41 @@ router.post("/paystack", async (req, res) => {
         return res.sendStatus(200);
       }
 
-      // Only release escrow from a paid state.
-      if (eventName === "transfer.success" && payment.status !== "paid") {
+      if (nextStatus && payment.status === nextStatus) {
+        await client.query("ROLLBACK");
+        console.log(`[${requestId}] ${eventName} ignored: payment already ${nextStatus}`, {
+          paymentId: payment.id,
+          reference,
+        });
+        return res.sendStatus(200);
+      }
+
+      // Out-of-order events must not move the payment backwards.
+      if (nextStatus && !canTransitionPayment(payment.status, nextStatus)) {
         await client.query("ROLLBACK");
-        console.error(`[${requestId}] transfer.success ignored: payment not in paid state`, {
+        console.error(`[${requestId}] ${eventName} ignored: invalid payment transition`, {
           paymentId: payment.id,
           currentStatus: payment.status,
+          nextStatus,
           reference,
         });
         return res.sendStatus(200);
       }
 
+      // Milestone plans settle one milestone at a time; a whole-payment
+      // release from the provider would double count escrow.
+      if (eventName === "transfer.success") {
+        const milestoneSummary = await getMilestoneSummary(payment.id, { client });
+        if (milestoneSummary.total > 0) {
+          await client.query("ROLLBACK");
+          console.error(`[${requestId}] ${eventName} ignored: payment is split into milestones`, {
+            paymentId: payment.id,
+            reference,
+          });
+          return res.sendStatus(200);
+        }
+      }
+
       if (eventName === "transfer.success") {
         const studentUserId = Number(payment.student_user_id);
         if (!Number.isInteger(studentUserId) || studentUserId <= 0) {
@@ -397,7 +724,7 @@ router.post("/paystack", async (req, res) => {
               paymentId: payment.id,
               eventPayload: {
                 reason: "STUDENT_RESTRICTED",
-                source: "paystack_webhook",
+                source: `${gateway.name}_webhook`,
                 restriction_reason: restriction.reason ?? null,
               },
             });
@@ -430,6 +757,7 @@ router.post("/paystack", async (req, res) => {
           SELECT id
           FROM disputes
           WHERE payment_id = $1
+            AND milestone_id IS NULL
             AND status IN ('open', 'under_review')
           ORDER BY created_at DESC
           LIMIT 1
@@ -450,6 +778,15 @@ router.post("/paystack", async (req, res) => {
           disputeId = disputeInsert.rows[0]?.id ?? null;
         }
 
+        await recordChargebackOpened(client, payment, {
+          provider: gateway.name,
+          providerDisputeId: String(event?.data?.id ?? eventId),
+          disputeId,
+          reason,
+          providerStatus: event?.data?.status ?? null,
+          dueAt: event?.data?.due_at ?? null,
+        });
+
         const paymentDisputeUpdate = await client.query(
           `
           UPDATE payments
@@ -474,7 +811,7 @@ router.post("/paystack", async (req, res) => {
           {
             userId: payment.user_id,
             actionType: RISK_AUDIT_ACTION.DISPUTE_OPENED,
-            reason: "PAYSTACK_DISPUTE_WEBHOOK",
+            reason: `${gateway.name.toUpperCase()}_DISPUTE_WEBHOOK`,
             riskScore,
             relatedPaymentId: payment.id,
           },
@@ -488,7 +825,7 @@ router.post("/paystack", async (req, res) => {
             disputeId,
             eventPayload: {
               reason,
-              source: "paystack_webhook",
+              source: `${gateway.name}_webhook`,
             },
           },
           { client },
@@ -503,7 +840,7 @@ router.post("/paystack", async (req, res) => {
             {
               userId: disputeStudentUserId,
               actionType: RISK_AUDIT_ACTION.DISPUTE_OPENED,
-              reason: "PAYSTACK_DISPUTE_WEBHOOK",
+              reason: `${gateway.name.toUpperCase()}_DISPUTE_WEBHOOK`,
               relatedPaymentId: payment.id,
             },
             { client },
@@ -516,7 +853,7 @@ router.post("/paystack", async (req, res) => {
               disputeId,
               eventPayload: {
                 reason,
-                source: "paystack_webhook",
+                source: `${gateway.name}_webhook`,
               },
             },
             { client },
@@ -568,17 +905,6 @@ router.post("/paystack", async (req, res) => {
         requireStudentUserId: eventName === "transfer.success",
       });
 
-      const escrow =
-        nextStatus === "paid"
-          ? true
-          : nextStatus === "released" ||
-              nextStatus === "failed" ||
-              nextStatus === "refunded"
-            ? false
-            : payment.escrow;
-      const shouldSetPaidAt = nextStatus === "paid";
-      const shouldSetReleasedAt = nextStatus === "released";
-      const shouldSetRefundedAt = nextStatus === "refunded";
       const releasedByRaw = event?.data?.metadata?.released_by;
       const releasedBy =
         typeof releasedByRaw === "string" &&
@@ -592,36 +918,14 @@ router.post("/paystack", async (req, res) => {
         paymentId: payment.id,
         fromStatus: payment.status,
         toStatus: nextStatus,
-        escrow,
       });
 
-      const updateResult = await client.query(
-        `UPDATE payments
-         SET status = $1,
-             escrow = $2,
-             paid_at = CASE WHEN $4 THEN NOW() ELSE paid_at END,
-             released_at = CASE WHEN $5 THEN NOW() ELSE released_at END,
-             released_by = CASE WHEN $5 THEN $6::uuid ELSE released_by END,
-             refunded_at = CASE WHEN $7 THEN NOW() ELSE refunded_at END
-         WHERE id = $3
-         RETURNING id, user_id, status, escrow`,
-        [
-          nextStatus,
-          escrow,
-          payment.id,
-          shouldSetPaidAt,
-          shouldSetReleasedAt,
-          releasedBy,
-          shouldSetRefundedAt,
-        ],
-      );
-
-      // Hard assertion so silent failures are impossible.
-      if (updateResult.rowCount !== 1) {
-        throw new Error("Payment update failed");
-      }
-
-      const updatedRow = updateResult.rows[0] ?? {};
+      const updatedRow = await transitionPaymentStatus(client, payment, nextStatus, {
+        source: `${gateway.name}_webhook`,
+        reason: eventName,
+        metadata: { reference, event_id: eventId ?? null },
+        columns: nextStatus === "released" ? { released_by: releasedBy } : {},
+      });
       const transferRecipientId =
         eventName === "transfer.success" ? Number(payment.student_user_id) : null;
       const notificationUserId =
@@ -641,7 +945,7 @@ router.post("/paystack", async (req, res) => {
             userId: notificationUserId,
             paymentId: payment.id,
             eventPayload: {
-              source: "paystack_webhook",
+              source: `${gateway.name}_webhook`,
               reference,
               amount: payment.amount,
             },
@@ -671,10 +975,6 @@ router.post("/paystack", async (req, res) => {
         console.log(`Escrow released for ${reference}`);
       }
 
-      if (eventName === "refund.processed") {
-        console.log(`Payment refunded: ${reference}`);
-      }
-
       if (eventName === "charge.dispute.create") {
         console.log(`Dispute opened: ${reference}`);
       }
@@ -725,11 +1025,6 @@ router.post("/paystack", async (req, res) => {
         message: "Your transfer attempt failed.",
         type: "transfer_failed",
       },
-      "refund.processed": {
-        title: "Refund processed",
-        message: "Your payment has been refunded.",
-        type: "payment_refunded",
-      },
     };
 
     const n = notificationByEvent[eventName];
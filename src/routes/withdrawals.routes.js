@@ -3,7 +3,9 @@ import pool from "../config/db.js";
 import { safeNotify } from "../utils/notify.js";
 import { verifyToken } from "../middleware/auth.middleware.js";
 import { requireAdmin } from "../middleware/admin.js";
+import { idempotent } from "../middleware/idempotency.middleware.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { isSupportedCurrency, normalizeCurrency } from "../utils/currency.js";
 import {
   createWithdrawalHold,
   getUserBalanceByType,
@@ -30,6 +32,13 @@ import {
   appendFinancialEventLog,
   FINANCIAL_EVENT_TYPE,
 } from "../services/financial_event_log.service.js";
+import {
+  finalizeWithdrawalPayout,
+  initiateWithdrawalPayout,
+} from "../services/paystack_payout.service.js";
+import { getPayoutAccountForUser } from "../services/payout_account.service.js";
+import { KYC_STATUS } from "../services/kyc.service.js";
+import { listOutstandingReceivables } from "../services/receivable.service.js";
 
 const router = express.Router();
 const FRAUD_BLOCK_THRESHOLD = 60;
@@ -50,59 +59,90 @@ const notifyAdminsOfFraud = async (client, message) => {
   }
 };
 
-const createPendingReviewWithdrawal = async (
+// provider_ref is NOT NULL and derived from the id, so the id is allocated
+// up front instead of patching the reference in after the insert.
+const allocateWithdrawalId = async (client) => {
+  const result = await client.query(
+    "SELECT nextval(pg_get_serial_sequence('withdrawals', 'id')) AS id",
+  );
+  return Number(result.rows[0].id);
+};
+
+// Bank details are copied from the payout account so the withdrawal keeps
+// them even if the account is later removed.
+const insertWithdrawal = async (
   client,
-  { userId, amount, bankName, accountNumber },
+  { userId, amount, currency, status = "pending", payoutAccount },
 ) => {
+  const withdrawalId = await allocateWithdrawalId(client);
   const inserted = await client.query(
     `
-    INSERT INTO withdrawals (user_id, amount, status, bank_name, account_number)
-    VALUES ($1, $2, 'pending_review', $3, $4)
-    RETURNING *
-    `,
-    [userId, amount, bankName, accountNumber],
-  );
-
-  const withdrawal = inserted.rows[0];
-  const providerRef = `withdrawal_${withdrawal.id}`;
-  const withRef = await client.query(
-    `
-    UPDATE withdrawals
-    SET provider_ref = COALESCE(provider_ref, $1)
-    WHERE id = $2
+    INSERT INTO withdrawals (
+      id, user_id, amount, currency, status, payout_account_id,
+      bank_name, account_number, account_name, recipient_code, provider_ref
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
     RETURNING *
     `,
-    [providerRef, withdrawal.id],
+    [
+      withdrawalId,
+      userId,
+      amount,
+      currency,
+      status,
+      payoutAccount.id,
+      payoutAccount.bank_name,
+      payoutAccount.account_number,
+      payoutAccount.account_name,
+      payoutAccount.recipient_code,
+      `withdrawal_${withdrawalId}`,
+    ],
   );
 
-  return withRef.rows[0] ?? withdrawal;
+  return inserted.rows[0];
 };
 
 /**
- * User requests withdrawal (authenticated; user_id from token)
+ * User requests withdrawal to a saved payout account (authenticated;
+ * user_id from token). Requires verified KYC and no outstanding receivable.
+ * Body: { amount, payout_account_id, currency? }
  */
 router.post(
   "/",
   verifyToken,
+  idempotent,
   asyncHandler(async (req, res) => {
-    const { amount, bank_name, account_number } = req.body;
+    const { amount, currency, payout_account_id } = req.body;
     const user_id = req.user.id;
     const normalizedAmount = Number(amount);
+    const payoutAccountId = parseInt(payout_account_id, 10);
 
     if (!Number.isFinite(normalizedAmount) || normalizedAmount <= 0) {
       return res.status(400).json({ message: "Invalid amount" });
     }
-    if (!bank_name || !account_number) {
-      return res.status(400).json({ message: "bank_name and account_number are required" });
+    if (currency !== undefined && !isSupportedCurrency(currency)) {
+      return res.status(400).json({ message: "Invalid currency" });
+    }
+    if (Number.isNaN(payoutAccountId)) {
+      return res.status(400).json({ message: "payout_account_id is required" });
     }
 
+    const payoutAccount = await getPayoutAccountForUser(user_id, payoutAccountId);
+    const withdrawalCurrency = normalizeCurrency(currency, payoutAccount.currency);
+    if (withdrawalCurrency !== payoutAccount.currency) {
+      return res.status(400).json({
+        message: `Payout account receives ${payoutAccount.currency}, not ${withdrawalCurrency}`,
+      });
+    }
+    const { bank_name, account_number } = payoutAccount;
+
     const client = await pool.connect();
     let createdWithdrawal;
     try {
       await client.query("BEGIN");
 
       const userRow = await client.query(
-        "SELECT id FROM users WHERE id = $1 FOR UPDATE",
+        "SELECT id, kyc_status FROM users WHERE id = $1 FOR UPDATE",
         [user_id],
       );
 
@@ -111,6 +151,14 @@ router.post(
         return res.status(404).json({ message: "User not found" });
       }
 
+      if (userRow.rows[0].kyc_status !== KYC_STATUS.VERIFIED) {
+        await client.query("ROLLBACK");
+        return res.status(403).json({
+          message: "Identity verification is required before withdrawing",
+          kyc_status: userRow.rows[0].kyc_status,
+        });
+      }
+
       const restriction = await getWalletRestriction(user_id, { client });
       if (restriction) {
         await client.query("ROLLBACK");
@@ -149,6 +197,24 @@ router.post(
         });
       }
 
+      const receivables = await listOutstandingReceivables(user_id, { client });
+      if (receivables.length > 0) {
+        await client.query("ROLLBACK");
+        try {
+          await createRiskAuditLog({
+            userId: user_id,
+            actionType: RISK_AUDIT_ACTION.WITHDRAWAL_BLOCKED,
+            reason: "OUTSTANDING_RECEIVABLE",
+          });
+        } catch (auditErr) {
+          console.error("[risk_audit] receivable block log failed", auditErr.message);
+        }
+        return res.status(409).json({
+          message: "Withdrawal blocked: you owe the platform from a refunded payment",
+          receivables,
+        });
+      }
+
       const disputedPayment = await client.query(
         `
         SELECT p.id
@@ -214,6 +280,7 @@ router.post(
         client,
         user_id,
         "available",
+        withdrawalCurrency,
       );
       if (availableBalance < normalizedAmount) {
         await client.query("ROLLBACK");
@@ -243,11 +310,12 @@ router.post(
           { client },
         );
 
-        const reviewWithdrawal = await createPendingReviewWithdrawal(client, {
+        const reviewWithdrawal = await insertWithdrawal(client, {
           userId: user_id,
           amount: normalizedAmount,
-          bankName: bank_name,
-          accountNumber: account_number,
+          currency: withdrawalCurrency,
+          status: "pending_review",
+          payoutAccount,
         });
 
         const review = await enqueueFraudReview(
@@ -267,9 +335,11 @@ router.post(
             withdrawalId: reviewWithdrawal.id,
             eventPayload: {
               amount: normalizedAmount,
+              currency: withdrawalCurrency,
               status: reviewWithdrawal.status,
               bank_name,
               account_number: account_number?.slice(-4),
+              payout_account_id: payoutAccount.id,
               pending_review: true,
             },
           },
@@ -322,6 +392,7 @@ router.post(
 
       const risk = await evaluateWithdrawalRisk(user_id, normalizedAmount, {
         client,
+        currency: withdrawalCurrency,
       });
 
       if (risk.riskScore >= FRAUD_BLOCK_THRESHOLD) {
@@ -340,11 +411,12 @@ router.post(
           [user_id, rulesText, risk.riskScore, JSON.stringify(metadata)],
         );
 
-        const reviewWithdrawal = await createPendingReviewWithdrawal(client, {
+        const reviewWithdrawal = await insertWithdrawal(client, {
           userId: user_id,
           amount: normalizedAmount,
-          bankName: bank_name,
-          accountNumber: account_number,
+          currency: withdrawalCurrency,
+          status: "pending_review",
+          payoutAccount,
         });
 
         const review = await enqueueFraudReview(
@@ -364,9 +436,11 @@ router.post(
             withdrawalId: reviewWithdrawal.id,
             eventPayload: {
               amount: normalizedAmount,
+              currency: withdrawalCurrency,
               status: reviewWithdrawal.status,
               bank_name,
               account_number: account_number?.slice(-4),
+              payout_account_id: payoutAccount.id,
               pending_review: true,
             },
           },
@@ -416,23 +490,12 @@ router.post(
         });
       }
 
-      const withdrawal = await client.query(
-        `INSERT INTO withdrawals (user_id, amount, bank_name, account_number)
-         VALUES ($1,$2,$3,$4)
-         RETURNING *`,
-        [user_id, normalizedAmount, bank_name, account_number],
-      );
-
-      createdWithdrawal = withdrawal.rows[0];
-      const providerRef = `withdrawal_${createdWithdrawal.id}`;
-      const withReference = await client.query(
-        `UPDATE withdrawals
-         SET provider_ref = COALESCE(provider_ref, $1)
-         WHERE id = $2
-         RETURNING *`,
-        [providerRef, createdWithdrawal.id],
-      );
-      createdWithdrawal = withReference.rows[0] ?? createdWithdrawal;
+      createdWithdrawal = await insertWithdrawal(client, {
+        userId: user_id,
+        amount: normalizedAmount,
+        currency: withdrawalCurrency,
+        payoutAccount,
+      });
       await createWithdrawalHold(client, createdWithdrawal);
       await appendFinancialEventLog(
         {
@@ -441,9 +504,11 @@ router.post(
           withdrawalId: createdWithdrawal.id,
           eventPayload: {
             amount: normalizedAmount,
+            currency: withdrawalCurrency,
             status: createdWithdrawal.status,
             bank_name,
             account_number: account_number?.slice(-4),
+            payout_account_id: payoutAccount.id,
             pending_review: false,
           },
         },
@@ -471,6 +536,7 @@ router.patch(
   "/:id/status",
   verifyToken,
   requireAdmin,
+  idempotent,
   asyncHandler(async (req, res) => {
     const { status, reason } = req.body;
     const id = parseInt(req.params.id, 10);
@@ -574,7 +640,20 @@ router.patch(
       client.release();
     }
 
+    let payout = null;
     if (targetStatus === "processing") {
+      payout = await initiateWithdrawalPayout(updated.id);
+      updated = payout.withdrawal;
+    }
+
+    if (payout?.transferStatus === "failed") {
+      await safeNotify(
+        withdrawal.user_id,
+        "withdrawal_failed",
+        "Your withdrawal failed and funds were returned to your wallet.",
+        updated.id,
+      );
+    } else if (targetStatus === "processing") {
       await safeNotify(
         withdrawal.user_id,
         "withdrawal_processing",
@@ -592,8 +671,93 @@ router.patch(
     }
 
     res.json({
-      message: `Withdrawal ${targetStatus}`,
+      message:
+        payout?.transferStatus === "failed"
+          ? "Withdrawal transfer failed and funds returned"
+          : `Withdrawal ${targetStatus}`,
       withdrawal: updated,
+      transfer: payout
+        ? {
+            status: payout.transferStatus,
+            otp_required: payout.otpRequired,
+          }
+        : null,
+    });
+  }),
+);
+
+/**
+ * Retry the Paystack transfer for a processing withdrawal, or check on one
+ * whose initiation got no clear answer (admin only)
+ * POST /api/withdrawals/:id/transfer
+ */
+router.post(
+  "/:id/transfer",
+  verifyToken,
+  requireAdmin,
+  idempotent,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid withdrawal id" });
+    }
+
+    const payout = await initiateWithdrawalPayout(id);
+
+    if (payout.transferStatus === "failed") {
+      await safeNotify(
+        payout.withdrawal.user_id,
+        "withdrawal_failed",
+        "Your withdrawal failed and funds were returned to your wallet.",
+        id,
+      );
+    }
+
+    const messages = {
+      failed: "Withdrawal transfer failed and funds returned",
+      initiating: "Withdrawal transfer outcome unknown; awaiting Paystack confirmation",
+    };
+    res.json({
+      message: messages[payout.transferStatus] ?? "Withdrawal transfer initiated",
+      withdrawal: payout.withdrawal,
+      transfer: {
+        status: payout.transferStatus,
+        otp_required: payout.otpRequired,
+      },
+    });
+  }),
+);
+
+/**
+ * Finalize an OTP-protected Paystack transfer (admin only)
+ * POST /api/withdrawals/:id/finalize
+ * body: { otp: string }
+ */
+router.post(
+  "/:id/finalize",
+  verifyToken,
+  requireAdmin,
+  idempotent,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const otp = typeof req.body?.otp === "string" ? req.body.otp.trim() : "";
+
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: "Invalid withdrawal id" });
+    }
+    if (!otp) {
+      return res.status(400).json({ message: "otp is required" });
+    }
+
+    const payout = await finalizeWithdrawalPayout(id, otp);
+
+    res.json({
+      message: "Withdrawal transfer finalized",
+      withdrawal: payout.withdrawal,
+      transfer: {
+        status: payout.transferStatus,
+        otp_required: payout.otpRequired,
+      },
     });
   }),
 );
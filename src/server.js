@@ -4,6 +4,11 @@ dotenv.config(); // MUST be first
 import app from "./app.js";
 import { startReconciliationJob } from "./jobs/reconciliation.job.js";
 import { startSettlementJob } from "./jobs/settlement.job.js";
+import { startWebhookDeliveryJob } from "./jobs/webhook_delivery.job.js";
+import { startIdempotencyCleanupJob } from "./jobs/idempotency_cleanup.job.js";
+import { startEscrowAutoReleaseJob } from "./jobs/escrow_auto_release.job.js";
+import { startPendingPaymentExpiryJob } from "./jobs/pending_payment_expiry.job.js";
+import { startReleaseReserveJob } from "./jobs/release_reserve.job.js";
 
 const PORT = process.env.PORT || 5050;
 const HOST = process.env.HOST || "0.0.0.0";
@@ -12,4 +17,9 @@ app.listen(PORT, HOST, () => {
   console.log(`🚀 Acader backend running on http://${HOST}:${PORT}`);
   startReconciliationJob();
   startSettlementJob();
+  startWebhookDeliveryJob();
+  startIdempotencyCleanupJob();
+  startEscrowAutoReleaseJob();
+  startPendingPaymentExpiryJob();
+  startReleaseReserveJob();
 });
@@ -0,0 +1,648 @@
+import pool from "../config/db.js";
+import { safeNotify } from "../utils/notify.js";
+import { formatMoney } from "../utils/currency.js";
+import {
+  applyPaymentRefundLedger,
+  settleChargebackLoss,
+  syncWalletAvailableBalances,
+} from "./ledger.service.js";
+import { getMilestoneSummary } from "./milestone.service.js";
+import { transitionPaymentStatus } from "./payment_state.service.js";
+import { getPaymentProvider } from "./payment_providers/index.js";
+import { refreshRiskProfilesForUsers } from "./fraud/risk_profile.js";
+import {
+  createRiskAuditLog,
+  RISK_AUDIT_ACTION,
+} from "./fraud/risk_audit.js";
+import {
+  appendFinancialEventLog,
+  FINANCIAL_EVENT_TYPE,
+} from "./financial_event_log.service.js";
+
+export const CHARGEBACK_STATUS = {
+  OPEN: "open",
+  WON: "won",
+  LOST: "lost",
+};
+
+export const CLAWBACK_STATUS = {
+  POSTED: "posted",
+  MANUAL: "manual",
+};
+
+// Paystack resolution values; other gateways map their outcomes onto these.
+const OUTCOME_BY_RESOLUTION = {
+  declined: CHARGEBACK_STATUS.WON,
+  "merchant-accepted": CHARGEBACK_STATUS.LOST,
+  "auto-accepted": CHARGEBACK_STATUS.LOST,
+};
+
+export const getChargebackOutcome = (resolution) =>
+  OUTCOME_BY_RESOLUTION[String(resolution ?? "").toLowerCase()] ?? null;
+
+const parseProviderDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+export const notifyAdminsOfChargeback = async (message, relatedId) => {
+  const admins = await pool.query(
+    "SELECT id FROM users WHERE role = 'admin' ORDER BY id ASC",
+  );
+  for (const admin of admins.rows) {
+    await safeNotify(admin.id, "chargeback_alert", message, relatedId);
+  }
+};
+
+/**
+ * Inside the charge.dispute.create transaction: records the provider's
+ * chargeback against the internal dispute that froze the payment. A
+ * redelivered event with a new id only links the dispute if it was missing.
+ */
+export const recordChargebackOpened = async (client, payment, options = {}) => {
+  const result = await client.query(
+    `INSERT INTO payment_chargebacks
+       (payment_id, dispute_id, provider, provider_dispute_id, provider_status,
+        amount, currency, reason, due_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (provider, provider_dispute_id) DO UPDATE
+     SET dispute_id = COALESCE(payment_chargebacks.dispute_id, EXCLUDED.dispute_id),
+         updated_at = NOW()
+     RETURNING *`,
+    [
+      payment.id,
+      options.disputeId ?? null,
+      options.provider,
+      options.providerDisputeId,
+      options.providerStatus ?? null,
+      payment.amount,
+      payment.currency,
+      options.reason ?? null,
+      parseProviderDate(options.dueAt),
+    ],
+  );
+  return result.rows[0];
+};
+
+/**
+ * Locks the chargeback a dispute webhook refers to: by the provider's
+ * dispute id, else the latest open chargeback on the charge reference.
+ */
+const lockChargeback = async (client, { provider, providerDisputeId, reference }) => {
+  if (providerDisputeId) {
+    const byId = await client.query(
+      `SELECT c.*, p.provider_ref AS reference
+       FROM payment_chargebacks c
+       JOIN payments p ON p.id = c.payment_id
+       WHERE c.provider = $1
+         AND c.provider_dispute_id = $2
+       FOR UPDATE OF c`,
+      [provider, String(providerDisputeId)],
+    );
+    if (byId.rows.length > 0) {
+      return byId.rows[0];
+    }
+  }
+
+  if (!reference) {
+    return null;
+  }
+  const byReference = await client.query(
+    `SELECT c.*, p.provider_ref AS reference
+     FROM payment_chargebacks c
+     JOIN payments p ON p.id = c.payment_id
+     WHERE c.provider = $1
+       AND p.provider_ref = $2
+       AND c.status = 'open'
+     ORDER BY c.id DESC
+     LIMIT 1
+     FOR UPDATE OF c`,
+    [provider, reference],
+  );
+  return byReference.rows[0] ?? null;
+};
+
+/**
+ * charge.dispute.remind: the provider's deadline is close. Escalates the
+ * internal dispute to under_review and tells the admins what is due.
+ * Returns null when the chargeback is unknown.
+ */
+export const remindChargeback = async (details) => {
+  const client = await pool.connect();
+  let chargeback;
+  try {
+    await client.query("BEGIN");
+
+    const locked = await lockChargeback(client, details);
+    if (!locked || locked.status !== CHARGEBACK_STATUS.OPEN) {
+      await client.query("ROLLBACK");
+      return locked;
+    }
+
+    const updated = await client.query(
+      `UPDATE payment_chargebacks
+       SET reminded_at = NOW(),
+           due_at = COALESCE($1, due_at),
+           provider_status = COALESCE($2, provider_status),
+           updated_at = NOW()
+       WHERE id = $3
+       RETURNING *`,
+      [parseProviderDate(details.dueAt), details.providerStatus ?? null, locked.id],
+    );
+    chargeback = { ...updated.rows[0], reference: locked.reference };
+
+    if (locked.dispute_id) {
+      await client.query(
+        "UPDATE disputes SET status = 'under_review' WHERE id = $1 AND status = 'open'",
+        [locked.dispute_id],
+      );
+    }
+
+    await client.query("COMMIT");
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const due = chargeback.due_at
+    ? new Date(chargeback.due_at).toISOString().slice(0, 16).replace("T", " ")
+    : "soon";
+  const evidence = chargeback.evidence_submitted_at
+    ? "Evidence has been submitted."
+    : "No evidence has been submitted yet.";
+  await notifyAdminsOfChargeback(
+    `Chargeback ${chargeback.id} of ${formatMoney(chargeback.amount, chargeback.currency)} on payment ${chargeback.payment_id} is due ${due} UTC. ${evidence}`,
+    chargeback.dispute_id ?? chargeback.payment_id,
+  );
+  return chargeback;
+};
+
+const closeInternalDispute = async (client, disputeId, status, resolution) => {
+  if (!disputeId) {
+    return;
+  }
+  await client.query(
+    `UPDATE disputes
+     SET status = $1,
+         resolution = $2,
+         resolved_at = NOW()
+     WHERE id = $3
+       AND status IN ('open', 'under_review')`,
+    [status, resolution, disputeId],
+  );
+};
+
+/**
+ * Reverses a lost chargeback through the ledger: the refund ledger takes the
+ * money back from escrow (or from the student and platform fee after a
+ * release, leaving a receivable for what the student has already spent)
+ * into the company's balance, and settleChargebackLoss pays it out to the
+ * card. Returns false when the loss cannot be posted automatically and an
+ * admin has to recover it.
+ */
+const postChargebackClawback = async (client, payment, chargeback, source) => {
+  if (!["paid", "released"].includes(payment.status)) {
+    return false;
+  }
+  if ((await getMilestoneSummary(payment.id, { client })).total > 0) {
+    return false;
+  }
+
+  const companyUserId = Number(payment.company_user_id);
+  const studentUserId = Number(payment.student_user_id);
+  const refundResult = await applyPaymentRefundLedger(client, payment, {
+    idempotencyPrefix: `payment:${payment.id}:${payment.status}->refunded:chargeback`,
+    companyUserId,
+    studentUserId:
+      Number.isInteger(studentUserId) && studentUserId > 0 ? studentUserId : undefined,
+  });
+  await syncWalletAvailableBalances(client, refundResult.walletUserIds ?? []);
+  await settleChargebackLoss(client, chargeback, companyUserId);
+
+  await transitionPaymentStatus(client, payment, "refunded", {
+    source,
+    reason: "chargeback_lost",
+    metadata: { chargeback_id: chargeback.id, provider: chargeback.provider },
+    clearDispute: true,
+  });
+
+  await appendFinancialEventLog(
+    {
+      eventType: FINANCIAL_EVENT_TYPE.CHARGEBACK_CLAWBACK,
+      userId: companyUserId,
+      paymentId: payment.id,
+      disputeId: chargeback.dispute_id,
+      eventPayload: {
+        chargeback_id: chargeback.id,
+        provider: chargeback.provider,
+        amount: chargeback.amount,
+        refund_type: refundResult.refundType,
+        reference: chargeback.reference,
+        source,
+      },
+    },
+    { client },
+  );
+  return true;
+};
+
+const logDisputeOutcome = async (client, payment, chargeback, details) => {
+  const userIds = [...new Set([Number(payment.user_id), Number(payment.student_user_id)])]
+    .filter((userId) => Number.isInteger(userId) && userId > 0);
+  for (const userId of userIds) {
+    await createRiskAuditLog(
+      {
+        userId,
+        actionType: RISK_AUDIT_ACTION.DISPUTE_RESOLVED,
+        reason: `CHARGEBACK_${details.outcome.toUpperCase()}`,
+        relatedPaymentId: payment.id,
+      },
+      { client },
+    );
+    await appendFinancialEventLog(
+      {
+        eventType: FINANCIAL_EVENT_TYPE.DISPUTE_RESOLVED,
+        userId,
+        paymentId: payment.id,
+        disputeId: chargeback.dispute_id,
+        eventPayload: {
+          status: details.disputeStatus,
+          chargeback_id: chargeback.id,
+          outcome: details.outcome,
+          clawback_status: details.clawbackStatus ?? null,
+          source: details.source,
+        },
+      },
+      { client },
+    );
+  }
+};
+
+/**
+ * charge.dispute.resolve: applies the provider's decision. A won chargeback
+ * closes the internal dispute and lifts the payment freeze; a lost one
+ * posts the clawback and refunds the payment, or escalates the dispute to
+ * an admin when the money cannot be recovered automatically. Returns null
+ * when the chargeback is unknown.
+ */
+export const resolveChargeback = async (details) => {
+  const { resolution, source } = details;
+  const outcome = getChargebackOutcome(resolution);
+  if (!outcome) {
+    const err = new Error(`Unknown chargeback resolution: ${resolution}`);
+    err.status = 400;
+    throw err;
+  }
+
+  const client = await pool.connect();
+  let result;
+  try {
+    await client.query("BEGIN");
+
+    const chargeback = await lockChargeback(client, details);
+    if (!chargeback || chargeback.status !== CHARGEBACK_STATUS.OPEN) {
+      await client.query("ROLLBACK");
+      return chargeback ? { chargeback, updated: false } : null;
+    }
+
+    const paymentResult = await client.query(
+      `SELECT p.*, a.user_id AS student_user_id, c.user_id AS company_user_id
+       FROM payments p
+       LEFT JOIN applications a ON a.id = p.application_id
+       LEFT JOIN companies c ON c.id = p.company_id
+       WHERE p.id = $1
+       FOR UPDATE OF p`,
+      [chargeback.payment_id],
+    );
+    const payment = paymentResult.rows[0];
+
+    let clawbackStatus = null;
+    let disputeStatus;
+    if (outcome === CHARGEBACK_STATUS.WON) {
+      disputeStatus = "rejected";
+      await closeInternalDispute(client, chargeback.dispute_id, disputeStatus, null);
+      await client.query("UPDATE payments SET disputed = false WHERE id = $1", [payment.id]);
+    } else if (await postChargebackClawback(client, payment, chargeback, source)) {
+      clawbackStatus = CLAWBACK_STATUS.POSTED;
+      disputeStatus = "resolved";
+      await closeInternalDispute(
+        client,
+        chargeback.dispute_id,
+        disputeStatus,
+        "refund_to_company",
+      );
+    } else {
+      // The payment stays frozen until an admin settles the loss by hand.
+      clawbackStatus = CLAWBACK_STATUS.MANUAL;
+      disputeStatus = "under_review";
+      if (chargeback.dispute_id) {
+        await client.query(
+          "UPDATE disputes SET status = 'under_review' WHERE id = $1 AND status = 'open'",
+          [chargeback.dispute_id],
+        );
+      }
+    }
+
+    const updated = await client.query(
+      `UPDATE payment_chargebacks
+       SET status = $1,
+           resolution = $2,
+           provider_status = COALESCE($3, provider_status),
+           clawback_status = $4,
+           resolved_at = NOW(),
+           updated_at = NOW()
+       WHERE id = $5
+       RETURNING *`,
+      [outcome, resolution, details.providerStatus ?? null, clawbackStatus, chargeback.id],
+    );
+
+    await logDisputeOutcome(client, payment, chargeback, {
+      outcome,
+      disputeStatus,
+      clawbackStatus,
+      source,
+    });
+
+    result = {
+      chargeback: { ...updated.rows[0], reference: chargeback.reference },
+      payment,
+      updated: true,
+    };
+
+    await client.query("COMMIT");
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const { chargeback, payment } = result;
+  await refreshRiskProfilesForUsers([
+    Number(payment.user_id),
+    Number(payment.student_user_id),
+  ]);
+
+  const amount = formatMoney(chargeback.amount, chargeback.currency);
+  if (chargeback.status === CHARGEBACK_STATUS.WON) {
+    await safeNotify(
+      payment.user_id,
+      "chargeback_won",
+      `The card dispute on your ${amount} payment was decided in Acader's favour, so the payment is active again.`,
+      payment.id,
+    );
+  } else if (chargeback.clawback_status === CLAWBACK_STATUS.POSTED) {
+    await safeNotify(
+      payment.user_id,
+      "chargeback_lost",
+      `The card dispute on your ${amount} payment was decided in your favour and the money was returned to your card.`,
+      payment.id,
+    );
+  } else {
+    await notifyAdminsOfChargeback(
+      `Chargeback ${chargeback.id} of ${amount} on payment ${payment.id} was lost, but the clawback could not be posted automatically. Recover it by hand; the payment stays frozen.`,
+      chargeback.dispute_id ?? payment.id,
+    );
+  }
+
+  return result;
+};
+
+// While the provider is still deciding, admins may not close the dispute.
+export const hasOpenChargeback = async (disputeId, options = {}) => {
+  const db = options.client ?? pool;
+  const result = await db.query(
+    "SELECT 1 FROM payment_chargebacks WHERE dispute_id = $1 AND status = 'open' LIMIT 1",
+    [disputeId],
+  );
+  return result.rows.length > 0;
+};
+
+export const getChargebackForDispute = async (disputeId, options = {}) => {
+  const db = options.client ?? pool;
+  const result = await db.query(
+    `SELECT c.*, p.provider_ref AS reference
+     FROM payment_chargebacks c
+     JOIN payments p ON p.id = c.payment_id
+     WHERE c.dispute_id = $1
+     ORDER BY c.id DESC
+     LIMIT 1`,
+    [disputeId],
+  );
+  if (result.rows.length === 0) {
+    const err = new Error("No provider chargeback for this dispute");
+    err.status = 404;
+    throw err;
+  }
+  return result.rows[0];
+};
+
+/**
+ * Gathers what the platform knows about the work behind a payment: who paid,
+ * the project and its deliverables, what the parties wrote, and when each
+ * step happened.
+ */
+export const compileChargebackEvidence = async (paymentId) => {
+  const paymentResult = await pool.query(
+    `SELECT
+       p.id, p.amount, p.currency, p.provider_ref, p.created_at, p.paid_at,
+       p.released_at, p.project_id, p.application_id,
+       u.email AS customer_email,
+       COALESCE(u.full_name, c.name) AS customer_name,
+       u.phone AS customer_phone,
+       c.name AS company_name,
+       pr.title AS project_title,
+       pr.description AS project_description,
+       pr.created_at AS project_created_at,
+       pr.completed_at AS project_completed_at,
+       a.cover_letter,
+       a.created_at AS applied_at,
+       a.decided_at AS application_decided_at
+     FROM payments p
+     LEFT JOIN users u ON u.id = p.user_id
+     LEFT JOIN companies c ON c.id = p.company_id
+     LEFT JOIN projects pr ON pr.id = p.project_id
+     LEFT JOIN applications a ON a.id = p.application_id
+     WHERE p.id = $1`,
+    [paymentId],
+  );
+  if (paymentResult.rows.length === 0) {
+    const err = new Error("Payment not found");
+    err.status = 404;
+    throw err;
+  }
+  const row = paymentResult.rows[0];
+
+  const [milestones, reviews, history] = await Promise.all([
+    pool.query(
+      `SELECT title, amount, status, deliverable_url, deliverable_note, submitted_at
+       FROM payment_milestones
+       WHERE payment_id = $1
+       ORDER BY position ASC, id ASC`,
+      [paymentId],
+    ),
+    pool.query(
+      `SELECT reviewer_id, rating, comment, created_at
+       FROM reviews
+       WHERE project_id = $1
+       ORDER BY created_at ASC, id ASC`,
+      [row.project_id],
+    ),
+    pool.query(
+      `SELECT from_status, to_status, source, created_at
+       FROM payment_status_history
+       WHERE payment_id = $1
+       ORDER BY created_at ASC, id ASC`,
+      [paymentId],
+    ),
+  ]);
+
+  const messages = [];
+  if (row.cover_letter) {
+    messages.push({
+      kind: "application",
+      body: row.cover_letter,
+      created_at: row.applied_at,
+    });
+  }
+  for (const review of reviews.rows) {
+    if (review.comment) {
+      messages.push({
+        kind: "review",
+        rating: review.rating,
+        body: review.comment,
+        created_at: review.created_at,
+      });
+    }
+  }
+
+  return {
+    customer: {
+      name: row.customer_name,
+      email: row.customer_email,
+      phone: row.customer_phone,
+      company: row.company_name,
+    },
+    payment: {
+      id: row.id,
+      amount: row.amount,
+      currency: row.currency,
+      reference: row.provider_ref,
+      created_at: row.created_at,
+      paid_at: row.paid_at,
+      released_at: row.released_at,
+    },
+    project: {
+      id: row.project_id,
+      title: row.project_title,
+      description: row.project_description,
+      created_at: row.project_created_at,
+      accepted_at: row.application_decided_at,
+      completed_at: row.project_completed_at,
+    },
+    deliverables: milestones.rows,
+    messages,
+    timeline: history.rows,
+  };
+};
+
+const toIso = (value) => (value ? new Date(value).toISOString() : "n/a");
+
+// The provider takes the evidence as one free-text field.
+const formatServiceDetails = (evidence, notes) => {
+  const { payment, project } = evidence;
+  const lines = [
+    `Payment ${payment.reference ?? payment.id}: ${formatMoney(payment.amount, payment.currency)} held in escrow for the project "${project.title ?? project.id}".`,
+    `Project created ${toIso(project.created_at)}, freelancer accepted ${toIso(project.accepted_at)}, completed ${toIso(project.completed_at)}.`,
+    `Paid ${toIso(payment.paid_at)}, released to the freelancer ${toIso(payment.released_at)}.`,
+  ];
+  if (project.description) {
+    lines.push(`Scope: ${project.description}`);
+  }
+  for (const deliverable of evidence.deliverables) {
+    lines.push(
+      `Deliverable "${deliverable.title}" (${deliverable.status}) submitted ${toIso(deliverable.submitted_at)}: ${[deliverable.deliverable_url, deliverable.deliverable_note].filter(Boolean).join(" - ") || "no details"}`,
+    );
+  }
+  for (const message of evidence.messages) {
+    lines.push(`${message.kind} message ${toIso(message.created_at)}: ${message.body}`);
+  }
+  for (const step of evidence.timeline) {
+    lines.push(`${toIso(step.created_at)}: ${step.from_status ?? "created"} -> ${step.to_status} (${step.source})`);
+  }
+  if (notes) {
+    lines.push(`Notes: ${notes}`);
+  }
+  return lines.join("\n");
+};
+
+/**
+ * Compiles the evidence for a dispute's open chargeback and uploads it to
+ * the provider. Sending again replaces what was sent before.
+ */
+export const submitChargebackEvidence = async (disputeId, { adminId, notes = null }) => {
+  const chargeback = await getChargebackForDispute(disputeId);
+  if (chargeback.status !== CHARGEBACK_STATUS.OPEN) {
+    const err = new Error("The provider has already decided this chargeback");
+    err.status = 409;
+    throw err;
+  }
+
+  const evidence = await compileChargebackEvidence(chargeback.payment_id);
+  const deliveryDate = evidence.project.completed_at ?? evidence.payment.released_at;
+  const submitted = await getPaymentProvider(chargeback.provider).submitDisputeEvidence({
+    disputeId: chargeback.provider_dispute_id,
+    customerEmail: evidence.customer.email,
+    customerName: evidence.customer.name,
+    customerPhone: evidence.customer.phone,
+    serviceDetails: formatServiceDetails(evidence, notes),
+    deliveryDate: deliveryDate ? new Date(deliveryDate).toISOString().slice(0, 10) : null,
+  });
+
+  const updated = await pool.query(
+    `UPDATE payment_chargebacks
+     SET evidence = $1::jsonb,
+         provider_evidence_id = $2,
+         evidence_submitted_at = NOW(),
+         evidence_submitted_by = $3,
+         updated_at = NOW()
+     WHERE id = $4
+     RETURNING *`,
+    [
+      JSON.stringify({ ...evidence, notes }),
+      submitted?.evidenceId === undefined || submitted?.evidenceId === null
+        ? null
+        : String(submitted.evidenceId),
+      adminId,
+      chargeback.id,
+    ],
+  );
+
+  await appendFinancialEventLog({
+    eventType: FINANCIAL_EVENT_TYPE.CHARGEBACK_EVIDENCE_SUBMITTED,
+    userId: adminId,
+    paymentId: chargeback.payment_id,
+    disputeId,
+    eventPayload: {
+      chargeback_id: chargeback.id,
+      provider: chargeback.provider,
+      provider_dispute_id: chargeback.provider_dispute_id,
+      provider_evidence_id: updated.rows[0].provider_evidence_id,
+    },
+  });
+
+  return updated.rows[0];
+};
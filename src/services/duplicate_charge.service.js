@@ -0,0 +1,165 @@
+import pool from "../config/db.js";
+import { safeNotify } from "../utils/notify.js";
+import { formatMoney } from "../utils/currency.js";
+import {
+  DEFAULT_PAYMENT_PROVIDER,
+  getPaymentProvider,
+  isSupportedPaymentProvider,
+} from "./payment_providers/index.js";
+import { findOpenApplicationPayment } from "./payment_state.service.js";
+
+export const DUPLICATE_CHARGE_STATUS = {
+  PENDING: "pending",
+  REFUND_REQUESTED: "refund_requested",
+  REFUNDED: "refunded",
+  REFUND_FAILED: "refund_failed",
+};
+
+const notifyAdminsOfDuplicateCharge = async (message, relatedId) => {
+  const admins = await pool.query(
+    "SELECT id FROM users WHERE role = 'admin' ORDER BY id ASC",
+  );
+  for (const admin of admins.rows) {
+    await safeNotify(admin.id, "duplicate_charge", message, relatedId);
+  }
+};
+
+/**
+ * Why a successful charge under the payment's reference must not fund its
+ * escrow, or null when it should.
+ */
+export const getDuplicateFundingReason = async (client, payment) => {
+  if (payment.funding_source === "wallet") {
+    return `payment #${payment.id} was already funded from the company wallet`;
+  }
+  // A late charge on an abandoned or failed payment arrives after the
+  // company may have started a new payment for the same application.
+  if (["pending", "failed", "abandoned"].includes(payment.status) && payment.application_id) {
+    const other = await findOpenApplicationPayment(payment.application_id, {
+      client,
+      excludePaymentId: payment.id,
+    });
+    if (other) {
+      return `application #${payment.application_id} already has payment #${other.id} (${other.status})`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Inside the caller's transaction: records a charge the gateway collected
+ * for money that is already held, instead of funding escrow with it. A
+ * replayed webhook for the same reference returns null. Call
+ * refundDuplicateCharge once the transaction has committed.
+ */
+export const recordDuplicateCharge = async (client, charge) => {
+  const { paymentId = null, provider, reference, amount, currency, reason } = charge;
+  const inserted = await client.query(
+    `INSERT INTO duplicate_charges
+       (payment_id, provider, provider_ref, amount, currency, reason)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (provider_ref) DO NOTHING
+     RETURNING *`,
+    [
+      paymentId,
+      isSupportedPaymentProvider(provider)
+        ? String(provider).toLowerCase()
+        : DEFAULT_PAYMENT_PROVIDER,
+      reference,
+      amount,
+      currency,
+      reason,
+    ],
+  );
+  return inserted.rows[0] ?? null;
+};
+
+/**
+ * Asks the gateway to send a duplicate charge back and tells admins. The
+ * refund.* webhook settles it; a definite refusal marks it refund_failed
+ * and anything else leaves it pending for an admin to check.
+ */
+export const refundDuplicateCharge = async (chargeId) => {
+  const current = await pool.query("SELECT * FROM duplicate_charges WHERE id = $1", [
+    chargeId,
+  ]);
+  const charge = current.rows[0];
+  if (!charge || charge.status !== DUPLICATE_CHARGE_STATUS.PENDING) {
+    return charge ?? null;
+  }
+
+  const label = `${formatMoney(charge.amount, charge.currency)} charged under ${charge.provider_ref}`;
+  let providerRefund;
+  try {
+    providerRefund = await getPaymentProvider(charge.provider).refund({
+      reference: charge.provider_ref,
+      amount: charge.amount,
+    });
+  } catch (err) {
+    const failed = await pool.query(
+      `UPDATE duplicate_charges
+       SET status = $1, failure_reason = $2, updated_at = NOW()
+       WHERE id = $3
+       RETURNING *`,
+      [
+        err.providerRejected
+          ? DUPLICATE_CHARGE_STATUS.REFUND_FAILED
+          : DUPLICATE_CHARGE_STATUS.PENDING,
+        err.message,
+        charge.id,
+      ],
+    );
+    await notifyAdminsOfDuplicateCharge(
+      `${label} duplicated money Acader already holds (${charge.reason}), and ${charge.provider} did not accept the refund: ${err.message}. Refund it by hand.`,
+      charge.payment_id,
+    );
+    return failed.rows[0];
+  }
+
+  const requested = await pool.query(
+    `UPDATE duplicate_charges
+     SET status = $1, provider_refund_id = $2, failure_reason = NULL, updated_at = NOW()
+     WHERE id = $3
+     RETURNING *`,
+    [
+      DUPLICATE_CHARGE_STATUS.REFUND_REQUESTED,
+      providerRefund?.refundId === undefined || providerRefund?.refundId === null
+        ? null
+        : String(providerRefund.refundId),
+      charge.id,
+    ],
+  );
+  await notifyAdminsOfDuplicateCharge(
+    `${label} duplicated money Acader already holds (${charge.reason}). A refund was requested from ${charge.provider}.`,
+    charge.payment_id,
+  );
+  return requested.rows[0];
+};
+
+/**
+ * refund.* webhook for a duplicate charge's reference. Returns null when
+ * no refund of a duplicate charge is waiting on that reference.
+ */
+export const finalizeDuplicateChargeRefund = async (reference, refunded, reason = null) => {
+  const updated = await pool.query(
+    `UPDATE duplicate_charges
+     SET status = $1, failure_reason = $2, updated_at = NOW()
+     WHERE provider_ref = $3
+       AND status = $4
+     RETURNING *`,
+    [
+      refunded ? DUPLICATE_CHARGE_STATUS.REFUNDED : DUPLICATE_CHARGE_STATUS.REFUND_FAILED,
+      refunded ? null : reason,
+      reference,
+      DUPLICATE_CHARGE_STATUS.REFUND_REQUESTED,
+    ],
+  );
+  const charge = updated.rows[0] ?? null;
+  if (charge && !refunded) {
+    await notifyAdminsOfDuplicateCharge(
+      `The refund of ${formatMoney(charge.amount, charge.currency)} charged twice under ${reference} failed: ${reason}. Refund it by hand.`,
+      charge.payment_id,
+    );
+  }
+  return charge;
+};
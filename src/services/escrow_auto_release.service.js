@@ -0,0 +1,212 @@
+import pool from "../config/db.js";
+import { safeNotify } from "../utils/notify.js";
+import { formatMoney } from "../utils/currency.js";
+import { releasePaymentEscrow } from "./payment_release.service.js";
+import { getWalletRestriction } from "./fraud/review_queue.js";
+import {
+  createRiskAuditLog,
+  RISK_AUDIT_ACTION,
+} from "./fraud/risk_audit.js";
+import {
+  appendFinancialEventLog,
+  FINANCIAL_EVENT_TYPE,
+} from "./financial_event_log.service.js";
+
+const DEFAULT_REVIEW_WINDOW_HOURS = 72;
+const DEFAULT_REMINDER_HOURS = [48, 24];
+
+export const getReviewWindowHours = () => {
+  const parsed = Number(process.env.ESCROW_AUTO_RELEASE_HOURS);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_REVIEW_WINDOW_HOURS;
+};
+
+// Hours before the deadline at which the company is reminded, largest first.
+const getReminderHours = () => {
+  const raw = process.env.ESCROW_AUTO_RELEASE_REMINDER_HOURS;
+  if (raw === undefined || raw.trim() === "") {
+    return DEFAULT_REMINDER_HOURS;
+  }
+  return raw
+    .split(",")
+    .map((value) => Number(value.trim()))
+    .filter((value) => Number.isFinite(value) && value > 0)
+    .sort((a, b) => b - a);
+};
+
+/**
+ * Paid, undisputed single-release payments whose project is completed, with
+ * the hours left in the review window (negative once it has expired).
+ * Milestone payments are released milestone by milestone and are skipped.
+ */
+const listCandidatePayments = async (windowHours) => {
+  const result = await pool.query(
+    `
+    SELECT
+      pay.*,
+      c.user_id AS company_user_id,
+      a.user_id AS student_user_id,
+      p.title AS project_title,
+      EXTRACT(EPOCH FROM (
+        p.completed_at + make_interval(secs => $1::numeric * 3600) - NOW()
+      )) / 3600 AS hours_remaining
+    FROM payments pay
+    JOIN projects p ON p.id = pay.project_id
+    JOIN applications a ON a.id = pay.application_id
+    LEFT JOIN companies c ON c.id = pay.company_id
+    WHERE pay.status = 'paid'
+      AND pay.disputed = false
+      AND p.status = 'completed'
+      AND p.completed_at IS NOT NULL
+      AND a.status = 'accepted'
+      AND NOT EXISTS (
+        SELECT 1 FROM payment_milestones m WHERE m.payment_id = pay.id
+      )
+      AND NOT EXISTS (
+        SELECT 1
+        FROM disputes d
+        WHERE d.payment_id = pay.id
+          AND d.status NOT IN ('resolved', 'rejected')
+      )
+    ORDER BY p.completed_at ASC, pay.id ASC
+    `,
+    [windowHours],
+  );
+  return result.rows;
+};
+
+const sendReminder = async (payment, remindersDue) => {
+  // Guarded update so overlapping runs send each reminder once.
+  const claimed = await pool.query(
+    `UPDATE payments
+     SET auto_release_reminders_sent = $1
+     WHERE id = $2
+       AND auto_release_reminders_sent < $1
+     RETURNING id`,
+    [remindersDue, payment.id],
+  );
+  if (claimed.rowCount === 0) {
+    return false;
+  }
+
+  const hoursLeft = Math.max(Math.ceil(Number(payment.hours_remaining)), 1);
+  await safeNotify(
+    payment.company_user_id,
+    "escrow_auto_release_reminder",
+    `${formatMoney(payment.amount, payment.currency)} for "${payment.project_title ?? payment.project_id}" will be released to the student in about ${hoursLeft} hour(s) unless you open a dispute.`,
+    payment.id,
+  );
+  return true;
+};
+
+const recordRestrictedRelease = async (payment) => {
+  const flagged = await pool.query(
+    `UPDATE payments
+     SET auto_release_blocked_at = NOW()
+     WHERE id = $1
+       AND auto_release_blocked_at IS NULL
+     RETURNING id`,
+    [payment.id],
+  );
+  if (flagged.rowCount === 0) {
+    return;
+  }
+
+  try {
+    await createRiskAuditLog({
+      userId: payment.student_user_id,
+      actionType: RISK_AUDIT_ACTION.ESCROW_RELEASE_REJECTED,
+      reason: "STUDENT_RESTRICTED",
+      relatedPaymentId: payment.id,
+    });
+    await appendFinancialEventLog({
+      eventType: FINANCIAL_EVENT_TYPE.ESCROW_RELEASE_REJECTED,
+      userId: payment.student_user_id,
+      paymentId: payment.id,
+      eventPayload: {
+        reason: "STUDENT_RESTRICTED",
+        source: "auto_release",
+      },
+    });
+  } catch (auditErr) {
+    console.error("[auto_release] release rejection log failed", auditErr.message);
+  }
+};
+
+/**
+ * Release one payment whose review window expired. A dispute or manual
+ * release since the candidate query makes the guarded update miss, which
+ * is reported as null rather than an error.
+ */
+export const autoReleasePayment = async (candidate) => {
+  let released;
+  try {
+    released = await releasePaymentEscrow(
+      {
+        payment: candidate,
+        companyUserId: candidate.company_user_id,
+        studentUserId: candidate.student_user_id,
+      },
+      { source: "auto_release", reason: "AUTO_RELEASE" },
+    );
+  } catch (err) {
+    if (err.status === 409) {
+      return null;
+    }
+    throw err;
+  }
+
+  await safeNotify(
+    candidate.company_user_id,
+    "payment_auto_released",
+    `The review window for "${candidate.project_title ?? candidate.project_id}" ended, so ${formatMoney(released.amount, released.currency)} was released to the student.`,
+    released.id,
+  );
+
+  return released;
+};
+
+/**
+ * One pass of the auto-release job: remind companies inside the review
+ * window and release escrow once it has expired without a dispute.
+ */
+export const runEscrowAutoRelease = async () => {
+  const windowHours = getReviewWindowHours();
+  const reminderHours = getReminderHours();
+  const summary = { candidates: 0, reminded: 0, released: 0, restricted: 0, failed: 0 };
+
+  const candidates = await listCandidatePayments(windowHours);
+  summary.candidates = candidates.length;
+
+  for (const payment of candidates) {
+    const hoursRemaining = Number(payment.hours_remaining);
+    try {
+      if (hoursRemaining > 0) {
+        const remindersDue = reminderHours.filter((hours) => hoursRemaining <= hours).length;
+        if (remindersDue > Number(payment.auto_release_reminders_sent ?? 0)) {
+          if (await sendReminder(payment, remindersDue)) {
+            summary.reminded += 1;
+          }
+        }
+        continue;
+      }
+
+      if (await getWalletRestriction(payment.student_user_id)) {
+        summary.restricted += 1;
+        await recordRestrictedRelease(payment);
+        continue;
+      }
+
+      if (await autoReleasePayment(payment)) {
+        summary.released += 1;
+      }
+    } catch (err) {
+      summary.failed += 1;
+      console.error("[auto_release] payment failed", {
+        paymentId: payment.id,
+        error: err.message,
+      });
+    }
+  }
+
+  return summary;
+};
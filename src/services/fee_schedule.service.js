@@ -0,0 +1,459 @@
+import pool from "../config/db.js";
+import { isSupportedCurrency, normalizeCurrency } from "../utils/currency.js";
+
+export const FEE_TYPE = {
+  PERCENTAGE: "percentage",
+  FLAT: "flat",
+};
+
+const SCOPE_COLUMNS = ["company_id", "project_category", "student_tier"];
+
+const FEE_SCHEDULE_COLUMNS = `
+  id, name, fee_type, rate, currency, min_fee, max_fee, company_id,
+  project_category, student_tier, priority, effective_from, effective_to,
+  active, created_by, created_at, updated_at
+`;
+
+const fail = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const roundToCurrency = (value) =>
+  Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const toNumberOrNull = (value) =>
+  value === null || value === undefined ? null : Number(value);
+
+/**
+ * The fallback percentage when no fee schedule matches. Unset or invalid
+ * values mean no fee.
+ */
+export const getPlatformFeePercent = () => {
+  const parsed = Number(process.env.PLATFORM_FEE_PERCENT ?? 0);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    return 0;
+  }
+  return Math.min(parsed, 100);
+};
+
+/**
+ * Project categories and student tiers are free-form labels compared
+ * case-insensitively, so they are stored trimmed and lower-cased.
+ */
+export const normalizeFeeScopeLabel = (value) => {
+  if (value === null) {
+    return null;
+  }
+  if (typeof value !== "string" || !value.trim() || value.trim().length > 60) {
+    return undefined;
+  }
+  return value.trim().toLowerCase();
+};
+
+const parseAmount = (value) => {
+  if (value === null) {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? roundToCurrency(parsed) : undefined;
+};
+
+const parseTimestamp = (value) => {
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? undefined : parsed.toISOString();
+};
+
+/**
+ * Validates a fee schedule body. With `existing`, only the given keys are
+ * returned but the cross-field rules are checked against the merged row.
+ */
+export const parseFeeScheduleInput = (body, existing = null) => {
+  const fields = {};
+  const input = body ?? {};
+  const creating = existing === null;
+
+  if (input.name !== undefined || creating) {
+    if (typeof input.name !== "string" || !input.name.trim()) {
+      return { error: "name is required" };
+    }
+    fields.name = input.name.trim();
+  }
+
+  if (input.fee_type !== undefined || creating) {
+    if (!Object.values(FEE_TYPE).includes(input.fee_type)) {
+      return { error: "fee_type must be percentage or flat" };
+    }
+    fields.fee_type = input.fee_type;
+  }
+
+  if (input.rate !== undefined || creating) {
+    const rate = Number(input.rate);
+    if (input.rate === null || input.rate === "" || !Number.isFinite(rate) || rate < 0) {
+      return { error: "rate must be a number of 0 or more" };
+    }
+    fields.rate = rate;
+  }
+
+  if (input.currency !== undefined) {
+    if (input.currency !== null && !isSupportedCurrency(input.currency)) {
+      return { error: "Unsupported currency" };
+    }
+    fields.currency = input.currency === null ? null : normalizeCurrency(input.currency);
+  }
+
+  for (const key of ["min_fee", "max_fee"]) {
+    if (input[key] !== undefined) {
+      const amount = parseAmount(input[key]);
+      if (amount === undefined) {
+        return { error: `${key} must be a number of 0 or more` };
+      }
+      fields[key] = amount;
+    }
+  }
+
+  if (input.company_id !== undefined) {
+    const companyId = input.company_id === null ? null : Number(input.company_id);
+    if (companyId !== null && (!Number.isInteger(companyId) || companyId <= 0)) {
+      return { error: "Invalid company_id" };
+    }
+    fields.company_id = companyId;
+  }
+
+  for (const key of ["project_category", "student_tier"]) {
+    if (input[key] !== undefined) {
+      const label = normalizeFeeScopeLabel(input[key]);
+      if (label === undefined) {
+        return { error: `${key} must be a label of up to 60 characters` };
+      }
+      fields[key] = label;
+    }
+  }
+
+  if (input.priority !== undefined) {
+    if (!Number.isInteger(input.priority)) {
+      return { error: "priority must be an integer" };
+    }
+    fields.priority = input.priority;
+  }
+
+  if (input.effective_from !== undefined) {
+    const from = parseTimestamp(input.effective_from);
+    if (input.effective_from === null || from === undefined) {
+      return { error: "Invalid effective_from" };
+    }
+    fields.effective_from = from;
+  }
+
+  if (input.effective_to !== undefined) {
+    const to = input.effective_to === null ? null : parseTimestamp(input.effective_to);
+    if (to === undefined) {
+      return { error: "Invalid effective_to" };
+    }
+    fields.effective_to = to;
+  }
+
+  if (input.active !== undefined) {
+    if (typeof input.active !== "boolean") {
+      return { error: "active must be a boolean" };
+    }
+    fields.active = input.active;
+  }
+
+  const merged = { ...(existing ?? {}), ...fields };
+  const minFee = toNumberOrNull(merged.min_fee);
+  const maxFee = toNumberOrNull(merged.max_fee);
+
+  if (merged.fee_type === FEE_TYPE.PERCENTAGE && Number(merged.rate) > 100) {
+    return { error: "A percentage rate cannot exceed 100" };
+  }
+  if (
+    !merged.currency &&
+    (merged.fee_type === FEE_TYPE.FLAT || minFee !== null || maxFee !== null)
+  ) {
+    return { error: "currency is required for flat fees, minimums and caps" };
+  }
+  if (minFee !== null && maxFee !== null && minFee > maxFee) {
+    return { error: "min_fee cannot be greater than max_fee" };
+  }
+  if (
+    merged.effective_to &&
+    new Date(merged.effective_to) <= new Date(merged.effective_from ?? Date.now())
+  ) {
+    return { error: "effective_to must be after effective_from" };
+  }
+
+  return { fields };
+};
+
+const assertCompanyExists = async (companyId) => {
+  if (companyId === null || companyId === undefined) {
+    return;
+  }
+  const result = await pool.query("SELECT id FROM companies WHERE id = $1", [companyId]);
+  if (result.rows.length === 0) {
+    throw fail(400, "Company not found");
+  }
+};
+
+export const getFeeSchedule = async (id, options = {}) => {
+  const db = options.client ?? pool;
+  const result = await db.query(
+    `SELECT ${FEE_SCHEDULE_COLUMNS} FROM fee_schedules WHERE id = $1`,
+    [id],
+  );
+  if (result.rows.length === 0) {
+    throw fail(404, "Fee schedule not found");
+  }
+  return result.rows[0];
+};
+
+export const listFeeSchedules = async ({ active, companyId } = {}) => {
+  const filters = [];
+  const values = [];
+  if (active !== undefined) {
+    values.push(active);
+    filters.push(`active = $${values.length}`);
+  }
+  if (companyId !== undefined) {
+    values.push(companyId);
+    filters.push(`company_id = $${values.length}`);
+  }
+
+  const result = await pool.query(
+    `
+    SELECT ${FEE_SCHEDULE_COLUMNS}
+    FROM fee_schedules
+    ${filters.length ? `WHERE ${filters.join(" AND ")}` : ""}
+    ORDER BY active DESC, priority DESC, id DESC
+    `,
+    values,
+  );
+  return result.rows;
+};
+
+export const createFeeSchedule = async (body, adminId) => {
+  const { fields, error } = parseFeeScheduleInput(body);
+  if (error) {
+    throw fail(400, error);
+  }
+  await assertCompanyExists(fields.company_id);
+
+  const columns = Object.keys(fields);
+  const values = columns.map((column) => fields[column]);
+  columns.push("created_by");
+  values.push(adminId);
+
+  const result = await pool.query(
+    `
+    INSERT INTO fee_schedules (${columns.join(", ")})
+    VALUES (${columns.map((_, index) => `$${index + 1}`).join(", ")})
+    RETURNING ${FEE_SCHEDULE_COLUMNS}
+    `,
+    values,
+  );
+  return result.rows[0];
+};
+
+/**
+ * Edits a rule in place. Releases already posted keep the fee recorded in
+ * payment_release_fees, so changing a rule only affects later releases.
+ */
+export const updateFeeSchedule = async (id, body) => {
+  const existing = await getFeeSchedule(id);
+  const { fields, error } = parseFeeScheduleInput(body, existing);
+  if (error) {
+    throw fail(400, error);
+  }
+  await assertCompanyExists(fields.company_id);
+
+  const columns = Object.keys(fields);
+  if (columns.length === 0) {
+    throw fail(400, "No changes provided");
+  }
+
+  const values = columns.map((column) => fields[column]);
+  values.push(id);
+  const result = await pool.query(
+    `
+    UPDATE fee_schedules
+    SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(", ")},
+        updated_at = NOW()
+    WHERE id = $${values.length}
+    RETURNING ${FEE_SCHEDULE_COLUMNS}
+    `,
+    values,
+  );
+  return result.rows[0];
+};
+
+/**
+ * Rules are deactivated rather than deleted so recorded release fees keep
+ * pointing at the rule that produced them.
+ */
+export const deactivateFeeSchedule = async (id) => {
+  const result = await pool.query(
+    `
+    UPDATE fee_schedules
+    SET active = false, updated_at = NOW()
+    WHERE id = $1
+    RETURNING ${FEE_SCHEDULE_COLUMNS}
+    `,
+    [id],
+  );
+  if (result.rows.length === 0) {
+    throw fail(404, "Fee schedule not found");
+  }
+  return result.rows[0];
+};
+
+/**
+ * What a release's fee and taxes can depend on: the paying company, the
+ * project's category and the receiving student's tier.
+ */
+export const loadReleaseScope = async (db, paymentId, studentUserId) => {
+  const result = await db.query(
+    `
+    SELECT pay.company_id, p.category AS project_category, u.student_tier
+    FROM payments pay
+    LEFT JOIN projects p ON p.id = pay.project_id
+    LEFT JOIN users u ON u.id = $2
+    WHERE pay.id = $1
+    `,
+    [paymentId, studentUserId ?? null],
+  );
+  return (
+    result.rows[0] ?? { company_id: null, project_category: null, student_tier: null }
+  );
+};
+
+/**
+ * The active rule for a scope: the one matching the most scopes, then the
+ * highest priority, then the newest.
+ */
+const findApplicableFeeSchedule = async (db, scope, currency) => {
+  const specificity = SCOPE_COLUMNS.map(
+    (column) => `(${column} IS NOT NULL)::int`,
+  ).join(" + ");
+
+  const result = await db.query(
+    `
+    SELECT ${FEE_SCHEDULE_COLUMNS}
+    FROM fee_schedules
+    WHERE active = true
+      AND effective_from <= NOW()
+      AND (effective_to IS NULL OR effective_to > NOW())
+      AND (currency IS NULL OR currency = $1)
+      AND (company_id IS NULL OR company_id = $2)
+      AND (project_category IS NULL OR project_category = $3)
+      AND (student_tier IS NULL OR student_tier = $4)
+    ORDER BY ${specificity} DESC, priority DESC, id DESC
+    LIMIT 1
+    `,
+    [currency, scope.company_id, scope.project_category, scope.student_tier],
+  );
+  return result.rows[0] ?? null;
+};
+
+const computeFeeAmount = (grossAmount, rule) => {
+  let fee =
+    rule.fee_type === FEE_TYPE.FLAT
+      ? Number(rule.rate)
+      : (grossAmount * Number(rule.rate)) / 100;
+
+  const minFee = toNumberOrNull(rule.min_fee);
+  const maxFee = toNumberOrNull(rule.max_fee);
+  if (minFee !== null) {
+    fee = Math.max(fee, minFee);
+  }
+  if (maxFee !== null) {
+    fee = Math.min(fee, maxFee);
+  }
+  return roundToCurrency(fee);
+};
+
+/**
+ * The platform fee for one release. A release already recorded under
+ * `releaseKey` reuses its fee so replays post the same split; otherwise the
+ * applicable fee schedule (or PLATFORM_FEE_PERCENT) is applied.
+ */
+export const resolveReleaseFee = async (
+  db,
+  { paymentId, studentUserId, amount, currency, releaseKey = null },
+) => {
+  if (releaseKey) {
+    const recorded = await db.query(
+      "SELECT * FROM payment_release_fees WHERE release_key = $1",
+      [releaseKey],
+    );
+    if (recorded.rows.length > 0) {
+      const row = recorded.rows[0];
+      return {
+        feeAmount: Number(row.fee_amount),
+        rule: { ...row, id: row.fee_schedule_id },
+        recorded: true,
+      };
+    }
+  }
+
+  const scope = paymentId
+    ? await loadReleaseScope(db, paymentId, studentUserId)
+    : { company_id: null, project_category: null, student_tier: null };
+  const schedule = await findApplicableFeeSchedule(db, scope, currency);
+  const rule = schedule ?? {
+    id: null,
+    fee_type: FEE_TYPE.PERCENTAGE,
+    rate: getPlatformFeePercent(),
+    min_fee: null,
+    max_fee: null,
+  };
+
+  return { feeAmount: computeFeeAmount(amount, rule), rule, recorded: false };
+};
+
+/**
+ * Stores the fee a release posted, inside the release transaction.
+ */
+export const recordReleaseFee = async (
+  client,
+  { paymentId, milestoneId = null, releaseKey, rule, grossAmount, feeAmount, studentAmount, currency },
+) => {
+  await client.query(
+    `
+    INSERT INTO payment_release_fees
+      (payment_id, milestone_id, release_key, fee_schedule_id, fee_type, rate,
+       min_fee, max_fee, gross_amount, fee_amount, student_amount, currency)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    ON CONFLICT (release_key) DO NOTHING
+    `,
+    [
+      paymentId,
+      milestoneId,
+      releaseKey,
+      rule.id ?? null,
+      rule.fee_type,
+      rule.rate,
+      rule.min_fee ?? null,
+      rule.max_fee ?? null,
+      grossAmount,
+      feeAmount,
+      studentAmount,
+      currency,
+    ],
+  );
+};
+
+export const listReleaseFees = async (paymentId) => {
+  const result = await pool.query(
+    `
+    SELECT f.*, s.name AS fee_schedule_name
+    FROM payment_release_fees f
+    LEFT JOIN fee_schedules s ON s.id = f.fee_schedule_id
+    WHERE f.payment_id = $1
+    ORDER BY f.created_at ASC, f.id ASC
+    `,
+    [paymentId],
+  );
+  return result.rows;
+};
@@ -0,0 +1,395 @@
+import PDFDocument from "pdfkit";
+import pool from "../config/db.js";
+
+export const DOCUMENT_TYPE = {
+  INVOICE: "invoice",
+  RELEASE_RECEIPT: "release_receipt",
+  WITHDRAWAL_RECEIPT: "withdrawal_receipt",
+};
+
+// Receipts share one numbering series so they read as a single sequence.
+const DOCUMENT_SERIES = {
+  [DOCUMENT_TYPE.INVOICE]: "INV",
+  [DOCUMENT_TYPE.RELEASE_RECEIPT]: "RCT",
+  [DOCUMENT_TYPE.WITHDRAWAL_RECEIPT]: "RCT",
+};
+
+const DOCUMENT_TITLES = {
+  [DOCUMENT_TYPE.INVOICE]: "Escrow Funding Invoice",
+  [DOCUMENT_TYPE.RELEASE_RECEIPT]: "Payment Release Receipt",
+  [DOCUMENT_TYPE.WITHDRAWAL_RECEIPT]: "Withdrawal Receipt",
+};
+
+const TAX_LABELS = {
+  vat: "VAT on platform fee",
+  withholding: "Withholding tax",
+};
+
+const fail = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const roundToCurrency = (value) =>
+  Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Allocates the next number in a series for the current year. The row lock
+ * is held until the caller's transaction ends, which keeps numbers gapless.
+ */
+const nextDocumentNumber = async (client, series) => {
+  const year = new Date().getUTCFullYear();
+  const result = await client.query(
+    `
+    INSERT INTO document_sequences (series, year, last_number)
+    VALUES ($1, $2, 1)
+    ON CONFLICT (series, year)
+    DO UPDATE SET last_number = document_sequences.last_number + 1
+    RETURNING last_number
+    `,
+    [series, year],
+  );
+  return `${series}-${year}-${String(result.rows[0].last_number).padStart(6, "0")}`;
+};
+
+/**
+ * Inside the caller's transaction: issues the document for `sourceKey` once.
+ * A second call for the same source returns the existing document.
+ */
+const issueDocument = async (client, document) => {
+  const existing = await client.query(
+    "SELECT * FROM financial_documents WHERE source_key = $1",
+    [document.sourceKey],
+  );
+  if (existing.rows.length > 0) {
+    return existing.rows[0];
+  }
+
+  const documentNumber = await nextDocumentNumber(
+    client,
+    DOCUMENT_SERIES[document.documentType],
+  );
+  const inserted = await client.query(
+    `
+    INSERT INTO financial_documents
+      (document_number, document_type, source_key, user_id, payment_id,
+       milestone_id, withdrawal_id, currency, total_amount, line_items, details)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10::jsonb, $11::jsonb)
+    RETURNING *
+    `,
+    [
+      documentNumber,
+      document.documentType,
+      document.sourceKey,
+      document.userId,
+      document.paymentId ?? null,
+      document.milestoneId ?? null,
+      document.withdrawalId ?? null,
+      document.currency,
+      document.totalAmount,
+      JSON.stringify(document.lineItems),
+      JSON.stringify(document.details ?? {}),
+    ],
+  );
+  return inserted.rows[0];
+};
+
+const loadPaymentParties = async (client, paymentId, milestoneId = null) => {
+  const result = await client.query(
+    `
+    SELECT
+      p.title AS project_title,
+      c.name AS company_name,
+      cu.email AS company_email,
+      m.title AS milestone_title
+    FROM payments pay
+    LEFT JOIN projects p ON p.id = pay.project_id
+    LEFT JOIN companies c ON c.id = pay.company_id
+    LEFT JOIN users cu ON cu.id = c.user_id
+    LEFT JOIN payment_milestones m ON m.id = $2
+    WHERE pay.id = $1
+    `,
+    [paymentId, milestoneId],
+  );
+  return result.rows[0] ?? {};
+};
+
+/**
+ * Invoice to the company for the amount it put into escrow.
+ */
+export const issueEscrowInvoice = async (
+  client,
+  payment,
+  { companyUserId, fundingSource, reference },
+) => {
+  const parties = await loadPaymentParties(client, payment.id);
+  const amount = roundToCurrency(payment.amount);
+  return issueDocument(client, {
+    documentType: DOCUMENT_TYPE.INVOICE,
+    sourceKey: `payment:${payment.id}:invoice`,
+    userId: companyUserId,
+    paymentId: payment.id,
+    currency: payment.currency,
+    totalAmount: amount,
+    lineItems: [
+      {
+        description: `Escrow funding: ${parties.project_title ?? `payment ${payment.id}`}`,
+        amount,
+      },
+    ],
+    details: {
+      billed_to: parties.company_name ?? parties.company_email ?? null,
+      project_title: parties.project_title ?? null,
+      reference,
+      funding_source: fundingSource,
+    },
+  });
+};
+
+/**
+ * Invoice to the company for a scope change's top-up of an existing
+ * payment's escrow.
+ */
+export const issueEscrowAmendmentInvoice = async (
+  client,
+  payment,
+  amendment,
+  { companyUserId, reference },
+) => {
+  const parties = await loadPaymentParties(client, payment.id);
+  const amount = roundToCurrency(amendment.difference);
+  return issueDocument(client, {
+    documentType: DOCUMENT_TYPE.INVOICE,
+    sourceKey: `payment:${payment.id}:amendment:${amendment.id}:invoice`,
+    userId: companyUserId,
+    paymentId: payment.id,
+    currency: payment.currency,
+    totalAmount: amount,
+    lineItems: [
+      {
+        description: `Scope change: ${parties.project_title ?? `payment ${payment.id}`} (${roundToCurrency(amendment.previous_amount)} to ${roundToCurrency(amendment.new_amount)})`,
+        amount,
+      },
+    ],
+    details: {
+      billed_to: parties.company_name ?? parties.company_email ?? null,
+      project_title: parties.project_title ?? null,
+      reference,
+      amendment_id: amendment.id,
+      amendment_reference: amendment.provider_ref ?? null,
+      funding_source: "card",
+    },
+  });
+};
+
+/**
+ * Receipt to the student for one release, itemising the platform fee and
+ * any tax withheld from the gross amount.
+ */
+export const issueReleaseReceipt = async (
+  client,
+  {
+    paymentId,
+    milestoneId = null,
+    releaseKey,
+    studentUserId,
+    currency,
+    reference,
+    grossAmount,
+    feeAmount,
+    taxes = [],
+    studentNetAmount,
+  },
+) => {
+  const parties = await loadPaymentParties(client, paymentId, milestoneId);
+  const subject = parties.milestone_title
+    ? `${parties.project_title ?? `Payment ${paymentId}`}: ${parties.milestone_title}`
+    : (parties.project_title ?? `Payment ${paymentId}`);
+
+  return issueDocument(client, {
+    documentType: DOCUMENT_TYPE.RELEASE_RECEIPT,
+    sourceKey: `release:${releaseKey}`,
+    userId: studentUserId,
+    paymentId,
+    milestoneId,
+    currency,
+    totalAmount: studentNetAmount,
+    lineItems: [
+      { description: `Released for ${subject}`, amount: roundToCurrency(grossAmount) },
+      { description: "Platform fee", amount: -roundToCurrency(feeAmount) },
+      ...taxes.map((tax) => ({
+        description: `${TAX_LABELS[tax.taxType] ?? tax.taxType} (${Number(tax.rule.rate)}%)`,
+        amount: -roundToCurrency(tax.taxAmount),
+      })),
+    ],
+    details: {
+      paid_by: parties.company_name ?? null,
+      project_title: parties.project_title ?? null,
+      milestone_title: parties.milestone_title ?? null,
+      reference,
+    },
+  });
+};
+
+/**
+ * Receipt to the user once a withdrawal has been paid out.
+ */
+export const issueWithdrawalReceipt = async (client, withdrawal) => {
+  const amount = roundToCurrency(withdrawal.amount);
+  const accountNumber = String(withdrawal.account_number ?? "");
+  return issueDocument(client, {
+    documentType: DOCUMENT_TYPE.WITHDRAWAL_RECEIPT,
+    sourceKey: `withdrawal:${withdrawal.id}:receipt`,
+    userId: withdrawal.user_id,
+    withdrawalId: withdrawal.id,
+    currency: withdrawal.currency,
+    totalAmount: amount,
+    lineItems: [{ description: "Withdrawal to bank account", amount }],
+    details: {
+      bank_name: withdrawal.bank_name ?? null,
+      account_name: withdrawal.account_name ?? null,
+      account_number: accountNumber ? `******${accountNumber.slice(-4)}` : null,
+      reference: withdrawal.provider_ref ?? null,
+    },
+  });
+};
+
+export const listDocumentsForUser = async (userId, { documentType } = {}) => {
+  const values = [userId];
+  let typeFilter = "";
+  if (documentType) {
+    values.push(documentType);
+    typeFilter = "AND document_type = $2";
+  }
+  const result = await pool.query(
+    `
+    SELECT *
+    FROM financial_documents
+    WHERE user_id = $1 ${typeFilter}
+    ORDER BY issued_at DESC, id DESC
+    `,
+    values,
+  );
+  return result.rows;
+};
+
+/**
+ * A document its owner or an admin may see.
+ */
+export const getDocumentForViewer = async (id, viewer) => {
+  const result = await pool.query("SELECT * FROM financial_documents WHERE id = $1", [id]);
+  const document = result.rows[0];
+  if (!document) {
+    throw fail(404, "Document not found");
+  }
+  if (document.user_id !== viewer.id && viewer.role !== "admin") {
+    throw fail(403, "Forbidden");
+  }
+  return document;
+};
+
+export const findLatestDocument = async ({
+  documentType,
+  userId,
+  paymentId,
+  withdrawalId,
+}) => {
+  const result = await pool.query(
+    `
+    SELECT *
+    FROM financial_documents
+    WHERE document_type = $1
+      AND ($2::int IS NULL OR user_id = $2)
+      AND ($3::int IS NULL OR payment_id = $3)
+      AND ($4::int IS NULL OR withdrawal_id = $4)
+    ORDER BY issued_at DESC, id DESC
+    LIMIT 1
+    `,
+    [documentType, userId ?? null, paymentId ?? null, withdrawalId ?? null],
+  );
+  return result.rows[0] ?? null;
+};
+
+// The standard PDF fonts have no naira sign, so amounts use the ISO code.
+const formatAmount = (amount, currency) =>
+  `${Number(amount) < 0 ? "-" : ""}${currency} ${Math.abs(Number(amount)).toLocaleString("en", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+const DETAIL_LABELS = {
+  billed_to: "Billed to",
+  paid_by: "Paid by",
+  project_title: "Project",
+  milestone_title: "Milestone",
+  reference: "Reference",
+  funding_source: "Funded from",
+  bank_name: "Bank",
+  account_name: "Account name",
+  account_number: "Account number",
+};
+
+export const renderDocumentPdf = (document) =>
+  new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({
+      size: "A4",
+      margin: 50,
+      info: { Title: document.document_number, Author: "Acader" },
+    });
+    const chunks = [];
+    pdf.on("data", (chunk) => chunks.push(chunk));
+    pdf.on("end", () => resolve(Buffer.concat(chunks)));
+    pdf.on("error", reject);
+
+    pdf.font("Helvetica-Bold").fontSize(20).text("ACADER");
+    pdf.moveDown(0.5);
+    pdf.fontSize(14).text(DOCUMENT_TITLES[document.document_type] ?? "Document");
+    pdf.font("Helvetica").fontSize(10);
+    pdf.text(`Number: ${document.document_number}`);
+    pdf.text(`Issued: ${new Date(document.issued_at).toISOString().slice(0, 10)}`);
+    pdf.moveDown();
+
+    for (const [key, label] of Object.entries(DETAIL_LABELS)) {
+      const value = document.details?.[key];
+      if (value !== null && value !== undefined && value !== "") {
+        pdf.text(`${label}: ${value}`);
+      }
+    }
+    pdf.moveDown();
+
+    const amountX = 400;
+    for (const item of document.line_items ?? []) {
+      const y = pdf.y;
+      pdf.text(item.description, 50, y, { width: amountX - 60 });
+      const nextY = pdf.y;
+      pdf.text(formatAmount(item.amount, document.currency), amountX, y, {
+        width: 145,
+        align: "right",
+      });
+      pdf.y = Math.max(nextY, pdf.y);
+    }
+
+    pdf.moveDown();
+    const totalY = pdf.y;
+    pdf.font("Helvetica-Bold").text(
+      document.document_type === DOCUMENT_TYPE.INVOICE ? "Total due" : "Total paid",
+      50,
+      totalY,
+    );
+    pdf.text(formatAmount(document.total_amount, document.currency), amountX, totalY, {
+      width: 145,
+      align: "right",
+    });
+
+    pdf.end();
+  });
+
+/**
+ * The document as a nodemailer attachment.
+ */
+export const toEmailAttachment = async (document) => ({
+  filename: `${document.document_number}.pdf`,
+  content: await renderDocumentPdf(document),
+  contentType: "application/pdf",
+});
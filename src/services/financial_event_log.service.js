@@ -1,19 +1,33 @@
 import pool from "../config/db.js";
 import { generateEventHash } from "../utils/hashEvent.js";
+import { enqueueWebhookDeliveries } from "./outbound_webhook.service.js";
 
 export const FINANCIAL_EVENT_TYPE = {
   ESCROW_FUNDED: "ESCROW_FUNDED",
   ESCROW_RELEASED: "ESCROW_RELEASED",
   ESCROW_RELEASE_REJECTED: "ESCROW_RELEASE_REJECTED",
   REFUND_PROCESSED: "REFUND_PROCESSED",
+  REFUND_INITIATED: "REFUND_INITIATED",
+  REFUND_COMPLETED: "REFUND_COMPLETED",
+  REFUND_FAILED: "REFUND_FAILED",
   WITHDRAWAL_REQUESTED: "WITHDRAWAL_REQUESTED",
   WITHDRAWAL_APPROVED: "WITHDRAWAL_APPROVED",
   WITHDRAWAL_REJECTED: "WITHDRAWAL_REJECTED",
+  WITHDRAWAL_TRANSFER_INITIATED: "WITHDRAWAL_TRANSFER_INITIATED",
+  WITHDRAWAL_TRANSFER_FAILED: "WITHDRAWAL_TRANSFER_FAILED",
   DISPUTE_OPENED: "DISPUTE_OPENED",
   DISPUTE_RESOLVED: "DISPUTE_RESOLVED",
+  CHARGEBACK_EVIDENCE_SUBMITTED: "CHARGEBACK_EVIDENCE_SUBMITTED",
+  CHARGEBACK_CLAWBACK: "CHARGEBACK_CLAWBACK",
   LEDGER_ENTRY_CREATED: "LEDGER_ENTRY_CREATED",
   PLATFORM_FEE_DEDUCTED: "PLATFORM_FEE_DEDUCTED",
+  PROJECT_CANCELLED: "PROJECT_CANCELLED",
+  RECEIVABLE_RECORDED: "RECEIVABLE_RECORDED",
+  RECEIVABLE_RECOVERED: "RECEIVABLE_RECOVERED",
+  RESERVE_RELEASED: "RESERVE_RELEASED",
+  TAX_REMITTED: "TAX_REMITTED",
   WALLET_RESTRICTED: "WALLET_RESTRICTED",
+  WALLET_TOPUP_CREDITED: "WALLET_TOPUP_CREDITED",
 };
 
 const GENESIS_HASH = "GENESIS";
@@ -70,6 +84,8 @@ export const appendFinancialEventLog = async (params, options = {}) => {
     const normalizedPayload = normalizePayload(eventPayload);
     const currentHash = generateEventHash(normalizedPayload, previousHash);
 
+    // Ids are random UUIDs and NOW() is fixed per transaction, so the chain
+    // position comes from the wall clock taken while holding the chain lock.
     const insertResult = await client.query(
       `
       INSERT INTO financial_event_log (
@@ -80,9 +96,10 @@ export const appendFinancialEventLog = async (params, options = {}) => {
         dispute_id,
         event_payload,
         previous_hash,
-        current_hash
+        current_hash,
+        created_at
       )
-      VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7, $8)
+      VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7, $8, clock_timestamp())
       RETURNING *
       `,
       [
@@ -97,11 +114,14 @@ export const appendFinancialEventLog = async (params, options = {}) => {
       ],
     );
 
+    const event = insertResult.rows[0] ?? null;
+    await enqueueWebhookDeliveries(client, event);
+
     if (!hasExternalClient) {
       await client.query("COMMIT");
     }
 
-    return insertResult.rows[0] ?? null;
+    return event;
   } catch (err) {
     if (!hasExternalClient) {
       try {
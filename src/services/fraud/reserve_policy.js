@@ -0,0 +1,66 @@
+import pool from "../../config/db.js";
+import { calculateRiskFeatures } from "./risk_features.js";
+import { BEHAVIOURAL_RISK_THRESHOLD, generateRiskScore } from "./risk_score.js";
+
+const DEFAULT_HOLD_DAYS = 30;
+
+export const RESERVE_REASON = {
+  NEW_ACCOUNT: "new_account",
+  HIGH_RISK: "high_risk",
+};
+
+const roundCurrency = (value) =>
+  Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const readNumber = (name, fallback, { min = 0, max = Infinity } = {}) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === "") {
+    return fallback;
+  }
+  const parsed = Number(raw);
+  return Number.isFinite(parsed) && parsed >= min && parsed <= max ? parsed : fallback;
+};
+
+/**
+ * Reserve settings from the environment. A zero percent turns the reserve
+ * off.
+ */
+export const getReservePolicy = () => ({
+  percent: readNumber("RELEASE_RESERVE_PERCENT", 0, { max: 100 }),
+  holdDays: readNumber("RELEASE_RESERVE_DAYS", DEFAULT_HOLD_DAYS, { min: 1 }),
+  riskScoreThreshold: readNumber(
+    "RELEASE_RESERVE_RISK_SCORE",
+    BEHAVIOURAL_RISK_THRESHOLD,
+    { max: 100 },
+  ),
+});
+
+/**
+ * How much of a student's net release to hold back, or null when the
+ * student is neither new (the risk features' account-age signal) nor at or
+ * above the risk score threshold.
+ */
+export const resolveReleaseReserve = async (studentUserId, netAmount, options = {}) => {
+  const policy = getReservePolicy();
+  const amount = roundCurrency((Number(netAmount) * policy.percent) / 100);
+  if (policy.percent <= 0 || amount <= 0) {
+    return null;
+  }
+
+  const features = await calculateRiskFeatures(studentUserId, {
+    client: options.client ?? pool,
+  });
+  const { riskScore } = generateRiskScore(features);
+  const isNew = Number(features.accountAgeScore) > 0;
+  if (!isNew && riskScore < policy.riskScoreThreshold) {
+    return null;
+  }
+
+  return {
+    amount,
+    percent: policy.percent,
+    holdDays: policy.holdDays,
+    reason: isNew ? RESERVE_REASON.NEW_ACCOUNT : RESERVE_REASON.HIGH_RISK,
+    riskScore,
+  };
+};
@@ -11,6 +11,7 @@ export const RISK_AUDIT_ACTION = {
   DISPUTE_RESOLVED: "DISPUTE_RESOLVED",
   ESCROW_RELEASE_APPROVED: "ESCROW_RELEASE_APPROVED",
   ESCROW_RELEASE_REJECTED: "ESCROW_RELEASE_REJECTED",
+  WALLET_PAYMENT_BLOCKED: "WALLET_PAYMENT_BLOCKED",
 };
 
 const parseRequiredUserId = (value) => {
@@ -53,6 +54,7 @@ export const createRiskAuditLog = async (params, options = {}) => {
     relatedPaymentId = null,
     relatedWithdrawalId = null,
     adminId = null,
+    actorId = null,
   } = params;
 
   const parsedUserId = parseRequiredUserId(userId);
@@ -72,9 +74,10 @@ export const createRiskAuditLog = async (params, options = {}) => {
       risk_score,
       related_payment_id,
       related_withdrawal_id,
-      admin_id
+      admin_id,
+      actor_id
     )
-    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
     RETURNING *
     `,
     [
@@ -85,6 +88,7 @@ export const createRiskAuditLog = async (params, options = {}) => {
       parseOptionalId(relatedPaymentId),
       parseOptionalId(relatedWithdrawalId),
       parseOptionalId(adminId),
+      parseOptionalId(actorId ?? adminId),
     ],
   );
 
@@ -1,4 +1,5 @@
 import pool from "../../config/db.js";
+import { normalizeCurrency } from "../../utils/currency.js";
 
 const RULES = {
   LARGE_WITHDRAWAL_RATIO: "LARGE_WITHDRAWAL_RATIO",
@@ -35,10 +36,10 @@ export const evaluateWithdrawalRisk = async (
       user_id,
       COALESCE(available_balance, balance, 0)::numeric AS available_balance
     FROM wallets
-    WHERE user_id = $1
+    WHERE user_id = $1 AND currency = $2
     LIMIT 1
     `,
-    [userId],
+    [userId, normalizeCurrency(options.currency)],
   );
 
   const availableBalance = roundCurrency(
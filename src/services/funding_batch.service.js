@@ -0,0 +1,536 @@
+import { v4 as uuidv4 } from "uuid";
+import pool from "../config/db.js";
+import { safeNotify } from "../utils/notify.js";
+import { formatMoney } from "../utils/currency.js";
+import { applyPaymentTransitionLedger } from "./ledger.service.js";
+import { recordDuplicateCharge, refundDuplicateCharge } from "./duplicate_charge.service.js";
+import {
+  findOpenApplicationPayment,
+  recordPaymentCreated,
+  transitionPaymentStatus,
+} from "./payment_state.service.js";
+import {
+  DEFAULT_PAYMENT_PROVIDER,
+  getPaymentProvider,
+  resolvePaymentCurrency,
+  verifyProviderPayment,
+} from "./payment_providers/index.js";
+
+export const FUNDING_BATCH_REFERENCE_PREFIX = "batch_";
+
+export const MAX_FUNDING_BATCH_ROWS = 200;
+
+export const isFundingBatchReference = (reference) =>
+  typeof reference === "string" && reference.startsWith(FUNDING_BATCH_REFERENCE_PREFIX);
+
+const fail = (status, message, extra = {}) => {
+  const err = new Error(message);
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+};
+
+const toCents = (value) => Math.round(Number(value) * 100);
+
+const unquote = (value) => value.trim().replace(/^"(.*)"$/, "$1").trim();
+
+/**
+ * Rows of `application_id,amount` from a CSV upload. The header row is
+ * required and may list the two columns in either order.
+ */
+export const parseFundingBatchCsv = (csv) => {
+  const lines = String(csv)
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== "");
+  if (lines.length < 2) {
+    throw fail(400, "CSV needs a header row and at least one data row");
+  }
+
+  const header = lines[0].split(",").map((cell) => unquote(cell).toLowerCase());
+  const applicationColumn = header.indexOf("application_id");
+  const amountColumn = header.indexOf("amount");
+  if (applicationColumn === -1 || amountColumn === -1) {
+    throw fail(400, "CSV header must include application_id and amount");
+  }
+
+  return lines.slice(1).map((line) => {
+    const cells = line.split(",").map(unquote);
+    return {
+      application_id: cells[applicationColumn],
+      amount: cells[amountColumn],
+    };
+  });
+};
+
+/**
+ * The batch rows from a request: a text/csv body, `{ csv }` or `{ items }`.
+ */
+export const readFundingBatchRows = (body) => {
+  if (typeof body === "string") {
+    return parseFundingBatchCsv(body);
+  }
+  if (typeof body?.csv === "string") {
+    return parseFundingBatchCsv(body.csv);
+  }
+  if (Array.isArray(body?.items)) {
+    return body.items;
+  }
+  throw fail(400, "Send a CSV upload or items: [{ application_id, amount }]");
+};
+
+/**
+ * Checks every row and reports each problem against its 1-based row
+ * number. A row is fundable when its application is accepted, belongs to
+ * one of the company's projects, has no payment in progress and appears
+ * once in the batch.
+ */
+export const validateFundingBatchRows = async (companyId, rows) => {
+  if (rows.length === 0) {
+    throw fail(400, "The batch has no rows");
+  }
+  if (rows.length > MAX_FUNDING_BATCH_ROWS) {
+    throw fail(400, `A batch can fund at most ${MAX_FUNDING_BATCH_ROWS} applications`);
+  }
+
+  const errors = [];
+  const valid = [];
+  const seen = new Set();
+
+  for (const [index, row] of rows.entries()) {
+    const rowNumber = index + 1;
+    const reject = (message) =>
+      errors.push({ row: rowNumber, application_id: row?.application_id ?? null, message });
+
+    const applicationId = Number(row?.application_id);
+    if (!Number.isInteger(applicationId) || applicationId <= 0) {
+      reject("Invalid application_id");
+      continue;
+    }
+    const amount = Number(row.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      reject("amount must be a positive number");
+      continue;
+    }
+    if (Math.abs(amount * 100 - toCents(amount)) > 1e-6) {
+      reject("amount has too many decimals");
+      continue;
+    }
+    if (seen.has(applicationId)) {
+      reject("Application appears more than once in the batch");
+      continue;
+    }
+    seen.add(applicationId);
+
+    const application = await pool.query(
+      `SELECT a.id, a.status, a.project_id, p.company_id
+       FROM applications a
+       JOIN projects p ON p.id = a.project_id
+       WHERE a.id = $1`,
+      [applicationId],
+    );
+    const found = application.rows[0];
+    if (!found) {
+      reject("Application not found");
+      continue;
+    }
+    if (Number(found.company_id) !== Number(companyId)) {
+      reject("Application is not on one of your projects");
+      continue;
+    }
+    if (found.status !== "accepted") {
+      reject("Payment not allowed until application is accepted");
+      continue;
+    }
+    const openPayment = await findOpenApplicationPayment(applicationId);
+    if (openPayment) {
+      reject(`Application already has payment ${openPayment.id} in progress`);
+      continue;
+    }
+
+    valid.push({
+      applicationId,
+      projectId: found.project_id,
+      amount: toCents(amount) / 100,
+    });
+  }
+
+  return { valid, errors };
+};
+
+/**
+ * Validates a batch, starts one charge for its total with `provider` and
+ * records a pending payment per row. Any invalid row rejects the whole
+ * batch with a 400 listing every row's problem, before anything is charged.
+ */
+export const createFundingBatch = async (user, body, options = {}) => {
+  const { provider = DEFAULT_PAYMENT_PROVIDER, currency, email, callbackUrl } = options;
+  const company = await pool.query(
+    "SELECT id FROM companies WHERE user_id = $1 ORDER BY id ASC LIMIT 1",
+    [user.id],
+  );
+  if (company.rows.length === 0) {
+    throw fail(403, "Only companies can fund a batch");
+  }
+  const companyId = company.rows[0].id;
+
+  const payerEmail = email ?? user.email;
+  if (!payerEmail) {
+    throw fail(400, "Email is required");
+  }
+
+  const rows = readFundingBatchRows(body);
+  const { valid, errors } = await validateFundingBatchRows(companyId, rows);
+  if (errors.length > 0) {
+    throw fail(400, `${errors.length} of ${rows.length} row(s) cannot be funded`, {
+      errors,
+    });
+  }
+
+  const gateway = getPaymentProvider(provider);
+  const batchCurrency = resolvePaymentCurrency(gateway.name, currency);
+  const totalAmount = valid.reduce((sum, item) => sum + toCents(item.amount), 0) / 100;
+
+  const checkout = await gateway.initialize({
+    amount: totalAmount,
+    currency: batchCurrency,
+    email: payerEmail,
+    reference: `${FUNDING_BATCH_REFERENCE_PREFIX}${uuidv4()}`,
+    callbackUrl,
+  });
+
+  const client = await pool.connect();
+  let batch;
+  const payments = [];
+  try {
+    await client.query("BEGIN");
+
+    const inserted = await client.query(
+      `INSERT INTO funding_batches
+         (user_id, company_id, currency, total_amount, item_count, provider, provider_ref)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [user.id, companyId, batchCurrency, totalAmount, valid.length, gateway.name, checkout.reference],
+    );
+    batch = inserted.rows[0];
+
+    for (const item of valid) {
+      // The charge belongs to the batch, so its payments carry no gateway
+      // reference of their own.
+      const created = await client.query(
+        `INSERT INTO payments
+           (user_id, company_id, project_id, application_id, amount, currency,
+            provider, funding_source, funding_batch_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, 'batch', $8)
+         RETURNING *`,
+        [
+          user.id,
+          companyId,
+          item.projectId,
+          item.applicationId,
+          item.amount,
+          batchCurrency,
+          gateway.name,
+          batch.id,
+        ],
+      );
+      await recordPaymentCreated(created.rows[0], {
+        client,
+        actorId: user.id,
+        source: "funding_batch",
+      });
+      payments.push(created.rows[0]);
+    }
+
+    await client.query("COMMIT");
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return {
+    authorization_url: checkout.authorizationUrl,
+    access_code: checkout.accessCode,
+    reference: checkout.reference,
+    batch: { ...batch, payments },
+  };
+};
+
+export const notifyAdminsOfFundingBatch = async (message, relatedId) => {
+  const admins = await pool.query(
+    "SELECT id FROM users WHERE role = 'admin' ORDER BY id ASC",
+  );
+  for (const admin of admins.rows) {
+    await safeNotify(admin.id, "funding_batch_alert", message, relatedId);
+  }
+};
+
+export const notifyFundingBatchPaid = async ({ batch, payments, skipped = [] }) => {
+  const refunded =
+    skipped.length > 0
+      ? ` ${skipped.length} application(s) were already funded another way, so their share is being refunded.`
+      : "";
+  await safeNotify(
+    batch.user_id,
+    "funding_batch",
+    `Your funding batch #${batch.id} is paid; ${payments.length} payment(s) are now held in escrow.${refunded}`,
+    batch.id,
+  );
+};
+
+/**
+ * Whether `reference` is a batch charge. Paystack echoes the batch_
+ * reference; other gateways return their own id, stored on the batch.
+ */
+export const isFundingBatchCharge = async (reference) => {
+  if (isFundingBatchReference(reference)) {
+    return true;
+  }
+  const result = await pool.query("SELECT 1 FROM funding_batches WHERE provider_ref = $1", [
+    reference,
+  ]);
+  return result.rows.length > 0;
+};
+
+/**
+ * Confirms a batch charge with the gateway the batch was started on.
+ */
+export const verifyFundingBatchReference = async (reference) => {
+  const result = await pool.query(
+    "SELECT provider FROM funding_batches WHERE provider_ref = $1",
+    [reference],
+  );
+  if (result.rows.length === 0) {
+    throw fail(404, "Funding batch not found");
+  }
+  return verifyProviderPayment(result.rows[0].provider, reference);
+};
+
+const lockBatchByReference = async (client, reference) => {
+  const result = await client.query(
+    "SELECT * FROM funding_batches WHERE provider_ref = $1 FOR UPDATE",
+    [reference],
+  );
+  if (result.rows.length === 0) {
+    throw fail(404, "Funding batch not found");
+  }
+  return result.rows[0];
+};
+
+const lockBatchPayments = async (client, batchId) => {
+  const result = await client.query(
+    `SELECT p.*, c.user_id AS company_user_id, a.user_id AS student_user_id
+     FROM payments p
+     LEFT JOIN companies c ON c.id = p.company_id
+     LEFT JOIN applications a ON a.id = p.application_id
+     WHERE p.funding_batch_id = $1
+     ORDER BY p.id ASC
+     FOR UPDATE OF p`,
+    [batchId],
+  );
+  return result.rows;
+};
+
+/**
+ * The batch charge succeeded: every payment still waiting for it moves to
+ * paid with its own escrow hold, all in one transaction. `charged` is what
+ * the gateway collected ({ amount, currency }, in major units) and has to
+ * match the batch total, and `provider` the gateway the batch was started
+ * on; otherwise nothing is funded and the charge is left for an admin. A
+ * payment whose application was funded again after the batch lapsed is
+ * skipped and its share of the charge is refunded.
+ */
+export const markFundingBatchPaidByReference = async (reference, options = {}) => {
+  const { enforceUserId, actorId = null, source = "funding_batch", charged, provider } = options;
+  const client = await pool.connect();
+  let duplicate = null;
+  let result;
+  try {
+    await client.query("BEGIN");
+
+    const batch = await lockBatchByReference(client, reference);
+    if (enforceUserId && batch.user_id !== enforceUserId) {
+      throw fail(403, "Forbidden");
+    }
+    if (batch.status === "paid") {
+      await client.query("COMMIT");
+      return { batch, payments: [], skipped: [], updated: false };
+    }
+    if (provider && String(provider).toLowerCase() !== batch.provider) {
+      throw fail(409, `Funding batch #${batch.id} was started on ${batch.provider}, not ${provider}`);
+    }
+    if (
+      toCents(charged?.amount) !== toCents(batch.total_amount) ||
+      String(charged?.currency ?? "").toUpperCase() !== batch.currency.toUpperCase()
+    ) {
+      throw fail(
+        409,
+        `Charged ${charged?.amount ?? "an unknown amount"} ${charged?.currency ?? ""} but funding batch #${batch.id} needs ${formatMoney(batch.total_amount, batch.currency)}; reconcile this charge by hand`,
+      );
+    }
+
+    const funded = [];
+    const skipped = [];
+    for (const payment of await lockBatchPayments(client, batch.id)) {
+      if (!["pending", "failed", "abandoned"].includes(payment.status)) {
+        continue;
+      }
+      // After a failed or abandoned batch the company may have funded the
+      // application another way; its escrow must not be held twice.
+      const other = await findOpenApplicationPayment(payment.application_id, {
+        client,
+        excludePaymentId: payment.id,
+      });
+      if (other) {
+        skipped.push({ payment, other });
+        continue;
+      }
+      funded.push(
+        await transitionPaymentStatus(client, payment, "paid", {
+          actorId,
+          source,
+          metadata: { reference, funding_batch_id: batch.id },
+        }),
+      );
+      await applyPaymentTransitionLedger(client, payment, "paid", {
+        idempotencyPrefix: `payment:${payment.id}:${payment.status}->paid`,
+        companyUserId: payment.company_user_id ?? undefined,
+        studentUserId: payment.student_user_id ?? undefined,
+      });
+    }
+
+    if (skipped.length > 0) {
+      duplicate = await recordDuplicateCharge(client, {
+        provider: batch.provider,
+        reference,
+        amount:
+          skipped.reduce((sum, { payment }) => sum + toCents(payment.amount), 0) / 100,
+        currency: batch.currency,
+        reason: skipped
+          .map(
+            ({ payment, other }) =>
+              `application #${payment.application_id} already has payment #${other.id} (${other.status})`,
+          )
+          .join("; "),
+      });
+    }
+
+    const updated = await client.query(
+      `UPDATE funding_batches
+       SET status = 'paid', paid_at = COALESCE(paid_at, NOW()), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [batch.id],
+    );
+
+    await client.query("COMMIT");
+    result = {
+      batch: updated.rows[0],
+      payments: funded,
+      skipped: skipped.map(({ payment }) => payment),
+      updated: true,
+    };
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (duplicate) {
+    await refundDuplicateCharge(duplicate.id);
+  }
+  return result;
+};
+
+/**
+ * The batch charge failed (`failed`) or never completed (`abandoned`):
+ * the batch and its waiting payments move to that status, which frees the
+ * applications for a new payment.
+ */
+export const closeUnpaidFundingBatch = async (reference, status, options = {}) => {
+  const { source = "funding_batch", reason = null } = options;
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const batch = await lockBatchByReference(client, reference);
+    if (batch.status !== "pending") {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    for (const payment of await lockBatchPayments(client, batch.id)) {
+      if (payment.status === "pending") {
+        await transitionPaymentStatus(client, payment, status, {
+          source,
+          reason,
+          metadata: { reference, funding_batch_id: batch.id },
+        });
+      }
+    }
+
+    const updated = await client.query(
+      `UPDATE funding_batches
+       SET status = $2, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [batch.id, status],
+    );
+
+    await client.query("COMMIT");
+    return updated.rows[0];
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+export const listFundingBatches = async (userId) => {
+  const result = await pool.query(
+    `SELECT *
+     FROM funding_batches
+     WHERE user_id = $1
+     ORDER BY created_at DESC, id DESC`,
+    [userId],
+  );
+  return result.rows;
+};
+
+/**
+ * A batch with the status of each payment it created (owner or admin).
+ */
+export const getFundingBatch = async (id, viewer) => {
+  const result = await pool.query("SELECT * FROM funding_batches WHERE id = $1", [id]);
+  const batch = result.rows[0];
+  if (!batch) {
+    throw fail(404, "Funding batch not found");
+  }
+  if (batch.user_id !== viewer.id && viewer.role !== "admin") {
+    throw fail(403, "Forbidden");
+  }
+
+  const payments = await pool.query(
+    `SELECT id, application_id, project_id, amount, currency, status, paid_at, created_at
+     FROM payments
+     WHERE funding_batch_id = $1
+     ORDER BY id ASC`,
+    [id],
+  );
+  return { ...batch, payments: payments.rows };
+};
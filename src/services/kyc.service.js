@@ -0,0 +1,172 @@
+import pool from "../config/db.js";
+import { safeNotify } from "../utils/notify.js";
+
+export const KYC_STATUS = {
+  UNVERIFIED: "unverified",
+  PENDING: "pending",
+  VERIFIED: "verified",
+  REJECTED: "rejected",
+};
+
+export const KYC_ID_TYPES = ["nin", "bvn", "passport", "drivers_license", "voters_card"];
+
+// Submissions returned to their owner never echo the full ID number back.
+const USER_SUBMISSION_COLUMNS = `
+  id, user_id, id_type, RIGHT(id_number, 4) AS id_number_last4,
+  status, reviewed_at, rejection_reason, created_at
+`;
+
+export const getLatestKycSubmission = async (userId) => {
+  const result = await pool.query(
+    `SELECT ${USER_SUBMISSION_COLUMNS}
+     FROM kyc_submissions
+     WHERE user_id = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT 1`,
+    [userId],
+  );
+  return result.rows[0] ?? null;
+};
+
+/**
+ * Queue identity details for admin review and move the user to "pending".
+ * Verified users and users with a submission already in review get a 409.
+ */
+export const submitKyc = async (userId, { idType, idNumber }) => {
+  const normalizedType = String(idType ?? "").trim().toLowerCase();
+  const normalizedNumber = String(idNumber ?? "").trim();
+
+  if (!KYC_ID_TYPES.includes(normalizedType)) {
+    const err = new Error(`id_type must be one of ${KYC_ID_TYPES.join(", ")}`);
+    err.status = 400;
+    throw err;
+  }
+  if (normalizedNumber.length < 4) {
+    const err = new Error("id_number is required");
+    err.status = 400;
+    throw err;
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const userRow = await client.query(
+      "SELECT id, kyc_status FROM users WHERE id = $1 FOR UPDATE",
+      [userId],
+    );
+    if (userRow.rows.length === 0) {
+      const err = new Error("User not found");
+      err.status = 404;
+      throw err;
+    }
+
+    const { kyc_status: currentStatus } = userRow.rows[0];
+    if (currentStatus === KYC_STATUS.VERIFIED) {
+      const err = new Error("Identity already verified");
+      err.status = 409;
+      throw err;
+    }
+    if (currentStatus === KYC_STATUS.PENDING) {
+      const err = new Error("A KYC submission is already under review");
+      err.status = 409;
+      throw err;
+    }
+
+    const inserted = await client.query(
+      `INSERT INTO kyc_submissions (user_id, id_type, id_number)
+       VALUES ($1, $2, $3)
+       RETURNING ${USER_SUBMISSION_COLUMNS}`,
+      [userId, normalizedType, normalizedNumber],
+    );
+    await client.query(
+      "UPDATE users SET kyc_status = $1, updated_at = NOW() WHERE id = $2",
+      [KYC_STATUS.PENDING, userId],
+    );
+
+    await client.query("COMMIT");
+    return inserted.rows[0];
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Approve or reject a pending submission and carry the outcome onto the
+ * user's kyc_status.
+ */
+export const reviewKycSubmission = async (
+  submissionId,
+  { adminId, approve, reason = null },
+) => {
+  const client = await pool.connect();
+  let submission;
+  try {
+    await client.query("BEGIN");
+
+    const current = await client.query(
+      "SELECT * FROM kyc_submissions WHERE id = $1 FOR UPDATE",
+      [submissionId],
+    );
+    if (current.rows.length === 0) {
+      const err = new Error("KYC submission not found");
+      err.status = 404;
+      throw err;
+    }
+    if (current.rows[0].status !== "pending") {
+      const err = new Error("KYC submission already reviewed");
+      err.status = 409;
+      throw err;
+    }
+
+    const updated = await client.query(
+      `UPDATE kyc_submissions
+       SET status = $1,
+           reviewed_by = $2,
+           reviewed_at = NOW(),
+           rejection_reason = $3
+       WHERE id = $4
+       RETURNING *`,
+      [approve ? "approved" : "rejected", adminId, approve ? null : reason, submissionId],
+    );
+    submission = updated.rows[0];
+
+    await client.query(
+      `UPDATE users
+       SET kyc_status = $1,
+           kyc_verified_at = CASE WHEN $1 = 'verified' THEN NOW() ELSE NULL END,
+           updated_at = NOW()
+       WHERE id = $2`,
+      [approve ? KYC_STATUS.VERIFIED : KYC_STATUS.REJECTED, submission.user_id],
+    );
+
+    await client.query("COMMIT");
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await safeNotify(
+    submission.user_id,
+    approve ? "kyc_verified" : "kyc_rejected",
+    approve
+      ? "Your identity has been verified. You can now withdraw funds."
+      : `Your identity verification was rejected${reason ? `: ${reason}` : ""}.`,
+    submission.id,
+  );
+
+  return submission;
+};
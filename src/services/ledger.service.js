@@ -1,9 +1,25 @@
 import pool from "../config/db.js";
+import { DEFAULT_CURRENCY, normalizeCurrency } from "../utils/currency.js";
 import { refreshRiskProfilesForUsers } from "./fraud/risk_profile.js";
+import { resolveReleaseReserve } from "./fraud/reserve_policy.js";
 import {
   appendFinancialEventLog,
   FINANCIAL_EVENT_TYPE,
 } from "./financial_event_log.service.js";
+import { recordReleaseFee, resolveReleaseFee } from "./fee_schedule.service.js";
+import { allocateAcrossSplits } from "./payment_split.service.js";
+import {
+  issueEscrowAmendmentInvoice,
+  issueEscrowInvoice,
+  issueReleaseReceipt,
+  issueWithdrawalReceipt,
+} from "./financial_document.service.js";
+import {
+  recordReleaseTaxes,
+  resolveReleaseTaxes,
+  TAX_LEDGER_TYPE,
+  TAX_TYPE_OF_LEDGER_ENTRY_SQL,
+} from "./tax_rule.service.js";
 
 const DIRECTION = {
   CREDIT: "credit",
@@ -17,6 +33,9 @@ const BALANCE_TYPE = {
   PLATFORM: "platform",
   REVENUE: "revenue",
   PAYOUT: "payout",
+  TAX: "tax",
+  RESERVE: "reserve",
+  RECEIVABLE: "receivable",
 };
 
 const REFUND_TYPE = {
@@ -35,14 +54,6 @@ const toPositiveAmount = (value) => {
 const roundToCurrency = (value) =>
   Math.round((Number(value) + Number.EPSILON) * 100) / 100;
 
-const getPlatformFeePercent = () => {
-  const parsed = Number(process.env.PLATFORM_FEE_PERCENT ?? 0);
-  if (!Number.isFinite(parsed) || parsed <= 0) {
-    return 0;
-  }
-  return Math.min(parsed, 100);
-};
-
 const getAcaderSystemUserId = () => {
   const parsed = Number(process.env.ACADER_SYSTEM_USER_ID);
   if (!Number.isInteger(parsed) || parsed <= 0) {
@@ -51,39 +62,649 @@ const getAcaderSystemUserId = () => {
   return parsed;
 };
 
+const currencyOf = (record) => normalizeCurrency(record?.currency);
+
 const uniqueInts = (values) =>
   [...new Set(values.filter((v) => Number.isInteger(v) && v > 0))];
 
-const computeReleaseSplitAmounts = (grossAmount) => {
-  const feePercent = getPlatformFeePercent();
-  if (feePercent <= 0) {
-    throw new Error("PLATFORM_FEE_PERCENT must be greater than 0 for release");
-  }
-
-  const feeAmount = roundToCurrency((grossAmount * feePercent) / 100);
-  if (feeAmount <= 0) {
-    throw new Error("Computed platform fee must be greater than 0");
+const computeReleaseSplitAmounts = (grossAmount, feeAmount, taxAmount = 0) => {
+  if (!Number.isFinite(feeAmount) || feeAmount < 0) {
+    throw new Error("Computed platform fee must not be negative");
   }
   if (feeAmount >= grossAmount) {
-    throw new Error("Computed platform fee must be less than gross amount");
+    const err = new Error(
+      "The platform fee for this release is not less than the amount released",
+    );
+    err.status = 409;
+    throw err;
   }
 
-  const studentNetAmount = roundToCurrency(grossAmount - feeAmount);
+  const studentNetAmount = roundToCurrency(grossAmount - feeAmount - taxAmount);
   if (studentNetAmount <= 0) {
     throw new Error("Computed student net amount must be greater than 0");
   }
 
-  const delta = roundToCurrency(grossAmount - (studentNetAmount + feeAmount));
+  const delta = roundToCurrency(
+    grossAmount - (studentNetAmount + feeAmount + taxAmount),
+  );
   if (Math.abs(delta) > 0.000001) {
-    throw new Error("Release split invariant failed: gross != net + fee");
+    throw new Error("Release split invariant failed: gross != net + fee + tax");
+  }
+
+  return {
+    feeAmount,
+    taxAmount,
+    studentNetAmount,
+  };
+};
+
+const sumTaxes = (taxes) =>
+  roundToCurrency(taxes.reduce((total, tax) => total + tax.taxAmount, 0));
+
+const sumField = (rows, field) =>
+  roundToCurrency(rows.reduce((total, row) => total + row[field], 0));
+
+/**
+ * The fee, taxes and student share a release of `amount` would post, for
+ * previews. Pass the payment and student so their fee and tax rules apply.
+ */
+export const previewReleaseSplit = async (
+  amount,
+  { paymentId = null, studentUserId = null, currency } = {},
+) => {
+  const gross = toPositiveAmount(amount);
+  const normalizedCurrency = normalizeCurrency(currency);
+  const shares = await allocateAcrossSplits(pool, {
+    paymentId,
+    grossAmount: gross,
+    amount: gross,
+    studentUserId,
+  });
+
+  const previews = [];
+  for (const share of shares) {
+    const fee = await resolveReleaseFee(pool, {
+      paymentId,
+      studentUserId: share.studentUserId,
+      amount: share.amount,
+      currency: normalizedCurrency,
+    });
+    const taxes = await resolveReleaseTaxes(pool, {
+      paymentId,
+      studentUserId: share.studentUserId,
+      grossAmount: share.amount,
+      feeAmount: fee.feeAmount,
+      currency: normalizedCurrency,
+    });
+    previews.push({
+      studentUserId: share.studentUserId,
+      grossAmount: share.amount,
+      ...computeReleaseSplitAmounts(share.amount, fee.feeAmount, sumTaxes(taxes)),
+      taxes,
+      feeScheduleId: fee.rule.id ?? null,
+    });
+  }
+
+  if (!shares[0].split) {
+    const [{ feeAmount, taxAmount, studentNetAmount, taxes, feeScheduleId }] = previews;
+    return { feeAmount, taxAmount, studentNetAmount, taxes, feeScheduleId };
+  }
+  return {
+    feeAmount: sumField(previews, "feeAmount"),
+    taxAmount: sumField(previews, "taxAmount"),
+    studentNetAmount: sumField(previews, "studentNetAmount"),
+    taxes: previews.flatMap((preview) => preview.taxes),
+    feeScheduleId: null,
+    shares: previews,
+  };
+};
+
+/**
+ * What a user owes the platform in one currency after clawbacks: receivable
+ * debits not yet cleared by recoveries.
+ */
+export const getOutstandingReceivable = async (client, userId, currency = DEFAULT_CURRENCY) => {
+  const balance = await getUserBalanceByType(client, userId, BALANCE_TYPE.RECEIVABLE, currency);
+  return Math.max(roundToCurrency(-balance), 0);
+};
+
+const hasLedgerEntry = async (client, idempotencyKey) => {
+  const result = await client.query(
+    "SELECT 1 FROM ledger_entries WHERE idempotency_key = $1 LIMIT 1",
+    [idempotencyKey],
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Splits what a post-release refund takes back from a student into the part
+ * their available balance and this payment's held reserve cover, and the
+ * shortfall they are left owing as a receivable.
+ */
+const splitStudentClawback = async (client, { paymentId, studentUserId, amount, currency }) => {
+  const available = await getUserBalanceByType(
+    client,
+    studentUserId,
+    BALANCE_TYPE.AVAILABLE,
+    currency,
+  );
+  const heldReserve = await getHeldPaymentReserve(client, paymentId, studentUserId);
+  const covered = roundToCurrency(Math.min(amount, Math.max(available + heldReserve, 0)));
+  return { covered, shortfall: roundToCurrency(amount - covered) };
+};
+
+const logReceivableEvent = async (
+  client,
+  eventType,
+  { userId, paymentId, amount, reference, currency, ...payload },
+) =>
+  appendFinancialEventLog(
+    {
+      eventType,
+      userId,
+      paymentId,
+      eventPayload: {
+        amount,
+        currency,
+        reference,
+        ...payload,
+        outstanding: await getOutstandingReceivable(client, userId, currency),
+      },
+    },
+    { client },
+  );
+
+/**
+ * Nets a release against what the student owes: up to the net amount moves
+ * from their available balance to clear the receivable. Returns the amount
+ * recovered.
+ */
+const recoverReceivable = async (
+  client,
+  { paymentId, releaseKey, studentUserId, studentNetAmount, reference, currency },
+) => {
+  const owed = await getOutstandingReceivable(client, studentUserId, currency);
+  const recovered = roundToCurrency(Math.min(owed, studentNetAmount));
+  if (recovered <= 0) {
+    return 0;
+  }
+
+  const result = await createDoubleEntry(client, {
+    amount: recovered,
+    reference,
+    idempotencyBase: `${releaseKey}:receivable_recovery`,
+    currency,
+    type: "receivable_recovery",
+    debitUserId: studentUserId,
+    debitBalanceType: BALANCE_TYPE.AVAILABLE,
+    creditUserId: studentUserId,
+    creditBalanceType: BALANCE_TYPE.RECEIVABLE,
+  });
+  if (result.applied) {
+    await logReceivableEvent(client, FINANCIAL_EVENT_TYPE.RECEIVABLE_RECOVERED, {
+      userId: studentUserId,
+      paymentId,
+      amount: recovered,
+      reference,
+      currency,
+      release_key: releaseKey,
+    });
+  }
+  return recovered;
+};
+
+/**
+ * Moves the reserve share of a student's net release from available to
+ * reserve and records when it can be freed. Only a release's first posting
+ * calls this, so the policy is applied once per release.
+ */
+const holdReleaseReserve = async (
+  client,
+  { paymentId, milestoneId, releaseKey, studentUserId, studentNetAmount, reference, currency },
+) => {
+  const reserve = await resolveReleaseReserve(studentUserId, studentNetAmount, { client });
+  if (!reserve) {
+    return null;
+  }
+
+  await createDoubleEntry(client, {
+    amount: reserve.amount,
+    reference,
+    idempotencyBase: `${releaseKey}:reserve_hold`,
+    currency,
+    type: "reserve_hold",
+    debitUserId: studentUserId,
+    debitBalanceType: BALANCE_TYPE.AVAILABLE,
+    creditUserId: studentUserId,
+    creditBalanceType: BALANCE_TYPE.RESERVE,
+  });
+
+  const inserted = await client.query(
+    `INSERT INTO release_reserves
+       (payment_id, milestone_id, release_key, student_user_id, amount, currency,
+        reserve_percent, reason, risk_score, release_after)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW() + make_interval(days => $10::int))
+     ON CONFLICT (release_key) DO NOTHING
+     RETURNING *`,
+    [
+      paymentId,
+      milestoneId,
+      releaseKey,
+      studentUserId,
+      reserve.amount,
+      currency,
+      reserve.percent,
+      reserve.reason,
+      reserve.riskScore,
+      reserve.holdDays,
+    ],
+  );
+  return inserted.rows[0] ?? null;
+};
+
+/**
+ * Reserve still held from a payment's releases to one student.
+ */
+const getHeldPaymentReserve = async (client, paymentId, studentUserId) => {
+  const result = await client.query(
+    `SELECT COALESCE(SUM(amount), 0) AS amount
+     FROM release_reserves
+     WHERE payment_id = $1 AND student_user_id = $2 AND status = 'held'`,
+    [paymentId, studentUserId],
+  );
+  return Number(result.rows[0]?.amount ?? 0);
+};
+
+/**
+ * Returns every reserve still held from a payment's releases to the
+ * students' available balances, so a refund or dispute of the payment is
+ * taken from the reserve first. Returns the affected student ids.
+ */
+export const returnPaymentReserves = async (client, paymentId) => {
+  const held = await client.query(
+    `SELECT rr.*, COALESCE(pay.provider_ref, 'payment:' || pay.id) AS reference
+     FROM release_reserves rr
+     JOIN payments pay ON pay.id = rr.payment_id
+     WHERE rr.payment_id = $1 AND rr.status = 'held'
+     ORDER BY rr.id ASC
+     FOR UPDATE OF rr`,
+    [paymentId],
+  );
+
+  for (const reserve of held.rows) {
+    await createDoubleEntry(client, {
+      amount: reserve.amount,
+      reference: reserve.reference,
+      idempotencyBase: `release_reserve:${reserve.id}:return`,
+      currency: reserve.currency,
+      type: "reserve_return",
+      debitUserId: reserve.student_user_id,
+      debitBalanceType: BALANCE_TYPE.RESERVE,
+      creditUserId: reserve.student_user_id,
+      creditBalanceType: BALANCE_TYPE.AVAILABLE,
+    });
+    await client.query(
+      `UPDATE release_reserves
+       SET status = 'returned', released_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [reserve.id],
+    );
+  }
+
+  return uniqueInts(held.rows.map((reserve) => reserve.student_user_id));
+};
+
+/**
+ * Returns only as much of a student's held reserves from a payment as a
+ * partial clawback needs, oldest first. A reserve drawn in part keeps the
+ * rest held until its release date.
+ */
+const drawPaymentReserves = async (
+  client,
+  { paymentId, studentUserId, amount, idempotencyBase },
+) => {
+  const held = await client.query(
+    `SELECT rr.*, COALESCE(pay.provider_ref, 'payment:' || pay.id) AS reference
+     FROM release_reserves rr
+     JOIN payments pay ON pay.id = rr.payment_id
+     WHERE rr.payment_id = $1 AND rr.student_user_id = $2 AND rr.status = 'held'
+     ORDER BY rr.id ASC
+     FOR UPDATE OF rr`,
+    [paymentId, studentUserId],
+  );
+
+  let remaining = roundToCurrency(amount);
+  for (const reserve of held.rows) {
+    if (remaining <= 0) {
+      break;
+    }
+    const drawn = roundToCurrency(Math.min(remaining, Number(reserve.amount)));
+    await createDoubleEntry(client, {
+      amount: drawn,
+      reference: reserve.reference,
+      idempotencyBase: `${idempotencyBase}:reserve:${reserve.id}`,
+      currency: reserve.currency,
+      type: "reserve_return",
+      debitUserId: studentUserId,
+      debitBalanceType: BALANCE_TYPE.RESERVE,
+      creditUserId: studentUserId,
+      creditBalanceType: BALANCE_TYPE.AVAILABLE,
+    });
+
+    const left = roundToCurrency(Number(reserve.amount) - drawn);
+    if (left > 0) {
+      await client.query(
+        "UPDATE release_reserves SET amount = $2, updated_at = NOW() WHERE id = $1",
+        [reserve.id, left],
+      );
+    } else {
+      await client.query(
+        `UPDATE release_reserves
+         SET status = 'returned', released_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [reserve.id],
+      );
+    }
+    remaining = roundToCurrency(remaining - drawn);
+  }
+};
+
+/**
+ * Frees a reserve whose hold period has passed: reserve back to the
+ * student's available balance, netted against any receivable they owe in
+ * the same transaction. The caller locks the row. Returns the ledger
+ * result and the amount recovered.
+ */
+export const applyReserveReleaseLedger = async (client, reserve) => {
+  const payment = await client.query(
+    "SELECT id, provider_ref FROM payments WHERE id = $1",
+    [reserve.payment_id],
+  );
+  const reference = payment.rows[0]?.provider_ref ?? `payment:${reserve.payment_id}`;
+  const releaseKey = `release_reserve:${reserve.id}:release`;
+
+  const result = await createDoubleEntry(client, {
+    amount: reserve.amount,
+    reference,
+    idempotencyBase: releaseKey,
+    currency: reserve.currency,
+    type: "reserve_release",
+    debitUserId: reserve.student_user_id,
+    debitBalanceType: BALANCE_TYPE.RESERVE,
+    creditUserId: reserve.student_user_id,
+    creditBalanceType: BALANCE_TYPE.AVAILABLE,
+  });
+  const receivableRecovered = result.applied
+    ? await recoverReceivable(client, {
+        paymentId: reserve.payment_id,
+        releaseKey,
+        studentUserId: reserve.student_user_id,
+        studentNetAmount: Number(reserve.amount),
+        reference,
+        currency: reserve.currency,
+      })
+    : 0;
+
+  await syncWalletAvailableBalances(client, [reserve.student_user_id]);
+  return { ...result, receivableRecovered };
+};
+
+/**
+ * Posts a release split: escrow out, the student's net share in, the
+ * platform fee to revenue (skipped when the fee is zero) and each withheld
+ * tax to the platform's tax balance. Fee and taxes come from the payment's
+ * rules and are recorded per release.
+ */
+const postReleaseWithPlatformFee = async (
+  client,
+  {
+    amount,
+    reference,
+    releaseBase,
+    debitUserId,
+    debitBalanceType,
+    studentUserId,
+    currency,
+    paymentId,
+    milestoneId = null,
+  },
+) => {
+  if (!Number.isInteger(debitUserId) || debitUserId <= 0) {
+    throw new Error("Invalid debit user id for release transition");
+  }
+  if (!Number.isInteger(studentUserId) || studentUserId <= 0) {
+    throw new Error("Invalid student user id for release transition");
+  }
+
+  const fee = await resolveReleaseFee(client, {
+    paymentId,
+    studentUserId,
+    amount,
+    currency,
+    releaseKey: releaseBase,
+  });
+  const taxes = await resolveReleaseTaxes(client, {
+    paymentId,
+    studentUserId,
+    grossAmount: amount,
+    feeAmount: fee.feeAmount,
+    currency,
+    releaseKey: releaseBase,
+    recorded: fee.recorded,
+  });
+  const { feeAmount, taxAmount, studentNetAmount } = computeReleaseSplitAmounts(
+    amount,
+    fee.feeAmount,
+    sumTaxes(taxes),
+  );
+
+  const escrowDebit = await createLedgerEntry(client, {
+    userId: debitUserId,
+    amount,
+    direction: DIRECTION.DEBIT,
+    balanceType: debitBalanceType,
+    type: "release",
+    reference,
+    idempotencyKey: `${releaseBase}:escrow_debit`,
+    currency,
+  });
+
+  const studentCredit = await createLedgerEntry(client, {
+    userId: studentUserId,
+    amount: studentNetAmount,
+    direction: DIRECTION.CREDIT,
+    balanceType: BALANCE_TYPE.AVAILABLE,
+    type: "release",
+    reference,
+    idempotencyKey: `${releaseBase}:student_credit`,
+    currency,
+  });
+
+  const revenueCredit =
+    feeAmount > 0
+      ? await createLedgerEntry(client, {
+          userId: getAcaderSystemUserId(),
+          amount: feeAmount,
+          direction: DIRECTION.CREDIT,
+          balanceType: BALANCE_TYPE.REVENUE,
+          type: "platform_fee",
+          reference,
+          idempotencyKey: `${releaseBase}:platform_fee_credit`,
+          currency,
+        })
+      : { inserted: escrowDebit.inserted, row: null };
+
+  const taxCredits = [];
+  for (const tax of taxes) {
+    taxCredits.push(
+      await createLedgerEntry(client, {
+        userId: getAcaderSystemUserId(),
+        amount: tax.taxAmount,
+        direction: DIRECTION.CREDIT,
+        balanceType: BALANCE_TYPE.TAX,
+        type: TAX_LEDGER_TYPE[tax.taxType],
+        reference,
+        idempotencyKey: `${releaseBase}:${tax.taxType}_tax_credit`,
+        currency,
+      }),
+    );
+  }
+
+  if (
+    escrowDebit.inserted !== studentCredit.inserted ||
+    escrowDebit.inserted !== revenueCredit.inserted ||
+    taxCredits.some((entry) => entry.inserted !== escrowDebit.inserted)
+  ) {
+    throw new Error(
+      "Ledger idempotency mismatch: release split insert states are inconsistent",
+    );
+  }
+
+  let reserve = null;
+  let receivableRecovered = 0;
+  if (escrowDebit.inserted && paymentId) {
+    await recordReleaseFee(client, {
+      paymentId,
+      milestoneId,
+      releaseKey: releaseBase,
+      rule: fee.rule,
+      grossAmount: amount,
+      feeAmount,
+      studentAmount: studentNetAmount,
+      currency,
+    });
+    await recordReleaseTaxes(client, {
+      paymentId,
+      milestoneId,
+      releaseKey: releaseBase,
+      studentUserId,
+      currency,
+      taxes,
+    });
+    await issueReleaseReceipt(client, {
+      paymentId,
+      milestoneId,
+      releaseKey: releaseBase,
+      studentUserId,
+      currency,
+      reference,
+      grossAmount: amount,
+      feeAmount,
+      taxes,
+      studentNetAmount,
+    });
+    receivableRecovered = await recoverReceivable(client, {
+      paymentId,
+      releaseKey: releaseBase,
+      studentUserId,
+      studentNetAmount,
+      reference,
+      currency,
+    });
+    reserve = await holdReleaseReserve(client, {
+      paymentId,
+      milestoneId,
+      releaseKey: releaseBase,
+      studentUserId,
+      studentNetAmount: roundToCurrency(studentNetAmount - receivableRecovered),
+      reference,
+      currency,
+    });
   }
 
   return {
+    applied: escrowDebit.inserted,
+    escrowDebit: escrowDebit.row,
+    studentCredit: studentCredit.row,
+    revenueCredit: revenueCredit.row,
     feeAmount,
+    taxAmount,
+    taxes,
     studentNetAmount,
+    reserveAmount: reserve ? Number(reserve.amount) : 0,
+    receivableRecovered,
+    feeScheduleId: fee.rule.id ?? null,
+  };
+};
+
+/**
+ * Posts a release across the payment's team split: one release split per
+ * student, in proportion to their share and in the caller's transaction.
+ * Without a split the whole amount goes to `studentUserId` under
+ * `releaseBase`. `debitUserFor(studentUserId)` names whose balance each
+ * share leaves.
+ */
+const postSplitRelease = async (
+  client,
+  { amount, grossAmount, releaseBase, studentUserId, debitUserFor, paymentId, ...release },
+) => {
+  const shares = await allocateAcrossSplits(client, {
+    paymentId,
+    grossAmount,
+    amount,
+    studentUserId,
+  });
+
+  const releases = [];
+  for (const share of shares) {
+    const posted = await postReleaseWithPlatformFee(client, {
+      ...release,
+      amount: share.amount,
+      releaseBase: share.split
+        ? `${releaseBase}:student:${share.studentUserId}`
+        : releaseBase,
+      debitUserId: debitUserFor(share.studentUserId),
+      studentUserId: share.studentUserId,
+      paymentId,
+    });
+    releases.push({
+      ...posted,
+      studentUserId: share.studentUserId,
+      grossAmount: share.amount,
+    });
+  }
+
+  if (releases.some((posted) => posted.applied !== releases[0].applied)) {
+    throw new Error(
+      "Ledger idempotency mismatch: split release insert states are inconsistent",
+    );
+  }
+
+  return {
+    applied: releases[0].applied,
+    releases,
+    studentUserIds: releases.map((posted) => posted.studentUserId),
+    feeAmount: sumField(releases, "feeAmount"),
+    taxAmount: sumField(releases, "taxAmount"),
+    studentNetAmount: sumField(releases, "studentNetAmount"),
+    reserveAmount: sumField(releases, "reserveAmount"),
+    receivableRecovered: sumField(releases, "receivableRecovered"),
   };
 };
 
+const logEscrowReleased = async (client, payment, release, eventPayload) =>
+  appendFinancialEventLog(
+    {
+      eventType: FINANCIAL_EVENT_TYPE.ESCROW_RELEASED,
+      userId: release.studentUserId,
+      paymentId: payment.id,
+      eventPayload: {
+        amount: release.grossAmount,
+        reference: payment.provider_ref ?? `payment:${payment.id}`,
+        ...eventPayload,
+        student_amount: release.studentNetAmount,
+        platform_fee: release.feeAmount,
+        fee_schedule_id: release.feeScheduleId,
+        tax_withheld: release.taxAmount,
+        ...(release.reserveAmount > 0 ? { reserve_held: release.reserveAmount } : {}),
+        ...(release.receivableRecovered > 0
+          ? { receivable_recovered: release.receivableRecovered }
+          : {}),
+      },
+    },
+    { client },
+  );
+
 export const createLedgerEntry = async (client, entry) => {
   const {
     userId = null,
@@ -93,19 +714,21 @@ export const createLedgerEntry = async (client, entry) => {
     type,
     reference = null,
     idempotencyKey,
+    currency,
   } = entry;
 
   const normalizedAmount = toPositiveAmount(amount);
+  const normalizedCurrency = normalizeCurrency(currency);
   if (!idempotencyKey) {
     throw new Error("idempotencyKey is required");
   }
 
   const result = await client.query(
     `INSERT INTO ledger_entries
-       (user_id, amount, direction, balance_type, type, reference, idempotency_key)
-     VALUES ($1, $2, $3, $4, $5, $6, $7)
+       (user_id, amount, direction, balance_type, type, reference, idempotency_key, currency)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
      ON CONFLICT (idempotency_key) DO NOTHING
-     RETURNING id, user_id, amount, direction, balance_type, type, reference, idempotency_key, created_at`,
+     RETURNING id, user_id, amount, direction, balance_type, type, reference, idempotency_key, currency, created_at`,
     [
       userId,
       normalizedAmount,
@@ -114,6 +737,7 @@ export const createLedgerEntry = async (client, entry) => {
       type ?? null,
       reference,
       idempotencyKey,
+      normalizedCurrency,
     ],
   );
 
@@ -128,6 +752,7 @@ export const createLedgerEntry = async (client, entry) => {
         eventPayload: {
           ledger_entry_id: row.id,
           amount: row.amount,
+          currency: row.currency,
           direction: row.direction,
           balance_type: row.balance_type,
           type: row.type,
@@ -145,6 +770,7 @@ export const createLedgerEntry = async (client, entry) => {
           userId: userId ?? null,
           eventPayload: {
             amount: row.amount,
+            currency: row.currency,
             reference: row.reference,
             ledger_entry_id: row.id,
           },
@@ -169,6 +795,9 @@ export const createDoubleEntry = async (client, params) => {
     idempotencyBase,
     debitType = type,
     creditType = type,
+    currency,
+    debitCurrency = currency,
+    creditCurrency = currency,
   } = params;
 
   if (!idempotencyBase) {
@@ -176,6 +805,15 @@ export const createDoubleEntry = async (client, params) => {
   }
 
   const normalizedAmount = toPositiveAmount(amount);
+  const entryCurrency = normalizeCurrency(debitCurrency);
+  // Both legs move the same amount, which only balances within one currency.
+  if (normalizeCurrency(creditCurrency) !== entryCurrency) {
+    const err = new Error(
+      `Cross-currency double entry is not allowed (${entryCurrency} -> ${normalizeCurrency(creditCurrency)})`,
+    );
+    err.status = 400;
+    throw err;
+  }
 
   const debit = await createLedgerEntry(client, {
     userId: debitUserId,
@@ -185,6 +823,7 @@ export const createDoubleEntry = async (client, params) => {
     type: debitType,
     reference,
     idempotencyKey: `${idempotencyBase}:debit`,
+    currency: entryCurrency,
   });
 
   const credit = await createLedgerEntry(client, {
@@ -195,6 +834,7 @@ export const createDoubleEntry = async (client, params) => {
     type: creditType,
     reference,
     idempotencyKey: `${idempotencyBase}:credit`,
+    currency: entryCurrency,
   });
 
   if (debit.inserted !== credit.inserted) {
@@ -210,6 +850,11 @@ export const createDoubleEntry = async (client, params) => {
   };
 };
 
+/**
+ * Rebuilds the cached wallet balances of the given users from the ledger.
+ * Every user keeps a wallet in the default currency plus one per currency
+ * their ledger entries touch.
+ */
 export const syncWalletAvailableBalances = async (client, userIds) => {
   const ids = uniqueInts(userIds);
   if (ids.length === 0) {
@@ -218,12 +863,16 @@ export const syncWalletAvailableBalances = async (client, userIds) => {
 
   await client.query(
     `
-    INSERT INTO wallets (user_id, balance, available_balance, escrow_balance)
-    SELECT x.user_id, 0, 0, 0
+    INSERT INTO wallets (user_id, currency, balance, available_balance, escrow_balance)
+    SELECT x.user_id, $2, 0, 0, 0
     FROM unnest($1::int[]) AS x(user_id)
-    ON CONFLICT (user_id) DO NOTHING
+    UNION
+    SELECT DISTINCT le.user_id, le.currency, 0, 0, 0
+    FROM ledger_entries le
+    WHERE le.user_id = ANY($1::int[])
+    ON CONFLICT (user_id, currency) DO NOTHING
     `,
-    [ids],
+    [ids, DEFAULT_CURRENCY],
   );
 
   await client.query(
@@ -233,7 +882,7 @@ export const syncWalletAvailableBalances = async (client, userIds) => {
         available_balance = COALESCE(calc.available_balance, 0),
         escrow_balance = COALESCE(calc.escrow_balance, 0)
     FROM (
-      SELECT x.user_id,
+      SELECT x.id,
              COALESCE(SUM(
                CASE
                  WHEN le.balance_type = 'available' AND le.direction = 'credit' THEN le.amount
@@ -248,12 +897,14 @@ export const syncWalletAvailableBalances = async (client, userIds) => {
                  ELSE 0
                END
              ), 0) AS escrow_balance
-      FROM unnest($1::int[]) AS x(user_id)
+      FROM wallets x
       LEFT JOIN ledger_entries le
         ON le.user_id = x.user_id
-      GROUP BY x.user_id
+       AND le.currency = x.currency
+      WHERE x.user_id = ANY($1::int[])
+      GROUP BY x.id
     ) calc
-    WHERE w.user_id = calc.user_id
+    WHERE w.id = calc.id
     `,
     [ids],
   );
@@ -263,6 +914,7 @@ export const getUserBalanceByType = async (
   client,
   userId,
   balanceType = BALANCE_TYPE.AVAILABLE,
+  currency = DEFAULT_CURRENCY,
 ) => {
   const result = await client.query(
     `
@@ -277,9 +929,9 @@ export const getUserBalanceByType = async (
       0
     ) AS balance
     FROM ledger_entries
-    WHERE user_id = $1 AND balance_type = $2
+    WHERE user_id = $1 AND balance_type = $2 AND currency = $3
     `,
-    [userId, balanceType],
+    [userId, balanceType, normalizeCurrency(currency)],
   );
 
   return Number(result.rows[0]?.balance ?? 0);
@@ -324,6 +976,7 @@ export const applyPaymentRefundLedger = async (
   }
 
   const amount = toPositiveAmount(payment.amount);
+  const currency = currencyOf(payment);
   const reference = payment.provider_ref ?? `payment:${payment.id}`;
   const idempotencyPrefix =
     options.idempotencyPrefix ?? `payment:${payment.id}:${fromStatus}->refunded`;
@@ -349,6 +1002,7 @@ export const applyPaymentRefundLedger = async (
         amount: shortfall,
         reference,
         idempotencyBase: `${idempotencyPrefix}:legacy_escrow_backfill`,
+        currency,
         type: "escrow_backfill",
         debitUserId: null,
         debitBalanceType: BALANCE_TYPE.PLATFORM,
@@ -361,6 +1015,7 @@ export const applyPaymentRefundLedger = async (
       amount,
       reference,
       idempotencyBase: `${idempotencyPrefix}:escrow_refund`,
+      currency,
       type: "refund_escrow",
       debitUserId: companyUserId,
       debitBalanceType: BALANCE_TYPE.ESCROW,
@@ -426,41 +1081,120 @@ export const applyPaymentRefundLedger = async (
   const revenueDebitAmount = roundToCurrency(
     Math.min(amount, Math.max(revenueBalance, 0)),
   );
-  const studentDebitAmount = roundToCurrency(amount - revenueDebitAmount);
+
+  // Tax withheld on the release is reversed too, so the student only gives
+  // back what they actually received.
+  const taxResult = await client.query(
+    `
+    SELECT
+      user_id,
+      ${TAX_TYPE_OF_LEDGER_ENTRY_SQL} AS tax_type,
+      SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END) AS tax_balance
+    FROM ledger_entries
+    WHERE reference = $1
+      AND balance_type = 'tax'
+    GROUP BY 1, 2
+    HAVING SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END) > 0
+    ORDER BY 2 ASC
+    `,
+    [reference],
+  );
+
+  let remaining = roundToCurrency(amount - revenueDebitAmount);
+  const taxDebits = [];
+  for (const row of taxResult.rows) {
+    const taxDebitAmount = roundToCurrency(Math.min(remaining, Number(row.tax_balance)));
+    if (taxDebitAmount > 0) {
+      taxDebits.push({
+        userId: Number(row.user_id),
+        taxType: row.tax_type,
+        amount: taxDebitAmount,
+      });
+      remaining = roundToCurrency(remaining - taxDebitAmount);
+    }
+  }
+  const taxDebitAmount = roundToCurrency(
+    taxDebits.reduce((total, debit) => total + debit.amount, 0),
+  );
+  const studentDebitAmount = remaining;
 
   if (studentDebitAmount < 0 || revenueDebitAmount < 0) {
     throw new Error("Invalid released refund split");
   }
 
-  const debitTotal = roundToCurrency(studentDebitAmount + revenueDebitAmount);
+  const debitTotal = roundToCurrency(
+    studentDebitAmount + revenueDebitAmount + taxDebitAmount,
+  );
   if (Math.abs(debitTotal - amount) > 0.000001) {
     throw new Error("Released refund invariant failed: debit != credit");
   }
 
-  const studentAvailableBalance = await getUserBalanceByType(
-    client,
-    studentUserId,
-    BALANCE_TYPE.AVAILABLE,
-  );
-
-  if (studentAvailableBalance + 0.000001 < studentDebitAmount) {
-    throw new Error("Insufficient student available balance for released refund");
+  // A team payment takes the reversal back from each member pro-rata.
+  const studentDebits =
+    studentDebitAmount > 0
+      ? await allocateAcrossSplits(client, {
+          paymentId: payment.id,
+          grossAmount: amount,
+          amount: studentDebitAmount,
+          studentUserId,
+        })
+      : [];
+
+  // What the student's available balance and this payment's reserve cannot
+  // cover is recorded as a receivable they owe. A replayed refund skips the
+  // split, as every entry already exists.
+  const companyCreditKey = `${idempotencyPrefix}:refund_released:company_credit`;
+  const alreadyPosted = await hasLedgerEntry(client, companyCreditKey);
+  for (const debit of studentDebits) {
+    Object.assign(
+      debit,
+      alreadyPosted
+        ? { covered: debit.amount, shortfall: 0 }
+        : await splitStudentClawback(client, {
+            paymentId: payment.id,
+            studentUserId: debit.studentUserId,
+            amount: debit.amount,
+            currency,
+          }),
+    );
   }
 
+  await returnPaymentReserves(client, payment.id);
+
   const entries = [];
 
-  if (studentDebitAmount > 0) {
-    entries.push(
-      await createLedgerEntry(client, {
-        userId: studentUserId,
-        amount: studentDebitAmount,
-        direction: DIRECTION.DEBIT,
-        balanceType: BALANCE_TYPE.AVAILABLE,
-        type: "refund_reversal",
-        reference,
-        idempotencyKey: `${idempotencyPrefix}:refund_reversal:student_debit`,
-      }),
-    );
+  for (const debit of studentDebits) {
+    const studentDebitKey = debit.split
+      ? `${idempotencyPrefix}:refund_reversal:student_debit:${debit.studentUserId}`
+      : `${idempotencyPrefix}:refund_reversal:student_debit`;
+    if (debit.covered > 0) {
+      entries.push(
+        await createLedgerEntry(client, {
+          userId: debit.studentUserId,
+          amount: debit.covered,
+          direction: DIRECTION.DEBIT,
+          balanceType: BALANCE_TYPE.AVAILABLE,
+          type: "refund_reversal",
+          reference,
+          idempotencyKey: studentDebitKey,
+          currency,
+        }),
+      );
+    }
+    if (debit.shortfall > 0) {
+      entries.push(
+        await createLedgerEntry(client, {
+          userId: debit.studentUserId,
+          amount: debit.shortfall,
+          direction: DIRECTION.DEBIT,
+          balanceType: BALANCE_TYPE.RECEIVABLE,
+          type: "clawback_receivable",
+          reference,
+          idempotencyKey: `${studentDebitKey}:receivable`,
+          currency,
+        }),
+      );
+    }
   }
 
   if (revenueDebitAmount > 0) {
@@ -477,6 +1211,22 @@ export const applyPaymentRefundLedger = async (
         type: "refund_released",
         reference,
         idempotencyKey: `${idempotencyPrefix}:refund_released:revenue_debit`,
+        currency,
+      }),
+    );
+  }
+
+  for (const taxDebit of taxDebits) {
+    entries.push(
+      await createLedgerEntry(client, {
+        userId: taxDebit.userId,
+        amount: taxDebit.amount,
+        direction: DIRECTION.DEBIT,
+        balanceType: BALANCE_TYPE.TAX,
+        type: `${TAX_LEDGER_TYPE[taxDebit.taxType]}_reversal`,
+        reference,
+        idempotencyKey: `${idempotencyPrefix}:refund_released:${taxDebit.taxType}_tax_debit`,
+        currency,
       }),
     );
   }
@@ -489,7 +1239,8 @@ export const applyPaymentRefundLedger = async (
       balanceType: BALANCE_TYPE.AVAILABLE,
       type: "refund_released",
       reference,
-      idempotencyKey: `${idempotencyPrefix}:refund_released:company_credit`,
+      idempotencyKey: companyCreditKey,
+      currency,
     }),
   );
 
@@ -500,7 +1251,11 @@ export const applyPaymentRefundLedger = async (
     );
   }
 
-  const walletUserIds = [companyUserId, studentUserId];
+  const walletUserIds = [
+    companyUserId,
+    studentUserId,
+    ...studentDebits.map((debit) => debit.studentUserId),
+  ];
   await refreshRiskProfilesForUsers(walletUserIds, { client });
 
   if (insertStates[0] ?? false) {
@@ -516,10 +1271,30 @@ export const applyPaymentRefundLedger = async (
           reference,
           student_debit_amount: studentDebitAmount,
           revenue_debit_amount: revenueDebitAmount,
+          tax_debit_amount: taxDebitAmount,
+          receivable_amount: sumField(studentDebits, "shortfall"),
+          ...(studentDebits.some((debit) => debit.split)
+            ? {
+                student_debits: studentDebits.map((debit) => ({
+                  student_user_id: debit.studentUserId,
+                  amount: debit.amount,
+                })),
+              }
+            : {}),
         },
       },
       { client },
     );
+    for (const debit of studentDebits.filter((entry) => entry.shortfall > 0)) {
+      await logReceivableEvent(client, FINANCIAL_EVENT_TYPE.RECEIVABLE_RECORDED, {
+        userId: debit.studentUserId,
+        paymentId: payment.id,
+        amount: debit.shortfall,
+        reference,
+        currency,
+        refund_type: REFUND_TYPE.RELEASED,
+      });
+    }
   }
 
   return {
@@ -529,21 +1304,102 @@ export const applyPaymentRefundLedger = async (
   };
 };
 
-export const applyPaymentPartialRefundLedger = async (
+/**
+ * Partial refund of a payment still in escrow: the refunded part goes back
+ * to the company's available balance and only the rest is released, so the
+ * fee, tax, reserve and receivable netting apply to what the student keeps.
+ */
+const applyEscrowPartialRefund = async (
   client,
   payment,
-  options = {},
+  {
+    partialAmount,
+    totalAmount,
+    companyUserId,
+    studentUserId,
+    reference,
+    idempotencyPrefix,
+    currency,
+  },
 ) => {
-  if (!payment) {
-    throw new Error("payment is required");
-  }
-
-  if (payment.status !== "released") {
-    throw new Error("Partial refund is only supported for released payments");
-  }
-
+  const refund = await createDoubleEntry(client, {
+    amount: partialAmount,
+    reference,
+    idempotencyBase: `${idempotencyPrefix}:escrow_refund`,
+    currency,
+    type: "refund_escrow",
+    debitUserId: companyUserId,
+    debitBalanceType: BALANCE_TYPE.ESCROW,
+    creditUserId: companyUserId,
+    creditBalanceType: BALANCE_TYPE.AVAILABLE,
+  });
+  const release = await postSplitRelease(client, {
+    amount: roundToCurrency(totalAmount - partialAmount),
+    grossAmount: totalAmount,
+    reference,
+    releaseBase: `${idempotencyPrefix}:release`,
+    currency,
+    debitUserFor: () => companyUserId,
+    debitBalanceType: BALANCE_TYPE.ESCROW,
+    studentUserId,
+    paymentId: payment.id,
+  });
+  if (refund.applied !== release.applied) {
+    throw new Error(
+      "Ledger idempotency mismatch: escrow partial refund insert states are inconsistent",
+    );
+  }
+
+  if (release.applied) {
+    for (const posted of release.releases) {
+      await logEscrowReleased(client, payment, posted, {
+        from_wallet: "escrow",
+        to_wallet: "available",
+      });
+    }
+    await appendFinancialEventLog(
+      {
+        eventType: FINANCIAL_EVENT_TYPE.REFUND_PROCESSED,
+        userId: companyUserId,
+        paymentId: payment.id,
+        eventPayload: {
+          refund_type: "partial_refund",
+          amount: partialAmount,
+          from_status: payment.status,
+          reference,
+        },
+      },
+      { client },
+    );
+  }
+
+  const walletUserIds = [companyUserId, ...release.studentUserIds];
+  await refreshRiskProfilesForUsers(walletUserIds, { client });
+
+  return {
+    applied: release.applied,
+    refundType: "partial_refund",
+    refundedAmount: partialAmount,
+    walletUserIds,
+  };
+};
+
+export const applyPaymentPartialRefundLedger = async (
+  client,
+  payment,
+  options = {},
+) => {
+  if (!payment) {
+    throw new Error("payment is required");
+  }
+
+  if (!["paid", "released"].includes(payment.status)) {
+    throw new Error("Partial refund is only supported for paid or released payments");
+  }
+
   const partialAmount = toPositiveAmount(options.partialAmount);
   const totalAmount = toPositiveAmount(payment.amount);
+  const currency = currencyOf(payment);
   if (partialAmount >= totalAmount) {
     throw new Error("Partial refund amount must be less than payment amount");
   }
@@ -560,37 +1416,112 @@ export const applyPaymentPartialRefundLedger = async (
     throw new Error("Invalid student user id for partial refund");
   }
 
-  const studentAvailableBalance = await getUserBalanceByType(
-    client,
-    studentUserId,
-    BALANCE_TYPE.AVAILABLE,
-  );
-
-  if (studentAvailableBalance + 0.000001 < partialAmount) {
-    throw new Error("Insufficient student available balance for partial refund");
-  }
-
   const reference = payment.provider_ref ?? `payment:${payment.id}`;
   const idempotencyPrefix =
     options.idempotencyPrefix ??
     `payment:${payment.id}:${payment.status}->partial_refund:${partialAmount}`;
 
-  const result = await createDoubleEntry(client, {
+  if (payment.status === "paid") {
+    return applyEscrowPartialRefund(client, payment, {
+      partialAmount,
+      totalAmount,
+      companyUserId,
+      studentUserId,
+      reference,
+      idempotencyPrefix,
+      currency,
+    });
+  }
+
+  // A team payment takes the refund back from each member pro-rata.
+  const studentDebits = await allocateAcrossSplits(client, {
+    paymentId: payment.id,
+    grossAmount: totalAmount,
     amount: partialAmount,
-    reference,
-    idempotencyBase: `${idempotencyPrefix}:partial_refund`,
-    type: "partial_refund",
-    debitUserId: studentUserId,
-    debitBalanceType: BALANCE_TYPE.AVAILABLE,
-    creditUserId: companyUserId,
-    creditBalanceType: BALANCE_TYPE.AVAILABLE,
+    studentUserId,
   });
 
-  const walletUserIds = [companyUserId, studentUserId];
+  // As with a full refund, a shortfall is owed as a receivable. A replayed
+  // share is skipped.
+  for (const debit of studentDebits) {
+    debit.idempotencyBase = debit.split
+      ? `${idempotencyPrefix}:partial_refund:student:${debit.studentUserId}`
+      : `${idempotencyPrefix}:partial_refund`;
+    const posted =
+      (await hasLedgerEntry(client, `${debit.idempotencyBase}:credit`)) ||
+      (await hasLedgerEntry(client, `${debit.idempotencyBase}:receivable:credit`));
+    Object.assign(
+      debit,
+      posted
+        ? { covered: 0, shortfall: 0 }
+        : await splitStudentClawback(client, {
+            paymentId: payment.id,
+            studentUserId: debit.studentUserId,
+            amount: debit.amount,
+            currency,
+          }),
+    );
+  }
+
+  const results = [];
+  for (const debit of studentDebits) {
+    if (debit.covered > 0) {
+      // The reserve covers the clawback first; what it does not need stays
+      // held until its release date.
+      await drawPaymentReserves(client, {
+        paymentId: payment.id,
+        studentUserId: debit.studentUserId,
+        amount: debit.covered,
+        idempotencyBase: debit.idempotencyBase,
+      });
+      results.push(
+        await createDoubleEntry(client, {
+          amount: debit.covered,
+          reference,
+          idempotencyBase: debit.idempotencyBase,
+          currency,
+          type: "partial_refund",
+          debitUserId: debit.studentUserId,
+          debitBalanceType: BALANCE_TYPE.AVAILABLE,
+          creditUserId: companyUserId,
+          creditBalanceType: BALANCE_TYPE.AVAILABLE,
+        }),
+      );
+    }
+    if (debit.shortfall > 0) {
+      results.push(
+        await createDoubleEntry(client, {
+          amount: debit.shortfall,
+          reference,
+          idempotencyBase: `${debit.idempotencyBase}:receivable`,
+          currency,
+          type: "partial_refund",
+          debitType: "clawback_receivable",
+          debitUserId: debit.studentUserId,
+          debitBalanceType: BALANCE_TYPE.RECEIVABLE,
+          creditUserId: companyUserId,
+          creditBalanceType: BALANCE_TYPE.AVAILABLE,
+        }),
+      );
+      await logReceivableEvent(client, FINANCIAL_EVENT_TYPE.RECEIVABLE_RECORDED, {
+        userId: debit.studentUserId,
+        paymentId: payment.id,
+        amount: debit.shortfall,
+        reference,
+        currency,
+        refund_type: "partial_refund",
+      });
+    }
+  }
+
+  const walletUserIds = [
+    companyUserId,
+    ...studentDebits.map((debit) => debit.studentUserId),
+  ];
   await refreshRiskProfilesForUsers(walletUserIds, { client });
 
   return {
-    applied: result.applied,
+    applied: results.some((result) => result.applied),
     refundType: "partial_refund",
     refundedAmount: partialAmount,
     walletUserIds,
@@ -613,6 +1544,7 @@ export const applyPaymentTransitionLedger = async (
   }
 
   const amount = toPositiveAmount(payment.amount);
+  const currency = currencyOf(payment);
   const reference = payment.provider_ref ?? `payment:${payment.id}`;
   const idempotencyPrefix =
     options.idempotencyPrefix ?? `payment:${payment.id}:${fromStatus}->${nextStatus}`;
@@ -644,9 +1576,10 @@ export const applyPaymentTransitionLedger = async (
 
   const run = async (config) => {
     const result = await createDoubleEntry(client, {
-      amount,
+      amount: config.amount ?? amount,
       reference,
       idempotencyBase: `${idempotencyPrefix}:${config.kind}`,
+      currency,
       type: config.type,
       debitType: config.debitType ?? config.type,
       creditType: config.creditType ?? config.type,
@@ -658,76 +1591,46 @@ export const applyPaymentTransitionLedger = async (
     return result;
   };
 
-  const applyReleaseWithPlatformFee = async ({
-    kind,
-    debitUserId,
-    debitBalanceType,
-    studentUserId: creditStudentUserId,
-  }) => {
-    if (!Number.isInteger(debitUserId) || debitUserId <= 0) {
-      throw new Error("Invalid debit user id for release transition");
-    }
-    if (!Number.isInteger(creditStudentUserId) || creditStudentUserId <= 0) {
-      throw new Error("Invalid student user id for release transition");
-    }
-
-    const { feeAmount, studentNetAmount } = computeReleaseSplitAmounts(amount);
-    const revenueUserId = getAcaderSystemUserId();
-    const releaseBase = `${idempotencyPrefix}:${kind}`;
-
-    const escrowDebit = await createLedgerEntry(client, {
-      userId: debitUserId,
+  const applyReleaseWithPlatformFee = async ({ kind, debitUserFor, debitBalanceType }) =>
+    postSplitRelease(client, {
       amount,
-      direction: DIRECTION.DEBIT,
-      balanceType: debitBalanceType,
-      type: "release",
+      grossAmount: amount,
       reference,
-      idempotencyKey: `${releaseBase}:escrow_debit`,
+      releaseBase: `${idempotencyPrefix}:${kind}`,
+      currency,
+      debitUserFor,
+      debitBalanceType,
+      studentUserId,
+      paymentId: payment.id,
     });
-
-    const studentCredit = await createLedgerEntry(client, {
-      userId: creditStudentUserId,
-      amount: studentNetAmount,
-      direction: DIRECTION.CREDIT,
-      balanceType: BALANCE_TYPE.AVAILABLE,
-      type: "release",
-      reference,
-      idempotencyKey: `${releaseBase}:student_credit`,
-    });
-
-    const revenueCredit = await createLedgerEntry(client, {
-      userId: revenueUserId,
-      amount: feeAmount,
-      direction: DIRECTION.CREDIT,
-      balanceType: BALANCE_TYPE.REVENUE,
-      type: "platform_fee",
-      reference,
-      idempotencyKey: `${releaseBase}:platform_fee_credit`,
+  // Each team member's share of the amount; the applicant alone without a
+  // split.
+  const studentShares = () =>
+    allocateAcrossSplits(client, {
+      paymentId: payment.id,
+      grossAmount: amount,
+      amount,
+      studentUserId,
     });
-
-    if (
-      escrowDebit.inserted !== studentCredit.inserted ||
-      escrowDebit.inserted !== revenueCredit.inserted
-    ) {
-      throw new Error(
-        "Ledger idempotency mismatch: release split insert states are inconsistent",
-      );
-    }
-
-    return {
-      applied: escrowDebit.inserted,
-      escrowDebit: escrowDebit.row,
-      studentCredit: studentCredit.row,
-      revenueCredit: revenueCredit.row,
-      feeAmount,
-      studentNetAmount,
-    };
-  };
+  const shareKind = (kind, share) =>
+    share.split ? `${kind}:student:${share.studentUserId}` : kind;
+  // Without escrow a dispute holds each team member's share in their own
+  // locked balance.
+  const disputedFundsHolds = async (kind) =>
+    payment.escrow === true
+      ? [{ userId: disputedFundsUserId, amount, kind }]
+      : (await studentShares()).map((share) => ({
+          userId: share.studentUserId,
+          amount: share.amount,
+          kind: shareKind(kind, share),
+        }));
 
   let result = { applied: false };
 
   switch (`${fromStatus}->${nextStatus}`) {
     case "pending->paid":
+    case "failed->paid":
+    case "abandoned->paid":
       result = await run({
         kind: "escrow_hold",
         type: "escrow_hold",
@@ -752,47 +1655,46 @@ export const applyPaymentTransitionLedger = async (
           },
           { client },
         );
+        await issueEscrowInvoice(client, payment, {
+          companyUserId,
+          fundingSource: payment.funding_source ?? "card",
+          reference,
+        });
       }
       break;
     case "paid->released":
       ensureStudentRecipient(true);
       result = await applyReleaseWithPlatformFee({
         kind: "release",
-        debitUserId: companyUserId,
+        debitUserFor: () => companyUserId,
         debitBalanceType: BALANCE_TYPE.ESCROW,
-        studentUserId,
       });
-      walletUserIds.push(companyUserId, studentUserId);
+      walletUserIds.push(companyUserId, ...result.studentUserIds);
       if (result.applied) {
-        await appendFinancialEventLog(
-          {
-            eventType: FINANCIAL_EVENT_TYPE.ESCROW_RELEASED,
-            userId: studentUserId,
-            paymentId: payment.id,
-            eventPayload: {
-              amount,
-              reference,
-              from_wallet: "escrow",
-              to_wallet: "available",
-              student_amount: result.studentNetAmount,
-              platform_fee: result.feeAmount,
-            },
-          },
-          { client },
-        );
+        for (const release of result.releases) {
+          await logEscrowReleased(client, payment, release, {
+            from_wallet: "escrow",
+            to_wallet: "available",
+          });
+        }
       }
       break;
     case "released->disputed":
       ensureStudentRecipient(true);
-      result = await run({
-        kind: "dispute_hold",
-        type: "dispute_hold",
-        debitUserId: studentUserId,
-        debitBalanceType: BALANCE_TYPE.AVAILABLE,
-        creditUserId: studentUserId,
-        creditBalanceType: BALANCE_TYPE.LOCKED,
-      });
-      walletUserIds.push(studentUserId);
+      // The dispute holds the release's reserve first.
+      walletUserIds.push(...(await returnPaymentReserves(client, payment.id)));
+      for (const share of await studentShares()) {
+        result = await run({
+          kind: shareKind("dispute_hold", share),
+          type: "dispute_hold",
+          amount: share.amount,
+          debitUserId: share.studentUserId,
+          debitBalanceType: BALANCE_TYPE.AVAILABLE,
+          creditUserId: share.studentUserId,
+          creditBalanceType: BALANCE_TYPE.LOCKED,
+        });
+        walletUserIds.push(share.studentUserId);
+      }
       break;
     case "paid->disputed":
       result = await run({
@@ -810,28 +1712,18 @@ export const applyPaymentTransitionLedger = async (
       ensureDisputedFundsOwner();
       result = await applyReleaseWithPlatformFee({
         kind: "dispute_release",
-        debitUserId: disputedFundsUserId,
+        debitUserFor: (shareStudentUserId) =>
+          payment.escrow === true ? companyUserId : shareStudentUserId,
         debitBalanceType: BALANCE_TYPE.LOCKED,
-        studentUserId,
       });
-      walletUserIds.push(disputedFundsUserId, studentUserId);
+      walletUserIds.push(disputedFundsUserId, ...result.studentUserIds);
       if (result.applied) {
-        await appendFinancialEventLog(
-          {
-            eventType: FINANCIAL_EVENT_TYPE.ESCROW_RELEASED,
-            userId: studentUserId,
-            paymentId: payment.id,
-            eventPayload: {
-              amount,
-              reference,
-              from_wallet: "locked",
-              to_wallet: "available",
-              student_amount: result.studentNetAmount,
-              platform_fee: result.feeAmount,
-            },
-          },
-          { client },
-        );
+        for (const release of result.releases) {
+          await logEscrowReleased(client, payment, release, {
+            from_wallet: "locked",
+            to_wallet: "available",
+          });
+        }
       }
       break;
     case "paid->refunded":
@@ -852,14 +1744,17 @@ export const applyPaymentTransitionLedger = async (
       break;
     case "disputed->refunded":
       ensureDisputedFundsOwner();
-      result = await run({
-        kind: "refund",
-        type: "refund",
-        debitUserId: disputedFundsUserId,
-        debitBalanceType: BALANCE_TYPE.LOCKED,
-        creditUserId: null,
-        creditBalanceType: BALANCE_TYPE.PLATFORM,
-      });
+      for (const hold of await disputedFundsHolds("refund")) {
+        result = await run({
+          kind: hold.kind,
+          type: "refund",
+          amount: hold.amount,
+          debitUserId: hold.userId,
+          debitBalanceType: BALANCE_TYPE.LOCKED,
+          creditUserId: null,
+          creditBalanceType: BALANCE_TYPE.PLATFORM,
+        });
+      }
       if (result.applied) {
         await appendFinancialEventLog(
           {
@@ -889,8 +1784,361 @@ export const applyPaymentTransitionLedger = async (
   return { applied: result.applied, walletUserIds };
 };
 
+const parseMilestoneParties = (payment, options, { requireStudent }) => {
+  const companyUserId = Number(options.companyUserId ?? payment.company_user_id);
+  if (!Number.isInteger(companyUserId) || companyUserId <= 0) {
+    throw new Error("Invalid company user id for milestone ledger");
+  }
+
+  const studentUserId = Number(options.studentUserId ?? payment.student_user_id);
+  if (requireStudent && (!Number.isInteger(studentUserId) || studentUserId <= 0)) {
+    throw new Error("Invalid student user id for milestone release");
+  }
+
+  return { companyUserId, studentUserId };
+};
+
+const assertMilestoneEscrowCovered = async (
+  client,
+  companyUserId,
+  reference,
+  amount,
+) => {
+  const escrowBalance = await getReferenceEscrowBalance(
+    client,
+    companyUserId,
+    reference,
+  );
+  if (roundToCurrency(escrowBalance - amount) < 0) {
+    const err = new Error("Insufficient escrow balance for milestone");
+    err.status = 409;
+    throw err;
+  }
+};
+
+/**
+ * Releases a single milestone out of the payment's escrow. The payment keeps
+ * its provider reference so per-reference escrow balances stay comparable.
+ */
+export const applyMilestoneReleaseLedger = async (
+  client,
+  payment,
+  milestone,
+  options = {},
+) => {
+  if (!payment || !milestone) {
+    throw new Error("payment and milestone are required");
+  }
+
+  const amount = toPositiveAmount(milestone.amount);
+  const currency = currencyOf(payment);
+  const reference = payment.provider_ref ?? `payment:${payment.id}`;
+  const idempotencyPrefix =
+    options.idempotencyPrefix ??
+    `payment:${payment.id}:milestone:${milestone.id}:release`;
+  const { companyUserId, studentUserId } = parseMilestoneParties(
+    payment,
+    options,
+    { requireStudent: true },
+  );
+
+  await assertMilestoneEscrowCovered(client, companyUserId, reference, amount);
+
+  const result = await postSplitRelease(client, {
+    amount,
+    grossAmount: toPositiveAmount(payment.amount),
+    reference,
+    releaseBase: idempotencyPrefix,
+    currency,
+    debitUserFor: () => companyUserId,
+    debitBalanceType: BALANCE_TYPE.ESCROW,
+    studentUserId,
+    paymentId: payment.id,
+    milestoneId: milestone.id,
+  });
+
+  if (result.applied) {
+    for (const release of result.releases) {
+      await logEscrowReleased(client, payment, release, {
+        milestone_id: milestone.id,
+        from_wallet: "escrow",
+        to_wallet: "available",
+        source: options.source ?? "milestone_release",
+      });
+    }
+  }
+
+  const walletUserIds = [companyUserId, ...result.studentUserIds];
+  await syncWalletAvailableBalances(client, walletUserIds);
+  await refreshRiskProfilesForUsers(walletUserIds, { client });
+
+  return {
+    applied: result.applied,
+    walletUserIds,
+    feeAmount: result.feeAmount,
+    taxAmount: result.taxAmount,
+    studentNetAmount: result.studentNetAmount,
+  };
+};
+
+/**
+ * Returns a single milestone's share of escrow to the company's available
+ * balance.
+ */
+export const applyMilestoneRefundLedger = async (
+  client,
+  payment,
+  milestone,
+  options = {},
+) => {
+  if (!payment || !milestone) {
+    throw new Error("payment and milestone are required");
+  }
+
+  const amount = toPositiveAmount(milestone.amount);
+  const currency = currencyOf(payment);
+  const reference = payment.provider_ref ?? `payment:${payment.id}`;
+  const idempotencyPrefix =
+    options.idempotencyPrefix ??
+    `payment:${payment.id}:milestone:${milestone.id}:refund`;
+  const { companyUserId } = parseMilestoneParties(payment, options, {
+    requireStudent: false,
+  });
+
+  await assertMilestoneEscrowCovered(client, companyUserId, reference, amount);
+
+  const result = await createDoubleEntry(client, {
+    amount,
+    reference,
+    idempotencyBase: `${idempotencyPrefix}:escrow_refund`,
+    currency,
+    type: "refund_escrow",
+    debitUserId: companyUserId,
+    debitBalanceType: BALANCE_TYPE.ESCROW,
+    creditUserId: companyUserId,
+    creditBalanceType: BALANCE_TYPE.AVAILABLE,
+  });
+
+  if (result.applied) {
+    await appendFinancialEventLog(
+      {
+        eventType: FINANCIAL_EVENT_TYPE.REFUND_PROCESSED,
+        userId: companyUserId,
+        paymentId: payment.id,
+        eventPayload: {
+          refund_type: REFUND_TYPE.ESCROW,
+          amount,
+          reference,
+          milestone_id: milestone.id,
+          source: options.source ?? "milestone_refund",
+        },
+      },
+      { client },
+    );
+  }
+
+  const walletUserIds = [companyUserId];
+  await syncWalletAvailableBalances(client, walletUserIds);
+  await refreshRiskProfilesForUsers(walletUserIds, { client });
+
+  return {
+    applied: result.applied,
+    refundType: REFUND_TYPE.ESCROW,
+    walletUserIds,
+  };
+};
+
+export const applyWalletTopupLedger = async (client, topup) => {
+  const amount = toPositiveAmount(topup.amount);
+  const currency = currencyOf(topup);
+  const userId = Number(topup.user_id);
+  if (!Number.isInteger(userId) || userId <= 0) {
+    throw new Error("Invalid user id for wallet top-up");
+  }
+
+  const reference = topup.provider_ref ?? `topup:${topup.id}`;
+  const result = await createDoubleEntry(client, {
+    amount,
+    type: "deposit",
+    reference,
+    idempotencyBase: `topup:${topup.id}:deposit`,
+    currency,
+    debitUserId: null,
+    debitBalanceType: BALANCE_TYPE.PLATFORM,
+    creditUserId: userId,
+    creditBalanceType: BALANCE_TYPE.AVAILABLE,
+  });
+
+  if (result.applied) {
+    await appendFinancialEventLog(
+      {
+        eventType: FINANCIAL_EVENT_TYPE.WALLET_TOPUP_CREDITED,
+        userId,
+        eventPayload: {
+          topup_id: topup.id,
+          amount,
+          reference,
+          from_wallet: "platform",
+          to_wallet: "available",
+        },
+      },
+      { client },
+    );
+  }
+
+  await syncWalletAvailableBalances(client, [userId]);
+  await refreshRiskProfilesForUsers([userId], { client });
+  return result;
+};
+
+/**
+ * Funds a pending payment's escrow from the company's available balance
+ * instead of a card charge. The caller must hold a lock that serializes
+ * spends for the company user.
+ */
+export const applyWalletEscrowFundingLedger = async (
+  client,
+  payment,
+  options = {},
+) => {
+  if (!payment) {
+    throw new Error("payment is required");
+  }
+  if (payment.status !== "pending") {
+    throw new Error("Only pending payments can be funded from the wallet");
+  }
+
+  const amount = toPositiveAmount(payment.amount);
+  const currency = currencyOf(payment);
+  const reference = payment.provider_ref ?? `payment:${payment.id}`;
+  const companyUserId = Number(options.companyUserId ?? payment.company_user_id);
+  if (!Number.isInteger(companyUserId) || companyUserId <= 0) {
+    throw new Error("Invalid company user id for wallet funding");
+  }
+
+  const available = await getUserBalanceByType(
+    client,
+    companyUserId,
+    BALANCE_TYPE.AVAILABLE,
+    currency,
+  );
+  if (roundToCurrency(available - amount) < 0) {
+    const err = new Error("Insufficient wallet balance");
+    err.status = 400;
+    throw err;
+  }
+
+  const result = await createDoubleEntry(client, {
+    amount,
+    type: "escrow_hold",
+    reference,
+    idempotencyBase: `payment:${payment.id}:pending->paid:wallet:escrow_hold`,
+    currency,
+    debitUserId: companyUserId,
+    debitBalanceType: BALANCE_TYPE.AVAILABLE,
+    creditUserId: companyUserId,
+    creditBalanceType: BALANCE_TYPE.ESCROW,
+  });
+
+  if (result.applied) {
+    await appendFinancialEventLog(
+      {
+        eventType: FINANCIAL_EVENT_TYPE.ESCROW_FUNDED,
+        userId: companyUserId,
+        paymentId: payment.id,
+        eventPayload: {
+          amount,
+          reference,
+          from_wallet: "available",
+          to_wallet: "escrow",
+        },
+      },
+      { client },
+    );
+    await issueEscrowInvoice(client, payment, {
+      companyUserId,
+      fundingSource: "wallet",
+      reference,
+    });
+  }
+
+  const walletUserIds = [companyUserId];
+  await syncWalletAvailableBalances(client, walletUserIds);
+  await refreshRiskProfilesForUsers(walletUserIds, { client });
+
+  return { applied: result.applied, walletUserIds };
+};
+
+/**
+ * Adds a paid scope change to a payment's escrow. The entries carry the
+ * original payment's reference, so the payment's escrow balance, releases
+ * and refunds see one amount.
+ */
+export const applyEscrowAmendmentLedger = async (
+  client,
+  payment,
+  amendment,
+  options = {},
+) => {
+  if (!payment || !amendment) {
+    throw new Error("payment and amendment are required");
+  }
+
+  const amount = toPositiveAmount(amendment.difference);
+  const currency = currencyOf(payment);
+  const reference = payment.provider_ref ?? `payment:${payment.id}`;
+  const companyUserId = Number(options.companyUserId ?? payment.company_user_id);
+  if (!Number.isInteger(companyUserId) || companyUserId <= 0) {
+    throw new Error("Invalid company user id for escrow amendment");
+  }
+
+  const result = await createDoubleEntry(client, {
+    amount,
+    type: "escrow_amendment",
+    reference,
+    idempotencyBase: `payment:${payment.id}:amendment:${amendment.id}:escrow_hold`,
+    currency,
+    debitUserId: null,
+    debitBalanceType: BALANCE_TYPE.PLATFORM,
+    creditUserId: companyUserId,
+    creditBalanceType: BALANCE_TYPE.ESCROW,
+  });
+
+  if (result.applied) {
+    await appendFinancialEventLog(
+      {
+        eventType: FINANCIAL_EVENT_TYPE.ESCROW_FUNDED,
+        userId: companyUserId,
+        paymentId: payment.id,
+        eventPayload: {
+          amount,
+          reference,
+          amendment_id: amendment.id,
+          amendment_reference: amendment.provider_ref ?? null,
+          previous_amount: Number(amendment.previous_amount),
+          new_amount: Number(amendment.new_amount),
+          from_wallet: "platform",
+          to_wallet: "escrow",
+        },
+      },
+      { client },
+    );
+    await issueEscrowAmendmentInvoice(client, payment, amendment, {
+      companyUserId,
+      reference,
+    });
+  }
+
+  const walletUserIds = [companyUserId];
+  await syncWalletAvailableBalances(client, walletUserIds);
+  await refreshRiskProfilesForUsers(walletUserIds, { client });
+
+  return { applied: result.applied, walletUserIds };
+};
+
 export const createWithdrawalHold = async (client, withdrawal) => {
   const amount = toPositiveAmount(withdrawal.amount);
+  const currency = currencyOf(withdrawal);
   const userId = withdrawal.user_id;
   const reference = `withdrawal_${withdrawal.id}`;
   const result = await createDoubleEntry(client, {
@@ -898,6 +2146,7 @@ export const createWithdrawalHold = async (client, withdrawal) => {
     type: "withdrawal_hold",
     reference,
     idempotencyBase: `withdrawal:${withdrawal.id}:hold`,
+    currency,
     debitUserId: userId,
     debitBalanceType: BALANCE_TYPE.AVAILABLE,
     creditUserId: userId,
@@ -919,6 +2168,7 @@ export const releaseWithdrawalHold = async (
     idempotencySuffix = "reverse",
   } = options;
   const amount = toPositiveAmount(withdrawal.amount);
+  const currency = currencyOf(withdrawal);
   const userId = withdrawal.user_id;
   const reference = `withdrawal_${withdrawal.id}`;
   const result = await createDoubleEntry(client, {
@@ -926,6 +2176,7 @@ export const releaseWithdrawalHold = async (
     type: reversalType,
     reference,
     idempotencyBase: `withdrawal:${withdrawal.id}:${idempotencySuffix}`,
+    currency,
     debitUserId: userId,
     debitBalanceType: BALANCE_TYPE.LOCKED,
     creditUserId: userId,
@@ -939,19 +2190,128 @@ export const releaseWithdrawalHold = async (
 
 export const settleWithdrawal = async (client, withdrawal) => {
   const amount = toPositiveAmount(withdrawal.amount);
+  const currency = currencyOf(withdrawal);
   const result = await createDoubleEntry(client, {
     amount,
     type: "withdrawal_complete",
     reference: `withdrawal_${withdrawal.id}`,
     idempotencyBase: `withdrawal:${withdrawal.id}:complete`,
+    currency,
     debitUserId: withdrawal.user_id,
     debitBalanceType: BALANCE_TYPE.LOCKED,
     creditUserId: withdrawal.user_id,
     creditBalanceType: BALANCE_TYPE.PAYOUT,
   });
+  if (result.applied) {
+    await issueWithdrawalReceipt(client, withdrawal);
+  }
   await refreshRiskProfilesForUsers([withdrawal.user_id], { client });
   return result;
 };
 
+/**
+ * Provider refunds mirror withdrawals: the refunded amount is credited to
+ * the company's available balance by the refund ledger, held in locked
+ * while the gateway sends it back to the card, then settled to payout or
+ * released back to available if the gateway gives up.
+ */
+const postRefundMovement = async (client, refund, { type, suffix, from, to }) => {
+  const userId = refund.user_id;
+  const result = await createDoubleEntry(client, {
+    amount: toPositiveAmount(refund.amount),
+    type,
+    reference: refund.reference ?? `payment:${refund.payment_id}`,
+    idempotencyBase: `payment_refund:${refund.id}:${suffix}`,
+    currency: currencyOf(refund),
+    debitUserId: userId,
+    debitBalanceType: from,
+    creditUserId: userId,
+    creditBalanceType: to,
+  });
+
+  await syncWalletAvailableBalances(client, [userId]);
+  await refreshRiskProfilesForUsers([userId], { client });
+  return result;
+};
+
+export const createRefundHold = async (client, refund) => {
+  const available = await getUserBalanceByType(
+    client,
+    refund.user_id,
+    BALANCE_TYPE.AVAILABLE,
+    currencyOf(refund),
+  );
+  if (available + 0.000001 < toPositiveAmount(refund.amount)) {
+    const err = new Error("Company balance no longer covers this refund");
+    err.status = 409;
+    throw err;
+  }
+
+  return postRefundMovement(client, refund, {
+    type: "refund_hold",
+    suffix: "hold",
+    from: BALANCE_TYPE.AVAILABLE,
+    to: BALANCE_TYPE.LOCKED,
+  });
+};
+
+export const releaseRefundHold = async (client, refund) =>
+  postRefundMovement(client, refund, {
+    type: "refund_hold_release",
+    suffix: "reverse",
+    from: BALANCE_TYPE.LOCKED,
+    to: BALANCE_TYPE.AVAILABLE,
+  });
+
+export const settleRefund = async (client, refund) =>
+  postRefundMovement(client, refund, {
+    type: "refund_payout",
+    suffix: "complete",
+    from: BALANCE_TYPE.LOCKED,
+    to: BALANCE_TYPE.PAYOUT,
+  });
+
+/**
+ * A lost chargeback: the gateway has already taken the charge back from the
+ * platform and returned it to the card. After the refund ledger credits the
+ * company's available balance, the amount goes straight out to payout.
+ */
+export const settleChargebackLoss = async (client, chargeback, companyUserId) => {
+  const result = await createDoubleEntry(client, {
+    amount: toPositiveAmount(chargeback.amount),
+    type: "chargeback_clawback",
+    reference: chargeback.reference ?? `payment:${chargeback.payment_id}`,
+    idempotencyBase: `payment_chargeback:${chargeback.id}:clawback`,
+    currency: currencyOf(chargeback),
+    debitUserId: companyUserId,
+    debitBalanceType: BALANCE_TYPE.AVAILABLE,
+    creditUserId: companyUserId,
+    creditBalanceType: BALANCE_TYPE.PAYOUT,
+  });
+
+  await syncWalletAvailableBalances(client, [companyUserId]);
+  await refreshRiskProfilesForUsers([companyUserId], { client });
+  return result;
+};
+
+/**
+ * Withheld tax paid to the tax authority leaves the platform's tax balance
+ * for payout.
+ */
+export const settleTaxRemittance = async (client, remittance) => {
+  const systemUserId = getAcaderSystemUserId();
+  return createDoubleEntry(client, {
+    amount: toPositiveAmount(remittance.amount),
+    type: `${TAX_LEDGER_TYPE[remittance.tax_type]}_remittance`,
+    reference: `tax_remittance:${remittance.id}`,
+    idempotencyBase: `tax_remittance:${remittance.id}:payout`,
+    currency: currencyOf(remittance),
+    debitUserId: systemUserId,
+    debitBalanceType: BALANCE_TYPE.TAX,
+    creditUserId: systemUserId,
+    creditBalanceType: BALANCE_TYPE.PAYOUT,
+  });
+};
+
 export const BALANCE_TYPES = BALANCE_TYPE;
 export const REFUND_TYPES = REFUND_TYPE;
@@ -0,0 +1,279 @@
+import pool from "../config/db.js";
+import {
+  applyMilestoneRefundLedger,
+  applyMilestoneReleaseLedger,
+} from "./ledger.service.js";
+import { transitionPaymentStatus } from "./payment_state.service.js";
+
+export const MILESTONE_STATUS = {
+  PENDING: "pending",
+  SUBMITTED: "submitted",
+  CHANGES_REQUESTED: "changes_requested",
+  RELEASED: "released",
+  REFUNDED: "refunded",
+};
+
+export const SETTLED_MILESTONE_STATUSES = [
+  MILESTONE_STATUS.RELEASED,
+  MILESTONE_STATUS.REFUNDED,
+];
+
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const badRequest = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const toCents = (value) => Math.round(Number(value) * 100);
+
+/**
+ * Loads a payment together with the company and student user ids so
+ * milestone routes can authorise both parties from one row.
+ */
+export const getPaymentForMilestones = async (paymentId, options = {}) => {
+  const db = options.client ?? pool;
+  const result = await db.query(
+    `
+    SELECT
+      pay.*,
+      c.user_id AS company_user_id,
+      a.user_id AS student_user_id,
+      a.status AS application_status
+    FROM payments pay
+    LEFT JOIN companies c ON c.id = pay.company_id
+    LEFT JOIN applications a ON a.id = pay.application_id
+    WHERE pay.id = $1
+    ${options.forUpdate ? "FOR UPDATE OF pay" : ""}
+    `,
+    [paymentId],
+  );
+
+  return result.rows[0] ?? null;
+};
+
+export const listPaymentMilestones = async (paymentId, options = {}) => {
+  const db = options.client ?? pool;
+  const result = await db.query(
+    `
+    SELECT *
+    FROM payment_milestones
+    WHERE payment_id = $1
+    ORDER BY position ASC, id ASC
+    `,
+    [paymentId],
+  );
+
+  return result.rows;
+};
+
+export const getPaymentMilestone = async (paymentId, milestoneId, options = {}) => {
+  const db = options.client ?? pool;
+  const result = await db.query(
+    `
+    SELECT *
+    FROM payment_milestones
+    WHERE id = $1
+      AND payment_id = $2
+    ${options.forUpdate ? "FOR UPDATE" : ""}
+    `,
+    [milestoneId, paymentId],
+  );
+
+  return result.rows[0] ?? null;
+};
+
+export const getMilestoneSummary = async (paymentId, options = {}) => {
+  const db = options.client ?? pool;
+  const result = await db.query(
+    `
+    SELECT
+      COUNT(*)::int AS total,
+      COUNT(*) FILTER (WHERE status = 'released')::int AS released,
+      COUNT(*) FILTER (WHERE status = 'refunded')::int AS refunded,
+      COUNT(*) FILTER (WHERE disputed = true)::int AS disputed
+    FROM payment_milestones
+    WHERE payment_id = $1
+    `,
+    [paymentId],
+  );
+
+  return result.rows[0] ?? { total: 0, released: 0, refunded: 0, disputed: 0 };
+};
+
+/**
+ * Validates a milestone plan. Amounts must add up to the gross payment so
+ * every naira in escrow belongs to exactly one milestone.
+ */
+export const normalizeMilestonePlan = (milestones, grossAmount) => {
+  if (!Array.isArray(milestones) || milestones.length === 0) {
+    throw badRequest("milestones must be a non-empty array");
+  }
+
+  const normalized = milestones.map((milestone, index) => {
+    const title =
+      typeof milestone?.title === "string" ? milestone.title.trim() : "";
+    if (!title) {
+      throw badRequest(`Milestone ${index + 1}: title is required`);
+    }
+
+    const amount = Number(milestone.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw badRequest(`Milestone ${index + 1}: amount must be a positive number`);
+    }
+    if (Math.abs(amount * 100 - toCents(amount)) > 1e-6) {
+      throw badRequest(`Milestone ${index + 1}: amount has too many decimals`);
+    }
+
+    let dueDate = null;
+    if (milestone.due_date !== undefined && milestone.due_date !== null) {
+      const parsed = new Date(milestone.due_date);
+      if (
+        !DATE_ONLY_REGEX.test(String(milestone.due_date)) ||
+        Number.isNaN(parsed.getTime())
+      ) {
+        throw badRequest(`Milestone ${index + 1}: due_date must be YYYY-MM-DD`);
+      }
+      dueDate = String(milestone.due_date);
+    }
+
+    return {
+      position: index + 1,
+      title,
+      amount: toCents(amount) / 100,
+      dueDate,
+    };
+  });
+
+  const totalCents = normalized.reduce((sum, m) => sum + toCents(m.amount), 0);
+  if (totalCents !== toCents(grossAmount)) {
+    throw badRequest("Milestone amounts must add up to the payment amount");
+  }
+
+  return normalized;
+};
+
+/**
+ * Moves the parent payment out of escrow once every milestone is settled.
+ * Any released milestone makes the payment "released"; a plan refunded in
+ * full makes it "refunded".
+ */
+const settlePaymentFromMilestones = async (client, paymentId, options = {}) => {
+  const summary = await getMilestoneSummary(paymentId, { client });
+  if (summary.total === 0 || summary.released + summary.refunded < summary.total) {
+    return null;
+  }
+
+  const current = await client.query("SELECT * FROM payments WHERE id = $1 FOR UPDATE", [
+    paymentId,
+  ]);
+  const payment = current.rows[0];
+  if (!payment || payment.status !== "paid") {
+    return null;
+  }
+
+  const nextStatus = summary.released > 0 ? "released" : "refunded";
+  return transitionPaymentStatus(client, payment, nextStatus, {
+    actorId: options.actorId,
+    source: options.source ?? "milestone_settlement",
+    reason: options.reason,
+    metadata: { milestones_released: summary.released, milestones_refunded: summary.refunded },
+  });
+};
+
+const assertMilestoneOpen = (milestone) => {
+  if (SETTLED_MILESTONE_STATUSES.includes(milestone.status)) {
+    throw badRequest(`Milestone already ${milestone.status}`, 409);
+  }
+};
+
+/**
+ * Releases one milestone to the student (net of platform fee) inside the
+ * caller's transaction.
+ */
+export const releaseMilestone = async (client, payment, milestone, options = {}) => {
+  assertMilestoneOpen(milestone);
+
+  const ledger = await applyMilestoneReleaseLedger(client, payment, milestone, {
+    source: options.source,
+  });
+
+  const updated = await client.query(
+    `
+    UPDATE payment_milestones
+    SET status = 'released',
+        disputed = false,
+        released_at = NOW(),
+        student_amount = $1,
+        platform_fee = $2,
+        updated_at = NOW()
+    WHERE id = $3
+    RETURNING *
+    `,
+    [ledger.studentNetAmount, ledger.feeAmount, milestone.id],
+  );
+
+  const settledPayment = await settlePaymentFromMilestones(client, payment.id, options);
+
+  return { milestone: updated.rows[0], payment: settledPayment, ledger };
+};
+
+/**
+ * Returns one milestone's escrow to the company inside the caller's
+ * transaction.
+ */
+export const refundMilestone = async (client, payment, milestone, options = {}) => {
+  assertMilestoneOpen(milestone);
+
+  const ledger = await applyMilestoneRefundLedger(client, payment, milestone, {
+    source: options.source,
+  });
+
+  const updated = await client.query(
+    `
+    UPDATE payment_milestones
+    SET status = 'refunded',
+        disputed = false,
+        refunded_at = NOW(),
+        updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+    `,
+    [milestone.id],
+  );
+
+  const settledPayment = await settlePaymentFromMilestones(client, payment.id, options);
+
+  return { milestone: updated.rows[0], payment: settledPayment, ledger };
+};
+
+/**
+ * Settles every milestone that is still open in one direction. Used when a
+ * payment-level decision (dispute resolution, refund) applies to a payment
+ * that was split into milestones.
+ */
+export const settleOpenMilestones = async (client, payment, action, options = {}) => {
+  const milestones = await client.query(
+    `
+    SELECT *
+    FROM payment_milestones
+    WHERE payment_id = $1
+      AND status NOT IN ('released', 'refunded')
+    ORDER BY position ASC, id ASC
+    FOR UPDATE
+    `,
+    [payment.id],
+  );
+
+  const settle = action === MILESTONE_STATUS.RELEASED ? releaseMilestone : refundMilestone;
+  const settled = [];
+  let settledPayment = null;
+  for (const milestone of milestones.rows) {
+    const result = await settle(client, payment, milestone, options);
+    settled.push(result.milestone);
+    settledPayment = result.payment ?? settledPayment;
+  }
+
+  return { milestones: settled, payment: settledPayment };
+};
@@ -0,0 +1,255 @@
+import crypto from "crypto";
+import axios from "axios";
+import pool from "../config/db.js";
+
+export const WEBHOOK_DELIVERY_STATUS = {
+  PENDING: "pending",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+};
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_SECONDS = 30;
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+const DELIVERY_TIMEOUT_MS = 10000;
+// A claimed delivery is pushed this far into the future so a crashed worker
+// does not strand it and a concurrent worker does not send it twice.
+const CLAIM_LEASE_SECONDS = 120;
+const MAX_ERROR_LENGTH = 500;
+
+const getMaxAttempts = () => {
+  const parsed = Number(process.env.WEBHOOK_MAX_ATTEMPTS);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : DEFAULT_MAX_ATTEMPTS;
+};
+
+export const generateWebhookSecret = () =>
+  `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+/**
+ * Receivers recompute HMAC-SHA256(secret, `${timestamp}.${rawBody}`) and
+ * compare it with the v1 value of X-Acader-Signature.
+ */
+export const signWebhookPayload = (secret, timestamp, body) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`, "utf8")
+    .digest("hex");
+
+export const getRetryDelaySeconds = (attempts) =>
+  Math.min(
+    BASE_RETRY_DELAY_SECONDS * 2 ** Math.max(attempts - 1, 0),
+    MAX_RETRY_DELAY_SECONDS,
+  );
+
+export const buildWebhookPayload = (event) => ({
+  id: event.id,
+  type: event.event_type,
+  created_at: event.created_at,
+  data: {
+    user_id: event.user_id ?? null,
+    payment_id: event.payment_id ?? null,
+    withdrawal_id: event.withdrawal_id ?? null,
+    dispute_id: event.dispute_id ?? null,
+    ...(event.event_payload ?? {}),
+  },
+});
+
+/**
+ * Queues the event for every active subscription whose filter matches. Runs
+ * on the caller's client so deliveries only exist for committed events.
+ */
+export const enqueueWebhookDeliveries = async (client, event) => {
+  if (!event?.id) {
+    return 0;
+  }
+
+  const result = await client.query(
+    `
+    INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload)
+    SELECT s.id, $1, $2, $3::jsonb
+    FROM webhook_subscriptions s
+    WHERE s.active = true
+      AND (cardinality(s.event_types) = 0 OR $2 = ANY(s.event_types))
+    ON CONFLICT (subscription_id, event_id) DO NOTHING
+    `,
+    [event.id, event.event_type, JSON.stringify(buildWebhookPayload(event))],
+  );
+
+  return result.rowCount;
+};
+
+const recordAttempt = async (delivery, outcome) => {
+  const attempts = Number(delivery.attempts) + 1;
+
+  if (outcome.ok) {
+    const result = await pool.query(
+      `
+      UPDATE webhook_deliveries
+      SET status = 'succeeded',
+          attempts = $2,
+          last_attempt_at = NOW(),
+          last_response_status = $3,
+          last_error = NULL,
+          delivered_at = NOW()
+      WHERE id = $1
+      RETURNING *
+      `,
+      [delivery.id, attempts, outcome.responseStatus],
+    );
+    return result.rows[0];
+  }
+
+  const exhausted = outcome.final || attempts >= getMaxAttempts();
+  const result = await pool.query(
+    `
+    UPDATE webhook_deliveries
+    SET status = $2,
+        attempts = $3,
+        last_attempt_at = NOW(),
+        last_response_status = $4,
+        last_error = $5,
+        next_attempt_at = NOW() + ($6 || ' seconds')::interval
+    WHERE id = $1
+    RETURNING *
+    `,
+    [
+      delivery.id,
+      exhausted ? WEBHOOK_DELIVERY_STATUS.FAILED : WEBHOOK_DELIVERY_STATUS.PENDING,
+      attempts,
+      outcome.responseStatus ?? null,
+      String(outcome.error ?? "Delivery failed").slice(0, MAX_ERROR_LENGTH),
+      String(exhausted ? 0 : getRetryDelaySeconds(attempts)),
+    ],
+  );
+  return result.rows[0];
+};
+
+export const attemptWebhookDelivery = async (deliveryId) => {
+  const found = await pool.query(
+    `
+    SELECT d.*, s.url, s.secret, s.active AS subscription_active
+    FROM webhook_deliveries d
+    JOIN webhook_subscriptions s ON s.id = d.subscription_id
+    WHERE d.id = $1
+    `,
+    [deliveryId],
+  );
+
+  if (found.rows.length === 0) {
+    const err = new Error("Webhook delivery not found");
+    err.status = 404;
+    throw err;
+  }
+
+  const delivery = found.rows[0];
+  if (delivery.subscription_active !== true) {
+    return recordAttempt(delivery, {
+      ok: false,
+      final: true,
+      error: "Subscription is disabled",
+    });
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = signWebhookPayload(delivery.secret, timestamp, body);
+
+  let outcome;
+  try {
+    const response = await axios.post(delivery.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "Acader-Webhooks/1.0",
+        "X-Acader-Event": delivery.event_type,
+        "X-Acader-Delivery": String(delivery.id),
+        "X-Acader-Timestamp": String(timestamp),
+        "X-Acader-Signature": `v1=${signature}`,
+      },
+      timeout: DELIVERY_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true,
+    });
+
+    outcome =
+      response.status >= 200 && response.status < 300
+        ? { ok: true, responseStatus: response.status }
+        : {
+            ok: false,
+            responseStatus: response.status,
+            error: `Receiver responded with HTTP ${response.status}`,
+          };
+  } catch (err) {
+    outcome = { ok: false, error: err.message };
+  }
+
+  return recordAttempt(delivery, outcome);
+};
+
+export const processDueWebhookDeliveries = async ({ limit = 25 } = {}) => {
+  const claimed = await pool.query(
+    `
+    UPDATE webhook_deliveries
+    SET next_attempt_at = NOW() + ($2 || ' seconds')::interval
+    WHERE id IN (
+      SELECT id
+      FROM webhook_deliveries
+      WHERE status = 'pending'
+        AND next_attempt_at <= NOW()
+      ORDER BY next_attempt_at ASC, id ASC
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id
+    `,
+    [limit, String(CLAIM_LEASE_SECONDS)],
+  );
+
+  const summary = { claimed: claimed.rowCount, succeeded: 0, retrying: 0, failed: 0 };
+  for (const row of claimed.rows) {
+    try {
+      const delivery = await attemptWebhookDelivery(row.id);
+      if (delivery.status === WEBHOOK_DELIVERY_STATUS.SUCCEEDED) {
+        summary.succeeded += 1;
+      } else if (delivery.status === WEBHOOK_DELIVERY_STATUS.FAILED) {
+        summary.failed += 1;
+      } else {
+        summary.retrying += 1;
+      }
+    } catch (err) {
+      summary.retrying += 1;
+      console.error("[webhooks] delivery attempt crashed", {
+        deliveryId: row.id,
+        error: err.message,
+      });
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Manual redelivery gives the delivery a fresh retry budget and sends it
+ * right away; failures fall back onto the normal backoff schedule.
+ */
+export const redeliverWebhook = async (deliveryId) => {
+  const reset = await pool.query(
+    `
+    UPDATE webhook_deliveries
+    SET status = 'pending',
+        attempts = 0,
+        next_attempt_at = NOW() + ($2 || ' seconds')::interval,
+        delivered_at = NULL
+    WHERE id = $1
+    RETURNING id
+    `,
+    [deliveryId, String(CLAIM_LEASE_SECONDS)],
+  );
+
+  if (reset.rows.length === 0) {
+    const err = new Error("Webhook delivery not found");
+    err.status = 404;
+    throw err;
+  }
+
+  return attemptWebhookDelivery(deliveryId);
+};
@@ -0,0 +1,401 @@
+import { v4 as uuidv4 } from "uuid";
+import pool from "../config/db.js";
+import { safeNotify } from "../utils/notify.js";
+import { formatMoney } from "../utils/currency.js";
+import { applyEscrowAmendmentLedger } from "./ledger.service.js";
+import { getMilestoneSummary, getPaymentForMilestones } from "./milestone.service.js";
+import { listPaymentSplits } from "./payment_split.service.js";
+import { getPaymentProvider } from "./payment_providers/index.js";
+
+export const AMENDMENT_REFERENCE_PREFIX = "amend_";
+
+export const AMENDMENT_STATUS = {
+  PROPOSED: "proposed",
+  ACCEPTED: "accepted",
+  PAID: "paid",
+  DECLINED: "declined",
+  WITHDRAWN: "withdrawn",
+};
+
+export const isAmendmentReference = (reference) =>
+  typeof reference === "string" && reference.startsWith(AMENDMENT_REFERENCE_PREFIX);
+
+const fail = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const toCents = (value) => Math.round(Number(value) * 100);
+
+export const isPaymentCompany = (payment, userId) =>
+  Number(payment.company_user_id) === userId || payment.user_id === userId;
+
+/**
+ * A payment's escrow can grow while it is held and undisputed. Milestone
+ * plans and team splits are fixed to the current amount, and a pending
+ * cancellation has already quoted it, so those block an amendment.
+ */
+const assertPaymentAmendable = async (payment, options = {}) => {
+  const db = options.client ?? pool;
+  if (payment.disputed === true) {
+    throw fail(409, "Payment is under dispute");
+  }
+  if (payment.status !== "paid") {
+    throw fail(400, "Only payments held in escrow can be amended");
+  }
+
+  const milestoneSummary = await getMilestoneSummary(payment.id, options);
+  if (milestoneSummary.total > 0) {
+    throw fail(409, "Payment is split into milestones; its amount cannot change");
+  }
+  const splits = await listPaymentSplits(payment.id, options);
+  if (splits.length > 0) {
+    throw fail(409, "Remove the team split before changing the payment amount");
+  }
+  const cancellation = await db.query(
+    `SELECT id FROM project_cancellations WHERE payment_id = $1 AND status = 'pending' LIMIT 1`,
+    [payment.id],
+  );
+  if (cancellation.rows.length > 0) {
+    throw fail(409, "A cancellation is pending for this payment");
+  }
+};
+
+const loadPayment = async (paymentId, options = {}) => {
+  const payment = await getPaymentForMilestones(paymentId, options);
+  if (!payment) {
+    throw fail(404, "Payment not found");
+  }
+  return payment;
+};
+
+const loadAmendment = async (db, paymentId, amendmentId, { forUpdate = false } = {}) => {
+  const result = await db.query(
+    `SELECT *
+     FROM payment_amendments
+     WHERE id = $1 AND payment_id = $2
+     ${forUpdate ? "FOR UPDATE" : ""}`,
+    [amendmentId, paymentId],
+  );
+  if (result.rows.length === 0) {
+    throw fail(404, "Amendment not found");
+  }
+  return result.rows[0];
+};
+
+/**
+ * A payment's amendments, newest first (company, student or admin).
+ */
+export const listPaymentAmendments = async (paymentId, user) => {
+  const payment = await loadPayment(paymentId);
+  if (
+    !isPaymentCompany(payment, user.id) &&
+    Number(payment.student_user_id) !== user.id &&
+    user.role !== "admin"
+  ) {
+    throw fail(403, "Forbidden");
+  }
+
+  const result = await pool.query(
+    `SELECT *
+     FROM payment_amendments
+     WHERE payment_id = $1
+     ORDER BY created_at DESC, id DESC`,
+    [paymentId],
+  );
+  return result.rows;
+};
+
+/**
+ * The company proposes a higher amount for a funded payment; the student
+ * has to accept it before the difference is charged.
+ */
+export const proposeAmendment = async (paymentId, user, { amount, reason } = {}) => {
+  const payment = await loadPayment(paymentId);
+  if (!isPaymentCompany(payment, user.id)) {
+    throw fail(403, "Only the paying company can amend this payment");
+  }
+  await assertPaymentAmendable(payment);
+
+  const newAmount = Number(amount);
+  if (!Number.isFinite(newAmount) || newAmount <= 0) {
+    throw fail(400, "Invalid amount");
+  }
+  if (Math.abs(newAmount * 100 - toCents(newAmount)) > 1e-6) {
+    throw fail(400, "amount has too many decimals");
+  }
+  const differenceCents = toCents(newAmount) - toCents(payment.amount);
+  if (differenceCents <= 0) {
+    throw fail(400, "The new amount must be higher than the current amount");
+  }
+
+  let amendment;
+  try {
+    const inserted = await pool.query(
+      `INSERT INTO payment_amendments
+         (payment_id, proposed_by, previous_amount, new_amount, difference, currency, reason)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        payment.id,
+        user.id,
+        payment.amount,
+        toCents(newAmount) / 100,
+        differenceCents / 100,
+        payment.currency,
+        typeof reason === "string" && reason.trim() ? reason.trim() : null,
+      ],
+    );
+    amendment = inserted.rows[0];
+  } catch (err) {
+    if (err.code === "23505") {
+      throw fail(409, "An amendment is already open for this payment");
+    }
+    throw err;
+  }
+
+  await safeNotify(
+    payment.student_user_id,
+    "payment_amendment_proposed",
+    `The company proposes raising payment #${payment.id} from ${formatMoney(amendment.previous_amount, amendment.currency)} to ${formatMoney(amendment.new_amount, amendment.currency)}. Accept or decline it.`,
+    amendment.id,
+  );
+
+  return amendment;
+};
+
+/**
+ * The student accepts or declines a proposed amendment; the company can
+ * withdraw one that has not been paid yet.
+ */
+export const respondToAmendment = async (paymentId, amendmentId, user, { accept }) => {
+  const payment = await loadPayment(paymentId);
+  const isStudent = Number(payment.student_user_id) === user.id;
+  const isCompany = isPaymentCompany(payment, user.id);
+  if (!isStudent && !isCompany) {
+    throw fail(403, "Forbidden");
+  }
+  if (accept && !isStudent) {
+    throw fail(403, "Only the student can accept an amendment");
+  }
+
+  const amendment = await loadAmendment(pool, paymentId, amendmentId);
+  const respondable = isStudent
+    ? [AMENDMENT_STATUS.PROPOSED]
+    : [AMENDMENT_STATUS.PROPOSED, AMENDMENT_STATUS.ACCEPTED];
+  if (!respondable.includes(amendment.status)) {
+    throw fail(409, `Amendment is already ${amendment.status}`);
+  }
+  if (accept) {
+    await assertPaymentAmendable(payment);
+  }
+
+  const status = accept
+    ? AMENDMENT_STATUS.ACCEPTED
+    : isStudent
+      ? AMENDMENT_STATUS.DECLINED
+      : AMENDMENT_STATUS.WITHDRAWN;
+  const updated = await pool.query(
+    `UPDATE payment_amendments
+     SET status = $3, responded_by = $4, responded_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = $2
+     RETURNING *`,
+    [amendment.id, amendment.status, status, user.id],
+  );
+  if (updated.rowCount === 0) {
+    throw fail(409, "Amendment changed, retry the request");
+  }
+
+  const notifyUserId = isStudent ? payment.company_user_id : payment.student_user_id;
+  await safeNotify(
+    notifyUserId,
+    `payment_amendment_${status}`,
+    accept
+      ? `The student accepted raising payment #${payment.id} to ${formatMoney(amendment.new_amount, amendment.currency)}. Pay the ${formatMoney(amendment.difference, amendment.currency)} difference to fund it.`
+      : `The change to payment #${payment.id} was ${status}.`,
+    amendment.id,
+  );
+
+  return updated.rows[0];
+};
+
+/**
+ * Starts the Paystack charge for an accepted amendment's difference. Each
+ * checkout keeps its own reference, so a charge through an earlier link is
+ * still matched; the amendment points at the latest one until it is paid.
+ */
+export const startAmendmentCheckout = async (
+  paymentId,
+  amendmentId,
+  user,
+  { email, callbackUrl } = {},
+) => {
+  const payment = await loadPayment(paymentId);
+  if (!isPaymentCompany(payment, user.id)) {
+    throw fail(403, "Only the paying company can pay an amendment");
+  }
+  const amendment = await loadAmendment(pool, paymentId, amendmentId);
+  if (amendment.status !== AMENDMENT_STATUS.ACCEPTED) {
+    throw fail(409, "Only accepted amendments can be paid");
+  }
+  await assertPaymentAmendable(payment);
+
+  const payerEmail = email ?? user.email;
+  if (!payerEmail) {
+    throw fail(400, "Email is required");
+  }
+
+  const gateway = getPaymentProvider("paystack");
+  const checkout = await gateway.initialize({
+    amount: Number(amendment.difference),
+    currency: amendment.currency,
+    email: payerEmail,
+    reference: `${AMENDMENT_REFERENCE_PREFIX}${uuidv4()}`,
+    callbackUrl,
+  });
+
+  // The checkout is recorded even if the amendment changed meanwhile, so a
+  // charge through it can still be traced.
+  const updated = await pool.query(
+    `WITH checkout AS (
+       INSERT INTO payment_amendment_checkouts
+         (amendment_id, provider, provider_ref, amount, currency)
+       VALUES ($1, $2, $3, $4, $5)
+     )
+     UPDATE payment_amendments
+     SET provider = $2, provider_ref = $3, updated_at = NOW()
+     WHERE id = $1 AND status = 'accepted'
+     RETURNING *`,
+    [amendment.id, gateway.name, checkout.reference, amendment.difference, amendment.currency],
+  );
+  if (updated.rowCount === 0) {
+    throw fail(409, "Amendment changed, retry the request");
+  }
+
+  return {
+    authorization_url: checkout.authorizationUrl,
+    access_code: checkout.accessCode,
+    reference: checkout.reference,
+    amendment: updated.rows[0],
+  };
+};
+
+/**
+ * The amendment's charge succeeded: in one transaction the difference is
+ * held in the original payment's escrow and the payment takes the new
+ * amount. `charged` is what the gateway collected ({ amount, currency }, in
+ * major units) and has to match the difference. A second paid checkout, a
+ * mismatched charge or a payment that left escrow since the student
+ * accepted is refused so the charge can be reconciled by hand.
+ */
+export const markAmendmentPaidByReference = async (reference, options = {}) => {
+  const { enforceUserId, charged } = options;
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const locked = await client.query(
+      `SELECT a.*, c.id AS checkout_id, c.status AS checkout_status
+       FROM payment_amendment_checkouts c
+       JOIN payment_amendments a ON a.id = c.amendment_id
+       WHERE c.provider_ref = $1
+       FOR UPDATE OF a, c`,
+      [reference],
+    );
+    if (locked.rows.length === 0) {
+      throw fail(404, "Amendment not found");
+    }
+    const { checkout_id: checkoutId, checkout_status: checkoutStatus, ...amendment } =
+      locked.rows[0];
+
+    const payment = await loadPayment(amendment.payment_id, { client, forUpdate: true });
+    if (enforceUserId && !isPaymentCompany(payment, enforceUserId)) {
+      throw fail(403, "Forbidden");
+    }
+    if (checkoutStatus === "paid") {
+      await client.query("COMMIT");
+      return { amendment, payment, updated: false };
+    }
+    if (amendment.status === AMENDMENT_STATUS.PAID) {
+      throw fail(409, "Amendment was already paid through another checkout; refund this charge by hand");
+    }
+    if (amendment.status !== AMENDMENT_STATUS.ACCEPTED) {
+      throw fail(409, `Amendment is ${amendment.status}; reconcile this charge by hand`);
+    }
+    if (
+      toCents(charged?.amount) !== toCents(amendment.difference) ||
+      String(charged?.currency ?? "").toUpperCase() !== amendment.currency.toUpperCase()
+    ) {
+      throw fail(
+        409,
+        `Charged ${charged?.amount ?? "an unknown amount"} ${charged?.currency ?? ""} but the amendment needs ${formatMoney(amendment.difference, amendment.currency)}; reconcile this charge by hand`,
+      );
+    }
+    if (
+      payment.status !== "paid" ||
+      payment.disputed === true ||
+      toCents(payment.amount) !== toCents(amendment.previous_amount)
+    ) {
+      throw fail(409, "Payment changed since the amendment was accepted; reconcile this charge by hand");
+    }
+
+    await applyEscrowAmendmentLedger(client, payment, amendment, {
+      companyUserId: payment.company_user_id,
+    });
+
+    const updatedPayment = await client.query(
+      `UPDATE payments
+       SET amount = $2, amended_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [payment.id, amendment.new_amount],
+    );
+    const updatedAmendment = await client.query(
+      `UPDATE payment_amendments
+       SET status = 'paid', provider_ref = $2, paid_at = NOW(), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [amendment.id, reference],
+    );
+    await client.query(
+      "UPDATE payment_amendment_checkouts SET status = 'paid', paid_at = NOW() WHERE id = $1",
+      [checkoutId],
+    );
+
+    await client.query("COMMIT");
+    return {
+      amendment: updatedAmendment.rows[0],
+      payment: { ...payment, ...updatedPayment.rows[0] },
+      updated: true,
+    };
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Tells admins about an amendment charge that was collected but could not
+ * be credited to escrow.
+ */
+export const notifyAdminsOfAmendment = async (message, relatedId) => {
+  const admins = await pool.query(
+    "SELECT id FROM users WHERE role = 'admin' ORDER BY id ASC",
+  );
+  for (const admin of admins.rows) {
+    await safeNotify(admin.id, "payment_amendment_alert", message, relatedId);
+  }
+};
+
+export const notifyAmendmentPaid = async ({ amendment, payment }) => {
+  const message = `Payment #${payment.id} now holds ${formatMoney(amendment.new_amount, amendment.currency)} in escrow after the scope change.`;
+  await safeNotify(payment.company_user_id, "payment_amendment_paid", message, amendment.id);
+  await safeNotify(payment.student_user_id, "payment_amendment_paid", message, amendment.id);
+};
@@ -0,0 +1,67 @@
+import { DEFAULT_CURRENCY, normalizeCurrency } from "../../utils/currency.js";
+import { paystackProvider } from "./paystack.js";
+import { stripeProvider } from "./stripe.js";
+
+/**
+ * Every gateway adapter implements the same surface:
+ * - initialize({ amount, currency, email, reference, callbackUrl, description })
+ *     -> { reference, authorizationUrl, accessCode }; the returned reference
+ *     is what the provider echoes back and is stored as payments.provider_ref
+ * - verify(reference) -> { paid, status, reference, amount, currency }
+ * - refund({ reference, amount? }) -> { refundId, status }
+ * - transfer({ amount, currency, recipient, reference, reason })
+ *     -> { transferCode, status, reference }
+ * - submitDisputeEvidence({ disputeId, customerEmail, customerName,
+ *     customerPhone, serviceDetails, deliveryDate }) -> { evidenceId }
+ * - verifyWebhookSignature(rawBody, headers) -> boolean
+ * - parseWebhookEvent(rawBody) -> { id, event, data: { reference, ... } }
+ *     using Paystack event names (charge.success, refund.processed, ...)
+ * Provider rejections throw errors with status 400 and providerRejected set.
+ * A 5xx, a timeout or a duplicate reference leaves the outcome unknown and
+ * never sets providerRejected.
+ */
+const PROVIDERS = {
+  [paystackProvider.name]: paystackProvider,
+  [stripeProvider.name]: stripeProvider,
+};
+
+export const DEFAULT_PAYMENT_PROVIDER = paystackProvider.name;
+
+export const PAYMENT_PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+export const isSupportedPaymentProvider = (name) =>
+  Object.prototype.hasOwnProperty.call(PROVIDERS, String(name ?? "").toLowerCase());
+
+export const getPaymentProvider = (name = DEFAULT_PAYMENT_PROVIDER) => {
+  const key = String(name ?? DEFAULT_PAYMENT_PROVIDER).toLowerCase();
+  if (!isSupportedPaymentProvider(key)) {
+    const err = new Error(`Unsupported payment provider: ${name}`);
+    err.status = 400;
+    throw err;
+  }
+  return PROVIDERS[key];
+};
+
+/**
+ * The currency a new payment is charged in: the requested one, else the
+ * gateway's default, else the platform default.
+ */
+export const resolvePaymentCurrency = (providerName, currency) => {
+  const fallback = isSupportedPaymentProvider(providerName)
+    ? getPaymentProvider(providerName).defaultCurrency
+    : DEFAULT_CURRENCY;
+  return normalizeCurrency(currency ?? fallback);
+};
+
+/**
+ * Confirms with the gateway that the charge behind `reference` succeeded.
+ */
+export const verifyProviderPayment = async (providerName, reference) => {
+  const verification = await getPaymentProvider(providerName).verify(reference);
+  if (!verification.paid) {
+    const err = new Error("Payment not successful");
+    err.status = 400;
+    throw err;
+  }
+  return verification;
+};
@@ -0,0 +1,186 @@
+import axios from "axios";
+import crypto from "crypto";
+import { getPaystackBaseUrl } from "../../config/paystack.js";
+
+const getPaystackSecret = () => {
+  const secret = process.env.PAYSTACK_SECRET_KEY;
+  if (!secret) {
+    const err = new Error("PAYSTACK_SECRET_KEY is not configured");
+    err.status = 500;
+    throw err;
+  }
+  return secret;
+};
+
+const isDuplicateReferenceMessage = (message) =>
+  /reference/i.test(message) && /duplicate|already/i.test(message);
+
+export const paystackRequest = async (method, path, data) => {
+  const secret = getPaystackSecret();
+
+  let response;
+  try {
+    response = await axios.request({
+      method,
+      url: `${getPaystackBaseUrl()}${path}`,
+      data,
+      headers: {
+        Authorization: `Bearer ${secret}`,
+      },
+    });
+  } catch (requestErr) {
+    // Paystack answers rejected requests with 4xx + { status: false, message }.
+    // A 5xx or no response at all (timeout, DNS) leaves the outcome unknown,
+    // and a duplicate reference means an earlier request already went through,
+    // so neither is a provider decision.
+    const httpStatus = requestErr.response?.status ?? 0;
+    const err = new Error(
+      requestErr.response?.data?.message ?? "Paystack request failed",
+    );
+    const declined = httpStatus >= 400 && httpStatus < 500;
+    err.duplicateReference = declined && isDuplicateReferenceMessage(err.message);
+    err.status = err.duplicateReference ? 409 : declined ? 400 : 502;
+    err.providerRejected = declined && !err.duplicateReference;
+    throw err;
+  }
+
+  if (!response.data?.status) {
+    const err = new Error(response.data?.message ?? "Paystack request failed");
+    err.status = 400;
+    err.providerRejected = true;
+    throw err;
+  }
+
+  return response.data.data;
+};
+
+export const toKobo = (value) => {
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new Error("Amount must be a positive number");
+  }
+  return Math.round(amount * 100);
+};
+
+export const paystackProvider = {
+  name: "paystack",
+  defaultCurrency: "NGN",
+
+  async initialize({ amount, currency, email, reference, callbackUrl }) {
+    const data = await paystackRequest("post", "/transaction/initialize", {
+      email,
+      amount: toKobo(amount),
+      currency,
+      reference,
+      callback_url: callbackUrl,
+    });
+
+    return {
+      reference: data?.reference ?? reference,
+      authorizationUrl: data?.authorization_url ?? null,
+      accessCode: data?.access_code ?? null,
+    };
+  },
+
+  async verify(reference) {
+    const data = await paystackRequest(
+      "get",
+      `/transaction/verify/${encodeURIComponent(reference)}`,
+    );
+
+    return {
+      paid: data?.status === "success",
+      status: data?.status ?? null,
+      reference: data?.reference ?? reference,
+      amount: Number.isFinite(Number(data?.amount)) ? Number(data.amount) / 100 : null,
+      currency: data?.currency ?? null,
+    };
+  },
+
+  async refund({ reference, amount }) {
+    const data = await paystackRequest("post", "/refund", {
+      transaction: reference,
+      ...(amount === undefined ? {} : { amount: toKobo(amount) }),
+    });
+
+    return {
+      refundId: data?.id ?? null,
+      status: data?.status ?? null,
+    };
+  },
+
+  async submitDisputeEvidence({
+    disputeId,
+    customerEmail,
+    customerName,
+    customerPhone,
+    serviceDetails,
+    deliveryDate,
+  }) {
+    const data = await paystackRequest(
+      "post",
+      `/dispute/${encodeURIComponent(disputeId)}/evidence`,
+      {
+        customer_email: customerEmail,
+        customer_name: customerName,
+        customer_phone: customerPhone,
+        service_details: serviceDetails,
+        ...(deliveryDate ? { delivery_date: deliveryDate } : {}),
+      },
+    );
+
+    return { evidenceId: data?.id ?? null };
+  },
+
+  async transfer({ amount, currency, recipient, reference, reason }) {
+    const data = await paystackRequest("post", "/transfer", {
+      source: "balance",
+      amount: toKobo(amount),
+      currency,
+      recipient,
+      reference,
+      reason,
+    });
+
+    return {
+      transferCode: data?.transfer_code ?? null,
+      status: data?.status ?? "pending",
+      reference: data?.reference ?? reference,
+    };
+  },
+
+  verifyWebhookSignature(rawBody, headers) {
+    const secret = process.env.PAYSTACK_SECRET_KEY;
+    const signature = headers["x-paystack-signature"];
+    if (!secret || !signature) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac("sha512", secret)
+      .update(rawBody)
+      .digest("hex");
+    const received = String(signature);
+    return (
+      expected.length === received.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received))
+    );
+  },
+
+  // Paystack payloads already use the event names and data shape the
+  // webhook pipeline is written against, except that refund events carry
+  // the charge reference as transaction_reference and dispute events nest
+  // it under transaction.
+  async parseWebhookEvent(rawBody) {
+    const event = JSON.parse(rawBody.toString("utf8"));
+    const name = String(event?.event ?? "");
+    if (event?.data && !event.data.reference) {
+      if (name.startsWith("refund.")) {
+        event.data.reference = event.data.transaction_reference ?? null;
+      } else if (name.startsWith("charge.dispute.")) {
+        event.data.reference = event.data.transaction?.reference ?? null;
+      }
+    }
+    return event;
+  },
+};
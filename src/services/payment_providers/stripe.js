@@ -0,0 +1,332 @@
+import Stripe from "stripe";
+
+// Stripe amounts are in the currency's minor unit except for these.
+const ZERO_DECIMAL_CURRENCIES = new Set([
+  "bif", "clp", "djf", "gnf", "jpy", "kmf", "krw", "mga",
+  "pyg", "rwf", "ugx", "vnd", "vuv", "xaf", "xof", "xpf",
+]);
+
+let stripeClient = null;
+
+const getStripe = () => {
+  const secret = process.env.STRIPE_SECRET_KEY;
+  if (!secret) {
+    const err = new Error("STRIPE_SECRET_KEY is not configured");
+    err.status = 500;
+    throw err;
+  }
+  if (!stripeClient) {
+    stripeClient = new Stripe(secret);
+  }
+  return stripeClient;
+};
+
+const getDefaultCurrency = () =>
+  String(process.env.STRIPE_DEFAULT_CURRENCY || "usd").toLowerCase();
+
+const toMinorUnits = (value, currency) => {
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new Error("Amount must be a positive number");
+  }
+  return ZERO_DECIMAL_CURRENCIES.has(currency)
+    ? Math.round(amount)
+    : Math.round(amount * 100);
+};
+
+const fromMinorUnits = (value, currency) => {
+  const amount = Number(value);
+  if (!Number.isFinite(amount)) {
+    return null;
+  }
+  return ZERO_DECIMAL_CURRENCIES.has(currency) ? amount : amount / 100;
+};
+
+// Stripe rejects requests with 4xx StripeInvalidRequestError/StripeCardError.
+// A 5xx or a connection error (no statusCode) leaves the outcome unknown and
+// is not a provider decision.
+const stripeCall = async (fn) => {
+  try {
+    return await fn(getStripe());
+  } catch (stripeErr) {
+    if (stripeErr.status) {
+      throw stripeErr;
+    }
+    const declined = stripeErr.statusCode >= 400 && stripeErr.statusCode < 500;
+    const err = new Error(stripeErr.message ?? "Stripe request failed");
+    err.status = declined ? 400 : 502;
+    err.providerRejected = declined;
+    throw err;
+  }
+};
+
+// Payments are keyed by the Checkout Session id; charge-level events only
+// carry the PaymentIntent, so map it back to its session.
+const findSessionIdForPaymentIntent = async (paymentIntentId) => {
+  if (!paymentIntentId) {
+    return null;
+  }
+  const sessions = await stripeCall((stripe) =>
+    stripe.checkout.sessions.list({ payment_intent: paymentIntentId, limit: 1 }),
+  );
+  return sessions.data?.[0]?.id ?? null;
+};
+
+const SESSION_EVENT_NAMES = {
+  "checkout.session.completed": "charge.success",
+  "checkout.session.async_payment_succeeded": "charge.success",
+  "checkout.session.async_payment_failed": "charge.failed",
+  "checkout.session.expired": "charge.failed",
+};
+
+// Closed Stripe disputes mapped onto Paystack's resolution values.
+const STRIPE_DISPUTE_RESOLUTIONS = {
+  won: "declined",
+  lost: "merchant-accepted",
+};
+
+export const stripeProvider = {
+  name: "stripe",
+  get defaultCurrency() {
+    return getDefaultCurrency().toUpperCase();
+  },
+
+  async initialize({ amount, currency, email, reference, callbackUrl, description }) {
+    const normalizedCurrency = String(currency || getDefaultCurrency()).toLowerCase();
+    const successUrl = callbackUrl ?? process.env.STRIPE_SUCCESS_URL;
+    if (!successUrl) {
+      const err = new Error("callback_url or STRIPE_SUCCESS_URL is required for Stripe");
+      err.status = 400;
+      throw err;
+    }
+
+    const session = await stripeCall((stripe) =>
+      stripe.checkout.sessions.create({
+        mode: "payment",
+        customer_email: email,
+        client_reference_id: reference,
+        line_items: [
+          {
+            quantity: 1,
+            price_data: {
+              currency: normalizedCurrency,
+              unit_amount: toMinorUnits(amount, normalizedCurrency),
+              product_data: { name: description ?? "Acader escrow payment" },
+            },
+          },
+        ],
+        success_url: successUrl,
+        cancel_url: process.env.STRIPE_CANCEL_URL ?? successUrl,
+        metadata: { acader_reference: reference },
+      }),
+    );
+
+    return {
+      reference: session.id,
+      authorizationUrl: session.url,
+      accessCode: null,
+    };
+  },
+
+  async verify(reference) {
+    const session = await stripeCall((stripe) =>
+      stripe.checkout.sessions.retrieve(reference),
+    );
+
+    return {
+      paid: session.payment_status === "paid",
+      status: session.payment_status,
+      reference: session.id,
+      amount: fromMinorUnits(session.amount_total, session.currency),
+      currency: session.currency?.toUpperCase() ?? null,
+    };
+  },
+
+  async refund({ reference, amount }) {
+    const session = await stripeCall((stripe) =>
+      stripe.checkout.sessions.retrieve(reference),
+    );
+    if (!session.payment_intent) {
+      const err = new Error("Stripe session has no payment to refund");
+      err.status = 409;
+      throw err;
+    }
+
+    const refund = await stripeCall((stripe) =>
+      stripe.refunds.create({
+        payment_intent: session.payment_intent,
+        ...(amount === undefined
+          ? {}
+          : { amount: toMinorUnits(amount, session.currency) }),
+        metadata: { acader_reference: reference },
+      }),
+    );
+
+    return {
+      refundId: refund.id,
+      status: refund.status,
+    };
+  },
+
+  // Stripe takes the evidence as dispute fields and submits it in the same
+  // call; the dispute id doubles as the evidence id.
+  async submitDisputeEvidence({
+    disputeId,
+    customerEmail,
+    customerName,
+    serviceDetails,
+    deliveryDate,
+  }) {
+    const dispute = await stripeCall((stripe) =>
+      stripe.disputes.update(disputeId, {
+        evidence: {
+          customer_email_address: customerEmail ?? undefined,
+          customer_name: customerName ?? undefined,
+          service_date: deliveryDate ?? undefined,
+          uncategorized_text: serviceDetails,
+        },
+        submit: true,
+      }),
+    );
+
+    return { evidenceId: dispute.id };
+  },
+
+  // Pays out to a connected account (acct_...); Stripe has no bank-detail
+  // transfers without Connect.
+  async transfer({ amount, currency, recipient, reference, reason }) {
+    const normalizedCurrency = String(currency || getDefaultCurrency()).toLowerCase();
+    const transfer = await stripeCall((stripe) =>
+      stripe.transfers.create({
+        amount: toMinorUnits(amount, normalizedCurrency),
+        currency: normalizedCurrency,
+        destination: recipient,
+        transfer_group: reference,
+        description: reason,
+        metadata: { acader_reference: reference },
+      }),
+    );
+
+    return {
+      transferCode: transfer.id,
+      status: "success",
+      reference,
+    };
+  },
+
+  verifyWebhookSignature(rawBody, headers) {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    const signature = headers["stripe-signature"];
+    if (!secret || !signature) {
+      return false;
+    }
+    try {
+      Stripe.webhooks.constructEvent(rawBody, signature, secret);
+      return true;
+    } catch {
+      return false;
+    }
+  },
+
+  /**
+   * Maps Stripe events onto the Paystack-shaped { id, event, data } the
+   * webhook pipeline understands. Unmapped events keep their Stripe name and
+   * are ignored downstream as unsupported.
+   */
+  async parseWebhookEvent(rawBody) {
+    const event = JSON.parse(rawBody.toString("utf8"));
+    const object = event?.data?.object ?? {};
+
+    // Delayed methods such as bank debits complete the session before any
+    // money moves; async_payment_succeeded or _failed settles those later.
+    const sessionEventName =
+      event.type === "checkout.session.completed" && object.payment_status !== "paid"
+        ? null
+        : SESSION_EVENT_NAMES[event.type];
+    if (sessionEventName) {
+      return {
+        id: event.id,
+        event: sessionEventName,
+        data: {
+          id: object.id,
+          reference: object.id,
+          amount: object.amount_total,
+          currency: object.currency,
+          status: object.payment_status,
+          gateway_response: event.type,
+        },
+      };
+    }
+
+    if (event.type === "charge.refunded") {
+      return {
+        id: event.id,
+        event: "refund.processed",
+        data: {
+          id: object.id,
+          reference: await findSessionIdForPaymentIntent(object.payment_intent),
+          amount: object.amount_refunded,
+          currency: object.currency,
+          status: object.status,
+        },
+      };
+    }
+
+    // Refund objects carry the session id in the metadata refund() sets.
+    if (
+      event.type === "refund.failed" ||
+      (event.type === "charge.refund.updated" && object.status === "failed")
+    ) {
+      return {
+        id: event.id,
+        event: "refund.failed",
+        data: {
+          id: object.id,
+          reference:
+            object.metadata?.acader_reference ??
+            (await findSessionIdForPaymentIntent(object.payment_intent)),
+          amount: object.amount,
+          currency: object.currency,
+          status: object.status,
+          gateway_response: object.failure_reason ?? "Refund failed",
+        },
+      };
+    }
+
+    if (event.type === "charge.dispute.created") {
+      return {
+        id: event.id,
+        event: "charge.dispute.create",
+        data: {
+          id: object.id,
+          reference: await findSessionIdForPaymentIntent(object.payment_intent),
+          amount: object.amount,
+          currency: object.currency,
+          reason: object.reason,
+          status: object.status,
+        },
+      };
+    }
+
+    if (event.type === "charge.dispute.closed") {
+      return {
+        id: event.id,
+        event: "charge.dispute.resolve",
+        data: {
+          id: object.id,
+          reference: await findSessionIdForPaymentIntent(object.payment_intent),
+          amount: object.amount,
+          currency: object.currency,
+          status: object.status,
+          resolution: STRIPE_DISPUTE_RESOLUTIONS[object.status] ?? object.status,
+        },
+      };
+    }
+
+    return {
+      id: event.id,
+      event: event.type,
+      data: { id: object.id, reference: null },
+    };
+  },
+};
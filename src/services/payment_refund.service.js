@@ -0,0 +1,449 @@
+import pool from "../config/db.js";
+import { safeNotify } from "../utils/notify.js";
+import { formatMoney } from "../utils/currency.js";
+import {
+  createRefundHold,
+  releaseRefundHold,
+  settleRefund,
+} from "./ledger.service.js";
+import { transitionPaymentStatus } from "./payment_state.service.js";
+import {
+  DEFAULT_PAYMENT_PROVIDER,
+  getPaymentProvider,
+  isSupportedPaymentProvider,
+} from "./payment_providers/index.js";
+import {
+  appendFinancialEventLog,
+  FINANCIAL_EVENT_TYPE,
+} from "./financial_event_log.service.js";
+
+export const REFUND_STATUS = {
+  PENDING: "pending",
+  PROCESSED: "processed",
+  FAILED: "failed",
+};
+
+const REFUND_COLUMNS = `r.*, p.provider_ref AS reference`;
+
+/**
+ * The gateway that has to send a payment's money back, or null when the
+ * refund stays in the ledger: the payment was funded from the company
+ * wallet, as one share of a funding batch charge, or a scope change has
+ * grown it beyond its original charge.
+ */
+export const getRefundProvider = (payment) => {
+  if (
+    ["wallet", "batch"].includes(payment.funding_source) ||
+    !payment.provider_ref ||
+    payment.amended_at
+  ) {
+    return null;
+  }
+  // Legacy rows may carry free-form provider labels; those were Paystack charges.
+  return isSupportedPaymentProvider(payment.provider)
+    ? String(payment.provider).toLowerCase()
+    : DEFAULT_PAYMENT_PROVIDER;
+};
+
+const loadRefund = async (db, refundId) => {
+  const result = await db.query(
+    `SELECT ${REFUND_COLUMNS}
+     FROM payment_refunds r
+     JOIN payments p ON p.id = r.payment_id
+     WHERE r.id = $1`,
+    [refundId],
+  );
+  if (result.rows.length === 0) {
+    const err = new Error("Refund not found");
+    err.status = 404;
+    throw err;
+  }
+  return result.rows[0];
+};
+
+export const notifyAdminsOfRefund = async (message, relatedId) => {
+  const admins = await pool.query(
+    "SELECT id FROM users WHERE role = 'admin' ORDER BY id ASC",
+  );
+  for (const admin of admins.rows) {
+    await safeNotify(admin.id, "refund_failed", message, relatedId);
+  }
+};
+
+export const listPaymentRefunds = async (paymentId, options = {}) => {
+  const db = options.client ?? pool;
+  const result = await db.query(
+    `SELECT *
+     FROM payment_refunds
+     WHERE payment_id = $1
+     ORDER BY created_at ASC, id ASC`,
+    [paymentId],
+  );
+  return result.rows;
+};
+
+/**
+ * Inside the caller's transaction, after the refund ledger has credited the
+ * company: records the provider refund, holds the amount in the company's
+ * locked balance and moves the payment to refund_pending. The gateway is
+ * called by submitProviderRefund once the transaction has committed.
+ */
+export const openProviderRefund = async (client, payment, options = {}) => {
+  const { provider, companyUserId, refundType, requestedBy = null, reason = null } =
+    options;
+
+  const inserted = await client.query(
+    `INSERT INTO payment_refunds
+       (payment_id, user_id, provider, amount, currency, refund_type, reason, requested_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      payment.id,
+      companyUserId,
+      provider,
+      payment.amount,
+      payment.currency,
+      refundType,
+      reason,
+      requestedBy,
+    ],
+  );
+  const refund = { ...inserted.rows[0], reference: payment.provider_ref };
+
+  await createRefundHold(client, refund);
+
+  const updatedPayment = await transitionPaymentStatus(client, payment, "refund_pending", {
+    actorId: requestedBy,
+    source: options.source,
+    reason,
+    metadata: { refund_id: refund.id, provider },
+    clearDispute: options.clearDispute,
+  });
+
+  return { refund, payment: updatedPayment };
+};
+
+/**
+ * Applies the gateway's final answer to a pending refund. A processed
+ * refund settles the held amount out to payout; a failed one releases it
+ * back to the company's available balance and leaves the payment in
+ * refund_failed so an admin can send it again.
+ */
+const applyRefundOutcome = async (client, refund, outcome, details = {}) => {
+  const paymentResult = await client.query(
+    "SELECT * FROM payments WHERE id = $1 FOR UPDATE",
+    [refund.payment_id],
+  );
+  const payment = paymentResult.rows[0];
+  const processed = outcome === REFUND_STATUS.PROCESSED;
+
+  if (processed) {
+    await settleRefund(client, refund);
+  } else {
+    await releaseRefundHold(client, refund);
+  }
+
+  const updated = await client.query(
+    `UPDATE payment_refunds
+     SET status = $1,
+         provider_refund_id = COALESCE(provider_refund_id, $2),
+         provider_status = COALESCE($3, provider_status),
+         failure_reason = $4,
+         processed_at = CASE WHEN $1 = 'processed' THEN NOW() ELSE processed_at END,
+         updated_at = NOW()
+     WHERE id = $5
+     RETURNING *`,
+    [
+      outcome,
+      details.providerRefundId ?? null,
+      details.providerStatus ?? null,
+      processed ? null : (details.reason ?? "Refund failed"),
+      refund.id,
+    ],
+  );
+
+  const updatedPayment = await transitionPaymentStatus(
+    client,
+    payment,
+    processed ? "refunded" : "refund_failed",
+    {
+      source: details.source,
+      reason: processed ? null : (details.reason ?? "Refund failed"),
+      metadata: { refund_id: refund.id, provider: refund.provider },
+    },
+  );
+
+  await appendFinancialEventLog(
+    {
+      eventType: processed
+        ? FINANCIAL_EVENT_TYPE.REFUND_COMPLETED
+        : FINANCIAL_EVENT_TYPE.REFUND_FAILED,
+      userId: refund.user_id,
+      paymentId: refund.payment_id,
+      eventPayload: {
+        refund_id: refund.id,
+        provider: refund.provider,
+        amount: refund.amount,
+        reference: refund.reference,
+        source: details.source,
+        ...(processed ? {} : { reason: details.reason ?? null }),
+      },
+    },
+    { client },
+  );
+
+  return { refund: updated.rows[0], payment: updatedPayment };
+};
+
+const notifyRefundOutcome = async ({ refund, payment }) => {
+  const amount = formatMoney(refund.amount, refund.currency);
+  if (refund.status === REFUND_STATUS.PROCESSED) {
+    await safeNotify(
+      refund.user_id,
+      "payment_refunded",
+      `Your refund of ${amount} has been sent back to your original payment method.`,
+      payment.id,
+    );
+    return;
+  }
+
+  await safeNotify(
+    refund.user_id,
+    "refund_failed",
+    `We could not return ${amount} to your original payment method, so it is in your Acader wallet instead.`,
+    payment.id,
+  );
+  await notifyAdminsOfRefund(
+    `Refund ${refund.id} of ${amount} for payment ${payment.id} failed at ${refund.provider}: ${refund.failure_reason}. The amount is back in the company's wallet.`,
+    payment.id,
+  );
+};
+
+/**
+ * Fails a pending refund outside the webhook, when the gateway refuses the
+ * refund request outright.
+ */
+export const failProviderRefund = async (refundId, reason, options = {}) => {
+  const client = await pool.connect();
+  let result;
+  try {
+    await client.query("BEGIN");
+
+    const locked = await client.query(
+      `SELECT ${REFUND_COLUMNS}
+       FROM payment_refunds r
+       JOIN payments p ON p.id = r.payment_id
+       WHERE r.id = $1
+       FOR UPDATE OF r`,
+      [refundId],
+    );
+    const refund = locked.rows[0];
+    if (!refund || refund.status !== REFUND_STATUS.PENDING) {
+      await client.query("ROLLBACK");
+      return { refund, updated: false };
+    }
+
+    result = await applyRefundOutcome(client, refund, REFUND_STATUS.FAILED, {
+      reason,
+      source: options.source ?? "refund_initiation",
+    });
+
+    await client.query("COMMIT");
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await notifyRefundOutcome(result);
+  return { ...result, updated: true };
+};
+
+/**
+ * Sends a refund opened by openProviderRefund to its gateway. Settlement
+ * happens later in the refund.* webhook; a definite refusal fails the refund
+ * now. When the gateway gives no clear answer the refund stays pending, hold
+ * and all, and admins are asked to check it.
+ */
+export const submitProviderRefund = async (refundId) => {
+  const refund = await loadRefund(pool, refundId);
+  if (refund.status !== REFUND_STATUS.PENDING || refund.provider_refund_id) {
+    const err = new Error("Refund already submitted");
+    err.status = 409;
+    throw err;
+  }
+
+  let providerRefund;
+  try {
+    providerRefund = await getPaymentProvider(refund.provider).refund({
+      reference: refund.reference,
+      amount: refund.amount,
+    });
+  } catch (err) {
+    if (err.providerRejected) {
+      const failed = await failProviderRefund(refund.id, err.message);
+      return failed.refund ?? refund;
+    }
+
+    const pending = await pool.query(
+      `UPDATE payment_refunds
+       SET failure_reason = $1, updated_at = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [err.message, refund.id],
+    );
+    await notifyAdminsOfRefund(
+      `Refund ${refund.id} of ${formatMoney(refund.amount, refund.currency)} for payment ${refund.payment_id} got no clear answer from ${refund.provider}: ${err.message}. It stays pending until the gateway's webhook settles it.`,
+      refund.payment_id,
+    );
+    return pending.rows[0] ?? refund;
+  }
+
+  const updated = await pool.query(
+    `UPDATE payment_refunds
+     SET provider_refund_id = $1,
+         provider_status = $2,
+         failure_reason = NULL,
+         updated_at = NOW()
+     WHERE id = $3
+     RETURNING *`,
+    [
+      providerRefund?.refundId === undefined || providerRefund?.refundId === null
+        ? null
+        : String(providerRefund.refundId),
+      providerRefund?.status ?? null,
+      refund.id,
+    ],
+  );
+
+  await appendFinancialEventLog({
+    eventType: FINANCIAL_EVENT_TYPE.REFUND_INITIATED,
+    userId: refund.user_id,
+    paymentId: refund.payment_id,
+    eventPayload: {
+      refund_id: refund.id,
+      provider: refund.provider,
+      provider_refund_id: updated.rows[0]?.provider_refund_id ?? null,
+      amount: refund.amount,
+      reference: refund.reference,
+    },
+  });
+
+  return updated.rows[0] ?? refund;
+};
+
+/**
+ * Opens a new provider refund for a payment whose last one failed, using
+ * the amount the failure returned to the company's wallet.
+ */
+export const retryProviderRefund = async (paymentId, { adminId, reason = null }) => {
+  const client = await pool.connect();
+  let opened;
+  try {
+    await client.query("BEGIN");
+
+    const paymentResult = await client.query(
+      "SELECT * FROM payments WHERE id = $1 FOR UPDATE",
+      [paymentId],
+    );
+    if (paymentResult.rows.length === 0) {
+      const err = new Error("Payment not found");
+      err.status = 404;
+      throw err;
+    }
+    const payment = paymentResult.rows[0];
+    if (payment.status !== "refund_failed") {
+      const err = new Error("Only payments whose refund failed can be retried");
+      err.status = 409;
+      throw err;
+    }
+
+    const last = await client.query(
+      `SELECT *
+       FROM payment_refunds
+       WHERE payment_id = $1
+       ORDER BY id DESC
+       LIMIT 1`,
+      [paymentId],
+    );
+    const failed = last.rows[0];
+
+    opened = await openProviderRefund(client, payment, {
+      provider: failed.provider,
+      companyUserId: failed.user_id,
+      refundType: failed.refund_type,
+      requestedBy: adminId,
+      reason: reason ?? failed.reason,
+      source: "admin_refund_retry",
+    });
+
+    await client.query("COMMIT");
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const refund = await submitProviderRefund(opened.refund.id);
+  const current = await pool.query("SELECT * FROM payments WHERE id = $1", [paymentId]);
+  return { refund, payment: current.rows[0] };
+};
+
+/**
+ * refund.processed / refund.failed webhook: settles the pending refund of
+ * the payment charged under `reference`. Returns null when there is none,
+ * e.g. a refund made directly in the gateway dashboard.
+ */
+export const finalizeProviderRefundByReference = async (
+  reference,
+  outcome,
+  details = {},
+) => {
+  const client = await pool.connect();
+  let result;
+  try {
+    await client.query("BEGIN");
+
+    const locked = await client.query(
+      `SELECT ${REFUND_COLUMNS}
+       FROM payment_refunds r
+       JOIN payments p ON p.id = r.payment_id
+       WHERE p.provider_ref = $1
+         AND r.status = 'pending'
+       ORDER BY r.id DESC
+       LIMIT 1
+       FOR UPDATE OF r`,
+      [reference],
+    );
+    if (locked.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    result = await applyRefundOutcome(client, locked.rows[0], outcome, details);
+
+    await client.query("COMMIT");
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await notifyRefundOutcome(result);
+  return result;
+};
@@ -0,0 +1,333 @@
+import crypto from "crypto";
+import pool from "../config/db.js";
+import { safeNotify } from "../utils/notify.js";
+import { sendEmail } from "../utils/email.js";
+import {
+  DOCUMENT_TYPE,
+  findLatestDocument,
+  toEmailAttachment,
+} from "./financial_document.service.js";
+import { formatMoney } from "../utils/currency.js";
+import {
+  applyPaymentTransitionLedger,
+  previewReleaseSplit,
+} from "./ledger.service.js";
+import { getMilestoneSummary } from "./milestone.service.js";
+import { listPaymentSplits } from "./payment_split.service.js";
+import { transitionPaymentStatus } from "./payment_state.service.js";
+import { getWalletRestriction } from "./fraud/review_queue.js";
+import {
+  createRiskAuditLog,
+  RISK_AUDIT_ACTION,
+} from "./fraud/risk_audit.js";
+import {
+  appendFinancialEventLog,
+  FINANCIAL_EVENT_TYPE,
+} from "./financial_event_log.service.js";
+
+const CONFIRMATION_TTL_MINUTES = 15;
+
+const fail = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const parsePositiveId = (value) => {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+};
+
+/**
+ * Runs the checks every manual paid → released transition shares: the
+ * payment is paid and undisputed, not split into milestones, its project is
+ * completed, its application accepted and the student is not restricted.
+ * A restricted student is recorded against `source` before the 409.
+ */
+export const assertPaymentReleasable = async (
+  paymentId,
+  { source, adminId = null, actorId = null },
+) => {
+  const current = await pool.query(
+    `
+    SELECT
+      pay.*,
+      c.user_id AS company_user_id,
+      a.user_id AS student_user_id,
+      a.status AS application_status,
+      p.status AS project_status,
+      p.title AS project_title
+    FROM payments pay
+    LEFT JOIN companies c ON c.id = pay.company_id
+    LEFT JOIN applications a ON a.id = pay.application_id
+    LEFT JOIN projects p ON p.id = pay.project_id
+    WHERE pay.id = $1
+    `,
+    [paymentId],
+  );
+
+  if (current.rows.length === 0) {
+    throw fail(404, "Payment not found");
+  }
+
+  const payment = current.rows[0];
+  if (payment.disputed === true) {
+    throw fail(409, "Payment is under dispute");
+  }
+  if (payment.status !== "paid") {
+    throw fail(400, `Invalid transition: ${payment.status} → released`);
+  }
+
+  const milestoneSummary = await getMilestoneSummary(paymentId);
+  if (milestoneSummary.total > 0) {
+    throw fail(409, "Payment is split into milestones; release them individually");
+  }
+
+  if (!payment.project_status || !payment.application_status) {
+    throw fail(400, "Payment is not linked to a valid project/application");
+  }
+
+  const studentUserId = parsePositiveId(payment.student_user_id);
+  if (!studentUserId) {
+    throw fail(400, "Invalid student for release");
+  }
+  if (payment.project_status !== "completed") {
+    throw fail(400, "Project not completed");
+  }
+  if (payment.application_status !== "accepted") {
+    throw fail(400, "Application not accepted");
+  }
+
+  const restriction = await getWalletRestriction(studentUserId);
+  if (restriction) {
+    try {
+      await createRiskAuditLog({
+        userId: studentUserId,
+        actionType: RISK_AUDIT_ACTION.ESCROW_RELEASE_REJECTED,
+        reason: "STUDENT_RESTRICTED",
+        relatedPaymentId: payment.id,
+        adminId,
+        actorId,
+      });
+      await appendFinancialEventLog({
+        eventType: FINANCIAL_EVENT_TYPE.ESCROW_RELEASE_REJECTED,
+        userId: studentUserId,
+        paymentId: payment.id,
+        eventPayload: {
+          reason: "STUDENT_RESTRICTED",
+          source,
+        },
+      });
+    } catch (auditErr) {
+      console.error("[risk_audit] release rejection log failed", auditErr.message);
+    }
+    throw fail(409, "Student account restricted due to financial risk.");
+  }
+
+  return {
+    payment,
+    companyUserId: parsePositiveId(payment.company_user_id),
+    studentUserId,
+  };
+};
+
+/**
+ * Moves a payment checked by assertPaymentReleasable to released, then
+ * writes the ESCROW_RELEASED event and approval audit for the actor and
+ * tells the student (every team member of a split payment). The ledger
+ * idempotency prefix is shared with every other release path so a payment
+ * can only be released once.
+ */
+export const releasePaymentEscrow = async (
+  { payment, companyUserId, studentUserId },
+  { source, reason, adminId = null, actorId = null },
+) => {
+  const splits = await listPaymentSplits(payment.id);
+  for (const split of splits) {
+    if (await getWalletRestriction(split.student_user_id)) {
+      throw fail(409, "A team member's account is restricted due to financial risk.");
+    }
+  }
+
+  const client = await pool.connect();
+  let updatedPayment;
+  try {
+    await client.query("BEGIN");
+
+    updatedPayment = await transitionPaymentStatus(client, payment, "released", {
+      actorId: actorId ?? adminId,
+      source,
+      reason,
+      requireUndisputed: true,
+    });
+
+    await applyPaymentTransitionLedger(client, payment, "released", {
+      idempotencyPrefix: `payment:${payment.id}:paid->released`,
+      companyUserId: companyUserId ?? undefined,
+      studentUserId,
+      requireStudentUserId: true,
+    });
+
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await appendFinancialEventLog({
+    eventType: FINANCIAL_EVENT_TYPE.ESCROW_RELEASED,
+    userId: studentUserId,
+    paymentId: payment.id,
+    eventPayload: {
+      source,
+      amount: updatedPayment.amount,
+      ...(actorId ? { released_by: actorId } : {}),
+    },
+  });
+  await createRiskAuditLog({
+    userId: studentUserId,
+    actionType: RISK_AUDIT_ACTION.ESCROW_RELEASE_APPROVED,
+    reason,
+    relatedPaymentId: payment.id,
+    adminId,
+    actorId,
+  });
+
+  const recipients =
+    splits.length > 0
+      ? splits.map((split) => ({ userId: split.student_user_id, amount: split.amount }))
+      : [{ userId: studentUserId, amount: updatedPayment.amount }];
+
+  for (const recipient of recipients) {
+    await safeNotify(
+      recipient.userId,
+      "payment_released",
+      "Your payment has been released to your wallet.",
+      payment.id,
+    );
+
+    const userResult = await pool.query("SELECT email FROM users WHERE id = $1", [
+      recipient.userId,
+    ]);
+    const user = userResult.rows[0];
+
+    if (user?.email) {
+      try {
+        const receipt = await findLatestDocument({
+          documentType: DOCUMENT_TYPE.RELEASE_RECEIPT,
+          userId: recipient.userId,
+          paymentId: payment.id,
+        });
+        await sendEmail(
+          user.email,
+          "Payment Released",
+          `
+          <h2>Your payment has been released</h2>
+          <p>${formatMoney(recipient.amount, updatedPayment.currency)} has been released to your wallet.${receipt ? ` Your receipt ${receipt.document_number} is attached.` : ""}</p>
+          `,
+          { attachments: receipt ? [await toEmailAttachment(receipt)] : [] },
+        );
+      } catch (err) {
+        console.error("Email failed:", err.message);
+      }
+    }
+  }
+
+  return updatedPayment;
+};
+
+const assertCompanyOwner = (context, userId) => {
+  if (context.companyUserId !== Number(userId)) {
+    throw fail(403, "Only the paying company can release this payment");
+  }
+};
+
+/**
+ * First step of a company release: re-checks eligibility and issues a
+ * single-use confirmation token with the amounts that will move.
+ */
+export const requestCompanyRelease = async (paymentId, companyUserId) => {
+  const context = await assertPaymentReleasable(paymentId, {
+    source: "company_release",
+    actorId: companyUserId,
+  });
+  assertCompanyOwner(context, companyUserId);
+
+  const token = crypto.randomBytes(24).toString("hex");
+  const inserted = await pool.query(
+    `INSERT INTO payment_release_confirmations (payment_id, requested_by, token_hash, expires_at)
+     VALUES ($1, $2, $3, NOW() + ($4 || ' minutes')::interval)
+     RETURNING expires_at`,
+    [paymentId, companyUserId, hashToken(token), String(CONFIRMATION_TTL_MINUTES)],
+  );
+
+  const split = await previewReleaseSplit(context.payment.amount, {
+    paymentId: context.payment.id,
+    studentUserId: context.studentUserId,
+    currency: context.payment.currency,
+  });
+  return {
+    confirmationToken: token,
+    expiresAt: inserted.rows[0].expires_at,
+    payment: context.payment,
+    studentAmount: split.studentNetAmount,
+    platformFee: split.feeAmount,
+    taxWithheld: split.taxAmount,
+    shares: split.shares ?? null,
+  };
+};
+
+/**
+ * Second step: spends the token and releases. All checks run again because
+ * the payment may have been disputed since the token was issued.
+ */
+export const confirmCompanyRelease = async (
+  paymentId,
+  companyUserId,
+  confirmationToken,
+) => {
+  if (typeof confirmationToken !== "string" || !confirmationToken.trim()) {
+    throw fail(400, "confirmation_token is required");
+  }
+
+  const spent = await pool.query(
+    `UPDATE payment_release_confirmations
+     SET confirmed_at = NOW()
+     WHERE token_hash = $1
+       AND payment_id = $2
+       AND requested_by = $3
+       AND confirmed_at IS NULL
+       AND expires_at > NOW()
+     RETURNING id`,
+    [hashToken(confirmationToken.trim()), paymentId, companyUserId],
+  );
+  if (spent.rowCount === 0) {
+    throw fail(400, "Invalid or expired confirmation token");
+  }
+
+  try {
+    const context = await assertPaymentReleasable(paymentId, {
+      source: "company_release",
+      actorId: companyUserId,
+    });
+    assertCompanyOwner(context, companyUserId);
+
+    return await releasePaymentEscrow(context, {
+      source: "company_release",
+      reason: "COMPANY_RELEASE",
+      actorId: companyUserId,
+    });
+  } catch (err) {
+    // Give the token back so a transient failure does not force a new request.
+    await pool.query(
+      "UPDATE payment_release_confirmations SET confirmed_at = NULL WHERE id = $1",
+      [spent.rows[0].id],
+    );
+    throw err;
+  }
+};
@@ -0,0 +1,130 @@
+import pool from "../config/db.js";
+
+const badRequest = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const toCents = (value) => Math.round(Number(value) * 100);
+
+export const listPaymentSplits = async (paymentId, options = {}) => {
+  const db = options.client ?? pool;
+  const result = await db.query(
+    `
+    SELECT s.*, u.email AS student_email, u.full_name AS student_name
+    FROM payment_splits s
+    JOIN users u ON u.id = s.student_user_id
+    WHERE s.payment_id = $1
+    ORDER BY s.id ASC
+    `,
+    [paymentId],
+  );
+  return result.rows;
+};
+
+/**
+ * Validates a team split. Shares must add up to the gross payment, name
+ * each student once, and every student needs an accepted application on
+ * the payment's project.
+ */
+export const normalizeSplitPlan = async (db, payment, splits) => {
+  if (!Array.isArray(splits) || splits.length < 2) {
+    throw badRequest("splits must list at least two students");
+  }
+
+  const seen = new Set();
+  const normalized = splits.map((split, index) => {
+    const studentUserId = Number(split?.student_user_id);
+    if (!Number.isInteger(studentUserId) || studentUserId <= 0) {
+      throw badRequest(`Split ${index + 1}: invalid student_user_id`);
+    }
+    if (seen.has(studentUserId)) {
+      throw badRequest(`Split ${index + 1}: student listed twice`);
+    }
+    seen.add(studentUserId);
+
+    const amount = Number(split.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw badRequest(`Split ${index + 1}: amount must be a positive number`);
+    }
+    if (Math.abs(amount * 100 - toCents(amount)) > 1e-6) {
+      throw badRequest(`Split ${index + 1}: amount has too many decimals`);
+    }
+    return { studentUserId, amount: toCents(amount) / 100 };
+  });
+
+  const totalCents = normalized.reduce((sum, split) => sum + toCents(split.amount), 0);
+  if (totalCents !== toCents(payment.amount)) {
+    throw badRequest("Split amounts must add up to the payment amount");
+  }
+
+  const accepted = await db.query(
+    `
+    SELECT DISTINCT user_id
+    FROM applications
+    WHERE project_id = $1
+      AND status = 'accepted'
+      AND user_id = ANY($2::int[])
+    `,
+    [payment.project_id, normalized.map((split) => split.studentUserId)],
+  );
+  const acceptedIds = new Set(accepted.rows.map((row) => Number(row.user_id)));
+  const outsider = normalized.find((split) => !acceptedIds.has(split.studentUserId));
+  if (outsider) {
+    throw badRequest(
+      `Student ${outsider.studentUserId} has no accepted application on this project`,
+    );
+  }
+
+  return normalized;
+};
+
+/**
+ * Replaces a payment's split inside the caller's transaction; an empty
+ * plan removes it so the applicant receives the whole release again.
+ */
+export const replacePaymentSplits = async (client, paymentId, plan, createdBy) => {
+  await client.query("DELETE FROM payment_splits WHERE payment_id = $1", [paymentId]);
+  for (const split of plan) {
+    await client.query(
+      `INSERT INTO payment_splits (payment_id, student_user_id, amount, created_by)
+       VALUES ($1, $2, $3, $4)`,
+      [paymentId, split.studentUserId, split.amount, createdBy],
+    );
+  }
+  return listPaymentSplits(paymentId, { client });
+};
+
+/**
+ * Divides `amount` across a payment's split in proportion to each share.
+ * Rounding leftovers go to the last student so the parts always add up.
+ * A payment without a split gives the whole amount to `studentUserId`.
+ */
+export const allocateAcrossSplits = async (
+  db,
+  { paymentId, grossAmount, amount, studentUserId },
+) => {
+  const result = paymentId
+    ? await db.query(
+        "SELECT student_user_id, amount FROM payment_splits WHERE payment_id = $1 ORDER BY id ASC",
+        [paymentId],
+      )
+    : { rows: [] };
+  if (result.rows.length === 0) {
+    return [{ studentUserId, amount, split: false }];
+  }
+
+  const totalCents = toCents(amount);
+  const grossCents = toCents(grossAmount);
+  let allocatedCents = 0;
+  const shares = result.rows.map((split, index) => {
+    const cents =
+      index === result.rows.length - 1
+        ? totalCents - allocatedCents
+        : Math.floor((totalCents * toCents(split.amount)) / grossCents);
+    allocatedCents += cents;
+    return { studentUserId: Number(split.student_user_id), amount: cents / 100, split: true };
+  });
+  return shares.filter((share) => share.amount > 0);
+};
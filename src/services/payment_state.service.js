@@ -0,0 +1,205 @@
+import pool from "../config/db.js";
+
+export const PAYMENT_STATUS = {
+  PENDING: "pending",
+  PAID: "paid",
+  FAILED: "failed",
+  ABANDONED: "abandoned",
+  RELEASED: "released",
+  REFUNDED: "refunded",
+  TRANSFER_FAILED: "transfer_failed",
+  REFUND_PENDING: "refund_pending",
+  REFUND_FAILED: "refund_failed",
+  // Rows from before disputes became a flag on the payment.
+  DISPUTED: "disputed",
+};
+
+/**
+ * Every status a payment may move to from its current one. Disputes are a
+ * flag (payments.disputed), not a status, so they do not appear here.
+ */
+const PAYMENT_TRANSITIONS = {
+  pending: ["paid", "failed", "abandoned"],
+  failed: ["paid"],
+  // A charge that completes after the expiry sweep is still recorded,
+  // unless the application was funded again meanwhile (see
+  // getDuplicateFundingReason).
+  abandoned: ["paid"],
+  paid: ["released", "refunded", "refund_pending", "transfer_failed"],
+  released: ["refunded", "refund_pending"],
+  disputed: ["released", "refunded"],
+  // A provider refund that failed leaves the money in the company wallet
+  // and can be sent to the gateway again.
+  refund_pending: ["refunded", "refund_failed"],
+  refund_failed: ["refund_pending"],
+  transfer_failed: [],
+  refunded: [],
+};
+
+// Whether funds sit in escrow after entering a status; unlisted statuses
+// leave the flag as it was.
+const ESCROW_BY_STATUS = {
+  paid: true,
+  failed: false,
+  abandoned: false,
+  released: false,
+  refunded: false,
+  refund_pending: false,
+};
+
+// Columns a caller may set alongside the status change.
+const EXTRA_COLUMNS = ["funding_source", "released_by"];
+
+export const canTransitionPayment = (fromStatus, toStatus) =>
+  (PAYMENT_TRANSITIONS[fromStatus] ?? []).includes(toStatus);
+
+export const assertPaymentTransition = (fromStatus, toStatus) => {
+  if (!canTransitionPayment(fromStatus, toStatus)) {
+    const err = new Error(`Invalid transition: ${fromStatus} → ${toStatus}`);
+    err.status = 400;
+    throw err;
+  }
+};
+
+const recordHistory = async (
+  db,
+  { paymentId, fromStatus, toStatus, actorId, source, reason, metadata },
+) =>
+  db.query(
+    `INSERT INTO payment_status_history
+       (payment_id, from_status, to_status, actor_id, source, reason, metadata)
+     VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb)`,
+    [
+      paymentId,
+      fromStatus,
+      toStatus,
+      actorId ?? null,
+      source,
+      reason ?? null,
+      JSON.stringify(metadata ?? {}),
+    ],
+  );
+
+/**
+ * Opening history row for a newly created payment.
+ */
+export const recordPaymentCreated = async (payment, options = {}) => {
+  const db = options.client ?? pool;
+  await recordHistory(db, {
+    paymentId: payment.id,
+    fromStatus: null,
+    toStatus: payment.status,
+    actorId: options.actorId,
+    source: options.source ?? "payment_create",
+  });
+};
+
+/**
+ * The only place payments.status is written. Checks the move against the
+ * transition table, updates the row only if it is still in the status the
+ * caller read (409 otherwise), keeps escrow and the timestamp columns in
+ * step and records the change in payment_status_history. Ledger postings
+ * stay with the caller, inside the same transaction.
+ *
+ * options:
+ * - source (required): the code path, e.g. "admin_refund", "paystack_webhook"
+ * - actorId / reason / metadata: recorded in the history row
+ * - requireUndisputed: also require disputed = false
+ * - clearDispute: set disputed = false in the same update
+ * - columns: extra values for EXTRA_COLUMNS
+ */
+export const transitionPaymentStatus = async (client, payment, toStatus, options = {}) => {
+  const { source } = options;
+  if (!source) {
+    throw new Error("source is required for a payment transition");
+  }
+
+  const fromStatus = payment.status;
+  assertPaymentTransition(fromStatus, toStatus);
+
+  const values = [toStatus, payment.id, fromStatus];
+  const assignments = [
+    "status = $1",
+    "paid_at = CASE WHEN $1 = 'paid' THEN COALESCE(paid_at, NOW()) ELSE paid_at END",
+    "released_at = CASE WHEN $1 = 'released' THEN COALESCE(released_at, NOW()) ELSE released_at END",
+    "refunded_at = CASE WHEN $1 = 'refunded' THEN COALESCE(refunded_at, NOW()) ELSE refunded_at END",
+    "abandoned_at = CASE WHEN $1 = 'abandoned' THEN COALESCE(abandoned_at, NOW()) ELSE abandoned_at END",
+  ];
+
+  if (toStatus in ESCROW_BY_STATUS) {
+    values.push(ESCROW_BY_STATUS[toStatus]);
+    assignments.push(`escrow = $${values.length}`);
+  }
+  if (options.clearDispute) {
+    assignments.push("disputed = false");
+  }
+  for (const [column, value] of Object.entries(options.columns ?? {})) {
+    if (!EXTRA_COLUMNS.includes(column)) {
+      throw new Error(`Column ${column} cannot be set by a payment transition`);
+    }
+    values.push(value);
+    assignments.push(`${column} = $${values.length}`);
+  }
+
+  const result = await client.query(
+    `UPDATE payments
+     SET ${assignments.join(",\n         ")}
+     WHERE id = $2
+       AND status = $3
+       ${options.requireUndisputed ? "AND disputed = false" : ""}
+     RETURNING *`,
+    values,
+  );
+
+  if (result.rowCount !== 1) {
+    const err = new Error("Payment changed, retry the request");
+    err.status = 409;
+    throw err;
+  }
+
+  await recordHistory(client, {
+    paymentId: payment.id,
+    fromStatus,
+    toStatus,
+    actorId: options.actorId,
+    source,
+    reason: options.reason,
+    metadata: options.metadata,
+  });
+
+  return result.rows[0];
+};
+
+// Statuses that leave an application free to be funded by a new payment.
+const REPAYABLE_STATUSES = ["failed", "abandoned", "refunded"];
+
+/**
+ * The application's payment that holds or may still receive money, if any.
+ * `excludePaymentId` leaves one payment out, e.g. the one being charged.
+ */
+export const findOpenApplicationPayment = async (applicationId, options = {}) => {
+  const db = options.client ?? pool;
+  const result = await db.query(
+    `SELECT *
+     FROM payments
+     WHERE application_id = $1
+       AND status <> ALL($2::text[])
+       AND id IS DISTINCT FROM $3
+     ORDER BY created_at DESC, id DESC
+     LIMIT 1`,
+    [applicationId, REPAYABLE_STATUSES, options.excludePaymentId ?? null],
+  );
+  return result.rows[0] ?? null;
+};
+
+export const getPaymentStatusHistory = async (paymentId, options = {}) => {
+  const db = options.client ?? pool;
+  const result = await db.query(
+    `SELECT id, payment_id, from_status, to_status, actor_id, source, reason, metadata, created_at
+     FROM payment_status_history
+     WHERE payment_id = $1
+     ORDER BY created_at ASC, id ASC`,
+    [paymentId],
+  );
+  return result.rows;
+};
@@ -0,0 +1,229 @@
+import pool from "../config/db.js";
+import { normalizeCurrency } from "../utils/currency.js";
+import {
+  createPaystackTransferRecipient,
+  listPaystackBanks,
+  resolvePaystackAccountNumber,
+} from "./paystack_payout.service.js";
+
+const ACCOUNT_NUMBER_PATTERN = /^\d{6,20}$/;
+
+const notFound = () => {
+  const err = new Error("Payout account not found");
+  err.status = 404;
+  return err;
+};
+
+export const listPayoutAccounts = async (userId) => {
+  const result = await pool.query(
+    `SELECT *
+     FROM payout_accounts
+     WHERE user_id = $1
+     ORDER BY is_default DESC, created_at DESC, id DESC`,
+    [userId],
+  );
+  return result.rows;
+};
+
+/**
+ * Load a payout account owned by the user; other users' accounts are
+ * reported as missing rather than forbidden.
+ */
+export const getPayoutAccountForUser = async (userId, accountId, options = {}) => {
+  const db = options.client ?? pool;
+  const result = await db.query(
+    "SELECT * FROM payout_accounts WHERE id = $1 AND user_id = $2",
+    [accountId, userId],
+  );
+
+  if (result.rows.length === 0) {
+    throw notFound();
+  }
+  return result.rows[0];
+};
+
+/**
+ * Save a bank account after Paystack confirms it exists. The account name
+ * comes from Paystack, never from the client, and the transfer recipient is
+ * created up front so payouts do not depend on a bank-name lookup later.
+ */
+export const createPayoutAccount = async (
+  userId,
+  { bankCode, accountNumber, currency, makeDefault = false },
+) => {
+  const payoutCurrency = normalizeCurrency(currency);
+  const normalizedCode = String(bankCode ?? "").trim();
+  const normalizedNumber = String(accountNumber ?? "").trim();
+
+  if (!normalizedCode) {
+    const err = new Error("bank_code is required");
+    err.status = 400;
+    throw err;
+  }
+  if (!ACCOUNT_NUMBER_PATTERN.test(normalizedNumber)) {
+    const err = new Error("account_number must be 6-20 digits");
+    err.status = 400;
+    throw err;
+  }
+
+  const banks = await listPaystackBanks(payoutCurrency);
+  const bank = banks.find((entry) => String(entry.code) === normalizedCode);
+  if (!bank) {
+    const err = new Error(`Unknown bank_code for ${payoutCurrency}: ${normalizedCode}`);
+    err.status = 400;
+    throw err;
+  }
+
+  const duplicate = await pool.query(
+    `SELECT id FROM payout_accounts
+     WHERE user_id = $1 AND bank_code = $2 AND account_number = $3`,
+    [userId, normalizedCode, normalizedNumber],
+  );
+  if (duplicate.rows.length > 0) {
+    const err = new Error("Payout account already saved");
+    err.status = 409;
+    throw err;
+  }
+
+  const resolved = await resolvePaystackAccountNumber({
+    accountNumber: normalizedNumber,
+    bankCode: normalizedCode,
+  });
+  if (!resolved.accountName) {
+    const err = new Error("Could not verify bank account");
+    err.status = 400;
+    throw err;
+  }
+
+  const recipientCode = await createPaystackTransferRecipient({
+    name: resolved.accountName,
+    accountNumber: normalizedNumber,
+    bankCode: normalizedCode,
+    currency: payoutCurrency,
+  });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const existing = await client.query(
+      "SELECT COUNT(*)::int AS count FROM payout_accounts WHERE user_id = $1",
+      [userId],
+    );
+    const isDefault = makeDefault || existing.rows[0].count === 0;
+    if (isDefault) {
+      await client.query(
+        "UPDATE payout_accounts SET is_default = FALSE WHERE user_id = $1 AND is_default = TRUE",
+        [userId],
+      );
+    }
+
+    const inserted = await client.query(
+      `INSERT INTO payout_accounts (
+         user_id, currency, bank_code, bank_name, account_number,
+         account_name, recipient_code, is_default
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (user_id, bank_code, account_number) DO NOTHING
+       RETURNING *`,
+      [
+        userId,
+        payoutCurrency,
+        normalizedCode,
+        bank.name,
+        normalizedNumber,
+        resolved.accountName,
+        recipientCode,
+        isDefault,
+      ],
+    );
+
+    if (inserted.rows.length === 0) {
+      await client.query("ROLLBACK");
+      const err = new Error("Payout account already saved");
+      err.status = 409;
+      throw err;
+    }
+
+    await client.query("COMMIT");
+    return inserted.rows[0];
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+export const setDefaultPayoutAccount = async (userId, accountId) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    await getPayoutAccountForUser(userId, accountId, { client });
+    await client.query(
+      "UPDATE payout_accounts SET is_default = FALSE WHERE user_id = $1 AND is_default = TRUE",
+      [userId],
+    );
+    const updated = await client.query(
+      "UPDATE payout_accounts SET is_default = TRUE WHERE id = $1 RETURNING *",
+      [accountId],
+    );
+
+    await client.query("COMMIT");
+    return updated.rows[0];
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Remove a saved account. Past withdrawals keep their copied bank details;
+ * if the default is removed the most recently added account takes over.
+ */
+export const deletePayoutAccount = async (userId, accountId) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const account = await getPayoutAccountForUser(userId, accountId, { client });
+    await client.query("DELETE FROM payout_accounts WHERE id = $1", [accountId]);
+
+    if (account.is_default) {
+      await client.query(
+        `UPDATE payout_accounts
+         SET is_default = TRUE
+         WHERE id = (
+           SELECT id FROM payout_accounts
+           WHERE user_id = $1
+           ORDER BY created_at DESC, id DESC
+           LIMIT 1
+         )`,
+        [userId],
+      );
+    }
+
+    await client.query("COMMIT");
+    return account;
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+};
@@ -1,39 +1,171 @@
-import axios from "axios";
+import { v4 as uuidv4 } from "uuid";
 import pool from "../config/db.js";
 import { applyPaymentTransitionLedger } from "./ledger.service.js";
+import {
+  getDuplicateFundingReason,
+  recordDuplicateCharge,
+  refundDuplicateCharge,
+} from "./duplicate_charge.service.js";
+import {
+  findOpenApplicationPayment,
+  recordPaymentCreated,
+  transitionPaymentStatus,
+} from "./payment_state.service.js";
+import {
+  DEFAULT_PAYMENT_PROVIDER,
+  getPaymentProvider,
+  isSupportedPaymentProvider,
+  resolvePaymentCurrency,
+  verifyProviderPayment,
+} from "./payment_providers/index.js";
 
-export const verifyPaystackReference = async (reference) => {
-  const secret = process.env.PAYSTACK_SECRET_KEY;
-  if (!secret) {
-    const err = new Error("PAYSTACK_SECRET_KEY is not configured");
-    err.status = 500;
+const badRequest = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+const parseOptionalId = (value, field) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw badRequest(`Invalid ${field}`);
+  }
+  return parsed;
+};
+
+/**
+ * Starts a hosted checkout with the chosen gateway and records the pending
+ * payment under the reference the gateway will echo back in its webhooks.
+ */
+export const initializePaymentCheckout = async (user, params = {}) => {
+  const {
+    amount,
+    email,
+    company_id,
+    project_id,
+    application_id,
+    callback_url,
+    currency,
+    provider = DEFAULT_PAYMENT_PROVIDER,
+  } = params;
+
+  const numericAmount = Number(amount);
+  if (!Number.isFinite(numericAmount) || numericAmount <= 0) {
+    throw badRequest("Invalid amount");
+  }
+
+  const payerEmail = email ?? user?.email;
+  if (!payerEmail) {
+    throw badRequest("Email is required");
+  }
+
+  const companyId = Number(company_id);
+  if (!Number.isInteger(companyId) || companyId <= 0) {
+    throw badRequest("company_id is required");
+  }
+
+  const projectId = parseOptionalId(project_id, "project_id");
+  const applicationId = parseOptionalId(application_id, "application_id");
+  if (applicationId && (await findOpenApplicationPayment(applicationId))) {
+    const err = new Error("This application already has a payment in progress");
+    err.status = 409;
     throw err;
   }
+  const gateway = getPaymentProvider(provider);
+  const paymentCurrency = resolvePaymentCurrency(gateway.name, currency);
+
+  const checkout = await gateway.initialize({
+    amount: numericAmount,
+    currency: paymentCurrency,
+    email: payerEmail,
+    reference: uuidv4(),
+    callbackUrl: callback_url,
+  });
 
-  const response = await axios.get(
-    `https://api.paystack.co/transaction/verify/${reference}`,
-    {
-      headers: {
-        Authorization: `Bearer ${secret}`,
-      },
-    },
+  const created = await pool.query(
+    `INSERT INTO payments
+     (user_id, company_id, project_id, application_id, amount, currency, provider, provider_ref)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      user.id,
+      companyId,
+      projectId,
+      applicationId,
+      numericAmount,
+      paymentCurrency,
+      gateway.name,
+      checkout.reference,
+    ],
   );
+  await recordPaymentCreated(created.rows[0], {
+    actorId: user.id,
+    source: "checkout_initialize",
+  });
 
-  const payload = response.data;
-  if (!payload?.status || payload?.data?.status !== "success") {
-    const err = new Error("Payment not successful");
-    err.status = 400;
+  return {
+    authorization_url: checkout.authorizationUrl,
+    access_code: checkout.accessCode,
+    reference: checkout.reference,
+    payment: created.rows[0],
+  };
+};
+
+export const verifyPaystackReference = async (reference) =>
+  verifyProviderPayment("paystack", reference);
+
+/**
+ * Verifies a payment reference with whichever gateway the payment was
+ * created through.
+ */
+export const verifyPaymentReference = async (reference) => {
+  const result = await pool.query(
+    "SELECT provider FROM payments WHERE provider_ref = $1",
+    [reference],
+  );
+
+  if (result.rows.length === 0) {
+    const err = new Error("Payment record not found");
+    err.status = 404;
     throw err;
   }
 
-  return payload.data;
+  // Rows created before gateways were pluggable may carry free-form labels.
+  const { provider } = result.rows[0];
+  return verifyProviderPayment(
+    isSupportedPaymentProvider(provider) ? provider : DEFAULT_PAYMENT_PROVIDER,
+    reference,
+  );
+};
+
+/**
+ * Whether the gateway confirms the charge. A gateway answer that the charge
+ * did not succeed (or never started) is false; timeouts and configuration
+ * errors are thrown so the caller can try again later.
+ */
+export const isChargeConfirmed = async (payment, verify = verifyPaymentReference) => {
+  if (!payment.provider_ref) {
+    return false;
+  }
+  try {
+    await verify(payment.provider_ref);
+    return true;
+  } catch (err) {
+    if (err.status === 400) {
+      return false;
+    }
+    throw err;
+  }
 };
 
 export const markPaymentAsPaidByReference = async (
   reference,
   options = {},
 ) => {
-  const { enforceUserId } = options;
+  const { enforceUserId, actorId = null, source = "payment_verify" } = options;
   const client = await pool.connect();
   try {
     await client.query("BEGIN");
@@ -70,20 +202,35 @@ export const markPaymentAsPaidByReference = async (
       throw err;
     }
 
+    const duplicateReason = await getDuplicateFundingReason(client, payment);
+    if (duplicateReason) {
+      const duplicate = await recordDuplicateCharge(client, {
+        paymentId: payment.id,
+        provider: payment.provider,
+        reference,
+        amount: payment.amount,
+        currency: payment.currency,
+        reason: duplicateReason,
+      });
+      await client.query("COMMIT");
+      if (duplicate) {
+        await refundDuplicateCharge(duplicate.id);
+      }
+      const err = new Error(`This charge was not applied because ${duplicateReason}; it is being refunded`);
+      err.status = 409;
+      throw err;
+    }
+
     if (payment.status === "paid" || payment.status === "released") {
       await client.query("COMMIT");
       return { payment, updated: false };
     }
 
-    const updated = await client.query(
-      `UPDATE payments
-       SET status = 'paid', escrow = true, paid_at = COALESCE(paid_at, NOW())
-       WHERE id = $1
-       RETURNING *`,
-      [payment.id],
-    );
-
-    const updatedPayment = updated.rows[0];
+    const updatedPayment = await transitionPaymentStatus(client, payment, "paid", {
+      actorId,
+      source,
+      metadata: { reference },
+    });
 
     await applyPaymentTransitionLedger(client, payment, "paid", {
       idempotencyPrefix: `payment:${payment.id}:${payment.status}->paid`,
@@ -0,0 +1,423 @@
+import pool from "../config/db.js";
+import {
+  paystackProvider,
+  paystackRequest,
+} from "./payment_providers/paystack.js";
+import { releaseWithdrawalHold } from "./ledger.service.js";
+import {
+  appendFinancialEventLog,
+  FINANCIAL_EVENT_TYPE,
+} from "./financial_event_log.service.js";
+
+const BANK_LIST_TTL_MS = 6 * 60 * 60 * 1000;
+
+// Keyed by currency; Paystack lists a different bank set per country.
+const bankListCache = new Map();
+
+// Paystack recipient type for bank accounts in each payout currency.
+const RECIPIENT_TYPE_BY_CURRENCY = {
+  NGN: "nuban",
+  GHS: "ghipss",
+  KES: "kepss",
+};
+
+const loadWithdrawal = async (db, withdrawalId, forUpdate = false) => {
+  const result = await db.query(
+    `SELECT *
+     FROM withdrawals
+     WHERE id = $1
+     ${forUpdate ? "FOR UPDATE" : ""}`,
+    [withdrawalId],
+  );
+
+  if (result.rows.length === 0) {
+    const err = new Error("Withdrawal not found");
+    err.status = 404;
+    throw err;
+  }
+
+  return result.rows[0];
+};
+
+export const listPaystackBanks = async (currency = "NGN") => {
+  const cached = bankListCache.get(currency);
+  if (
+    cached &&
+    cached.banks.length > 0 &&
+    Date.now() - cached.fetchedAt < BANK_LIST_TTL_MS
+  ) {
+    return cached.banks;
+  }
+
+  const banks = await paystackRequest(
+    "get",
+    `/bank?currency=${encodeURIComponent(currency)}&perPage=100`,
+  );
+  const entry = {
+    banks: Array.isArray(banks) ? banks : [],
+    fetchedAt: Date.now(),
+  };
+  bankListCache.set(currency, entry);
+  return entry.banks;
+};
+
+export const resolvePaystackBankCode = async (bankName, currency = "NGN") => {
+  const normalized = String(bankName ?? "").trim().toLowerCase();
+  if (!normalized) {
+    const err = new Error("bank_name is required for Paystack transfer");
+    err.status = 400;
+    throw err;
+  }
+
+  // Older clients send the bank code itself in bank_name.
+  if (/^\d{3,6}$/.test(normalized)) {
+    return normalized;
+  }
+
+  const banks = await listPaystackBanks(currency);
+  const match = banks.find(
+    (bank) =>
+      String(bank.name ?? "").toLowerCase() === normalized ||
+      String(bank.slug ?? "").toLowerCase() === normalized,
+  );
+
+  if (!match) {
+    const err = new Error(`Unsupported bank for Paystack transfer: ${bankName}`);
+    err.status = 400;
+    err.providerRejected = true;
+    throw err;
+  }
+
+  return String(match.code);
+};
+
+/**
+ * Look up the account holder's name for a bank account. Paystack rejects
+ * account numbers it cannot match, which surfaces as a 400.
+ */
+export const resolvePaystackAccountNumber = async ({ accountNumber, bankCode }) => {
+  const data = await paystackRequest(
+    "get",
+    `/bank/resolve?account_number=${encodeURIComponent(accountNumber)}&bank_code=${encodeURIComponent(bankCode)}`,
+  );
+
+  return {
+    accountNumber: data?.account_number ?? accountNumber,
+    accountName: data?.account_name ?? null,
+  };
+};
+
+export const createPaystackTransferRecipient = async ({
+  name,
+  accountNumber,
+  bankCode,
+  currency = "NGN",
+}) => {
+  const type = RECIPIENT_TYPE_BY_CURRENCY[currency];
+  if (!type) {
+    const err = new Error(`Paystack bank transfers are not available in ${currency}`);
+    err.status = 400;
+    err.providerRejected = true;
+    throw err;
+  }
+
+  const data = await paystackRequest("post", "/transferrecipient", {
+    type,
+    name,
+    account_number: accountNumber,
+    bank_code: bankCode,
+    currency,
+  });
+
+  return data?.recipient_code ?? null;
+};
+
+export const finalizePaystackTransfer = async ({ transferCode, otp }) =>
+  paystackRequest("post", "/transfer/finalize_transfer", {
+    transfer_code: transferCode,
+    otp,
+  });
+
+/**
+ * Reverse the withdrawal hold and mark the withdrawal failed when Paystack
+ * refuses to start the transfer. Mirrors the transfer.failed webhook path.
+ */
+export const failWithdrawalPayout = async (withdrawalId, reason) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const withdrawal = await loadWithdrawal(client, withdrawalId, true);
+    if (withdrawal.status !== "processing") {
+      await client.query("ROLLBACK");
+      return { withdrawal, updated: false };
+    }
+
+    await releaseWithdrawalHold(client, withdrawal, {
+      reversalType: "withdrawal_reversal",
+      idempotencySuffix: "reverse",
+    });
+
+    const updated = await client.query(
+      `UPDATE withdrawals
+       SET status = 'failed',
+           transfer_status = 'failed',
+           processed_at = NOW(),
+           failure_reason = COALESCE($1, failure_reason, 'Transfer failed')
+       WHERE id = $2
+       RETURNING *`,
+      [reason ?? null, withdrawal.id],
+    );
+
+    await appendFinancialEventLog(
+      {
+        eventType: FINANCIAL_EVENT_TYPE.WITHDRAWAL_TRANSFER_FAILED,
+        userId: withdrawal.user_id,
+        withdrawalId: withdrawal.id,
+        eventPayload: {
+          amount: withdrawal.amount,
+          reference: withdrawal.provider_ref,
+          reason: reason ?? null,
+          source: "transfer_initiation",
+        },
+      },
+      { client },
+    );
+
+    await client.query("COMMIT");
+    return { withdrawal: updated.rows[0], updated: true };
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Set while a transfer request is in flight or its outcome is unknown.
+const TRANSFER_INITIATING = "initiating";
+
+const recordInitiatedTransfer = async (withdrawal, transfer) => {
+  const transferStatus = transfer?.status ?? "pending";
+  const updated = await pool.query(
+    `UPDATE withdrawals
+     SET transfer_code = $1,
+         transfer_status = $2,
+         transfer_initiated_at = NOW(),
+         failure_reason = NULL
+     WHERE id = $3
+       AND status = 'processing'
+     RETURNING *`,
+    [transfer?.transferCode ?? null, transferStatus, withdrawal.id],
+  );
+
+  await appendFinancialEventLog({
+    eventType: FINANCIAL_EVENT_TYPE.WITHDRAWAL_TRANSFER_INITIATED,
+    userId: withdrawal.user_id,
+    withdrawalId: withdrawal.id,
+    eventPayload: {
+      amount: withdrawal.amount,
+      reference: withdrawal.provider_ref,
+      transfer_code: transfer?.transferCode ?? null,
+      transfer_status: transferStatus,
+    },
+  });
+
+  return {
+    withdrawal: updated.rows[0] ?? withdrawal,
+    transferStatus,
+    otpRequired: transferStatus === "otp",
+  };
+};
+
+const failedPayout = async (withdrawal, reason) => {
+  const failed = await failWithdrawalPayout(withdrawal.id, reason);
+  return {
+    withdrawal: failed.withdrawal,
+    transferStatus: "failed",
+    otpRequired: false,
+  };
+};
+
+/**
+ * Ask Paystack what became of a transfer whose initiation had no clear
+ * answer. A reference Paystack does not know was never sent, so the claim is
+ * dropped and the transfer started again.
+ */
+const verifyInitiatingTransfer = async (withdrawal) => {
+  let data;
+  try {
+    data = await paystackRequest(
+      "get",
+      `/transfer/verify/${encodeURIComponent(withdrawal.provider_ref)}`,
+    );
+  } catch (err) {
+    if (!err.providerRejected) {
+      throw err;
+    }
+    await pool.query(
+      `UPDATE withdrawals
+       SET transfer_status = NULL
+       WHERE id = $1 AND transfer_status = $2 AND transfer_code IS NULL`,
+      [withdrawal.id, TRANSFER_INITIATING],
+    );
+    return initiateWithdrawalPayout(withdrawal.id);
+  }
+
+  if (["failed", "reversed"].includes(data?.status)) {
+    return failedPayout(withdrawal, data?.reason ?? `Transfer ${data.status}`);
+  }
+
+  return recordInitiatedTransfer(withdrawal, {
+    transferCode: data?.transfer_code ?? null,
+    status: data?.status ?? "pending",
+  });
+};
+
+/**
+ * Start the Paystack transfer for a withdrawal that an admin moved to
+ * processing. Settlement happens later in the transfer.* webhook.
+ *
+ * The row is claimed before anything is sent, so concurrent calls cannot
+ * both start a transfer. Only a definite Paystack decline fails the
+ * withdrawal; a 5xx, timeout or duplicate reference leaves it processing
+ * with the hold in place until the webhook arrives or a retry verifies it.
+ */
+export const initiateWithdrawalPayout = async (withdrawalId) => {
+  const withdrawal = await loadWithdrawal(pool, withdrawalId);
+
+  if (withdrawal.status !== "processing") {
+    const err = new Error("Only processing withdrawals can be paid out");
+    err.status = 409;
+    throw err;
+  }
+
+  if (withdrawal.transfer_code) {
+    const err = new Error("Transfer already initiated for this withdrawal");
+    err.status = 409;
+    throw err;
+  }
+
+  if (withdrawal.transfer_status === TRANSFER_INITIATING) {
+    return verifyInitiatingTransfer(withdrawal);
+  }
+
+  const claimed = await pool.query(
+    `UPDATE withdrawals
+     SET transfer_status = $2
+     WHERE id = $1
+       AND status = 'processing'
+       AND transfer_code IS NULL
+       AND transfer_status IS NULL
+     RETURNING *`,
+    [withdrawal.id, TRANSFER_INITIATING],
+  );
+  if (claimed.rows.length === 0) {
+    const err = new Error("Transfer already initiated for this withdrawal");
+    err.status = 409;
+    throw err;
+  }
+
+  let recipientCode = withdrawal.recipient_code ?? null;
+  try {
+    if (!recipientCode) {
+      const bankCode = await resolvePaystackBankCode(
+        withdrawal.bank_name,
+        withdrawal.currency,
+      );
+      recipientCode = await createPaystackTransferRecipient({
+        name: withdrawal.account_name ?? `Acader user ${withdrawal.user_id}`,
+        accountNumber: withdrawal.account_number,
+        bankCode,
+        currency: withdrawal.currency,
+      });
+
+      await pool.query(
+        "UPDATE withdrawals SET recipient_code = $1 WHERE id = $2",
+        [recipientCode, withdrawal.id],
+      );
+    }
+  } catch (err) {
+    if (err.providerRejected) {
+      return failedPayout(withdrawal, err.message);
+    }
+
+    // No transfer was sent yet, so the claim can go and a retry start over.
+    await pool.query(
+      `UPDATE withdrawals
+       SET transfer_status = NULL, failure_reason = $1
+       WHERE id = $2 AND transfer_status = $3`,
+      [err.message, withdrawal.id, TRANSFER_INITIATING],
+    );
+    throw err;
+  }
+
+  let transfer;
+  try {
+    transfer = await paystackProvider.transfer({
+      amount: withdrawal.amount,
+      currency: withdrawal.currency,
+      recipient: recipientCode,
+      reference: withdrawal.provider_ref,
+      reason: `Acader withdrawal ${withdrawal.id}`,
+    });
+  } catch (err) {
+    if (err.providerRejected) {
+      return failedPayout(withdrawal, err.message);
+    }
+
+    // Paystack may have accepted the transfer, so the hold stays.
+    const pending = await pool.query(
+      "UPDATE withdrawals SET failure_reason = $1 WHERE id = $2 RETURNING *",
+      [err.message, withdrawal.id],
+    );
+    return {
+      withdrawal: pending.rows[0] ?? claimed.rows[0],
+      transferStatus: TRANSFER_INITIATING,
+      otpRequired: false,
+    };
+  }
+
+  return recordInitiatedTransfer(withdrawal, transfer);
+};
+
+/**
+ * Submit the OTP Paystack asked for when the transfer was initiated.
+ */
+export const finalizeWithdrawalPayout = async (withdrawalId, otp) => {
+  const withdrawal = await loadWithdrawal(pool, withdrawalId);
+
+  if (
+    withdrawal.status !== "processing" ||
+    withdrawal.transfer_status !== "otp" ||
+    !withdrawal.transfer_code
+  ) {
+    const err = new Error("Withdrawal transfer is not awaiting OTP");
+    err.status = 409;
+    throw err;
+  }
+
+  const transfer = await finalizePaystackTransfer({
+    transferCode: withdrawal.transfer_code,
+    otp: String(otp),
+  });
+
+  const transferStatus = transfer?.status ?? "pending";
+  const updated = await pool.query(
+    `UPDATE withdrawals
+     SET transfer_status = $1
+     WHERE id = $2
+     RETURNING *`,
+    [transferStatus, withdrawal.id],
+  );
+
+  return {
+    withdrawal: updated.rows[0] ?? withdrawal,
+    transferStatus,
+    otpRequired: transferStatus === "otp",
+  };
+};
@@ -0,0 +1,204 @@
+import pool from "../config/db.js";
+import { safeNotify } from "../utils/notify.js";
+import { formatMoney } from "../utils/currency.js";
+import {
+  isChargeConfirmed,
+  markPaymentAsPaidByReference,
+} from "./paystack.service.js";
+import { transitionPaymentStatus } from "./payment_state.service.js";
+import {
+  closeUnpaidFundingBatch,
+  markFundingBatchPaidByReference,
+  notifyFundingBatchPaid,
+  verifyFundingBatchReference,
+} from "./funding_batch.service.js";
+
+const DEFAULT_EXPIRY_HOURS = 24;
+
+export const getPendingPaymentExpiryHours = () => {
+  const parsed = Number(process.env.PENDING_PAYMENT_EXPIRY_HOURS);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_EXPIRY_HOURS;
+};
+
+const listStalePendingPayments = async (expiryHours) => {
+  const result = await pool.query(
+    `
+    SELECT pay.*, p.title AS project_title
+    FROM payments pay
+    LEFT JOIN projects p ON p.id = pay.project_id
+    WHERE pay.status = 'pending'
+      AND pay.funding_batch_id IS NULL
+      AND pay.created_at < NOW() - make_interval(secs => $1::numeric * 3600)
+    ORDER BY pay.created_at ASC, pay.id ASC
+    `,
+    [expiryHours],
+  );
+  return result.rows;
+};
+
+// Batch payments share one charge, so the batch is swept as a whole.
+const listStalePendingBatches = async (expiryHours) => {
+  const result = await pool.query(
+    `
+    SELECT *
+    FROM funding_batches
+    WHERE status = 'pending'
+      AND created_at < NOW() - make_interval(secs => $1::numeric * 3600)
+    ORDER BY created_at ASC, id ASC
+    `,
+    [expiryHours],
+  );
+  return result.rows;
+};
+
+/**
+ * Moves a stale pending payment to abandoned. A payment paid or changed
+ * since the candidate query is left alone and reported as false.
+ */
+const abandonPayment = async (payment, expiryHours) => {
+  const client = await pool.connect();
+  let abandoned;
+  try {
+    await client.query("BEGIN");
+
+    const locked = await client.query(
+      "SELECT * FROM payments WHERE id = $1 FOR UPDATE",
+      [payment.id],
+    );
+    if (locked.rows[0]?.status !== "pending") {
+      await client.query("ROLLBACK");
+      return false;
+    }
+
+    abandoned = await transitionPaymentStatus(client, locked.rows[0], "abandoned", {
+      source: "pending_expiry",
+      reason: `No completed charge after ${expiryHours} hour(s)`,
+      metadata: { reference: payment.provider_ref },
+    });
+
+    await client.query("COMMIT");
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await safeNotify(
+    abandoned.user_id,
+    "payment_abandoned",
+    `Your ${formatMoney(abandoned.amount, abandoned.currency)} payment for "${payment.project_title ?? payment.project_id}" was not completed and has been cancelled. You can start a new payment for this application.`,
+    abandoned.id,
+  );
+  return true;
+};
+
+/**
+ * Settles a stale funding batch from its gateway charge: every payment in
+ * it is funded, or every pending one is abandoned. Returns the outcome and
+ * how many payments it covered.
+ */
+const sweepFundingBatch = async (batch, expiryHours) => {
+  let verification = null;
+  try {
+    verification = await verifyFundingBatchReference(batch.provider_ref);
+  } catch (err) {
+    // Only a gateway answer that the charge did not succeed abandons it.
+    if (err.status !== 400) {
+      throw err;
+    }
+  }
+
+  if (verification) {
+    const result = await markFundingBatchPaidByReference(batch.provider_ref, {
+      source: "pending_expiry",
+      charged: { amount: verification.amount, currency: verification.currency },
+    });
+    if (result.updated) {
+      await notifyFundingBatchPaid(result);
+    }
+    return { status: "paid", count: result.updated ? result.payments.length : 0 };
+  }
+
+  const abandoned = await closeUnpaidFundingBatch(batch.provider_ref, "abandoned", {
+    source: "pending_expiry",
+    reason: `No completed charge after ${expiryHours} hour(s)`,
+  });
+  if (!abandoned) {
+    return { status: "abandoned", count: 0 };
+  }
+  await safeNotify(
+    batch.user_id,
+    "payment_abandoned",
+    `Your ${formatMoney(batch.total_amount, batch.currency)} funding batch #${batch.id} was not completed and has been cancelled. You can fund these applications again.`,
+    batch.id,
+  );
+  return { status: "abandoned", count: Number(batch.item_count) };
+};
+
+/**
+ * One pass of the pending-payment sweep: payments still pending after
+ * PENDING_PAYMENT_EXPIRY_HOURS are checked with their gateway, recorded as
+ * paid when the charge went through and abandoned otherwise. Funding
+ * batches are swept the same way, counting each payment they hold.
+ */
+export const runPendingPaymentExpiry = async () => {
+  const expiryHours = getPendingPaymentExpiryHours();
+  const summary = { candidates: 0, paid: 0, abandoned: 0, failed: 0 };
+
+  const candidates = await listStalePendingPayments(expiryHours);
+  summary.candidates = candidates.length;
+
+  for (const payment of candidates) {
+    try {
+      if (await isChargeConfirmed(payment)) {
+        const { payment: paid, updated } = await markPaymentAsPaidByReference(
+          payment.provider_ref,
+          { source: "pending_expiry" },
+        );
+        if (updated) {
+          summary.paid += 1;
+          await safeNotify(
+            paid.user_id,
+            "payment_paid",
+            "Your payment has been received and is now in escrow.",
+            paid.id,
+          );
+        }
+        continue;
+      }
+
+      if (await abandonPayment(payment, expiryHours)) {
+        summary.abandoned += 1;
+      }
+    } catch (err) {
+      summary.failed += 1;
+      console.error("[pending_expiry] payment failed", {
+        paymentId: payment.id,
+        error: err.message,
+      });
+    }
+  }
+
+  const batches = await listStalePendingBatches(expiryHours);
+  summary.candidates += batches.length;
+
+  for (const batch of batches) {
+    try {
+      const { status, count } = await sweepFundingBatch(batch, expiryHours);
+      summary[status] += count;
+    } catch (err) {
+      summary.failed += 1;
+      console.error("[pending_expiry] funding batch failed", {
+        batchId: batch.id,
+        error: err.message,
+      });
+    }
+  }
+
+  return summary;
+};
@@ -0,0 +1,139 @@
+import pool from "../config/db.js";
+
+export const PROJECT_STATUS = {
+  OPEN: "open",
+  IN_PROGRESS: "in_progress",
+  COMPLETED: "completed",
+  CLOSED: "closed",
+};
+
+export const APPLICATION_STATUS = {
+  PENDING: "pending",
+  ACCEPTED: "accepted",
+  REJECTED: "rejected",
+  WITHDRAWN: "withdrawn",
+};
+
+const PROJECT_TRANSITIONS = {
+  open: ["in_progress", "closed"],
+  in_progress: ["completed", "closed"],
+  completed: [],
+  closed: [],
+};
+
+const APPLICATION_TRANSITIONS = {
+  pending: ["accepted", "rejected", "withdrawn"],
+  accepted: ["withdrawn"],
+  rejected: [],
+  withdrawn: [],
+};
+
+export const ACTIVE_APPLICATION_STATUSES = [
+  APPLICATION_STATUS.PENDING,
+  APPLICATION_STATUS.ACCEPTED,
+];
+
+const assertTransition = (transitions, label, fromStatus, toStatus) => {
+  const nextAllowed = transitions[fromStatus] ?? [];
+  if (!nextAllowed.includes(toStatus)) {
+    const err = new Error(`Invalid ${label} transition: ${fromStatus} → ${toStatus}`);
+    err.status = 400;
+    throw err;
+  }
+};
+
+export const assertProjectTransition = (fromStatus, toStatus) =>
+  assertTransition(PROJECT_TRANSITIONS, "project", fromStatus, toStatus);
+
+export const assertApplicationTransition = (fromStatus, toStatus) =>
+  assertTransition(APPLICATION_TRANSITIONS, "application", fromStatus, toStatus);
+
+export const getCompanyForUser = async (userId, options = {}) => {
+  const db = options.client ?? pool;
+  const parsedUserId = Number(userId);
+  if (!Number.isInteger(parsedUserId) || parsedUserId <= 0) {
+    throw new Error("Invalid userId");
+  }
+
+  const result = await db.query(
+    `
+    SELECT *
+    FROM companies
+    WHERE user_id = $1
+    ORDER BY id ASC
+    LIMIT 1
+    `,
+    [parsedUserId],
+  );
+
+  return result.rows[0] ?? null;
+};
+
+/**
+ * Loads a project with the user id behind its company so callers can check
+ * ownership and notify the company in one query.
+ */
+export const getProjectWithOwner = async (projectId, options = {}) => {
+  const db = options.client ?? pool;
+  const result = await db.query(
+    `
+    SELECT p.*, c.user_id AS company_user_id
+    FROM projects p
+    LEFT JOIN companies c ON c.id = p.company_id
+    WHERE p.id = $1
+    ${options.forUpdate ? "FOR UPDATE OF p" : ""}
+    `,
+    [projectId],
+  );
+
+  return result.rows[0] ?? null;
+};
+
+export const getApplicationWithProject = async (applicationId, options = {}) => {
+  const db = options.client ?? pool;
+  const result = await db.query(
+    `
+    SELECT
+      a.*,
+      p.status AS project_status,
+      p.title AS project_title,
+      p.company_id,
+      c.user_id AS company_user_id
+    FROM applications a
+    JOIN projects p ON p.id = a.project_id
+    LEFT JOIN companies c ON c.id = p.company_id
+    WHERE a.id = $1
+    ${options.forUpdate ? "FOR UPDATE OF a" : ""}
+    `,
+    [applicationId],
+  );
+
+  return result.rows[0] ?? null;
+};
+
+/**
+ * True while a payment on the project or application holds escrow or has a
+ * gateway checkout that can still be charged.
+ */
+export const hasFundedPayment = async (filter, options = {}) => {
+  const db = options.client ?? pool;
+  const column = filter.applicationId ? "application_id" : "project_id";
+  const value = filter.applicationId ?? filter.projectId;
+
+  const result = await db.query(
+    `
+    SELECT id
+    FROM payments
+    WHERE ${column} = $1
+      AND (
+        status IN ('paid', 'disputed')
+        OR disputed = true
+        OR (status = 'pending' AND provider_ref IS NOT NULL)
+      )
+    LIMIT 1
+    `,
+    [value],
+  );
+
+  return result.rows.length > 0;
+};
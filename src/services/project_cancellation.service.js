@@ -0,0 +1,704 @@
+import pool from "../config/db.js";
+import { safeNotify } from "../utils/notify.js";
+import { formatMoney } from "../utils/currency.js";
+import {
+  applyPaymentPartialRefundLedger,
+  applyPaymentRefundLedger,
+  applyPaymentTransitionLedger,
+  syncWalletAvailableBalances,
+} from "./ledger.service.js";
+import { getMilestoneSummary, getPaymentForMilestones } from "./milestone.service.js";
+import { listPaymentSplits } from "./payment_split.service.js";
+import { transitionPaymentStatus } from "./payment_state.service.js";
+import {
+  getRefundProvider,
+  openProviderRefund,
+  submitProviderRefund,
+} from "./payment_refund.service.js";
+import { hasFundedPayment, PROJECT_STATUS } from "./project.service.js";
+import { getWalletRestriction } from "./fraud/review_queue.js";
+import {
+  appendFinancialEventLog,
+  FINANCIAL_EVENT_TYPE,
+} from "./financial_event_log.service.js";
+
+export const CANCELLATION_STATUS = {
+  PENDING: "pending",
+  COMPLETED: "completed",
+  DECLINED: "declined",
+  WITHDRAWN: "withdrawn",
+};
+
+const CANCELLABLE_PROJECT_STATUSES = [PROJECT_STATUS.OPEN, PROJECT_STATUS.IN_PROGRESS];
+
+const CANCELLATION_RULE_COLUMNS = `
+  id, name, project_status, min_days_in_progress, compensation_percent,
+  active, created_by, created_at, updated_at
+`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const fail = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const roundToCurrency = (value) =>
+  Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+/**
+ * The student's share of a cancelled in-progress payment when no rule
+ * matches. Unset or invalid values mean no compensation; open projects
+ * never fall back to it.
+ */
+export const getDefaultCompensationPercent = () => {
+  const parsed = Number(process.env.CANCELLATION_COMPENSATION_PERCENT ?? 0);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    return 0;
+  }
+  return Math.min(parsed, 100);
+};
+
+/**
+ * Validates a cancellation rule body. With `existing`, only the given keys
+ * are returned.
+ */
+export const parseCancellationRuleInput = (body, existing = null) => {
+  const fields = {};
+  const input = body ?? {};
+  const creating = existing === null;
+
+  if (input.name !== undefined || creating) {
+    if (typeof input.name !== "string" || !input.name.trim()) {
+      return { error: "name is required" };
+    }
+    fields.name = input.name.trim();
+  }
+
+  if (input.project_status !== undefined || creating) {
+    if (!CANCELLABLE_PROJECT_STATUSES.includes(input.project_status)) {
+      return { error: "project_status must be open or in_progress" };
+    }
+    fields.project_status = input.project_status;
+  }
+
+  if (input.min_days_in_progress !== undefined) {
+    const days = Number(input.min_days_in_progress);
+    if (!Number.isInteger(days) || days < 0) {
+      return { error: "min_days_in_progress must be a whole number of 0 or more" };
+    }
+    fields.min_days_in_progress = days;
+  }
+
+  if (input.compensation_percent !== undefined || creating) {
+    const percent = Number(input.compensation_percent);
+    if (
+      input.compensation_percent === null ||
+      input.compensation_percent === "" ||
+      !Number.isFinite(percent) ||
+      percent < 0 ||
+      percent > 100
+    ) {
+      return { error: "compensation_percent must be between 0 and 100" };
+    }
+    fields.compensation_percent = percent;
+  }
+
+  if (input.active !== undefined && !creating) {
+    if (typeof input.active !== "boolean") {
+      return { error: "active must be a boolean" };
+    }
+    fields.active = input.active;
+  }
+
+  return { fields };
+};
+
+export const getCancellationRule = async (id) => {
+  const result = await pool.query(
+    `SELECT ${CANCELLATION_RULE_COLUMNS} FROM cancellation_rules WHERE id = $1`,
+    [id],
+  );
+  if (result.rows.length === 0) {
+    throw fail(404, "Cancellation rule not found");
+  }
+  return result.rows[0];
+};
+
+export const listCancellationRules = async ({ active } = {}) => {
+  const result = await pool.query(
+    `
+    SELECT ${CANCELLATION_RULE_COLUMNS}
+    FROM cancellation_rules
+    ${active === undefined ? "" : "WHERE active = $1"}
+    ORDER BY active DESC, project_status ASC, min_days_in_progress ASC, id DESC
+    `,
+    active === undefined ? [] : [active],
+  );
+  return result.rows;
+};
+
+export const createCancellationRule = async (body, adminId) => {
+  const { fields, error } = parseCancellationRuleInput(body);
+  if (error) {
+    throw fail(400, error);
+  }
+
+  const columns = Object.keys(fields);
+  const values = columns.map((column) => fields[column]);
+  columns.push("created_by");
+  values.push(adminId);
+
+  const result = await pool.query(
+    `
+    INSERT INTO cancellation_rules (${columns.join(", ")})
+    VALUES (${columns.map((_, index) => `$${index + 1}`).join(", ")})
+    RETURNING ${CANCELLATION_RULE_COLUMNS}
+    `,
+    values,
+  );
+  return result.rows[0];
+};
+
+/**
+ * Edits a rule in place. Pending cancellations keep the split they were
+ * quoted, so changing a rule only affects later requests.
+ */
+export const updateCancellationRule = async (id, body) => {
+  const existing = await getCancellationRule(id);
+  const { fields, error } = parseCancellationRuleInput(body, existing);
+  if (error) {
+    throw fail(400, error);
+  }
+
+  const columns = Object.keys(fields);
+  if (columns.length === 0) {
+    throw fail(400, "No changes provided");
+  }
+
+  const values = columns.map((column) => fields[column]);
+  values.push(id);
+  const result = await pool.query(
+    `
+    UPDATE cancellation_rules
+    SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(", ")},
+        updated_at = NOW()
+    WHERE id = $${values.length}
+    RETURNING ${CANCELLATION_RULE_COLUMNS}
+    `,
+    values,
+  );
+  return result.rows[0];
+};
+
+export const deactivateCancellationRule = async (id) => {
+  const result = await pool.query(
+    `
+    UPDATE cancellation_rules
+    SET active = false, updated_at = NOW()
+    WHERE id = $1
+    RETURNING ${CANCELLATION_RULE_COLUMNS}
+    `,
+    [id],
+  );
+  if (result.rows.length === 0) {
+    throw fail(404, "Cancellation rule not found");
+  }
+  return result.rows[0];
+};
+
+/**
+ * The rule for a project at this stage: the active rule for its status
+ * with the highest `min_days_in_progress` it has reached, newest first on
+ * ties. Without one, open projects refund everything and in-progress ones
+ * use CANCELLATION_COMPENSATION_PERCENT.
+ */
+export const resolveCancellationRule = async ({ projectStatus, daysInProgress }) => {
+  const result = await pool.query(
+    `
+    SELECT ${CANCELLATION_RULE_COLUMNS}
+    FROM cancellation_rules
+    WHERE active = true
+      AND project_status = $1
+      AND min_days_in_progress <= $2
+    ORDER BY min_days_in_progress DESC, id DESC
+    LIMIT 1
+    `,
+    [projectStatus, daysInProgress],
+  );
+  const rule = result.rows[0] ?? null;
+  if (rule) {
+    return { rule, compensationPercent: Number(rule.compensation_percent) };
+  }
+  return {
+    rule: null,
+    compensationPercent:
+      projectStatus === PROJECT_STATUS.IN_PROGRESS ? getDefaultCompensationPercent() : 0,
+  };
+};
+
+const loadCancellablePayment = async (paymentId, options = {}) => {
+  const db = options.client ?? pool;
+  const result = await db.query(
+    `
+    SELECT
+      pay.*,
+      c.user_id AS company_user_id,
+      a.user_id AS student_user_id,
+      a.status AS application_status,
+      p.status AS project_status,
+      p.started_at AS project_started_at,
+      p.title AS project_title
+    FROM payments pay
+    LEFT JOIN companies c ON c.id = pay.company_id
+    LEFT JOIN applications a ON a.id = pay.application_id
+    LEFT JOIN projects p ON p.id = pay.project_id
+    WHERE pay.id = $1
+    `,
+    [paymentId],
+  );
+  return result.rows[0] ?? null;
+};
+
+/**
+ * The checks a payment has to pass both when cancellation is requested and
+ * when it is carried out: still in escrow, undisputed, not settled through
+ * milestones, no change to its amount in flight, and its project not yet
+ * completed.
+ */
+const assertPaymentCancellable = async (payment, options = {}) => {
+  if (payment.disputed === true) {
+    throw fail(409, "Payment is under dispute");
+  }
+  if (payment.status !== "paid") {
+    throw fail(400, "Only payments held in escrow can be cancelled");
+  }
+  if (!CANCELLABLE_PROJECT_STATUSES.includes(payment.project_status)) {
+    throw fail(400, "Only open or in-progress projects can be cancelled");
+  }
+  const milestoneSummary = await getMilestoneSummary(payment.id, options);
+  if (milestoneSummary.total > 0) {
+    throw fail(409, "Payment is split into milestones; settle them individually");
+  }
+  const amendment = await (options.client ?? pool).query(
+    `SELECT id FROM payment_amendments
+     WHERE payment_id = $1 AND status IN ('proposed', 'accepted')
+     LIMIT 1`,
+    [payment.id],
+  );
+  if (amendment.rows.length > 0) {
+    throw fail(409, "A change to the payment amount is still open");
+  }
+};
+
+const partyRole = (payment, userId) => {
+  if (Number(payment.company_user_id) === userId) {
+    return "company";
+  }
+  if (Number(payment.student_user_id) === userId) {
+    return "student";
+  }
+  return null;
+};
+
+/**
+ * The split a cancellation would apply today, from the rule for the
+ * project's status and the days since it started.
+ */
+export const quoteCancellation = async (payment) => {
+  const daysInProgress = payment.project_started_at
+    ? Math.max(0, Math.floor((Date.now() - new Date(payment.project_started_at)) / DAY_MS))
+    : 0;
+  const { rule, compensationPercent } = await resolveCancellationRule({
+    projectStatus: payment.project_status,
+    daysInProgress,
+  });
+
+  const grossAmount = roundToCurrency(payment.amount);
+  const compensationAmount = roundToCurrency((grossAmount * compensationPercent) / 100);
+  const refundAmount = roundToCurrency(grossAmount - compensationAmount);
+
+  return {
+    rule,
+    projectStatus: payment.project_status,
+    daysInProgress,
+    compensationPercent,
+    grossAmount,
+    compensationAmount,
+    refundAmount,
+    currency: payment.currency,
+  };
+};
+
+const notifyParties = async (payment, type, message, cancellationId) => {
+  const splits = await listPaymentSplits(payment.id);
+  const studentIds =
+    splits.length > 0
+      ? splits.map((split) => split.student_user_id)
+      : [Number(payment.student_user_id)];
+  for (const userId of new Set([Number(payment.company_user_id), ...studentIds])) {
+    await safeNotify(userId, type, message, cancellationId);
+  }
+};
+
+const findPaymentToCancel = async (projectId, paymentId) => {
+  if (paymentId !== undefined && paymentId !== null) {
+    const parsed = Number(paymentId);
+    if (!Number.isInteger(parsed) || parsed <= 0) {
+      throw fail(400, "Invalid payment_id");
+    }
+    return parsed;
+  }
+
+  const funded = await pool.query(
+    `SELECT id FROM payments WHERE project_id = $1 AND status = 'paid' ORDER BY id ASC`,
+    [projectId],
+  );
+  if (funded.rows.length === 0) {
+    throw fail(400, "Project has no payment held in escrow");
+  }
+  if (funded.rows.length > 1) {
+    throw fail(400, "Project has several funded payments; pass payment_id");
+  }
+  return funded.rows[0].id;
+};
+
+/**
+ * Opens a cancellation for one of a project's funded payments, quoting the
+ * split from the current rules. The requester (the paying company or the
+ * student) confirms by asking; the other party then confirms or declines.
+ */
+export const requestProjectCancellation = async (
+  projectId,
+  user,
+  { paymentId, reason } = {},
+) => {
+  const payment = await loadCancellablePayment(await findPaymentToCancel(projectId, paymentId));
+  if (!payment || payment.project_id !== projectId) {
+    throw fail(404, "Payment not found on this project");
+  }
+  const role = partyRole(payment, user.id);
+  if (!role) {
+    throw fail(403, "Only the paying company or the student can cancel this project");
+  }
+  await assertPaymentCancellable(payment);
+
+  const quote = await quoteCancellation(payment);
+  const confirmedColumn = role === "company" ? "company_confirmed_at" : "student_confirmed_at";
+
+  let cancellation;
+  try {
+    const inserted = await pool.query(
+      `
+      INSERT INTO project_cancellations
+        (project_id, payment_id, requested_by, requested_by_role, reason,
+         cancellation_rule_id, project_status, days_in_progress, compensation_percent,
+         gross_amount, compensation_amount, refund_amount, currency, ${confirmedColumn})
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())
+      RETURNING *
+      `,
+      [
+        projectId,
+        payment.id,
+        user.id,
+        role,
+        typeof reason === "string" && reason.trim() ? reason.trim() : null,
+        quote.rule?.id ?? null,
+        quote.projectStatus,
+        quote.daysInProgress,
+        quote.compensationPercent,
+        quote.grossAmount,
+        quote.compensationAmount,
+        quote.refundAmount,
+        quote.currency,
+      ],
+    );
+    cancellation = inserted.rows[0];
+  } catch (err) {
+    if (err.code === "23505") {
+      throw fail(409, "A cancellation is already pending for this payment");
+    }
+    throw err;
+  }
+
+  const otherPartyId = role === "company" ? payment.student_user_id : payment.company_user_id;
+  await safeNotify(
+    otherPartyId,
+    "project_cancellation_requested",
+    `Cancellation of "${payment.project_title ?? projectId}" was requested: ${formatMoney(quote.refundAmount, quote.currency)} back to the company and ${formatMoney(quote.compensationAmount, quote.currency)} to the student. Confirm or decline it.`,
+    cancellation.id,
+  );
+
+  return cancellation;
+};
+
+const lockPendingCancellation = async (client, projectId, cancellationId) => {
+  const result = await client.query(
+    `SELECT *
+     FROM project_cancellations
+     WHERE id = $1 AND project_id = $2
+     FOR UPDATE`,
+    [cancellationId, projectId],
+  );
+  const cancellation = result.rows[0];
+  if (!cancellation) {
+    throw fail(404, "Cancellation not found");
+  }
+  if (cancellation.status !== CANCELLATION_STATUS.PENDING) {
+    throw fail(409, `Cancellation is already ${cancellation.status}`);
+  }
+  return cancellation;
+};
+
+/**
+ * The other party agrees: in one transaction the escrow is refunded to the
+ * company when there is no compensation. Otherwise the compensation is
+ * released to the student, with fee and tax on that amount only, and the
+ * company's part goes straight back from escrow through the partial refund
+ * ledger. The project closes once none of its payments is left in escrow.
+ */
+export const confirmProjectCancellation = async (projectId, cancellationId, user) => {
+  const client = await pool.connect();
+  let cancellation;
+  let payment;
+  let providerRefundId = null;
+  try {
+    await client.query("BEGIN");
+
+    cancellation = await lockPendingCancellation(client, projectId, cancellationId);
+    payment = await getPaymentForMilestones(cancellation.payment_id, {
+      client,
+      forUpdate: true,
+    });
+    const context = await loadCancellablePayment(payment.id, { client });
+    const role = partyRole(context, user.id);
+    if (!role) {
+      throw fail(403, "Forbidden");
+    }
+    if (role === cancellation.requested_by_role) {
+      throw fail(409, "The other party has to confirm this cancellation");
+    }
+    await assertPaymentCancellable(context, { client });
+    if (roundToCurrency(context.amount) !== roundToCurrency(cancellation.gross_amount)) {
+      throw fail(409, "The payment amount changed since the request; ask for the cancellation again");
+    }
+
+    const companyUserId = Number(payment.company_user_id);
+    const studentUserId = Number(payment.student_user_id);
+    const refundAmount = Number(cancellation.refund_amount);
+    const compensationAmount = Number(cancellation.compensation_amount);
+    const walletUserIds = [];
+
+    if (compensationAmount === 0) {
+      const refundResult = await applyPaymentRefundLedger(client, payment, {
+        idempotencyPrefix: `payment:${payment.id}:paid->refunded:cancellation`,
+        companyUserId,
+        studentUserId,
+      });
+      walletUserIds.push(...(refundResult.walletUserIds ?? []));
+
+      // Like an admin refund, a card charge goes back through its gateway.
+      const provider = getRefundProvider(payment);
+      if (provider) {
+        const opened = await openProviderRefund(client, payment, {
+          provider,
+          companyUserId,
+          refundType: refundResult.refundType,
+          requestedBy: user.id,
+          reason: "PROJECT_CANCELLED",
+          source: "project_cancellation",
+        });
+        providerRefundId = opened.refund.id;
+      } else {
+        await transitionPaymentStatus(client, payment, "refunded", {
+          actorId: user.id,
+          source: "project_cancellation",
+          reason: "PROJECT_CANCELLED",
+          metadata: { cancellation_id: cancellation.id },
+        });
+      }
+    } else {
+      for (const member of await listPaymentSplits(payment.id, { client })) {
+        if (await getWalletRestriction(member.student_user_id, { client })) {
+          throw fail(409, "A team member's account is restricted due to financial risk.");
+        }
+      }
+      if (await getWalletRestriction(studentUserId, { client })) {
+        throw fail(409, "Student account restricted due to financial risk.");
+      }
+
+      await transitionPaymentStatus(client, payment, "released", {
+        actorId: user.id,
+        source: "project_cancellation",
+        reason: "PROJECT_CANCELLED",
+        metadata: { cancellation_id: cancellation.id },
+        requireUndisputed: true,
+      });
+
+      if (refundAmount > 0) {
+        const partialResult = await applyPaymentPartialRefundLedger(client, payment, {
+          partialAmount: refundAmount,
+          idempotencyPrefix: `payment:${payment.id}:paid->partial_refund:cancellation`,
+          companyUserId,
+          studentUserId,
+        });
+        walletUserIds.push(...(partialResult.walletUserIds ?? []));
+      } else {
+        await applyPaymentTransitionLedger(client, payment, "released", {
+          idempotencyPrefix: `payment:${payment.id}:paid->released`,
+          companyUserId,
+          studentUserId,
+          requireStudentUserId: true,
+        });
+      }
+    }
+
+    if (walletUserIds.length > 0) {
+      await syncWalletAvailableBalances(client, walletUserIds);
+    }
+
+    const confirmedColumn = role === "company" ? "company_confirmed_at" : "student_confirmed_at";
+    const updated = await client.query(
+      `UPDATE project_cancellations
+       SET status = 'completed',
+           ${confirmedColumn} = NOW(),
+           resolved_by = $2,
+           resolved_at = NOW(),
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [cancellation.id, user.id],
+    );
+    cancellation = updated.rows[0];
+
+    if (!(await hasFundedPayment({ projectId }, { client }))) {
+      await client.query(
+        `UPDATE projects
+         SET status = 'closed', closed_at = NOW(), updated_at = NOW()
+         WHERE id = $1
+           AND status = ANY($2::text[])`,
+        [projectId, CANCELLABLE_PROJECT_STATUSES],
+      );
+    }
+
+    await appendFinancialEventLog(
+      {
+        eventType: FINANCIAL_EVENT_TYPE.PROJECT_CANCELLED,
+        userId: companyUserId,
+        paymentId: payment.id,
+        eventPayload: {
+          cancellation_id: cancellation.id,
+          project_id: projectId,
+          cancellation_rule_id: cancellation.cancellation_rule_id,
+          compensation_percent: Number(cancellation.compensation_percent),
+          refund_amount: refundAmount,
+          compensation_amount: compensationAmount,
+          requested_by: cancellation.requested_by,
+          confirmed_by: user.id,
+        },
+      },
+      { client },
+    );
+
+    await client.query("COMMIT");
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (providerRefundId) {
+    await submitProviderRefund(providerRefundId);
+  }
+
+  await notifyParties(
+    payment,
+    "project_cancelled",
+    `The project was cancelled: ${formatMoney(cancellation.refund_amount, cancellation.currency)} goes back to the company and ${formatMoney(cancellation.compensation_amount, cancellation.currency)} to the student.`,
+    cancellation.id,
+  );
+
+  return cancellation;
+};
+
+/**
+ * Ends a pending cancellation without moving money: the requester
+ * withdraws it, or the other party declines it.
+ */
+export const declineProjectCancellation = async (projectId, cancellationId, user) => {
+  const client = await pool.connect();
+  let cancellation;
+  let payment;
+  try {
+    await client.query("BEGIN");
+
+    cancellation = await lockPendingCancellation(client, projectId, cancellationId);
+    payment = await getPaymentForMilestones(cancellation.payment_id, { client });
+    const role = partyRole(payment, user.id);
+    if (!role) {
+      throw fail(403, "Forbidden");
+    }
+
+    const status =
+      role === cancellation.requested_by_role
+        ? CANCELLATION_STATUS.WITHDRAWN
+        : CANCELLATION_STATUS.DECLINED;
+    const updated = await client.query(
+      `UPDATE project_cancellations
+       SET status = $2, resolved_by = $3, resolved_at = NOW(), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [cancellation.id, status, user.id],
+    );
+    cancellation = updated.rows[0];
+
+    await client.query("COMMIT");
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await notifyParties(
+    payment,
+    "project_cancellation_declined",
+    `The request to cancel the project was ${cancellation.status}.`,
+    cancellation.id,
+  );
+
+  return cancellation;
+};
+
+/**
+ * A project's cancellations, newest first (the company, students with a
+ * payment on the project, or admin).
+ */
+export const listProjectCancellations = async (projectId, user) => {
+  const result = await pool.query(
+    `
+    SELECT pc.*, c.user_id AS company_user_id, a.user_id AS student_user_id
+    FROM project_cancellations pc
+    JOIN payments pay ON pay.id = pc.payment_id
+    LEFT JOIN companies c ON c.id = pay.company_id
+    LEFT JOIN applications a ON a.id = pay.application_id
+    WHERE pc.project_id = $1
+    ORDER BY pc.created_at DESC, pc.id DESC
+    `,
+    [projectId],
+  );
+  if (user.role === "admin") {
+    return result.rows;
+  }
+  return result.rows.filter((row) => partyRole(row, user.id) !== null);
+};
@@ -0,0 +1,135 @@
+import pool from "../config/db.js";
+import { isSupportedCurrency, normalizeCurrency } from "../utils/currency.js";
+
+const fail = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+/**
+ * A user's outstanding receivables, one row per currency they owe in.
+ */
+export const listOutstandingReceivables = async (userId, options = {}) => {
+  const db = options.client ?? pool;
+  const result = await db.query(
+    `
+    SELECT
+      currency,
+      SUM(CASE WHEN direction = 'debit' THEN amount ELSE -amount END)::numeric(14,2)
+        AS outstanding
+    FROM ledger_entries
+    WHERE user_id = $1 AND balance_type = 'receivable'
+    GROUP BY currency
+    HAVING SUM(CASE WHEN direction = 'debit' THEN amount ELSE -amount END) > 0
+    ORDER BY currency ASC
+    `,
+    [userId],
+  );
+  return result.rows;
+};
+
+/**
+ * Outstanding receivables per user and currency, aged by when each debt was
+ * recorded. Recoveries clear the oldest debt first, so what is left is the
+ * newest part of each user's receivable debits.
+ */
+export const getReceivablesAgeingReport = async ({ currency } = {}) => {
+  const values = [];
+  let currencyFilter = "";
+  if (currency !== undefined) {
+    if (!isSupportedCurrency(currency)) {
+      throw fail(400, "Invalid currency");
+    }
+    values.push(normalizeCurrency(currency));
+    currencyFilter = `AND currency = $${values.length}`;
+  }
+
+  const result = await pool.query(
+    `
+    WITH entries AS (
+      SELECT id, user_id, currency, direction, amount, created_at
+      FROM ledger_entries
+      WHERE balance_type = 'receivable'
+        AND user_id IS NOT NULL
+        ${currencyFilter}
+    ),
+    recovered AS (
+      SELECT user_id, currency, SUM(amount) AS amount
+      FROM entries
+      WHERE direction = 'credit'
+      GROUP BY user_id, currency
+    ),
+    debts AS (
+      SELECT
+        user_id,
+        currency,
+        amount,
+        created_at,
+        SUM(amount) OVER (
+          PARTITION BY user_id, currency
+          ORDER BY created_at, id
+          ROWS UNBOUNDED PRECEDING
+        ) AS running_total
+      FROM entries
+      WHERE direction = 'debit'
+    ),
+    open_debts AS (
+      SELECT
+        d.user_id,
+        d.currency,
+        d.created_at,
+        GREATEST(LEAST(d.amount, d.running_total - COALESCE(r.amount, 0)), 0) AS outstanding
+      FROM debts d
+      LEFT JOIN recovered r ON r.user_id = d.user_id AND r.currency = d.currency
+    )
+    SELECT
+      o.user_id,
+      u.email,
+      o.currency,
+      SUM(o.outstanding)::numeric(14,2) AS outstanding,
+      COALESCE(SUM(o.outstanding) FILTER (
+        WHERE o.created_at > NOW() - INTERVAL '30 days'
+      ), 0)::numeric(14,2) AS days_0_30,
+      COALESCE(SUM(o.outstanding) FILTER (
+        WHERE o.created_at <= NOW() - INTERVAL '30 days'
+          AND o.created_at > NOW() - INTERVAL '60 days'
+      ), 0)::numeric(14,2) AS days_31_60,
+      COALESCE(SUM(o.outstanding) FILTER (
+        WHERE o.created_at <= NOW() - INTERVAL '60 days'
+          AND o.created_at > NOW() - INTERVAL '90 days'
+      ), 0)::numeric(14,2) AS days_61_90,
+      COALESCE(SUM(o.outstanding) FILTER (
+        WHERE o.created_at <= NOW() - INTERVAL '90 days'
+      ), 0)::numeric(14,2) AS days_over_90,
+      MIN(o.created_at) FILTER (WHERE o.outstanding > 0) AS oldest_at
+    FROM open_debts o
+    JOIN users u ON u.id = o.user_id
+    GROUP BY o.user_id, u.email, o.currency
+    HAVING SUM(o.outstanding) > 0
+    ORDER BY o.currency ASC, outstanding DESC, o.user_id ASC
+    `,
+    values,
+  );
+
+  // Keyed by currency; amounts in different currencies are not summed.
+  const totals = {};
+  for (const row of result.rows) {
+    const sums = (totals[row.currency] ??= {
+      outstanding: 0,
+      days_0_30: 0,
+      days_31_60: 0,
+      days_61_90: 0,
+      days_over_90: 0,
+    });
+    for (const field of Object.keys(sums)) {
+      sums[field] = Math.round((sums[field] + Number(row[field])) * 100) / 100;
+    }
+  }
+
+  return {
+    filters: { currency: currency === undefined ? null : normalizeCurrency(currency) },
+    totals,
+    receivables: result.rows,
+  };
+};
@@ -22,7 +22,7 @@ const normalizeWalletRow = (walletRow) => {
   };
 };
 
-const computeExpectedFromLedger = async (client, userId) => {
+const computeExpectedFromLedger = async (client, userId, currency) => {
   const result = await client.query(
     `
     SELECT
@@ -47,9 +47,9 @@ const computeExpectedFromLedger = async (client, userId) => {
         0
       )::numeric(12,2) AS escrow_expected
     FROM ledger_entries
-    WHERE user_id = $1
+    WHERE user_id = $1 AND currency = $2
     `,
-    [userId],
+    [userId, currency],
   );
 
   return {
@@ -63,7 +63,7 @@ export const rebuildWalletFromLedger = async (walletId, options = {}) => {
 
   const walletResult = await db.query(
     `
-    SELECT id, user_id
+    SELECT id, user_id, currency
     FROM wallets
     WHERE id = $1
     `,
@@ -84,10 +84,11 @@ export const rebuildWalletFromLedger = async (walletId, options = {}) => {
     throw err;
   }
 
-  const expected = await computeExpectedFromLedger(db, userId);
+  const expected = await computeExpectedFromLedger(db, userId, wallet.currency);
   return {
     walletId: Number(wallet.id),
     userId,
+    currency: wallet.currency,
     ...expected,
   };
 };
@@ -99,7 +100,7 @@ export const reconcileWalletById = async (walletId) => {
 
     const walletResult = await client.query(
       `
-      SELECT id, user_id, balance, available_balance, escrow_balance
+      SELECT id, user_id, currency, balance, available_balance, escrow_balance
       FROM wallets
       WHERE id = $1
       FOR UPDATE
@@ -118,7 +119,11 @@ export const reconcileWalletById = async (walletId) => {
       throw new Error("Wallet has invalid user_id");
     }
 
-    const expected = await computeExpectedFromLedger(client, userId);
+    const expected = await computeExpectedFromLedger(
+      client,
+      userId,
+      wallet.currency,
+    );
     const { availableActual, escrowActual } = normalizeWalletRow(wallet);
 
     const availableMatches = isSameAmount(expected.available_expected, availableActual);
@@ -144,7 +149,8 @@ export const reconcileWalletById = async (walletId) => {
 
     if (status === STATUS.MISMATCH) {
       const reason =
-        `available_expected=${formatAmount(expected.available_expected)},` +
+        `currency=${wallet.currency},` +
+        ` available_expected=${formatAmount(expected.available_expected)},` +
         ` available_actual=${formatAmount(availableActual)},` +
         ` escrow_expected=${formatAmount(expected.escrow_expected)},` +
         ` escrow_actual=${formatAmount(escrowActual)}`;
@@ -170,7 +176,7 @@ export const reconcileWalletById = async (walletId) => {
       }
 
       console.error("⚠️ WALLET MISMATCH DETECTED");
-      console.error(`walletId: ${wallet.id}`);
+      console.error(`walletId: ${wallet.id} (${wallet.currency})`);
       console.error(`available_expected: ${formatAmount(expected.available_expected)}`);
       console.error(`available_actual: ${formatAmount(availableActual)}`);
       console.error(`escrow_expected: ${formatAmount(expected.escrow_expected)}`);
@@ -182,6 +188,7 @@ export const reconcileWalletById = async (walletId) => {
     return {
       walletId: Number(wallet.id),
       userId,
+      currency: wallet.currency,
       status,
       available_expected: expected.available_expected,
       available_actual: availableActual,
@@ -0,0 +1,160 @@
+import pool from "../config/db.js";
+import { safeNotify } from "../utils/notify.js";
+import { formatMoney, normalizeCurrency } from "../utils/currency.js";
+import { applyReserveReleaseLedger } from "./ledger.service.js";
+import {
+  appendFinancialEventLog,
+  FINANCIAL_EVENT_TYPE,
+} from "./financial_event_log.service.js";
+
+/**
+ * Reserves whose hold period has passed. A reserve waits while its payment
+ * is disputed or has a dispute open.
+ */
+const listDueReserves = async () => {
+  const result = await pool.query(
+    `
+    SELECT rr.id
+    FROM release_reserves rr
+    JOIN payments pay ON pay.id = rr.payment_id
+    WHERE rr.status = 'held'
+      AND rr.release_after <= NOW()
+      AND pay.disputed IS NOT TRUE
+      AND NOT EXISTS (
+        SELECT 1 FROM disputes d
+        WHERE d.payment_id = rr.payment_id
+          AND d.status IN ('open', 'under_review')
+      )
+    ORDER BY rr.release_after ASC, rr.id ASC
+    `,
+  );
+  return result.rows.map((row) => row.id);
+};
+
+/**
+ * Frees one due reserve to the student's available balance, first clearing
+ * what they owe as a receivable. Returns the reserve with
+ * `receivable_recovered`, or null when another run or a refund got to it
+ * first.
+ */
+export const releaseReserve = async (reserveId) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const locked = await client.query(
+      `SELECT *
+       FROM release_reserves
+       WHERE id = $1 AND status = 'held'
+       FOR UPDATE`,
+      [reserveId],
+    );
+    const reserve = locked.rows[0];
+    if (!reserve) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const { receivableRecovered } = await applyReserveReleaseLedger(client, reserve);
+    const updated = await client.query(
+      `UPDATE release_reserves
+       SET status = 'released', released_at = NOW(), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [reserve.id],
+    );
+    await appendFinancialEventLog(
+      {
+        eventType: FINANCIAL_EVENT_TYPE.RESERVE_RELEASED,
+        userId: reserve.student_user_id,
+        paymentId: reserve.payment_id,
+        eventPayload: {
+          reserve_id: reserve.id,
+          amount: Number(reserve.amount),
+          currency: reserve.currency,
+          held_since: reserve.created_at,
+          from_wallet: "reserve",
+          to_wallet: "available",
+          receivable_recovered: receivableRecovered,
+        },
+      },
+      { client },
+    );
+
+    await client.query("COMMIT");
+    return { ...updated.rows[0], receivable_recovered: receivableRecovered };
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * One pass of the reserve job: free every reserve that is due.
+ */
+export const runReserveRelease = async () => {
+  const summary = { due: 0, released: 0, failed: 0 };
+
+  const due = await listDueReserves();
+  summary.due = due.length;
+
+  for (const reserveId of due) {
+    try {
+      const reserve = await releaseReserve(reserveId);
+      if (!reserve) {
+        continue;
+      }
+      summary.released += 1;
+      const recovered =
+        reserve.receivable_recovered > 0
+          ? ` ${formatMoney(reserve.receivable_recovered, reserve.currency)} of it went toward what you owe.`
+          : "";
+      await safeNotify(
+        reserve.student_user_id,
+        "reserve_released",
+        `${formatMoney(reserve.amount, reserve.currency)} held in reserve from payment #${reserve.payment_id} is now available.${recovered}`,
+        reserve.payment_id,
+      );
+    } catch (err) {
+      summary.failed += 1;
+      console.error("[reserve_release] release failed", {
+        reserveId,
+        error: err.message,
+      });
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * A student's reserves, newest first, optionally in one currency and status.
+ */
+export const listUserReserves = async (userId, { currency, status } = {}) => {
+  const filters = ["student_user_id = $1"];
+  const values = [userId];
+  if (currency !== undefined) {
+    values.push(normalizeCurrency(currency));
+    filters.push(`currency = $${values.length}`);
+  }
+  if (status !== undefined) {
+    values.push(status);
+    filters.push(`status = $${values.length}`);
+  }
+
+  const result = await pool.query(
+    `SELECT id, payment_id, milestone_id, amount, currency, reserve_percent, reason,
+            status, release_after, released_at, created_at
+     FROM release_reserves
+     WHERE ${filters.join(" AND ")}
+     ORDER BY created_at DESC, id DESC`,
+    values,
+  );
+  return result.rows;
+};
@@ -1,4 +1,5 @@
 import pool from "../config/db.js";
+import { DEFAULT_CURRENCY } from "../utils/currency.js";
 
 const normalizeReportDate = (value) => {
   if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
@@ -13,17 +14,74 @@ const normalizeReportDate = (value) => {
   return date.toISOString().slice(0, 10);
 };
 
+const insertSettlementReport = async (
+  reportDate,
+  currency,
+  { aggregates = {}, systemTotals = {} },
+) => {
+  const insertResult = await pool.query(
+    `
+    INSERT INTO settlement_reports (
+      report_date,
+      currency,
+      escrow_inflow,
+      released_to_students,
+      refunded_to_companies,
+      withdrawals,
+      platform_fees,
+      system_available_total,
+      system_escrow_total,
+      reserve_held,
+      reserve_released,
+      system_reserve_total
+    )
+    VALUES ($1::date, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    ON CONFLICT (report_date, currency) DO NOTHING
+    RETURNING *
+    `,
+    [
+      reportDate,
+      currency,
+      aggregates.escrow_inflow ?? 0,
+      aggregates.released_to_students ?? 0,
+      aggregates.refunded_to_companies ?? 0,
+      aggregates.withdrawals ?? 0,
+      aggregates.platform_fees ?? 0,
+      systemTotals.system_available_total ?? 0,
+      systemTotals.system_escrow_total ?? 0,
+      aggregates.reserve_held ?? 0,
+      aggregates.reserve_released ?? 0,
+      systemTotals.system_reserve_total ?? 0,
+    ],
+  );
+
+  if (insertResult.rowCount === 1) {
+    return { inserted: true, report: insertResult.rows[0] };
+  }
+
+  const existing = await pool.query(
+    "SELECT * FROM settlement_reports WHERE report_date = $1::date AND currency = $2",
+    [reportDate, currency],
+  );
+  return { inserted: false, report: existing.rows[0] ?? null };
+};
+
+/**
+ * Writes one settlement report per currency for the day: the default
+ * currency always, plus every currency with ledger activity or wallets.
+ */
 export const generateDailySettlementReport = async (reportDateInput) => {
   const reportDate = normalizeReportDate(reportDateInput);
 
   const ledgerAgg = await pool.query(
     `
     SELECT
+      currency,
       COALESCE(SUM(
         CASE
           WHEN direction = 'credit'
            AND balance_type = 'escrow'
-           AND type IN ('deposit', 'escrow_hold')
+           AND type IN ('deposit', 'escrow_hold', 'escrow_amendment')
           THEN amount
           ELSE 0
         END
@@ -62,10 +120,27 @@ export const generateDailySettlementReport = async (reportDateInput) => {
           THEN amount
           ELSE 0
         END
-      ), 0)::numeric(14,2) AS platform_fees
+      ), 0)::numeric(14,2) AS platform_fees,
+      COALESCE(SUM(
+        CASE
+          WHEN direction = 'credit'
+           AND balance_type = 'reserve'
+          THEN amount
+          ELSE 0
+        END
+      ), 0)::numeric(14,2) AS reserve_held,
+      COALESCE(SUM(
+        CASE
+          WHEN direction = 'debit'
+           AND balance_type = 'reserve'
+          THEN amount
+          ELSE 0
+        END
+      ), 0)::numeric(14,2) AS reserve_released
     FROM ledger_entries
     WHERE created_at >= $1::date
       AND created_at < ($1::date + INTERVAL '1 day')
+    GROUP BY currency
     `,
     [reportDate],
   );
@@ -73,53 +148,52 @@ export const generateDailySettlementReport = async (reportDateInput) => {
   const totals = await pool.query(
     `
     SELECT
+      currency,
       COALESCE(SUM(available_balance), 0)::numeric(14,2) AS system_available_total,
       COALESCE(SUM(escrow_balance), 0)::numeric(14,2) AS system_escrow_total
     FROM wallets
+    GROUP BY currency
     `,
   );
 
-  const aggregates = ledgerAgg.rows[0];
-  const systemTotals = totals.rows[0];
-
-  const insertResult = await pool.query(
+  // Wallets do not cache the reserve, so its total comes from the ledger
+  // as of the end of the report day.
+  const reserveTotals = await pool.query(
     `
-    INSERT INTO settlement_reports (
-      report_date,
-      escrow_inflow,
-      released_to_students,
-      refunded_to_companies,
-      withdrawals,
-      platform_fees,
-      system_available_total,
-      system_escrow_total
-    )
-    VALUES ($1::date, $2, $3, $4, $5, $6, $7, $8)
-    ON CONFLICT (report_date) DO NOTHING
-    RETURNING *
+    SELECT
+      currency,
+      COALESCE(SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END), 0)::numeric(14,2)
+        AS system_reserve_total
+    FROM ledger_entries
+    WHERE balance_type = 'reserve'
+      AND created_at < ($1::date + INTERVAL '1 day')
+    GROUP BY currency
     `,
-    [
-      reportDate,
-      aggregates.escrow_inflow,
-      aggregates.released_to_students,
-      aggregates.refunded_to_companies,
-      aggregates.withdrawals,
-      aggregates.platform_fees,
-      systemTotals.system_available_total,
-      systemTotals.system_escrow_total,
-    ],
+    [reportDate],
   );
 
-  let inserted = insertResult.rowCount === 1;
-  let report = insertResult.rows[0] ?? null;
+  const currencies = [
+    ...new Set([
+      DEFAULT_CURRENCY,
+      ...ledgerAgg.rows.map((row) => row.currency),
+      ...totals.rows.map((row) => row.currency),
+    ]),
+  ];
 
-  if (!report) {
-    const existing = await pool.query(
-      "SELECT * FROM settlement_reports WHERE report_date = $1::date",
-      [reportDate],
-    );
-    report = existing.rows[0] ?? null;
-    inserted = false;
+  let inserted = false;
+  const reports = [];
+  for (const currency of currencies) {
+    const result = await insertSettlementReport(reportDate, currency, {
+      aggregates: ledgerAgg.rows.find((row) => row.currency === currency),
+      systemTotals: {
+        ...totals.rows.find((row) => row.currency === currency),
+        ...reserveTotals.rows.find((row) => row.currency === currency),
+      },
+    });
+    inserted = inserted || result.inserted;
+    if (result.report) {
+      reports.push(result.report);
+    }
   }
 
   console.log(`📊 Daily Settlement Report Generated for: ${reportDate}`);
@@ -127,6 +201,6 @@ export const generateDailySettlementReport = async (reportDateInput) => {
   return {
     inserted,
     reportDate,
-    report,
+    reports,
   };
 };
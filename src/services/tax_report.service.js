@@ -0,0 +1,271 @@
+import pool from "../config/db.js";
+import { isSupportedCurrency, normalizeCurrency } from "../utils/currency.js";
+import { settleTaxRemittance } from "./ledger.service.js";
+import {
+  TAX_TYPE,
+  TAX_TYPE_OF_LEDGER_ENTRY_SQL,
+} from "./tax_rule.service.js";
+import {
+  appendFinancialEventLog,
+  FINANCIAL_EVENT_TYPE,
+} from "./financial_event_log.service.js";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const fail = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const parseDate = (value, name) => {
+  if (typeof value !== "string" || !DATE_PATTERN.test(value)) {
+    throw fail(400, `${name} must be a YYYY-MM-DD date`);
+  }
+  if (Number.isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+    throw fail(400, `${name} must be a YYYY-MM-DD date`);
+  }
+  return value;
+};
+
+/**
+ * Tax ledger movements per currency and tax type between `from` and `to`
+ * (inclusive dates): withheld on releases, reversed by released refunds and
+ * remitted to the authority, plus what is still owed as of `to`.
+ */
+export const getTaxLiabilityReport = async ({ from, to, currency } = {}) => {
+  const fromDate = parseDate(from, "from");
+  const toDate = parseDate(to, "to");
+  if (toDate < fromDate) {
+    throw fail(400, "to must not be before from");
+  }
+
+  const values = [fromDate, toDate];
+  let currencyFilter = "";
+  if (currency !== undefined) {
+    if (!isSupportedCurrency(currency)) {
+      throw fail(400, "Invalid currency");
+    }
+    values.push(normalizeCurrency(currency));
+    currencyFilter = `AND currency = $${values.length}`;
+  }
+
+  const result = await pool.query(
+    `
+    SELECT
+      currency,
+      ${TAX_TYPE_OF_LEDGER_ENTRY_SQL} AS tax_type,
+      COALESCE(SUM(amount) FILTER (
+        WHERE created_at >= $1::date AND direction = 'credit'
+      ), 0)::numeric(14,2) AS withheld,
+      COALESCE(SUM(amount) FILTER (
+        WHERE created_at >= $1::date AND direction = 'debit' AND type LIKE '%\\_reversal'
+      ), 0)::numeric(14,2) AS reversed,
+      COALESCE(SUM(amount) FILTER (
+        WHERE created_at >= $1::date AND direction = 'debit' AND type LIKE '%\\_remittance'
+      ), 0)::numeric(14,2) AS remitted,
+      COALESCE(SUM(
+        CASE WHEN direction = 'credit' THEN amount ELSE -amount END
+      ), 0)::numeric(14,2) AS outstanding
+    FROM ledger_entries
+    WHERE balance_type = 'tax'
+      AND created_at < ($2::date + INTERVAL '1 day')
+      ${currencyFilter}
+    GROUP BY 1, 2
+    ORDER BY 1 ASC, 2 ASC
+    `,
+    values,
+  );
+
+  return {
+    filters: {
+      from: fromDate,
+      to: toDate,
+      currency: currency === undefined ? null : normalizeCurrency(currency),
+    },
+    liabilities: result.rows,
+  };
+};
+
+export const listTaxRemittances = async ({ currency } = {}) => {
+  const values = [];
+  let whereClause = "";
+  if (currency !== undefined) {
+    if (!isSupportedCurrency(currency)) {
+      throw fail(400, "Invalid currency");
+    }
+    values.push(normalizeCurrency(currency));
+    whereClause = "WHERE currency = $1";
+  }
+
+  const result = await pool.query(
+    `SELECT * FROM tax_remittances ${whereClause} ORDER BY period_end DESC, id DESC`,
+    values,
+  );
+  return result.rows;
+};
+
+/**
+ * Records a payment of withheld tax to the authority and moves it out of
+ * the platform's tax balance. The amount cannot exceed what is owed.
+ */
+export const recordTaxRemittance = async (
+  { taxType, currency, amount, periodStart, periodEnd, authorityReference = null, notes = null },
+  adminId,
+) => {
+  if (!Object.values(TAX_TYPE).includes(taxType)) {
+    throw fail(400, "tax_type must be withholding or vat");
+  }
+  if (!isSupportedCurrency(currency)) {
+    throw fail(400, "Invalid currency");
+  }
+  const normalizedCurrency = normalizeCurrency(currency);
+  const parsedAmount = Number(amount);
+  if (!Number.isFinite(parsedAmount) || parsedAmount <= 0) {
+    throw fail(400, "amount must be a positive number");
+  }
+  const start = parseDate(periodStart, "period_start");
+  const end = parseDate(periodEnd, "period_end");
+  if (end < start) {
+    throw fail(400, "period_end must not be before period_start");
+  }
+
+  const client = await pool.connect();
+  let remittance;
+  try {
+    await client.query("BEGIN");
+    // One remittance at a time per currency so two cannot both pass the
+    // outstanding check.
+    await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+      `tax_remittance:${normalizedCurrency}`,
+    ]);
+
+    const owed = await client.query(
+      `
+      SELECT COALESCE(SUM(
+        CASE WHEN direction = 'credit' THEN amount ELSE -amount END
+      ), 0) AS outstanding
+      FROM ledger_entries
+      WHERE balance_type = 'tax'
+        AND currency = $1
+        AND ${TAX_TYPE_OF_LEDGER_ENTRY_SQL} = $2
+      `,
+      [normalizedCurrency, taxType],
+    );
+    const outstanding = Number(owed.rows[0].outstanding);
+    if (parsedAmount > outstanding + 0.000001) {
+      throw fail(409, `Only ${outstanding.toFixed(2)} ${normalizedCurrency} of ${taxType} tax is outstanding`);
+    }
+
+    const inserted = await client.query(
+      `
+      INSERT INTO tax_remittances
+        (tax_type, currency, amount, period_start, period_end, authority_reference, notes, recorded_by)
+      VALUES ($1, $2, $3, $4::date, $5::date, $6, $7, $8)
+      RETURNING *
+      `,
+      [taxType, normalizedCurrency, parsedAmount, start, end, authorityReference, notes, adminId],
+    );
+    remittance = inserted.rows[0];
+
+    await settleTaxRemittance(client, remittance);
+    await appendFinancialEventLog(
+      {
+        eventType: FINANCIAL_EVENT_TYPE.TAX_REMITTED,
+        userId: adminId,
+        eventPayload: {
+          tax_remittance_id: remittance.id,
+          tax_type: taxType,
+          amount: remittance.amount,
+          currency: normalizedCurrency,
+          period_start: start,
+          period_end: end,
+          authority_reference: authorityReference,
+        },
+      },
+      { client },
+    );
+
+    await client.query("COMMIT");
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return remittance;
+};
+
+/**
+ * A user's annual tax certificate: every release in `year` on which tax
+ * was withheld from them, with totals per currency and tax type. Releases
+ * later refunded in full had their tax reversed and are listed but not
+ * counted.
+ */
+export const getTaxCertificate = async (userId, year) => {
+  const parsedYear = Number(year);
+  if (!Number.isInteger(parsedYear) || parsedYear < 2000 || parsedYear > 9999) {
+    throw fail(400, "Invalid year");
+  }
+
+  const user = await pool.query(
+    "SELECT id, email, full_name FROM users WHERE id = $1",
+    [userId],
+  );
+  if (user.rows.length === 0) {
+    throw fail(404, "User not found");
+  }
+
+  const lines = await pool.query(
+    `
+    SELECT
+      rt.payment_id,
+      rt.milestone_id,
+      p.title AS project_title,
+      c.name AS company_name,
+      rt.created_at AS released_at,
+      rt.currency,
+      rt.tax_type,
+      rt.rate,
+      f.gross_amount,
+      rt.taxable_amount,
+      rt.tax_amount,
+      (pay.status = 'refunded' AND rt.milestone_id IS NULL) AS reversed
+    FROM payment_release_taxes rt
+    JOIN payments pay ON pay.id = rt.payment_id
+    LEFT JOIN payment_release_fees f ON f.release_key = rt.release_key
+    LEFT JOIN projects p ON p.id = pay.project_id
+    LEFT JOIN companies c ON c.id = pay.company_id
+    WHERE rt.student_user_id = $1
+      AND rt.created_at >= make_date($2, 1, 1)
+      AND rt.created_at < make_date($2 + 1, 1, 1)
+    ORDER BY rt.created_at ASC, rt.id ASC
+    `,
+    [userId, parsedYear],
+  );
+
+  const totals = {};
+  for (const line of lines.rows) {
+    if (line.reversed) {
+      continue;
+    }
+    const byType = (totals[line.currency] ??= {});
+    const sums = (byType[line.tax_type] ??= { taxable_amount: 0, tax_amount: 0 });
+    sums.taxable_amount = Math.round((sums.taxable_amount + Number(line.taxable_amount)) * 100) / 100;
+    sums.tax_amount = Math.round((sums.tax_amount + Number(line.tax_amount)) * 100) / 100;
+  }
+
+  return {
+    year: parsedYear,
+    user: user.rows[0],
+    issued_at: new Date().toISOString(),
+    // Keyed by currency, then tax type.
+    totals,
+    lines: lines.rows,
+  };
+};
@@ -0,0 +1,360 @@
+import pool from "../config/db.js";
+import { isSupportedCurrency, normalizeCurrency } from "../utils/currency.js";
+import { loadReleaseScope, normalizeFeeScopeLabel } from "./fee_schedule.service.js";
+
+/**
+ * Withholding tax is taken from the student's share of a release (gross
+ * minus platform fee); VAT is charged on the platform fee and, like the
+ * fee, comes out of the student's share.
+ */
+export const TAX_TYPE = {
+  WITHHOLDING: "withholding",
+  VAT: "vat",
+};
+
+// Ledger entry types for each tax: credited to the platform's tax balance
+// on release, debited when a released refund reverses it or it is remitted.
+export const TAX_LEDGER_TYPE = {
+  [TAX_TYPE.WITHHOLDING]: "withholding_tax",
+  [TAX_TYPE.VAT]: "vat",
+};
+
+// Which tax a 'tax' balance ledger entry belongs to, from its type.
+export const TAX_TYPE_OF_LEDGER_ENTRY_SQL =
+  "CASE WHEN type LIKE 'vat%' THEN 'vat' ELSE 'withholding' END";
+
+const TAX_RULE_COLUMNS = `
+  id, name, tax_type, rate, currency, company_id, project_category,
+  student_tier, priority, effective_from, effective_to, active, created_by,
+  created_at, updated_at
+`;
+
+const fail = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const roundToCurrency = (value) =>
+  Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const parseTimestamp = (value) => {
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? undefined : parsed.toISOString();
+};
+
+/**
+ * Validates a tax rule body; see parseFeeScheduleInput for `existing`.
+ */
+export const parseTaxRuleInput = (body, existing = null) => {
+  const fields = {};
+  const input = body ?? {};
+  const creating = existing === null;
+
+  if (input.name !== undefined || creating) {
+    if (typeof input.name !== "string" || !input.name.trim()) {
+      return { error: "name is required" };
+    }
+    fields.name = input.name.trim();
+  }
+
+  if (input.tax_type !== undefined || creating) {
+    if (!Object.values(TAX_TYPE).includes(input.tax_type)) {
+      return { error: "tax_type must be withholding or vat" };
+    }
+    fields.tax_type = input.tax_type;
+  }
+
+  if (input.rate !== undefined || creating) {
+    const rate = Number(input.rate);
+    if (input.rate === null || input.rate === "" || !(rate > 0 && rate <= 100)) {
+      return { error: "rate must be a percentage above 0 and up to 100" };
+    }
+    fields.rate = rate;
+  }
+
+  if (input.currency !== undefined) {
+    if (input.currency !== null && !isSupportedCurrency(input.currency)) {
+      return { error: "Unsupported currency" };
+    }
+    fields.currency = input.currency === null ? null : normalizeCurrency(input.currency);
+  }
+
+  if (input.company_id !== undefined) {
+    const companyId = input.company_id === null ? null : Number(input.company_id);
+    if (companyId !== null && (!Number.isInteger(companyId) || companyId <= 0)) {
+      return { error: "Invalid company_id" };
+    }
+    fields.company_id = companyId;
+  }
+
+  for (const key of ["project_category", "student_tier"]) {
+    if (input[key] !== undefined) {
+      const label = normalizeFeeScopeLabel(input[key]);
+      if (label === undefined) {
+        return { error: `${key} must be a label of up to 60 characters` };
+      }
+      fields[key] = label;
+    }
+  }
+
+  if (input.priority !== undefined) {
+    if (!Number.isInteger(input.priority)) {
+      return { error: "priority must be an integer" };
+    }
+    fields.priority = input.priority;
+  }
+
+  if (input.effective_from !== undefined) {
+    const from = parseTimestamp(input.effective_from);
+    if (input.effective_from === null || from === undefined) {
+      return { error: "Invalid effective_from" };
+    }
+    fields.effective_from = from;
+  }
+
+  if (input.effective_to !== undefined) {
+    const to = input.effective_to === null ? null : parseTimestamp(input.effective_to);
+    if (to === undefined) {
+      return { error: "Invalid effective_to" };
+    }
+    fields.effective_to = to;
+  }
+
+  if (input.active !== undefined) {
+    if (typeof input.active !== "boolean") {
+      return { error: "active must be a boolean" };
+    }
+    fields.active = input.active;
+  }
+
+  const merged = { ...(existing ?? {}), ...fields };
+  if (
+    merged.effective_to &&
+    new Date(merged.effective_to) <= new Date(merged.effective_from ?? Date.now())
+  ) {
+    return { error: "effective_to must be after effective_from" };
+  }
+
+  return { fields };
+};
+
+const assertCompanyExists = async (companyId) => {
+  if (companyId === null || companyId === undefined) {
+    return;
+  }
+  const result = await pool.query("SELECT id FROM companies WHERE id = $1", [companyId]);
+  if (result.rows.length === 0) {
+    throw fail(400, "Company not found");
+  }
+};
+
+export const getTaxRule = async (id) => {
+  const result = await pool.query(
+    `SELECT ${TAX_RULE_COLUMNS} FROM tax_rules WHERE id = $1`,
+    [id],
+  );
+  if (result.rows.length === 0) {
+    throw fail(404, "Tax rule not found");
+  }
+  return result.rows[0];
+};
+
+export const listTaxRules = async ({ active, taxType } = {}) => {
+  const filters = [];
+  const values = [];
+  if (active !== undefined) {
+    values.push(active);
+    filters.push(`active = $${values.length}`);
+  }
+  if (taxType !== undefined) {
+    values.push(taxType);
+    filters.push(`tax_type = $${values.length}`);
+  }
+
+  const result = await pool.query(
+    `
+    SELECT ${TAX_RULE_COLUMNS}
+    FROM tax_rules
+    ${filters.length ? `WHERE ${filters.join(" AND ")}` : ""}
+    ORDER BY active DESC, tax_type ASC, priority DESC, id DESC
+    `,
+    values,
+  );
+  return result.rows;
+};
+
+export const createTaxRule = async (body, adminId) => {
+  const { fields, error } = parseTaxRuleInput(body);
+  if (error) {
+    throw fail(400, error);
+  }
+  await assertCompanyExists(fields.company_id);
+
+  const columns = Object.keys(fields);
+  const values = columns.map((column) => fields[column]);
+  columns.push("created_by");
+  values.push(adminId);
+
+  const result = await pool.query(
+    `
+    INSERT INTO tax_rules (${columns.join(", ")})
+    VALUES (${columns.map((_, index) => `$${index + 1}`).join(", ")})
+    RETURNING ${TAX_RULE_COLUMNS}
+    `,
+    values,
+  );
+  return result.rows[0];
+};
+
+export const updateTaxRule = async (id, body) => {
+  const existing = await getTaxRule(id);
+  const { fields, error } = parseTaxRuleInput(body, existing);
+  if (error) {
+    throw fail(400, error);
+  }
+  await assertCompanyExists(fields.company_id);
+
+  const columns = Object.keys(fields);
+  if (columns.length === 0) {
+    throw fail(400, "No changes provided");
+  }
+
+  const values = columns.map((column) => fields[column]);
+  values.push(id);
+  const result = await pool.query(
+    `
+    UPDATE tax_rules
+    SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(", ")},
+        updated_at = NOW()
+    WHERE id = $${values.length}
+    RETURNING ${TAX_RULE_COLUMNS}
+    `,
+    values,
+  );
+  return result.rows[0];
+};
+
+export const deactivateTaxRule = async (id) => {
+  const result = await pool.query(
+    `
+    UPDATE tax_rules
+    SET active = false, updated_at = NOW()
+    WHERE id = $1
+    RETURNING ${TAX_RULE_COLUMNS}
+    `,
+    [id],
+  );
+  if (result.rows.length === 0) {
+    throw fail(404, "Tax rule not found");
+  }
+  return result.rows[0];
+};
+
+// Same precedence as fee schedules: most scopes matched, then priority.
+const findApplicableTaxRule = async (db, taxType, scope, currency) => {
+  const result = await db.query(
+    `
+    SELECT ${TAX_RULE_COLUMNS}
+    FROM tax_rules
+    WHERE tax_type = $1
+      AND active = true
+      AND effective_from <= NOW()
+      AND (effective_to IS NULL OR effective_to > NOW())
+      AND (currency IS NULL OR currency = $2)
+      AND (company_id IS NULL OR company_id = $3)
+      AND (project_category IS NULL OR project_category = $4)
+      AND (student_tier IS NULL OR student_tier = $5)
+    ORDER BY (company_id IS NOT NULL)::int
+           + (project_category IS NOT NULL)::int
+           + (student_tier IS NOT NULL)::int DESC,
+      priority DESC,
+      id DESC
+    LIMIT 1
+    `,
+    [taxType, currency, scope.company_id, scope.project_category, scope.student_tier],
+  );
+  return result.rows[0] ?? null;
+};
+
+/**
+ * The taxes one release withholds, as `{ taxType, rule, taxableAmount,
+ * taxAmount }` with zero amounts left out. A release whose fee is already
+ * recorded reuses its recorded taxes (possibly none) so replays post the
+ * same split.
+ */
+export const resolveReleaseTaxes = async (
+  db,
+  { paymentId, studentUserId, grossAmount, feeAmount, currency, releaseKey = null, recorded = false },
+) => {
+  if (recorded && releaseKey) {
+    const rows = await db.query(
+      "SELECT * FROM payment_release_taxes WHERE release_key = $1 ORDER BY tax_type ASC",
+      [releaseKey],
+    );
+    return rows.rows.map((row) => ({
+      taxType: row.tax_type,
+      rule: { id: row.tax_rule_id, rate: row.rate },
+      taxableAmount: Number(row.taxable_amount),
+      taxAmount: Number(row.tax_amount),
+    }));
+  }
+  if (!paymentId) {
+    return [];
+  }
+
+  const scope = await loadReleaseScope(db, paymentId, studentUserId);
+  const bases = {
+    [TAX_TYPE.VAT]: feeAmount,
+    [TAX_TYPE.WITHHOLDING]: roundToCurrency(grossAmount - feeAmount),
+  };
+
+  const taxes = [];
+  for (const taxType of [TAX_TYPE.VAT, TAX_TYPE.WITHHOLDING]) {
+    const taxableAmount = bases[taxType];
+    if (!(taxableAmount > 0)) {
+      continue;
+    }
+    const rule = await findApplicableTaxRule(db, taxType, scope, currency);
+    if (!rule) {
+      continue;
+    }
+    const taxAmount = roundToCurrency((taxableAmount * Number(rule.rate)) / 100);
+    if (taxAmount > 0) {
+      taxes.push({ taxType, rule, taxableAmount, taxAmount });
+    }
+  }
+  return taxes;
+};
+
+/**
+ * Stores the taxes a release withheld, inside the release transaction.
+ */
+export const recordReleaseTaxes = async (
+  client,
+  { paymentId, milestoneId = null, releaseKey, studentUserId, currency, taxes },
+) => {
+  for (const tax of taxes) {
+    await client.query(
+      `
+      INSERT INTO payment_release_taxes
+        (payment_id, milestone_id, release_key, student_user_id, tax_rule_id,
+         tax_type, rate, taxable_amount, tax_amount, currency)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (release_key, tax_type) DO NOTHING
+      `,
+      [
+        paymentId,
+        milestoneId,
+        releaseKey,
+        studentUserId,
+        tax.rule.id ?? null,
+        tax.taxType,
+        tax.rule.rate,
+        tax.taxableAmount,
+        tax.taxAmount,
+        currency,
+      ],
+    );
+  }
+};
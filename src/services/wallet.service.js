@@ -0,0 +1,76 @@
+import pool from "../config/db.js";
+import { applyWalletTopupLedger } from "./ledger.service.js";
+
+export const TOPUP_REFERENCE_PREFIX = "topup_";
+
+export const isTopupReference = (reference) =>
+  typeof reference === "string" && reference.startsWith(TOPUP_REFERENCE_PREFIX);
+
+export const markTopupAsPaidByReference = async (reference, options = {}) => {
+  const { enforceUserId } = options;
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const existing = await client.query(
+      `SELECT *
+       FROM wallet_topups
+       WHERE provider_ref = $1
+       FOR UPDATE`,
+      [reference],
+    );
+
+    if (existing.rows.length === 0) {
+      await client.query("ROLLBACK");
+      const err = new Error("Top-up not found");
+      err.status = 404;
+      throw err;
+    }
+
+    const topup = existing.rows[0];
+    if (enforceUserId && topup.user_id !== enforceUserId) {
+      await client.query("ROLLBACK");
+      const err = new Error("Forbidden");
+      err.status = 403;
+      throw err;
+    }
+
+    if (topup.status === "paid") {
+      await client.query("COMMIT");
+      return { topup, updated: false };
+    }
+
+    const updated = await client.query(
+      `UPDATE wallet_topups
+       SET status = 'paid', paid_at = COALESCE(paid_at, NOW())
+       WHERE id = $1
+       RETURNING *`,
+      [topup.id],
+    );
+
+    await applyWalletTopupLedger(client, topup);
+
+    await client.query("COMMIT");
+    return { topup: updated.rows[0], updated: true };
+  } catch (error) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback failure
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+export const markTopupAsFailedByReference = async (reference) => {
+  const result = await pool.query(
+    `UPDATE wallet_topups
+     SET status = 'failed'
+     WHERE provider_ref = $1 AND status = 'pending'
+     RETURNING *`,
+    [reference],
+  );
+  return result.rows[0] ?? null;
+};
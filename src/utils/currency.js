@@ -0,0 +1,33 @@
+export const DEFAULT_CURRENCY = "NGN";
+
+export const SUPPORTED_CURRENCIES = ["NGN", "USD", "GHS", "KES"];
+
+export const isSupportedCurrency = (value) =>
+  SUPPORTED_CURRENCIES.includes(String(value ?? "").trim().toUpperCase());
+
+/**
+ * Upper-cases an ISO 4217 code, falling back to the default for rows that
+ * predate the currency columns. Unsupported codes throw a 400.
+ */
+export const normalizeCurrency = (value, fallback = DEFAULT_CURRENCY) => {
+  if (value === undefined || value === null || value === "") {
+    return fallback;
+  }
+
+  const code = String(value).trim().toUpperCase();
+  if (!SUPPORTED_CURRENCIES.includes(code)) {
+    const err = new Error(
+      `Unsupported currency: ${value}. Use one of ${SUPPORTED_CURRENCIES.join(", ")}`,
+    );
+    err.status = 400;
+    throw err;
+  }
+  return code;
+};
+
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY) =>
+  new Intl.NumberFormat("en", {
+    style: "currency",
+    currency: normalizeCurrency(currency),
+    currencyDisplay: "narrowSymbol",
+  }).format(Number(amount));
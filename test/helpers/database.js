@@ -0,0 +1,65 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import pg from "pg";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.resolve(__dirname, "../..");
+const BASE_TABLES_PATH = path.join(__dirname, "../sql/base_tables.sql");
+const MIGRATIONS_DIR = path.join(ROOT_DIR, "prisma/migrations");
+
+const listMigrationFiles = () =>
+  fs
+    .readdirSync(MIGRATIONS_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => path.join(MIGRATIONS_DIR, entry.name, "migration.sql"))
+    .filter((file) => fs.existsSync(file))
+    .sort();
+
+export const withSearchPath = (connectionString, schema) => {
+  const url = new URL(connectionString);
+  url.searchParams.set("options", `-c search_path=${schema},public`);
+  return url.toString();
+};
+
+/**
+ * Creates a throwaway schema, bootstraps the pre-migration tables and replays
+ * every prisma migration into it in directory order.
+ */
+export const createTestSchema = async (connectionString) => {
+  const schema = `acader_test_${process.pid}_${Date.now()}`;
+  const client = new pg.Client({ connectionString });
+  await client.connect();
+
+  try {
+    await client.query(`CREATE SCHEMA "${schema}"`);
+    await client.query(`SET search_path TO "${schema}", public`);
+
+    await client.query(fs.readFileSync(BASE_TABLES_PATH, "utf8"));
+    for (const file of listMigrationFiles()) {
+      try {
+        await client.query(fs.readFileSync(file, "utf8"));
+      } catch (err) {
+        err.message = `${path.relative(ROOT_DIR, file)}: ${err.message}`;
+        throw err;
+      }
+    }
+  } catch (err) {
+    await client.query(`DROP SCHEMA IF EXISTS "${schema}" CASCADE`);
+    await client.end();
+    throw err;
+  }
+
+  await client.end();
+  return schema;
+};
+
+export const dropTestSchema = async (connectionString, schema) => {
+  const client = new pg.Client({ connectionString });
+  await client.connect();
+  try {
+    await client.query(`DROP SCHEMA IF EXISTS "${schema}" CASCADE`);
+  } finally {
+    await client.end();
+  }
+};
@@ -0,0 +1,184 @@
+import http from "http";
+
+const readJson = (req) =>
+  new Promise((resolve, reject) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on("error", reject);
+  });
+
+const send = (res, statusCode, body) => {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Minimal Paystack API double. Every request is recorded in `requests`;
+ * `transferStatus` controls what POST /transfer answers with ("pending",
+ * "otp", "reject" for a provider refusal, "error" for a 500 after the
+ * transfer was created, or "duplicate" for a reused reference) and
+ * `refundStatus` does the same for POST /refund ("pending", "reject" or
+ * "error"). Created transfers can be read back through
+ * GET /transfer/verify/:reference, and initialized checkouts verify with the
+ * amount and currency they were opened for. Account numbers listed in
+ * `unresolvableAccounts` fail GET /bank/resolve, and references in
+ * `unpaidReferences` verify as abandoned charges.
+ */
+export const startFakePaystack = async () => {
+  const state = {
+    requests: [],
+    transferStatus: "pending",
+    refundStatus: "pending",
+    banks: [{ name: "Test Bank", slug: "test-bank", code: "999" }],
+    unresolvableAccounts: new Set(),
+    unpaidReferences: new Set(),
+  };
+  const transfers = new Map();
+  const checkouts = new Map();
+  let transferSeq = 0;
+  let refundSeq = 0;
+  let evidenceSeq = 0;
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const body = req.method === "GET" ? {} : await readJson(req);
+    state.requests.push({ method: req.method, path: url.pathname, body });
+
+    if (req.headers.authorization !== `Bearer ${process.env.PAYSTACK_SECRET_KEY}`) {
+      return send(res, 401, { status: false, message: "Invalid key" });
+    }
+
+    if (req.method === "POST" && url.pathname === "/transaction/initialize") {
+      checkouts.set(body.reference, { amount: body.amount, currency: body.currency });
+      return send(res, 200, {
+        status: true,
+        data: {
+          authorization_url: `https://checkout.paystack.test/${body.reference}`,
+          access_code: `access_${body.reference}`,
+          reference: body.reference,
+        },
+      });
+    }
+
+    const verifyMatch = url.pathname.match(/^\/transaction\/verify\/(.+)$/);
+    if (req.method === "GET" && verifyMatch) {
+      const reference = decodeURIComponent(verifyMatch[1]);
+      return send(res, 200, {
+        status: true,
+        data: {
+          status: state.unpaidReferences.has(reference) ? "abandoned" : "success",
+          reference,
+          ...checkouts.get(reference),
+        },
+      });
+    }
+
+    if (req.method === "GET" && url.pathname === "/bank") {
+      return send(res, 200, { status: true, data: state.banks });
+    }
+
+    if (req.method === "GET" && url.pathname === "/bank/resolve") {
+      const accountNumber = url.searchParams.get("account_number");
+      const bankCode = url.searchParams.get("bank_code");
+      const bankKnown = state.banks.some((bank) => String(bank.code) === bankCode);
+      if (!bankKnown || state.unresolvableAccounts.has(accountNumber)) {
+        return send(res, 422, { status: false, message: "Could not resolve account name" });
+      }
+      return send(res, 200, {
+        status: true,
+        data: { account_number: accountNumber, account_name: "TEST ACCOUNT HOLDER" },
+      });
+    }
+
+    if (req.method === "POST" && url.pathname === "/transferrecipient") {
+      return send(res, 200, {
+        status: true,
+        data: { recipient_code: `RCP_${body.account_number}` },
+      });
+    }
+
+    if (req.method === "POST" && url.pathname === "/transfer") {
+      if (state.transferStatus === "reject") {
+        return send(res, 400, { status: false, message: "Insufficient balance" });
+      }
+      if (state.transferStatus === "duplicate") {
+        return send(res, 400, { status: false, message: "Duplicate Transfer Reference" });
+      }
+      transferSeq += 1;
+      const transfer = {
+        transfer_code: `TRF_${transferSeq}`,
+        reference: body.reference,
+        status: state.transferStatus === "error" ? "pending" : state.transferStatus,
+      };
+      transfers.set(body.reference, transfer);
+      if (state.transferStatus === "error") {
+        return send(res, 500, { status: false, message: "An error occurred" });
+      }
+      return send(res, 200, { status: true, data: transfer });
+    }
+
+    const transferVerifyMatch = url.pathname.match(/^\/transfer\/verify\/(.+)$/);
+    if (req.method === "GET" && transferVerifyMatch) {
+      const transfer = transfers.get(decodeURIComponent(transferVerifyMatch[1]));
+      if (!transfer) {
+        return send(res, 404, { status: false, message: "Transfer not found" });
+      }
+      return send(res, 200, { status: true, data: transfer });
+    }
+
+    if (req.method === "POST" && url.pathname === "/refund") {
+      if (state.refundStatus === "reject") {
+        return send(res, 400, { status: false, message: "Transaction has been fully reversed" });
+      }
+      if (state.refundStatus === "error") {
+        return send(res, 500, { status: false, message: "An error occurred" });
+      }
+      refundSeq += 1;
+      return send(res, 200, {
+        status: true,
+        data: {
+          id: refundSeq,
+          transaction: { reference: body.transaction },
+          amount: body.amount,
+          status: state.refundStatus,
+        },
+      });
+    }
+
+    const evidenceMatch = url.pathname.match(/^\/dispute\/([^/]+)\/evidence$/);
+    if (req.method === "POST" && evidenceMatch) {
+      evidenceSeq += 1;
+      return send(res, 200, {
+        status: true,
+        data: { id: evidenceSeq, dispute: decodeURIComponent(evidenceMatch[1]), ...body },
+      });
+    }
+
+    if (req.method === "POST" && url.pathname === "/transfer/finalize_transfer") {
+      return send(res, 200, {
+        status: true,
+        data: { transfer_code: body.transfer_code, status: "success" },
+      });
+    }
+
+    return send(res, 404, { status: false, message: "Not found" });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    state,
+    baseUrl: `http://127.0.0.1:${port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
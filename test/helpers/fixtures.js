@@ -0,0 +1,175 @@
+import assert from "node:assert/strict";
+
+let sequence = 0;
+
+/**
+ * Builds a company, a student, a started project with an accepted
+ * application and a pending payment, all through the public API.
+ */
+export const createEngagement = async (
+  harness,
+  { amount = 1000, currency, provider = "paystack", providerRef, category } = {},
+) => {
+  sequence += 1;
+  const company = await harness.createUser({ uid: `company-${sequence}` });
+  const student = await harness.createUser({ uid: `student-${sequence}` });
+  const companyRow = await harness.pool.query(
+    "INSERT INTO companies (user_id, name) VALUES ($1, $2) RETURNING id",
+    [company.id, `Company ${sequence}`],
+  );
+  const companyId = companyRow.rows[0].id;
+
+  const project = await harness.request("POST", "/api/projects", {
+    user: company,
+    body: { title: `Project ${sequence}`, budget: amount, category },
+  });
+  assert.equal(project.status, 201, JSON.stringify(project.body));
+  const projectId = project.body.id;
+
+  const application = await harness.request(
+    "POST",
+    `/api/projects/${projectId}/applications`,
+    { user: student, body: { cover_letter: "Hire me" } },
+  );
+  assert.equal(application.status, 201, JSON.stringify(application.body));
+  const applicationId = application.body.id;
+
+  const accepted = await harness.request(
+    "PATCH",
+    `/api/applications/${applicationId}/status`,
+    { user: company, body: { status: "accepted" } },
+  );
+  assert.equal(accepted.status, 200, JSON.stringify(accepted.body));
+
+  const started = await harness.request("POST", `/api/projects/${projectId}/start`, {
+    user: company,
+  });
+  assert.equal(started.status, 200, JSON.stringify(started.body));
+
+  const payment = await harness.request("POST", "/api/payments", {
+    user: company,
+    body: {
+      company_id: companyId,
+      project_id: projectId,
+      application_id: applicationId,
+      amount,
+      currency,
+      provider,
+      provider_ref: providerRef,
+    },
+  });
+  assert.equal(payment.status, 201, JSON.stringify(payment.body));
+
+  return {
+    company,
+    student,
+    companyId,
+    projectId,
+    applicationId,
+    payment: payment.body,
+  };
+};
+
+export const fundPayment = async (harness, payment) => {
+  const response = await harness.sendPaystackWebhook({
+    event: "charge.success",
+    data: {
+      id: `charge_${payment.id}`,
+      reference: payment.provider_ref,
+      amount: Math.round(Number(payment.amount) * 100),
+      status: "success",
+    },
+  });
+  assert.equal(response.status, 200);
+
+  const row = await harness.pool.query("SELECT status FROM payments WHERE id = $1", [
+    payment.id,
+  ]);
+  assert.equal(row.rows[0].status, "paid");
+};
+
+export const completeProject = async (harness, engagement) => {
+  const completed = await harness.request(
+    "POST",
+    `/api/projects/${engagement.projectId}/complete`,
+    { user: engagement.company },
+  );
+  assert.equal(completed.status, 200, JSON.stringify(completed.body));
+};
+
+/**
+ * Marks the user KYC-verified and saves a payout account through the API,
+ * which is what a withdrawal needs. Returns the saved account.
+ */
+export const preparePayee = async (
+  harness,
+  user,
+  { accountNumber = "0123456789", bankCode = "999", currency } = {},
+) => {
+  await harness.pool.query(
+    "UPDATE users SET kyc_status = 'verified', kyc_verified_at = NOW() WHERE id = $1",
+    [user.id],
+  );
+
+  const saved = await harness.request("POST", "/api/users/me/payout-accounts", {
+    user,
+    body: { bank_code: bankCode, account_number: accountNumber, currency },
+  });
+  assert.equal(saved.status, 201, JSON.stringify(saved.body));
+  return saved.body.account;
+};
+
+/**
+ * Sends Paystack's answer for the payment's pending refund: refund.processed
+ * or refund.failed, keyed the way Paystack keys it (transaction_reference).
+ */
+export const sendRefundWebhook = async (
+  harness,
+  payment,
+  { event = "refund.processed", gatewayResponse } = {},
+) => {
+  const refund = await harness.pool.query(
+    `SELECT id, provider_refund_id, amount
+     FROM payment_refunds
+     WHERE payment_id = $1 AND status = 'pending'
+     ORDER BY id DESC
+     LIMIT 1`,
+    [payment.id],
+  );
+  assert.equal(refund.rows.length, 1, "payment has no pending refund");
+
+  const response = await harness.sendPaystackWebhook({
+    event,
+    data: {
+      id: refund.rows[0].provider_refund_id ?? `refund_${refund.rows[0].id}`,
+      transaction_reference: payment.provider_ref,
+      amount: Math.round(Number(refund.rows[0].amount) * 100),
+      status: event === "refund.processed" ? "processed" : "failed",
+      ...(gatewayResponse ? { gateway_response: gatewayResponse } : {}),
+    },
+  });
+  assert.equal(response.status, 200);
+};
+
+/**
+ * Sends a Paystack charge.dispute.* event for the payment, with the charge
+ * reference nested under transaction the way Paystack sends it.
+ */
+export const sendDisputeWebhook = async (
+  harness,
+  payment,
+  { event = "charge.dispute.create", disputeId, resolution, dueAt } = {},
+) => {
+  const response = await harness.sendPaystackWebhook({
+    event,
+    data: {
+      id: disputeId ?? `dispute_${payment.id}`,
+      transaction: { reference: payment.provider_ref },
+      status: resolution ? "resolved" : "awaiting-merchant-feedback",
+      reason: "Customer does not recognise the charge",
+      ...(resolution ? { resolution } : {}),
+      ...(dueAt ? { due_at: dueAt } : {}),
+    },
+  });
+  assert.equal(response.status, 200);
+};
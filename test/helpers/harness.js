@@ -0,0 +1,221 @@
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import Stripe from "stripe";
+import { createTestSchema, dropTestSchema, withSearchPath } from "./database.js";
+import { startFakePaystack } from "./fake_paystack.js";
+
+const TOKEN_PREFIX = "test-token:";
+
+export const tokenFor = (uid) => `${TOKEN_PREFIX}${uid}`;
+
+export const skipWithoutDatabase = process.env.TEST_DATABASE_URL
+  ? false
+  : "TEST_DATABASE_URL is not set";
+
+/**
+ * Boots the real Express app against a throwaway schema, a stubbed Firebase
+ * verifier and a fake Paystack API. Environment must be in place before the
+ * app modules are imported because the pg pool reads DATABASE_URL on load.
+ */
+export const startHarness = async () => {
+  const testDatabaseUrl = process.env.TEST_DATABASE_URL;
+  const schema = await createTestSchema(testDatabaseUrl);
+  const paystack = await startFakePaystack();
+
+  process.env.DATABASE_URL = withSearchPath(testDatabaseUrl, schema);
+  process.env.PAYSTACK_SECRET_KEY = "sk_test_harness";
+  process.env.PAYSTACK_BASE_URL = paystack.baseUrl;
+  process.env.STRIPE_SECRET_KEY = "sk_test_harness";
+  process.env.STRIPE_WEBHOOK_SECRET = "whsec_harness";
+  process.env.PLATFORM_FEE_PERCENT = "10";
+
+  const { default: pool } = await import("../../src/config/db.js");
+  const { default: admin } = await import("../../src/config/firebase.js");
+  const { default: app } = await import("../../src/app.js");
+  const { rebuildWalletFromLedger } = await import(
+    "../../src/services/reconciliation.service.js"
+  );
+  const { syncWalletAvailableBalances } = await import(
+    "../../src/services/ledger.service.js"
+  );
+
+  admin.auth().verifyIdToken = async (token) => {
+    if (typeof token !== "string" || !token.startsWith(TOKEN_PREFIX)) {
+      throw new Error("Invalid test token");
+    }
+    const uid = token.slice(TOKEN_PREFIX.length);
+    return { uid, email: `${uid}@acader.test` };
+  };
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Accounts are backdated so the new-account risk rule does not gate every
+  // withdrawal in the suite.
+  const createUser = async ({ uid, role = "user", ageDays = 90 }) => {
+    const result = await pool.query(
+      `INSERT INTO users (firebase_uid, email, role, created_at)
+       VALUES ($1, $2, $3, NOW() - ($4 || ' days')::interval)
+       RETURNING id, firebase_uid, role`,
+      [uid, `${uid}@acader.test`, role, String(ageDays)],
+    );
+    return { ...result.rows[0], uid, token: tokenFor(uid) };
+  };
+
+  const systemUser = await createUser({ uid: "acader-system", role: "admin" });
+  process.env.ACADER_SYSTEM_USER_ID = String(systemUser.id);
+
+  const request = async (method, path, { user, body, headers: extraHeaders } = {}) => {
+    const headers = { "Content-Type": "application/json", ...extraHeaders };
+    if (user) {
+      headers.Authorization = `Bearer ${user.token}`;
+    }
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch {
+      json = text;
+    }
+    return { status: response.status, headers: response.headers, body: json };
+  };
+
+  const sendPaystackWebhook = async (event) => {
+    const raw = JSON.stringify(event);
+    const signature = crypto
+      .createHmac("sha512", process.env.PAYSTACK_SECRET_KEY)
+      .update(raw)
+      .digest("hex");
+    const response = await fetch(`${baseUrl}/api/webhooks/paystack`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-paystack-signature": signature,
+      },
+      body: raw,
+    });
+    return { status: response.status };
+  };
+
+  const sendStripeWebhook = async (event) => {
+    const raw = JSON.stringify(event);
+    const signature = Stripe.webhooks.generateTestHeaderString({
+      payload: raw,
+      secret: process.env.STRIPE_WEBHOOK_SECRET,
+    });
+    const response = await fetch(`${baseUrl}/api/webhooks/stripe`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "stripe-signature": signature,
+      },
+      body: raw,
+    });
+    return { status: response.status };
+  };
+
+  const getBalances = async (userId, currency = null) => {
+    const result = await pool.query(
+      `SELECT
+         COALESCE(SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END)
+           FILTER (WHERE balance_type = 'available'), 0)::float AS available,
+         COALESCE(SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END)
+           FILTER (WHERE balance_type = 'escrow'), 0)::float AS escrow,
+         COALESCE(SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END)
+           FILTER (WHERE balance_type = 'locked'), 0)::float AS locked,
+         COALESCE(SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END)
+           FILTER (WHERE balance_type = 'revenue'), 0)::float AS revenue,
+         COALESCE(SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END)
+           FILTER (WHERE balance_type = 'reserve'), 0)::float AS reserve,
+         COALESCE(SUM(CASE WHEN direction = 'debit' THEN amount ELSE -amount END)
+           FILTER (WHERE balance_type = 'receivable'), 0)::float AS receivable
+       FROM ledger_entries
+       WHERE user_id = $1
+         AND ($2::text IS NULL OR currency = $2)`,
+      [userId, currency],
+    );
+    return result.rows[0];
+  };
+
+  /**
+   * Credits an aged available balance funded from the platform account, so
+   * withdrawal tests are not gated by the new-money risk rules. The rows are
+   * written directly because the ledger service always stamps NOW().
+   */
+  const seedAvailableBalance = async (userId, amount, { ageDays = 30 } = {}) => {
+    const reference = `seed_${userId}_${crypto.randomUUID()}`;
+    await pool.query(
+      `INSERT INTO ledger_entries
+         (user_id, amount, direction, balance_type, type, reference, idempotency_key, created_at)
+       VALUES
+         (NULL, $2, 'debit', 'platform', 'opening_balance', $3, $3 || ':debit',
+          NOW() - ($4 || ' days')::interval),
+         ($1, $2, 'credit', 'available', 'opening_balance', $3, $3 || ':credit',
+          NOW() - ($4 || ' days')::interval)`,
+      [userId, amount, reference, String(ageDays)],
+    );
+    await syncWalletAvailableBalances(pool, [userId]);
+  };
+
+  /**
+   * Every wallet must match its ledger rebuild and the ledger must balance
+   * in each currency (total debits equal total credits).
+   */
+  const assertLedgerInvariants = async () => {
+    const wallets = await pool.query(
+      "SELECT id, available_balance, escrow_balance FROM wallets ORDER BY id",
+    );
+    for (const wallet of wallets.rows) {
+      const rebuilt = await rebuildWalletFromLedger(wallet.id);
+      assert.equal(
+        Number(wallet.available_balance),
+        rebuilt.available_expected,
+        `wallet ${wallet.id} available balance drifted from ledger`,
+      );
+      assert.equal(
+        Number(wallet.escrow_balance),
+        rebuilt.escrow_expected,
+        `wallet ${wallet.id} escrow balance drifted from ledger`,
+      );
+    }
+
+    const totals = await pool.query(
+      `SELECT
+         currency,
+         COALESCE(SUM(amount) FILTER (WHERE direction = 'credit'), 0)::numeric(14,2) AS credits,
+         COALESCE(SUM(amount) FILTER (WHERE direction = 'debit'), 0)::numeric(14,2) AS debits
+       FROM ledger_entries
+       GROUP BY currency`,
+    );
+    for (const row of totals.rows) {
+      assert.equal(row.credits, row.debits, `${row.currency} ledger is unbalanced`);
+    }
+  };
+
+  const close = async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await pool.end();
+    await paystack.close();
+    await dropTestSchema(testDatabaseUrl, schema);
+  };
+
+  return {
+    pool,
+    paystack,
+    request,
+    createUser,
+    sendPaystackWebhook,
+    sendStripeWebhook,
+    getBalances,
+    seedAvailableBalance,
+    assertLedgerInvariants,
+    close,
+  };
+};
@@ -0,0 +1,142 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import {
+  completeProject,
+  createEngagement,
+  fundPayment,
+} from "../helpers/fixtures.js";
+
+describe("escrow auto-release", { skip: skipWithoutDatabase }, () => {
+  let harness;
+  let runEscrowAutoRelease;
+
+  const completedHoursAgo = async (engagement, hours) => {
+    await completeProject(harness, engagement);
+    await harness.pool.query(
+      "UPDATE projects SET completed_at = NOW() - ($1 || ' hours')::interval WHERE id = $2",
+      [String(hours), engagement.projectId],
+    );
+  };
+
+  const paymentStatus = async (paymentId) => {
+    const result = await harness.pool.query("SELECT status FROM payments WHERE id = $1", [
+      paymentId,
+    ]);
+    return result.rows[0].status;
+  };
+
+  before(async () => {
+    harness = await startHarness();
+    ({ runEscrowAutoRelease } = await import(
+      "../../src/services/escrow_auto_release.service.js"
+    ));
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  it("reminds the company once per threshold inside the window", async () => {
+    const engagement = await createEngagement(harness, { amount: 300 });
+    await fundPayment(harness, engagement.payment);
+    await completedHoursAgo(engagement, 30);
+
+    await runEscrowAutoRelease();
+    await runEscrowAutoRelease();
+
+    const reminders = await harness.pool.query(
+      `SELECT COUNT(*)::int AS count FROM notifications
+       WHERE user_id = $1 AND type = 'escrow_auto_release_reminder'`,
+      [engagement.company.id],
+    );
+    assert.equal(reminders.rows[0].count, 1);
+    assert.equal(await paymentStatus(engagement.payment.id), "paid");
+  });
+
+  it("releases escrow once the review window expires", async () => {
+    const engagement = await createEngagement(harness, { amount: 400 });
+    await fundPayment(harness, engagement.payment);
+    await completedHoursAgo(engagement, 73);
+
+    const summary = await runEscrowAutoRelease();
+    assert.ok(summary.released >= 1);
+    assert.equal(await paymentStatus(engagement.payment.id), "released");
+    assert.equal((await harness.getBalances(engagement.student.id)).available, 360);
+
+    const events = await harness.pool.query(
+      `SELECT event_payload FROM financial_event_log
+       WHERE payment_id = $1
+         AND event_type = 'ESCROW_RELEASED'
+         AND event_payload->>'source' = 'auto_release'`,
+      [engagement.payment.id],
+    );
+    assert.equal(events.rows.length, 1);
+    assert.equal(Number(events.rows[0].event_payload.amount), 400);
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("holds a payment while its dispute is under review", async () => {
+    const admin = await harness.createUser({ uid: "admin-auto-release", role: "admin" });
+    const engagement = await createEngagement(harness, { amount: 250 });
+    await fundPayment(harness, engagement.payment);
+    await completedHoursAgo(engagement, 100);
+    const dispute = await harness.request(
+      "POST",
+      `/api/payments/${engagement.payment.id}/dispute`,
+      { user: engagement.company, body: { reason: "Missing pages" } },
+    );
+    assert.equal(dispute.status, 201, JSON.stringify(dispute.body));
+
+    const review = await harness.request(
+      "PATCH",
+      `/api/admin/disputes/${dispute.body.dispute.id}/status`,
+      { user: admin, body: { status: "under_review" } },
+    );
+    assert.equal(review.status, 200, JSON.stringify(review.body));
+    // The dispute record alone has to hold the escrow.
+    await harness.pool.query("UPDATE payments SET disputed = false WHERE id = $1", [
+      engagement.payment.id,
+    ]);
+
+    await runEscrowAutoRelease();
+
+    assert.equal(await paymentStatus(engagement.payment.id), "paid");
+    assert.equal((await harness.getBalances(engagement.company.id)).escrow, 250);
+  });
+
+  it("holds disputed payments and restricted students", async () => {
+    const disputed = await createEngagement(harness, { amount: 200 });
+    await fundPayment(harness, disputed.payment);
+    await completedHoursAgo(disputed, 100);
+    const dispute = await harness.request(
+      "POST",
+      `/api/payments/${disputed.payment.id}/dispute`,
+      { user: disputed.company, body: { reason: "Work incomplete" } },
+    );
+    assert.equal(dispute.status, 201, JSON.stringify(dispute.body));
+
+    const restricted = await createEngagement(harness, { amount: 200 });
+    await fundPayment(harness, restricted.payment);
+    await completedHoursAgo(restricted, 100);
+    await harness.pool.query(
+      "INSERT INTO wallet_restrictions (user_id, reason) VALUES ($1, 'test')",
+      [restricted.student.id],
+    );
+
+    await runEscrowAutoRelease();
+    await runEscrowAutoRelease();
+
+    assert.equal(await paymentStatus(disputed.payment.id), "paid");
+    assert.equal(await paymentStatus(restricted.payment.id), "paid");
+
+    const rejections = await harness.pool.query(
+      `SELECT event_payload FROM financial_event_log
+       WHERE payment_id = $1 AND event_type = 'ESCROW_RELEASE_REJECTED'`,
+      [restricted.payment.id],
+    );
+    assert.equal(rejections.rows.length, 1);
+    assert.equal(rejections.rows[0].event_payload.source, "auto_release");
+  });
+});
@@ -0,0 +1,141 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import {
+  completeProject,
+  createEngagement,
+  fundPayment,
+  sendDisputeWebhook,
+} from "../helpers/fixtures.js";
+
+describe("provider chargebacks", { skip: skipWithoutDatabase }, () => {
+  let harness;
+  let admin;
+
+  const loadState = async (paymentId) => {
+    const result = await harness.pool.query(
+      `SELECT p.status, p.disputed, d.id AS dispute_id, d.status AS dispute_status,
+              d.resolution, c.status AS chargeback_status, c.clawback_status
+       FROM payments p
+       JOIN disputes d ON d.payment_id = p.id
+       JOIN payment_chargebacks c ON c.dispute_id = d.id
+       WHERE p.id = $1`,
+      [paymentId],
+    );
+    return result.rows[0];
+  };
+
+  before(async () => {
+    harness = await startHarness();
+    admin = await harness.createUser({ uid: "admin-chargebacks", role: "admin" });
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  it("escalates on reminder, uploads evidence and lifts the freeze when won", async () => {
+    const engagement = await createEngagement(harness, { amount: 400 });
+    await fundPayment(harness, engagement.payment);
+
+    await sendDisputeWebhook(harness, engagement.payment);
+    let state = await loadState(engagement.payment.id);
+    assert.equal(state.disputed, true);
+    assert.equal(state.dispute_status, "open");
+    assert.equal(state.chargeback_status, "open");
+
+    await sendDisputeWebhook(harness, engagement.payment, {
+      event: "charge.dispute.remind",
+      dueAt: "2026-03-20T12:00:00.000Z",
+    });
+    state = await loadState(engagement.payment.id);
+    assert.equal(state.dispute_status, "under_review");
+    const alerts = await harness.pool.query(
+      "SELECT message FROM notifications WHERE user_id = $1 AND type = 'chargeback_alert'",
+      [admin.id],
+    );
+    assert.equal(alerts.rows.length, 1);
+    assert.match(alerts.rows[0].message, /due 2026-03-20 12:00 UTC/);
+
+    const preview = await harness.request(
+      "GET",
+      `/api/admin/disputes/${state.dispute_id}/chargeback`,
+      { user: admin },
+    );
+    assert.equal(preview.status, 200, JSON.stringify(preview.body));
+    assert.equal(preview.body.evidence.customer.email, `${engagement.company.uid}@acader.test`);
+    assert.equal(preview.body.evidence.messages[0].body, "Hire me");
+
+    const submitted = await harness.request(
+      "POST",
+      `/api/admin/disputes/${state.dispute_id}/chargeback/evidence`,
+      { user: admin, body: { notes: "Work was delivered on time" } },
+    );
+    assert.equal(submitted.status, 200, JSON.stringify(submitted.body));
+    assert.ok(submitted.body.chargeback.evidence_submitted_at);
+    const upload = harness.paystack.state.requests.at(-1);
+    assert.equal(upload.path, `/dispute/dispute_${engagement.payment.id}/evidence`);
+    assert.match(upload.body.service_details, /Hire me/);
+    assert.match(upload.body.service_details, /Notes: Work was delivered on time/);
+
+    const early = await harness.request(
+      "PATCH",
+      `/api/admin/disputes/${state.dispute_id}/resolve`,
+      { user: admin, body: { resolution: "refund_to_company" } },
+    );
+    assert.equal(early.status, 409);
+
+    await sendDisputeWebhook(harness, engagement.payment, {
+      event: "charge.dispute.resolve",
+      resolution: "declined",
+    });
+    state = await loadState(engagement.payment.id);
+    assert.equal(state.status, "paid");
+    assert.equal(state.disputed, false);
+    assert.equal(state.dispute_status, "rejected");
+    assert.equal(state.chargeback_status, "won");
+    assert.equal((await harness.getBalances(engagement.company.id)).escrow, 400);
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("claws a lost chargeback back from a released payment", async () => {
+    const engagement = await createEngagement(harness, { amount: 500 });
+    await fundPayment(harness, engagement.payment);
+    await completeProject(harness, engagement);
+    const released = await harness.request(
+      "PATCH",
+      `/api/payments/${engagement.payment.id}/status`,
+      { user: admin, body: { status: "released" } },
+    );
+    assert.equal(released.status, 200, JSON.stringify(released.body));
+
+    await sendDisputeWebhook(harness, engagement.payment);
+    await sendDisputeWebhook(harness, engagement.payment, {
+      event: "charge.dispute.resolve",
+      resolution: "merchant-accepted",
+    });
+
+    const state = await loadState(engagement.payment.id);
+    assert.equal(state.status, "refunded");
+    assert.equal(state.disputed, false);
+    assert.equal(state.dispute_status, "resolved");
+    assert.equal(state.resolution, "refund_to_company");
+    assert.equal(state.chargeback_status, "lost");
+    assert.equal(state.clawback_status, "posted");
+
+    const student = await harness.getBalances(engagement.student.id);
+    assert.equal(student.available, 0);
+    const company = await harness.getBalances(engagement.company.id);
+    assert.equal(company.available, 0);
+    assert.equal(company.escrow, 0);
+
+    const notices = await harness.pool.query(
+      "SELECT type FROM notifications WHERE user_id = $1 AND type = 'chargeback_lost'",
+      [engagement.company.id],
+    );
+    assert.equal(notices.rows.length, 1);
+
+    await harness.assertLedgerInvariants();
+  });
+});
@@ -0,0 +1,114 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import {
+  completeProject,
+  createEngagement,
+  fundPayment,
+} from "../helpers/fixtures.js";
+
+describe("company self-service release", { skip: skipWithoutDatabase }, () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  it("releases escrow after the company confirms", async () => {
+    const engagement = await createEngagement(harness, { amount: 200 });
+    await fundPayment(harness, engagement.payment);
+    const releasePath = `/api/payments/${engagement.payment.id}/release`;
+
+    const early = await harness.request("POST", releasePath, {
+      user: engagement.company,
+    });
+    assert.equal(early.status, 400);
+    assert.equal(early.body.message, "Project not completed");
+
+    await completeProject(harness, engagement);
+
+    const byStudent = await harness.request("POST", releasePath, {
+      user: engagement.student,
+    });
+    assert.equal(byStudent.status, 403);
+
+    const started = await harness.request("POST", releasePath, {
+      user: engagement.company,
+    });
+    assert.equal(started.status, 200, JSON.stringify(started.body));
+    assert.equal(started.body.student_amount, 180);
+    assert.equal(started.body.platform_fee, 20);
+    assert.equal((await harness.getBalances(engagement.company.id)).escrow, 200);
+
+    const wrongToken = await harness.request("POST", `${releasePath}/confirm`, {
+      user: engagement.company,
+      body: { confirmation_token: "not-the-token" },
+    });
+    assert.equal(wrongToken.status, 400);
+
+    const confirmed = await harness.request("POST", `${releasePath}/confirm`, {
+      user: engagement.company,
+      body: { confirmation_token: started.body.confirmation_token },
+    });
+    assert.equal(confirmed.status, 200, JSON.stringify(confirmed.body));
+    assert.equal(confirmed.body.payment.status, "released");
+    assert.equal((await harness.getBalances(engagement.student.id)).available, 180);
+
+    const reused = await harness.request("POST", `${releasePath}/confirm`, {
+      user: engagement.company,
+      body: { confirmation_token: started.body.confirmation_token },
+    });
+    assert.equal(reused.status, 400);
+
+    const event = await harness.pool.query(
+      `SELECT event_payload FROM financial_event_log
+       WHERE payment_id = $1
+         AND event_type = 'ESCROW_RELEASED'
+         AND event_payload->>'source' = 'company_release'`,
+      [engagement.payment.id],
+    );
+    assert.equal(event.rows.length, 1);
+    assert.equal(event.rows[0].event_payload.released_by, engagement.company.id);
+
+    const audit = await harness.pool.query(
+      `SELECT reason, actor_id, admin_id FROM risk_audit_logs
+       WHERE related_payment_id = $1 AND action_type = 'ESCROW_RELEASE_APPROVED'`,
+      [engagement.payment.id],
+    );
+    assert.deepEqual(audit.rows, [
+      { reason: "COMPANY_RELEASE", actor_id: engagement.company.id, admin_id: null },
+    ]);
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("refuses to confirm once a dispute is opened", async () => {
+    const engagement = await createEngagement(harness, { amount: 300 });
+    await fundPayment(harness, engagement.payment);
+    await completeProject(harness, engagement);
+    const releasePath = `/api/payments/${engagement.payment.id}/release`;
+
+    const started = await harness.request("POST", releasePath, {
+      user: engagement.company,
+    });
+    assert.equal(started.status, 200, JSON.stringify(started.body));
+
+    const dispute = await harness.request(
+      "POST",
+      `/api/payments/${engagement.payment.id}/dispute`,
+      { user: engagement.company, body: { reason: "Scope disagreement" } },
+    );
+    assert.equal(dispute.status, 201, JSON.stringify(dispute.body));
+
+    const confirmed = await harness.request("POST", `${releasePath}/confirm`, {
+      user: engagement.company,
+      body: { confirmation_token: started.body.confirmation_token },
+    });
+    assert.equal(confirmed.status, 409);
+    assert.equal((await harness.getBalances(engagement.student.id)).available, 0);
+  });
+});
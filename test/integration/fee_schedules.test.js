@@ -0,0 +1,142 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import {
+  completeProject,
+  createEngagement,
+  fundPayment,
+} from "../helpers/fixtures.js";
+
+describe("fee schedules", { skip: skipWithoutDatabase }, () => {
+  let harness;
+  let admin;
+
+  const platformFeeEntries = async (reference) => {
+    const result = await harness.pool.query(
+      "SELECT amount FROM ledger_entries WHERE type = 'platform_fee' AND reference = $1",
+      [reference],
+    );
+    return result.rows.map((row) => Number(row.amount));
+  };
+
+  before(async () => {
+    harness = await startHarness();
+    admin = await harness.createUser({ uid: "admin-fees", role: "admin" });
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  it("applies a negotiated company rate and keeps the recorded fee after edits", async () => {
+    const engagement = await createEngagement(harness, { amount: 1000, category: "Design" });
+    await fundPayment(harness, engagement.payment);
+    await completeProject(harness, engagement);
+
+    const invalid = await harness.request("POST", "/api/admin/fees", {
+      user: admin,
+      body: { name: "Flat without currency", fee_type: "flat", rate: 50 },
+    });
+    assert.equal(invalid.status, 400);
+
+    const created = await harness.request("POST", "/api/admin/fees", {
+      user: admin,
+      body: {
+        name: "Partner rate",
+        fee_type: "percentage",
+        rate: 5,
+        currency: "NGN",
+        max_fee: 40,
+        company_id: engagement.companyId,
+      },
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    const scheduleId = created.body.schedule.id;
+
+    const otherCategory = await harness.request("POST", "/api/admin/fees", {
+      user: admin,
+      body: { name: "Writing", fee_type: "percentage", rate: 2, project_category: "writing" },
+    });
+    assert.equal(otherCategory.status, 201, JSON.stringify(otherCategory.body));
+
+    const releasePath = `/api/payments/${engagement.payment.id}/release`;
+    const preview = await harness.request("POST", releasePath, { user: engagement.company });
+    assert.equal(preview.status, 200, JSON.stringify(preview.body));
+    assert.equal(preview.body.platform_fee, 40);
+    assert.equal(preview.body.student_amount, 960);
+
+    const confirmed = await harness.request("POST", `${releasePath}/confirm`, {
+      user: engagement.company,
+      body: { confirmation_token: preview.body.confirmation_token },
+    });
+    assert.equal(confirmed.status, 200, JSON.stringify(confirmed.body));
+    assert.equal((await harness.getBalances(engagement.student.id)).available, 960);
+    assert.deepEqual(await platformFeeEntries(engagement.payment.provider_ref), [40]);
+
+    const edited = await harness.request("PATCH", `/api/admin/fees/${scheduleId}`, {
+      user: admin,
+      body: { rate: 8, max_fee: null },
+    });
+    assert.equal(edited.status, 200, JSON.stringify(edited.body));
+
+    const recorded = await harness.request(
+      "GET",
+      `/api/admin/fees/releases?payment_id=${engagement.payment.id}`,
+      { user: admin },
+    );
+    assert.equal(recorded.status, 200, JSON.stringify(recorded.body));
+    assert.equal(recorded.body.releases.length, 1);
+    const [release] = recorded.body.releases;
+    assert.equal(release.fee_schedule_id, scheduleId);
+    assert.equal(Number(release.rate), 5);
+    assert.equal(Number(release.max_fee), 40);
+    assert.equal(Number(release.fee_amount), 40);
+
+    const removed = await harness.request("DELETE", `/api/admin/fees/${scheduleId}`, {
+      user: admin,
+    });
+    assert.equal(removed.status, 200, JSON.stringify(removed.body));
+    assert.equal(removed.body.schedule.active, false);
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("releases fee-free to students in a promotional tier", async () => {
+    const engagement = await createEngagement(harness, { amount: 300 });
+    await fundPayment(harness, engagement.payment);
+    await completeProject(harness, engagement);
+
+    const promo = await harness.request("POST", "/api/admin/fees", {
+      user: admin,
+      body: { name: "New student promo", fee_type: "percentage", rate: 0, student_tier: "New" },
+    });
+    assert.equal(promo.status, 201, JSON.stringify(promo.body));
+    assert.equal(promo.body.schedule.student_tier, "new");
+
+    const tiered = await harness.request(
+      "PATCH",
+      `/api/admin/users/${engagement.student.id}/student-tier`,
+      { user: admin, body: { student_tier: "new" } },
+    );
+    assert.equal(tiered.status, 200, JSON.stringify(tiered.body));
+
+    const released = await harness.request(
+      "PATCH",
+      `/api/payments/${engagement.payment.id}/status`,
+      { user: admin, body: { status: "released" } },
+    );
+    assert.equal(released.status, 200, JSON.stringify(released.body));
+    assert.equal((await harness.getBalances(engagement.student.id)).available, 300);
+    assert.deepEqual(await platformFeeEntries(engagement.payment.provider_ref), []);
+
+    const recorded = await harness.pool.query(
+      "SELECT fee_schedule_id, fee_amount FROM payment_release_fees WHERE payment_id = $1",
+      [engagement.payment.id],
+    );
+    assert.deepEqual(recorded.rows, [
+      { fee_schedule_id: promo.body.schedule.id, fee_amount: "0.00" },
+    ]);
+
+    await harness.assertLedgerInvariants();
+  });
+});
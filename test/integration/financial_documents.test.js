@@ -0,0 +1,120 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import {
+  completeProject,
+  createEngagement,
+  fundPayment,
+  preparePayee,
+} from "../helpers/fixtures.js";
+
+describe("invoices and receipts", { skip: skipWithoutDatabase }, () => {
+  let harness;
+  let admin;
+
+  const documentsOf = async (user, type) => {
+    const response = await harness.request("GET", `/api/documents?type=${type}`, { user });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    return response.body.documents;
+  };
+
+  const numberOf = (document) => Number(document.document_number.split("-")[2]);
+
+  before(async () => {
+    harness = await startHarness();
+    admin = await harness.createUser({ uid: "admin-documents", role: "admin" });
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  it("invoices escrow funding and itemises the fee on the release receipt", async () => {
+    const first = await createEngagement(harness, { amount: 1000 });
+    await fundPayment(harness, first.payment);
+    const second = await createEngagement(harness, { amount: 400 });
+    await fundPayment(harness, second.payment);
+    // A replayed charge webhook must not issue a second invoice.
+    await fundPayment(harness, first.payment);
+
+    const [invoice] = await documentsOf(first.company, "invoice");
+    assert.match(invoice.document_number, /^INV-\d{4}-\d{6}$/);
+    assert.equal(invoice.payment_id, first.payment.id);
+    assert.equal(Number(invoice.total_amount), 1000);
+    const [secondInvoice] = await documentsOf(second.company, "invoice");
+    assert.equal(numberOf(secondInvoice), numberOf(invoice) + 1);
+
+    await completeProject(harness, first);
+    const releasePath = `/api/payments/${first.payment.id}/release`;
+    const preview = await harness.request("POST", releasePath, { user: first.company });
+    assert.equal(preview.status, 200, JSON.stringify(preview.body));
+    const confirmed = await harness.request("POST", `${releasePath}/confirm`, {
+      user: first.company,
+      body: { confirmation_token: preview.body.confirmation_token },
+    });
+    assert.equal(confirmed.status, 200, JSON.stringify(confirmed.body));
+
+    const receipts = await documentsOf(first.student, "release_receipt");
+    assert.equal(receipts.length, 1);
+    const receipt = receipts[0];
+    assert.match(receipt.document_number, /^RCT-\d{4}-\d{6}$/);
+    assert.equal(Number(receipt.total_amount), preview.body.student_amount);
+    assert.deepEqual(
+      receipt.line_items.map((item) => item.amount),
+      [1000, -preview.body.platform_fee],
+    );
+
+    const pdf = await harness.request("GET", `/api/documents/${receipt.id}/pdf`, {
+      user: first.student,
+    });
+    assert.equal(pdf.status, 200);
+    assert.ok(String(pdf.body).startsWith("%PDF"));
+
+    const stranger = await harness.request("GET", `/api/documents/${receipt.id}`, {
+      user: first.company,
+    });
+    assert.equal(stranger.status, 403);
+    const asAdmin = await harness.request("GET", `/api/documents/${receipt.id}`, {
+      user: admin,
+    });
+    assert.equal(asAdmin.status, 200);
+    assert.equal(asAdmin.body.document.document_number, receipt.document_number);
+  });
+
+  it("issues a receipt once a withdrawal is paid out", async () => {
+    const student = await harness.createUser({ uid: "documents-payee" });
+    await harness.seedAvailableBalance(student.id, 800);
+    const payoutAccount = await preparePayee(harness, student);
+
+    const created = await harness.request("POST", "/api/withdrawals", {
+      user: student,
+      body: { amount: 300, payout_account_id: payoutAccount.id },
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    const withdrawal = created.body.withdrawal;
+
+    const approved = await harness.request(
+      "PATCH",
+      `/api/withdrawals/${withdrawal.id}/status`,
+      { user: admin, body: { status: "approved" } },
+    );
+    assert.equal(approved.status, 200, JSON.stringify(approved.body));
+    assert.deepEqual(await documentsOf(student, "withdrawal_receipt"), []);
+
+    const webhook = await harness.sendPaystackWebhook({
+      event: "transfer.success",
+      data: {
+        id: `transfer_${withdrawal.id}`,
+        reference: withdrawal.provider_ref,
+        transfer_code: approved.body.withdrawal.transfer_code,
+        status: "success",
+      },
+    });
+    assert.equal(webhook.status, 200);
+
+    const [receipt] = await documentsOf(student, "withdrawal_receipt");
+    assert.equal(receipt.withdrawal_id, withdrawal.id);
+    assert.equal(Number(receipt.total_amount), 300);
+    assert.match(receipt.details.account_number, /^\*+\d{4}$/);
+  });
+});
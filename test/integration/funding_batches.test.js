@@ -0,0 +1,247 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import { fundPayment } from "../helpers/fixtures.js";
+
+describe("funding batches", { skip: skipWithoutDatabase }, () => {
+  let harness;
+  let admin;
+  let company;
+  let companyId;
+  let projectId;
+
+  const addApplication = async (uid, status = "accepted") => {
+    const student = await harness.createUser({ uid });
+    const result = await harness.pool.query(
+      `INSERT INTO applications (project_id, user_id, cover_letter, status, created_at, updated_at)
+       VALUES ($1, $2, 'Batch applicant', $3, NOW(), NOW())
+       RETURNING id`,
+      [projectId, student.id, status],
+    );
+    return result.rows[0].id;
+  };
+
+  const createBatch = async (items) => {
+    const created = await harness.request("POST", "/api/funding-batches", {
+      user: company,
+      body: { items },
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    return created.body;
+  };
+
+  const batchCharge = (id, reference, amount, event = "charge.success") => ({
+    event,
+    data: { id, reference, amount: Math.round(amount * 100), currency: "NGN", status: "success" },
+  });
+
+  const paymentStatuses = async (batchId) => {
+    const result = await harness.pool.query(
+      "SELECT status FROM payments WHERE funding_batch_id = $1 ORDER BY id ASC",
+      [batchId],
+    );
+    return result.rows.map((row) => row.status);
+  };
+
+  before(async () => {
+    harness = await startHarness();
+    admin = await harness.createUser({ uid: "batch-admin", role: "admin" });
+    company = await harness.createUser({ uid: "batch-company" });
+    const companyRow = await harness.pool.query(
+      "INSERT INTO companies (user_id, name) VALUES ($1, 'Batch Co') RETURNING id",
+      [company.id],
+    );
+    companyId = companyRow.rows[0].id;
+    const project = await harness.request("POST", "/api/projects", {
+      user: company,
+      body: { title: "Batch project", budget: 700 },
+    });
+    assert.equal(project.status, 201, JSON.stringify(project.body));
+    projectId = project.body.id;
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  it("reports every bad row and charges nothing", async () => {
+    const accepted = await addApplication("batch-row-ok");
+    const pending = await addApplication("batch-row-pending", "pending");
+
+    const response = await harness.request("POST", "/api/funding-batches", {
+      user: company,
+      body: {
+        items: [
+          { application_id: accepted, amount: 100 },
+          { application_id: pending, amount: 100 },
+          { application_id: accepted, amount: 50 },
+          { application_id: 999999, amount: 10 },
+          { application_id: accepted, amount: -5 },
+        ],
+      },
+    });
+    assert.equal(response.status, 400, JSON.stringify(response.body));
+    assert.deepEqual(
+      response.body.errors.map((error) => error.row),
+      [2, 3, 4, 5],
+    );
+
+    const created = await harness.pool.query(
+      "SELECT COUNT(*)::int AS count FROM payments WHERE application_id = $1",
+      [accepted],
+    );
+    assert.equal(created.rows[0].count, 0);
+  });
+
+  it("funds each application's escrow once the batch charge succeeds", async () => {
+    const first = await addApplication("batch-student-1");
+    const second = await addApplication("batch-student-2");
+
+    const created = await harness.request("POST", "/api/funding-batches", {
+      user: company,
+      body: { csv: `application_id,amount\n${first},400\n"${second}","300.00"\n` },
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    assert.match(created.body.reference, /^batch_/);
+    assert.equal(Number(created.body.batch.total_amount), 700);
+    assert.equal(created.body.batch.payments.length, 2);
+
+    const again = await harness.request("POST", "/api/funding-batches", {
+      user: company,
+      body: { items: [{ application_id: first, amount: 400 }] },
+    });
+    assert.equal(again.status, 400);
+    assert.match(again.body.errors[0].message, /in progress/);
+
+    const charge = {
+      event: "charge.success",
+      data: {
+        id: 9101,
+        reference: created.body.reference,
+        amount: 70000,
+        currency: "NGN",
+        status: "success",
+      },
+    };
+    assert.equal((await harness.sendPaystackWebhook(charge)).status, 200);
+    // A replayed webhook must not hold the escrow twice.
+    assert.equal((await harness.sendPaystackWebhook(charge)).status, 200);
+
+    const batch = await harness.request(
+      "GET",
+      `/api/funding-batches/${created.body.batch.id}`,
+      { user: company },
+    );
+    assert.equal(batch.status, 200, JSON.stringify(batch.body));
+    assert.equal(batch.body.batch.status, "paid");
+    assert.deepEqual(
+      batch.body.batch.payments.map((payment) => payment.status),
+      ["paid", "paid"],
+    );
+    assert.equal((await harness.getBalances(company.id)).escrow, 700);
+
+    const invoices = await harness.pool.query(
+      `SELECT COUNT(*)::int AS count FROM financial_documents
+       WHERE document_type = 'invoice' AND user_id = $1`,
+      [company.id],
+    );
+    assert.equal(invoices.rows[0].count, 2);
+
+    const stranger = await harness.createUser({ uid: "batch-stranger" });
+    const hidden = await harness.request(
+      "GET",
+      `/api/funding-batches/${created.body.batch.id}`,
+      { user: stranger },
+    );
+    assert.equal(hidden.status, 403);
+  });
+
+  it("rejects an unknown provider before charging", async () => {
+    const application = await addApplication("batch-provider");
+    const response = await harness.request("POST", "/api/funding-batches", {
+      user: company,
+      body: { provider: "nowhere", items: [{ application_id: application, amount: 100 }] },
+    });
+    assert.equal(response.status, 400);
+    assert.match(response.body.message, /provider must be one of/);
+  });
+
+  it("leaves the batch unfunded when the charge does not match its total", async () => {
+    const application = await addApplication("batch-mismatch");
+    const created = await createBatch([{ application_id: application, amount: 250 }]);
+
+    const short = batchCharge("batch-short", created.reference, 25);
+    assert.equal((await harness.sendPaystackWebhook(short)).status, 200);
+    assert.deepEqual(await paymentStatuses(created.batch.id), ["pending"]);
+    assert.equal((await harness.getBalances(company.id)).escrow, 700);
+
+    const alerts = await harness.pool.query(
+      `SELECT message FROM notifications
+       WHERE user_id = $1 AND type = 'funding_batch_alert'`,
+      [admin.id],
+    );
+    assert.equal(alerts.rows.length, 1);
+    assert.match(alerts.rows[0].message, /needs/);
+
+    const wrongCurrency = batchCharge("batch-usd", created.reference, 250);
+    wrongCurrency.data.currency = "USD";
+    assert.equal((await harness.sendPaystackWebhook(wrongCurrency)).status, 200);
+    assert.deepEqual(await paymentStatuses(created.batch.id), ["pending"]);
+
+    const full = batchCharge("batch-full", created.reference, 250);
+    assert.equal((await harness.sendPaystackWebhook(full)).status, 200);
+    assert.deepEqual(await paymentStatuses(created.batch.id), ["paid"]);
+    assert.equal((await harness.getBalances(company.id)).escrow, 950);
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("refunds the share of an application funded again after the batch failed", async () => {
+    const refunded = await addApplication("batch-refunded");
+    const kept = await addApplication("batch-kept");
+    const created = await createBatch([
+      { application_id: refunded, amount: 120 },
+      { application_id: kept, amount: 80 },
+    ]);
+
+    const failed = batchCharge("batch-failed", created.reference, 200, "charge.failed");
+    assert.equal((await harness.sendPaystackWebhook(failed)).status, 200);
+    assert.deepEqual(await paymentStatuses(created.batch.id), ["failed", "failed"]);
+
+    const replacement = await harness.request("POST", "/api/payments", {
+      user: company,
+      body: {
+        company_id: companyId,
+        project_id: projectId,
+        application_id: refunded,
+        amount: 120,
+        provider_ref: "batch-replacement",
+      },
+    });
+    assert.equal(replacement.status, 201, JSON.stringify(replacement.body));
+    await fundPayment(harness, replacement.body);
+    const escrowBefore = (await harness.getBalances(company.id)).escrow;
+
+    // The charge went through after all.
+    const late = batchCharge("batch-late", created.reference, 200);
+    assert.equal((await harness.sendPaystackWebhook(late)).status, 200);
+    assert.deepEqual(await paymentStatuses(created.batch.id), ["failed", "paid"]);
+    assert.equal((await harness.getBalances(company.id)).escrow, escrowBefore + 80);
+
+    const charge = await harness.pool.query(
+      "SELECT amount, status, reason FROM duplicate_charges WHERE provider_ref = $1",
+      [created.reference],
+    );
+    assert.equal(charge.rows.length, 1);
+    assert.equal(Number(charge.rows[0].amount), 120);
+    assert.equal(charge.rows[0].status, "refund_requested");
+    assert.match(charge.rows[0].reason, new RegExp(`application #${refunded}`));
+    const refunds = harness.paystack.state.requests.filter(
+      (entry) => entry.path === "/refund" && entry.body.transaction === created.reference,
+    );
+    assert.equal(refunds.length, 1);
+    assert.equal(refunds[0].body.amount, 12000);
+
+    await harness.assertLedgerInvariants();
+  });
+});
@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import {
+  createEngagement,
+  fundPayment,
+  preparePayee,
+} from "../helpers/fixtures.js";
+
+describe("Idempotency-Key header", { skip: skipWithoutDatabase }, () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  it("replays a retried withdrawal instead of creating a second one", async () => {
+    const student = await harness.createUser({ uid: "payee-idempotent" });
+    await harness.seedAvailableBalance(student.id, 1000);
+    const account = await preparePayee(harness, student);
+
+    const send = (amount) =>
+      harness.request("POST", "/api/withdrawals", {
+        user: student,
+        headers: { "Idempotency-Key": "withdrawal-retry-1" },
+        body: { amount, payout_account_id: account.id },
+      });
+
+    const first = await send(400);
+    assert.equal(first.status, 201, JSON.stringify(first.body));
+    assert.equal(first.headers.get("idempotent-replayed"), null);
+
+    const retry = await send(400);
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get("idempotent-replayed"), "true");
+    assert.deepEqual(retry.body, first.body);
+
+    const reused = await send(300);
+    assert.equal(reused.status, 422);
+
+    const rows = await harness.pool.query(
+      "SELECT COUNT(*)::int AS count FROM withdrawals WHERE user_id = $1",
+      [student.id],
+    );
+    assert.equal(rows.rows[0].count, 1);
+    assert.equal((await harness.getBalances(student.id)).available, 600);
+  });
+
+  it("opens a single dispute for a retried request", async () => {
+    const engagement = await createEngagement(harness, { amount: 300 });
+    await fundPayment(harness, engagement.payment);
+
+    const send = () =>
+      harness.request("POST", `/api/payments/${engagement.payment.id}/dispute`, {
+        user: engagement.company,
+        headers: { "Idempotency-Key": "dispute-retry-1" },
+        body: { reason: "Work not delivered" },
+      });
+
+    const first = await send();
+    assert.equal(first.status, 201, JSON.stringify(first.body));
+    const retry = await send();
+    assert.equal(retry.status, 201);
+    assert.deepEqual(retry.body, first.body);
+
+    const disputes = await harness.pool.query(
+      "SELECT COUNT(*)::int AS count FROM disputes WHERE payment_id = $1",
+      [engagement.payment.id],
+    );
+    assert.equal(disputes.rows[0].count, 1);
+  });
+
+  it("scopes keys to the caller", async () => {
+    const alice = await harness.createUser({ uid: "payee-scope-a" });
+    const bob = await harness.createUser({ uid: "payee-scope-b" });
+    await harness.seedAvailableBalance(alice.id, 500);
+    await harness.seedAvailableBalance(bob.id, 500);
+
+    for (const user of [alice, bob]) {
+      const account = await preparePayee(harness, user);
+      const created = await harness.request("POST", "/api/withdrawals", {
+        user,
+        headers: { "Idempotency-Key": "shared-key" },
+        body: { amount: 100, payout_account_id: account.id },
+      });
+      assert.equal(created.status, 201, JSON.stringify(created.body));
+      assert.equal(created.body.withdrawal.user_id, user.id);
+    }
+  });
+});
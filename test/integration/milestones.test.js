@@ -0,0 +1,156 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import { createEngagement, fundPayment } from "../helpers/fixtures.js";
+
+describe("milestones", { skip: skipWithoutDatabase }, () => {
+  let harness;
+  let admin;
+
+  const paymentStatus = async (paymentId) => {
+    const result = await harness.pool.query("SELECT status FROM payments WHERE id = $1", [
+      paymentId,
+    ]);
+    return result.rows[0].status;
+  };
+
+  /** Funds a new engagement and splits its payment into the given amounts. */
+  const createPlan = async (amounts) => {
+    const engagement = await createEngagement(harness, {
+      amount: amounts.reduce((sum, amount) => sum + amount, 0),
+    });
+    await fundPayment(harness, engagement.payment);
+
+    const path = `/api/payments/${engagement.payment.id}/milestones`;
+    const created = await harness.request("POST", path, {
+      user: engagement.company,
+      body: {
+        milestones: amounts.map((amount, index) => ({ title: `Part ${index + 1}`, amount })),
+      },
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    return { engagement, path, milestones: created.body.milestones };
+  };
+
+  const submitAndApprove = async ({ engagement, path }, milestone) => {
+    const submitted = await harness.request("POST", `${path}/${milestone.id}/submit`, {
+      user: engagement.student,
+      body: { deliverable_url: "https://example.test/deliverable" },
+    });
+    assert.equal(submitted.status, 200, JSON.stringify(submitted.body));
+    assert.equal(submitted.body.milestone.status, "submitted");
+
+    const approved = await harness.request("POST", `${path}/${milestone.id}/approve`, {
+      user: engagement.company,
+    });
+    assert.equal(approved.status, 200, JSON.stringify(approved.body));
+    return approved.body;
+  };
+
+  before(async () => {
+    harness = await startHarness();
+    admin = await harness.createUser({ uid: "admin-milestones", role: "admin" });
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  it("releases an approved milestone to the student minus the platform fee", async () => {
+    const plan = await createPlan([600, 400]);
+    const { engagement, path, milestones } = plan;
+
+    const redefined = await harness.request("POST", path, {
+      user: engagement.company,
+      body: { milestones: [{ title: "Again", amount: 1000 }] },
+    });
+    assert.equal(redefined.status, 409);
+
+    const bySelf = await harness.request("POST", `${path}/${milestones[0].id}/approve`, {
+      user: engagement.student,
+    });
+    assert.equal(bySelf.status, 403);
+
+    const approved = await submitAndApprove(plan, milestones[0]);
+    assert.equal(approved.milestone.status, "released");
+    assert.equal(Number(approved.student_amount), 540);
+    assert.equal(Number(approved.platform_fee), 60);
+    assert.equal(approved.payment_status, "paid");
+
+    assert.equal((await harness.getBalances(engagement.student.id)).available, 540);
+    assert.equal((await harness.getBalances(engagement.company.id)).escrow, 400);
+    assert.equal(await paymentStatus(engagement.payment.id), "paid");
+
+    const replay = await harness.request("POST", `${path}/${milestones[0].id}/approve`, {
+      user: engagement.company,
+    });
+    assert.equal(replay.status, 409);
+    assert.equal((await harness.getBalances(engagement.student.id)).available, 540);
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("freezes a disputed milestone while another one is released", async () => {
+    const plan = await createPlan([500, 300]);
+    const { engagement, path, milestones } = plan;
+
+    const disputed = await harness.request("POST", `${path}/${milestones[1].id}/dispute`, {
+      user: engagement.student,
+      body: { reason: "Scope disagreement" },
+    });
+    assert.equal(disputed.status, 201, JSON.stringify(disputed.body));
+
+    const frozen = await harness.request("POST", `${path}/${milestones[1].id}/approve`, {
+      user: engagement.company,
+    });
+    assert.equal(frozen.status, 409);
+
+    await submitAndApprove(plan, milestones[0]);
+    assert.equal((await harness.getBalances(engagement.student.id)).available, 450);
+    assert.equal((await harness.getBalances(engagement.company.id)).escrow, 300);
+    assert.equal(await paymentStatus(engagement.payment.id), "paid");
+
+    // Refunding the frozen milestone settles the plan; one release is
+    // enough for the payment to count as released.
+    const resolved = await harness.request(
+      "PATCH",
+      `/api/admin/disputes/${disputed.body.dispute.id}/resolve`,
+      { user: admin, body: { resolution: "refund_to_company" } },
+    );
+    assert.equal(resolved.status, 200, JSON.stringify(resolved.body));
+
+    const companyBalances = await harness.getBalances(engagement.company.id);
+    assert.equal(companyBalances.escrow, 0);
+    assert.equal(companyBalances.available, 300);
+    assert.equal((await harness.getBalances(engagement.student.id)).available, 450);
+    assert.equal(await paymentStatus(engagement.payment.id), "released");
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("settles the payment when the final milestone is released", async () => {
+    const plan = await createPlan([300, 700]);
+    const { engagement, milestones } = plan;
+
+    const first = await submitAndApprove(plan, milestones[0]);
+    assert.equal(first.payment_status, "paid");
+
+    const last = await submitAndApprove(plan, milestones[1]);
+    assert.equal(last.payment_status, "released");
+    assert.equal(Number(last.student_amount), 630);
+
+    assert.equal(await paymentStatus(engagement.payment.id), "released");
+    assert.equal((await harness.getBalances(engagement.student.id)).available, 900);
+    assert.equal((await harness.getBalances(engagement.company.id)).escrow, 0);
+
+    const fees = await harness.pool.query(
+      `SELECT COALESCE(SUM(fee_amount), 0)::numeric AS total
+       FROM payment_release_fees
+       WHERE payment_id = $1`,
+      [engagement.payment.id],
+    );
+    assert.equal(Number(fees.rows[0].total), 100);
+
+    await harness.assertLedgerInvariants();
+  });
+});
@@ -0,0 +1,115 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import {
+  completeProject,
+  createEngagement,
+  fundPayment,
+} from "../helpers/fixtures.js";
+
+describe("multi-currency balances", { skip: skipWithoutDatabase }, () => {
+  let harness;
+  let admin;
+  let ledger;
+
+  before(async () => {
+    harness = await startHarness();
+    ledger = await import("../../src/services/ledger.service.js");
+    admin = await harness.createUser({ uid: "admin-currency", role: "admin" });
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  it("keeps a USD payment in USD balances through release", async () => {
+    const engagement = await createEngagement(harness, {
+      amount: 200,
+      currency: "usd",
+    });
+    assert.equal(engagement.payment.currency, "USD");
+    await fundPayment(harness, engagement.payment);
+
+    assert.equal((await harness.getBalances(engagement.company.id, "USD")).escrow, 200);
+    assert.equal((await harness.getBalances(engagement.company.id, "NGN")).escrow, 0);
+
+    await completeProject(harness, engagement);
+    const released = await harness.request(
+      "PATCH",
+      `/api/payments/${engagement.payment.id}/status`,
+      { user: admin, body: { status: "released" } },
+    );
+    assert.equal(released.status, 200, JSON.stringify(released.body));
+
+    const wallet = await harness.request("GET", "/api/wallet?currency=USD", {
+      user: engagement.student,
+    });
+    assert.equal(wallet.status, 200);
+    assert.deepEqual(wallet.body, {
+      currency: "USD",
+      available: 180,
+      escrow: 0,
+      locked: 0,
+      reserve: 0,
+      receivable: 0,
+    });
+
+    const wallets = await harness.pool.query(
+      "SELECT currency, available_balance FROM wallets WHERE user_id = $1 ORDER BY currency",
+      [engagement.student.id],
+    );
+    assert.deepEqual(
+      wallets.rows.map((row) => [row.currency, Number(row.available_balance)]),
+      [
+        ["NGN", 0],
+        ["USD", 180],
+      ],
+    );
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("rejects unsupported currencies and cross-currency double entries", async () => {
+    const company = await harness.createUser({ uid: "company-currency" });
+    const invalid = await harness.request("POST", "/api/payments", {
+      user: company,
+      body: { amount: 100, currency: "EUR", application_id: 1 },
+    });
+    assert.equal(invalid.status, 400);
+
+    const client = await harness.pool.connect();
+    try {
+      await assert.rejects(
+        ledger.createDoubleEntry(client, {
+          amount: 10,
+          type: "adjustment",
+          idempotencyBase: "test:cross-currency",
+          debitUserId: null,
+          debitBalanceType: ledger.BALANCE_TYPES.PLATFORM,
+          debitCurrency: "NGN",
+          creditUserId: company.id,
+          creditBalanceType: ledger.BALANCE_TYPES.AVAILABLE,
+          creditCurrency: "USD",
+        }),
+        { status: 400, message: /Cross-currency/ },
+      );
+    } finally {
+      client.release();
+    }
+  });
+
+  it("writes one settlement report per currency", async () => {
+    const { generateDailySettlementReport } = await import(
+      "../../src/services/settlement.service.js"
+    );
+    const today = new Date().toISOString().slice(0, 10);
+    const { reports } = await generateDailySettlementReport(today);
+
+    const byCurrency = Object.fromEntries(
+      reports.map((report) => [report.currency, report]),
+    );
+    assert.ok(byCurrency.NGN);
+    assert.equal(Number(byCurrency.USD.escrow_inflow), 200);
+    assert.equal(Number(byCurrency.USD.released_to_students), 180);
+  });
+});
@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import http from "http";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import { createEngagement, fundPayment } from "../helpers/fixtures.js";
+
+const startReceiver = async () => {
+  const state = { requests: [], respondWith: 200 };
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      state.requests.push({ headers: req.headers, raw });
+      res.writeHead(state.respondWith);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    state,
+    url: `http://127.0.0.1:${server.address().port}/acader`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+describe("outbound webhooks", { skip: skipWithoutDatabase }, () => {
+  let harness;
+  let admin;
+  let receiver;
+  let processDueWebhookDeliveries;
+  let subscription;
+
+  before(async () => {
+    harness = await startHarness();
+    ({ processDueWebhookDeliveries } = await import(
+      "../../src/services/outbound_webhook.service.js"
+    ));
+    admin = await harness.createUser({ uid: "admin-webhooks", role: "admin" });
+    receiver = await startReceiver();
+
+    const created = await harness.request("POST", "/api/admin/webhook-subscriptions", {
+      user: admin,
+      body: { url: receiver.url, event_types: ["ESCROW_FUNDED"] },
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    subscription = created.body.subscription;
+    assert.match(subscription.secret, /^whsec_/);
+  });
+
+  after(async () => {
+    await receiver?.close();
+    await harness?.close();
+  });
+
+  it("delivers matching events with a verifiable signature", async () => {
+    const engagement = await createEngagement(harness, { amount: 250 });
+    await fundPayment(harness, engagement.payment);
+
+    const summary = await processDueWebhookDeliveries();
+    assert.equal(summary.succeeded, 1);
+    assert.equal(receiver.state.requests.length, 1);
+
+    const [request] = receiver.state.requests;
+    const expected = crypto
+      .createHmac("sha256", subscription.secret)
+      .update(`${request.headers["x-acader-timestamp"]}.${request.raw}`)
+      .digest("hex");
+    assert.equal(request.headers["x-acader-signature"], `v1=${expected}`);
+    assert.equal(request.headers["x-acader-event"], "ESCROW_FUNDED");
+
+    const body = JSON.parse(request.raw);
+    assert.equal(body.type, "ESCROW_FUNDED");
+    assert.equal(body.data.payment_id, engagement.payment.id);
+  });
+
+  it("backs off after a failure and succeeds on manual redelivery", async () => {
+    receiver.state.requests = [];
+    receiver.state.respondWith = 503;
+
+    const engagement = await createEngagement(harness, { amount: 125 });
+    await fundPayment(harness, engagement.payment);
+
+    const summary = await processDueWebhookDeliveries();
+    assert.equal(summary.retrying, 1);
+
+    const log = await harness.request(
+      "GET",
+      `/api/admin/webhook-subscriptions/${subscription.id}/deliveries?status=pending`,
+      { user: admin },
+    );
+    assert.equal(log.status, 200);
+    const [delivery] = log.body.deliveries;
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.last_response_status, 503);
+    assert.ok(new Date(delivery.next_attempt_at) > new Date());
+
+    assert.equal((await processDueWebhookDeliveries()).claimed, 0);
+
+    receiver.state.respondWith = 204;
+    const redelivered = await harness.request(
+      "POST",
+      `/api/admin/webhook-deliveries/${delivery.id}/redeliver`,
+      { user: admin },
+    );
+    assert.equal(redelivered.status, 200, JSON.stringify(redelivered.body));
+    assert.equal(redelivered.body.delivery.status, "succeeded");
+    assert.equal(receiver.state.requests.length, 2);
+  });
+});
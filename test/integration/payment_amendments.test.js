@@ -0,0 +1,183 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import {
+  completeProject,
+  createEngagement,
+  fundPayment,
+} from "../helpers/fixtures.js";
+
+describe("payment amendments", { skip: skipWithoutDatabase }, () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  it("charges the agreed difference into the same payment's escrow", async () => {
+    const engagement = await createEngagement(harness, { amount: 1000 });
+    await fundPayment(harness, engagement.payment);
+    const amendmentsPath = `/api/payments/${engagement.payment.id}/amendments`;
+
+    const byStudent = await harness.request("POST", amendmentsPath, {
+      user: engagement.student,
+      body: { amount: 1500 },
+    });
+    assert.equal(byStudent.status, 403);
+
+    const lower = await harness.request("POST", amendmentsPath, {
+      user: engagement.company,
+      body: { amount: 800 },
+    });
+    assert.equal(lower.status, 400);
+
+    const proposed = await harness.request("POST", amendmentsPath, {
+      user: engagement.company,
+      body: { amount: 1500, reason: "Extra pages" },
+    });
+    assert.equal(proposed.status, 201, JSON.stringify(proposed.body));
+    const { amendment } = proposed.body;
+    assert.equal(Number(amendment.difference), 500);
+
+    const early = await harness.request("POST", `${amendmentsPath}/${amendment.id}/checkout`, {
+      user: engagement.company,
+    });
+    assert.equal(early.status, 409);
+
+    const accepted = await harness.request("POST", `${amendmentsPath}/${amendment.id}/accept`, {
+      user: engagement.student,
+    });
+    assert.equal(accepted.status, 200, JSON.stringify(accepted.body));
+    assert.equal(accepted.body.amendment.status, "accepted");
+
+    const checkout = await harness.request("POST", `${amendmentsPath}/${amendment.id}/checkout`, {
+      user: engagement.company,
+    });
+    assert.equal(checkout.status, 201, JSON.stringify(checkout.body));
+    assert.match(checkout.body.reference, /^amend_/);
+
+    const charge = {
+      event: "charge.success",
+      data: {
+        id: 9201,
+        reference: checkout.body.reference,
+        amount: 50000,
+        currency: "NGN",
+        status: "success",
+      },
+    };
+    assert.equal((await harness.sendPaystackWebhook(charge)).status, 200);
+    // A replayed webhook must not credit the difference twice.
+    assert.equal((await harness.sendPaystackWebhook(charge)).status, 200);
+
+    const payment = await harness.pool.query(
+      "SELECT amount, amended_at, provider_ref FROM payments WHERE id = $1",
+      [engagement.payment.id],
+    );
+    assert.equal(Number(payment.rows[0].amount), 1500);
+    assert.ok(payment.rows[0].amended_at);
+    assert.equal((await harness.getBalances(engagement.company.id)).escrow, 1500);
+
+    const entries = await harness.pool.query(
+      "SELECT COUNT(*)::int AS count FROM ledger_entries WHERE type = 'escrow_amendment' AND reference = $1",
+      [payment.rows[0].provider_ref],
+    );
+    assert.ok(entries.rows[0].count > 0);
+
+    const invoices = await harness.pool.query(
+      `SELECT COUNT(*)::int AS count FROM financial_documents
+       WHERE document_type = 'invoice' AND user_id = $1`,
+      [engagement.company.id],
+    );
+    assert.equal(invoices.rows[0].count, 2);
+
+    const history = await harness.request("GET", amendmentsPath, { user: engagement.student });
+    assert.equal(history.status, 200);
+    assert.deepEqual(
+      history.body.amendments.map((row) => row.status),
+      ["paid"],
+    );
+
+    await completeProject(harness, engagement);
+    const releasePath = `/api/payments/${engagement.payment.id}/release`;
+    const started = await harness.request("POST", releasePath, { user: engagement.company });
+    assert.equal(started.status, 200, JSON.stringify(started.body));
+    const confirmed = await harness.request("POST", `${releasePath}/confirm`, {
+      user: engagement.company,
+      body: { confirmation_token: started.body.confirmation_token },
+    });
+    assert.equal(confirmed.status, 200, JSON.stringify(confirmed.body));
+    assert.equal((await harness.getBalances(engagement.student.id)).available, 1350);
+    assert.equal((await harness.getBalances(engagement.company.id)).escrow, 0);
+    await harness.assertLedgerInvariants();
+  });
+
+  it("credits a charge through an earlier checkout only for the agreed difference", async () => {
+    const admin = await harness.createUser({ uid: "admin-amendments", role: "admin" });
+    const engagement = await createEngagement(harness, { amount: 1000 });
+    await fundPayment(harness, engagement.payment);
+    const amendmentsPath = `/api/payments/${engagement.payment.id}/amendments`;
+
+    const proposed = await harness.request("POST", amendmentsPath, {
+      user: engagement.company,
+      body: { amount: 1200 },
+    });
+    assert.equal(proposed.status, 201, JSON.stringify(proposed.body));
+    const amendmentPath = `${amendmentsPath}/${proposed.body.amendment.id}`;
+    const accepted = await harness.request("POST", `${amendmentPath}/accept`, {
+      user: engagement.student,
+    });
+    assert.equal(accepted.status, 200, JSON.stringify(accepted.body));
+
+    const first = await harness.request("POST", `${amendmentPath}/checkout`, {
+      user: engagement.company,
+    });
+    const second = await harness.request("POST", `${amendmentPath}/checkout`, {
+      user: engagement.company,
+    });
+    assert.equal(first.status, 201, JSON.stringify(first.body));
+    assert.equal(second.status, 201, JSON.stringify(second.body));
+    assert.notEqual(first.body.reference, second.body.reference);
+
+    const chargeFor = (id, reference, amount) => ({
+      event: "charge.success",
+      data: { id, reference, amount, currency: "NGN", status: "success" },
+    });
+    const loadAlerts = async () =>
+      harness.pool.query(
+        `SELECT message FROM notifications
+         WHERE user_id = $1 AND type = 'payment_amendment_alert'
+         ORDER BY id ASC`,
+        [admin.id],
+      );
+
+    // Short of the difference: nothing is credited and admins hear about it.
+    await harness.sendPaystackWebhook(chargeFor(9301, first.body.reference, 10000));
+    assert.equal((await harness.getBalances(engagement.company.id)).escrow, 1000);
+    let alerts = await loadAlerts();
+    assert.equal(alerts.rows.length, 1);
+    assert.match(alerts.rows[0].message, /needs/);
+
+    // The earlier link still settles the amendment after a newer one opened.
+    await harness.sendPaystackWebhook(chargeFor(9302, first.body.reference, 20000));
+    assert.equal((await harness.getBalances(engagement.company.id)).escrow, 1200);
+    const amendment = await harness.pool.query(
+      "SELECT status, provider_ref FROM payment_amendments WHERE id = $1",
+      [proposed.body.amendment.id],
+    );
+    assert.deepEqual(amendment.rows[0], { status: "paid", provider_ref: first.body.reference });
+
+    // Paying the other link too is flagged rather than credited again.
+    await harness.sendPaystackWebhook(chargeFor(9303, second.body.reference, 20000));
+    assert.equal((await harness.getBalances(engagement.company.id)).escrow, 1200);
+    alerts = await loadAlerts();
+    assert.equal(alerts.rows.length, 2);
+    assert.match(alerts.rows[1].message, /another checkout/);
+
+    await harness.assertLedgerInvariants();
+  });
+});
@@ -0,0 +1,192 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import {
+  completeProject,
+  createEngagement,
+  fundPayment,
+  sendRefundWebhook,
+} from "../helpers/fixtures.js";
+
+describe("payment escrow flows", { skip: skipWithoutDatabase }, () => {
+  let harness;
+  let admin;
+
+  before(async () => {
+    harness = await startHarness();
+    admin = await harness.createUser({ uid: "admin-payments", role: "admin" });
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  it("funds escrow from charge.success and releases net of the platform fee", async () => {
+    const engagement = await createEngagement(harness, { amount: 1000 });
+    await fundPayment(harness, engagement.payment);
+
+    let company = await harness.getBalances(engagement.company.id);
+    assert.equal(company.escrow, 1000);
+
+    await completeProject(harness, engagement);
+    const released = await harness.request(
+      "PATCH",
+      `/api/payments/${engagement.payment.id}/status`,
+      { user: admin, body: { status: "released" } },
+    );
+    assert.equal(released.status, 200, JSON.stringify(released.body));
+    assert.equal(released.body.payment.status, "released");
+
+    company = await harness.getBalances(engagement.company.id);
+    const student = await harness.getBalances(engagement.student.id);
+    const revenue = await harness.getBalances(Number(process.env.ACADER_SYSTEM_USER_ID));
+    assert.equal(company.escrow, 0);
+    assert.equal(student.available, 900);
+    assert.ok(revenue.revenue >= 100);
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("ignores a replayed charge.success webhook", async () => {
+    const engagement = await createEngagement(harness, { amount: 400 });
+    await fundPayment(harness, engagement.payment);
+    await fundPayment(harness, engagement.payment);
+
+    const company = await harness.getBalances(engagement.company.id);
+    assert.equal(company.escrow, 400);
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("refunds a paid payment back to the company", async () => {
+    const engagement = await createEngagement(harness, { amount: 750 });
+    await fundPayment(harness, engagement.payment);
+
+    const refunded = await harness.request(
+      "POST",
+      `/api/payments/${engagement.payment.id}/refund`,
+      { user: admin, body: { reason: "Project cancelled" } },
+    );
+    assert.equal(refunded.status, 200, JSON.stringify(refunded.body));
+    assert.equal(refunded.body.refund_type, "escrow_refund");
+    assert.equal(refunded.body.payment.status, "refund_pending");
+
+    const refundCall = harness.paystack.state.requests.find(
+      (request) =>
+        request.path === "/refund" &&
+        request.body.transaction === engagement.payment.provider_ref,
+    );
+    assert.equal(refundCall.body.amount, 75000);
+
+    let company = await harness.getBalances(engagement.company.id);
+    assert.equal(company.escrow, 0);
+    assert.equal(company.available, 0);
+    assert.equal(company.locked, 750);
+
+    await sendRefundWebhook(harness, engagement.payment);
+
+    const payment = await harness.pool.query("SELECT status FROM payments WHERE id = $1", [
+      engagement.payment.id,
+    ]);
+    assert.equal(payment.rows[0].status, "refunded");
+    company = await harness.getBalances(engagement.company.id);
+    assert.equal(company.locked, 0);
+    assert.equal(company.available, 0);
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("refunds a released payment from the student and platform revenue", async () => {
+    const engagement = await createEngagement(harness, { amount: 500 });
+    await fundPayment(harness, engagement.payment);
+    await completeProject(harness, engagement);
+    const released = await harness.request(
+      "PATCH",
+      `/api/payments/${engagement.payment.id}/status`,
+      { user: admin, body: { status: "released" } },
+    );
+    assert.equal(released.status, 200, JSON.stringify(released.body));
+
+    const refunded = await harness.request(
+      "POST",
+      `/api/payments/${engagement.payment.id}/refund`,
+      { user: admin },
+    );
+    assert.equal(refunded.status, 200, JSON.stringify(refunded.body));
+    assert.equal(refunded.body.refund_type, "released_refund");
+
+    const company = await harness.getBalances(engagement.company.id);
+    const student = await harness.getBalances(engagement.student.id);
+    assert.equal(company.locked, 500);
+    assert.equal(student.available, 0);
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("resolves a dispute with a refund to the company", async () => {
+    const engagement = await createEngagement(harness, { amount: 600 });
+    await fundPayment(harness, engagement.payment);
+
+    const opened = await harness.request(
+      "POST",
+      `/api/payments/${engagement.payment.id}/dispute`,
+      { user: engagement.company, body: { reason: "Work not delivered" } },
+    );
+    assert.equal(opened.status, 201, JSON.stringify(opened.body));
+    const disputeId = opened.body.dispute?.id ?? opened.body.id;
+
+    const blocked = await harness.request(
+      "POST",
+      `/api/payments/${engagement.payment.id}/refund`,
+      { user: admin },
+    );
+    assert.equal(blocked.status, 409);
+
+    const resolved = await harness.request(
+      "PATCH",
+      `/api/admin/disputes/${disputeId}/resolve`,
+      { user: admin, body: { resolution: "refund_to_company" } },
+    );
+    assert.equal(resolved.status, 200, JSON.stringify(resolved.body));
+
+    const payment = await harness.pool.query(
+      "SELECT status, disputed FROM payments WHERE id = $1",
+      [engagement.payment.id],
+    );
+    assert.equal(payment.rows[0].status, "refund_pending");
+    assert.equal(payment.rows[0].disputed, false);
+
+    const company = await harness.getBalances(engagement.company.id);
+    assert.equal(company.escrow, 0);
+    assert.equal(company.locked, 600);
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("resolves a dispute by releasing to the student", async () => {
+    const engagement = await createEngagement(harness, { amount: 300 });
+    await fundPayment(harness, engagement.payment);
+
+    const opened = await harness.request(
+      "POST",
+      `/api/payments/${engagement.payment.id}/dispute`,
+      { user: engagement.company, body: { reason: "Quality concerns" } },
+    );
+    assert.equal(opened.status, 201, JSON.stringify(opened.body));
+    const disputeId = opened.body.dispute?.id ?? opened.body.id;
+
+    const resolved = await harness.request(
+      "PATCH",
+      `/api/admin/disputes/${disputeId}/resolve`,
+      { user: admin, body: { resolution: "release_to_student" } },
+    );
+    assert.equal(resolved.status, 200, JSON.stringify(resolved.body));
+
+    const student = await harness.getBalances(engagement.student.id);
+    const company = await harness.getBalances(engagement.company.id);
+    assert.equal(student.available, 270);
+    assert.equal(company.escrow, 0);
+
+    await harness.assertLedgerInvariants();
+  });
+});
@@ -0,0 +1,113 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import {
+  completeProject,
+  createEngagement,
+  fundPayment,
+  sendRefundWebhook,
+} from "../helpers/fixtures.js";
+
+describe("payment status history", { skip: skipWithoutDatabase }, () => {
+  let harness;
+  let admin;
+
+  before(async () => {
+    harness = await startHarness();
+    admin = await harness.createUser({ uid: "admin-history", role: "admin" });
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  it("records every transition with its actor and source", async () => {
+    const engagement = await createEngagement(harness, { amount: 500 });
+    const paymentId = engagement.payment.id;
+    await fundPayment(harness, engagement.payment);
+    await completeProject(harness, engagement);
+
+    const released = await harness.request("PATCH", `/api/payments/${paymentId}/status`, {
+      user: admin,
+      body: { status: "released" },
+    });
+    assert.equal(released.status, 200, JSON.stringify(released.body));
+
+    const refunded = await harness.request("POST", `/api/payments/${paymentId}/refund`, {
+      user: admin,
+      body: { reason: "Work rejected" },
+    });
+    assert.equal(refunded.status, 200, JSON.stringify(refunded.body));
+    await sendRefundWebhook(harness, engagement.payment);
+
+    const history = await harness.request("GET", `/api/payments/${paymentId}/history`, {
+      user: engagement.company,
+    });
+    assert.equal(history.status, 200, JSON.stringify(history.body));
+    assert.equal(history.body.status, "refunded");
+    assert.deepEqual(
+      history.body.history.map((row) => [
+        row.from_status,
+        row.to_status,
+        row.source,
+        row.actor_id,
+      ]),
+      [
+        [null, "pending", "payment_create", engagement.company.id],
+        ["pending", "paid", "paystack_webhook", null],
+        ["paid", "released", "admin_payment_status", admin.id],
+        ["released", "refund_pending", "admin_refund", admin.id],
+        ["refund_pending", "refunded", "paystack_webhook", null],
+      ],
+    );
+    assert.equal(history.body.history[3].reason, "Work rejected");
+
+    const byStudent = await harness.request("GET", `/api/payments/${paymentId}/history`, {
+      user: engagement.student,
+    });
+    assert.equal(byStudent.status, 403);
+  });
+
+  it("rejects transitions the state machine does not allow", async () => {
+    const engagement = await createEngagement(harness, { amount: 250 });
+    const paymentId = engagement.payment.id;
+    await fundPayment(harness, engagement.payment);
+    await completeProject(harness, engagement);
+
+    const released = await harness.request("PATCH", `/api/payments/${paymentId}/status`, {
+      user: admin,
+      body: { status: "released" },
+    });
+    assert.equal(released.status, 200, JSON.stringify(released.body));
+
+    const backwards = await harness.request("PATCH", `/api/payments/${paymentId}/status`, {
+      user: admin,
+      body: { status: "paid" },
+    });
+    assert.equal(backwards.status, 400);
+    assert.equal(backwards.body.message, "Invalid transition: released → paid");
+
+    const lateFailure = await harness.sendPaystackWebhook({
+      event: "charge.failed",
+      data: {
+        id: `charge_failed_${paymentId}`,
+        reference: engagement.payment.provider_ref,
+        status: "failed",
+      },
+    });
+    assert.equal(lateFailure.status, 200);
+
+    const rows = await harness.pool.query(
+      `SELECT p.status, COUNT(h.id)::int AS transitions
+       FROM payments p
+       JOIN payment_status_history h ON h.payment_id = p.id
+       WHERE p.id = $1
+       GROUP BY p.status`,
+      [paymentId],
+    );
+    assert.deepEqual(rows.rows, [{ status: "released", transitions: 3 }]);
+    assert.equal((await harness.getBalances(engagement.student.id)).available, 225);
+
+    await harness.assertLedgerInvariants();
+  });
+});
@@ -0,0 +1,135 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import { createEngagement, fundPayment } from "../helpers/fixtures.js";
+
+describe("pending payment expiry", { skip: skipWithoutDatabase }, () => {
+  let harness;
+  let runPendingPaymentExpiry;
+
+  const createdHoursAgo = async (paymentId, hours) => {
+    await harness.pool.query(
+      "UPDATE payments SET created_at = NOW() - ($1 || ' hours')::interval WHERE id = $2",
+      [String(hours), paymentId],
+    );
+  };
+
+  const paymentStatus = async (paymentId) => {
+    const result = await harness.pool.query("SELECT status FROM payments WHERE id = $1", [
+      paymentId,
+    ]);
+    return result.rows[0].status;
+  };
+
+  const createPayment = (engagement) =>
+    harness.request("POST", "/api/payments", {
+      user: engagement.company,
+      body: {
+        company_id: engagement.companyId,
+        project_id: engagement.projectId,
+        application_id: engagement.applicationId,
+        amount: engagement.payment.amount,
+      },
+    });
+
+  before(async () => {
+    harness = await startHarness();
+    ({ runPendingPaymentExpiry } = await import(
+      "../../src/services/pending_payment_expiry.service.js"
+    ));
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  it("abandons stale unpaid payments and frees the application", async () => {
+    const engagement = await createEngagement(harness, { amount: 300 });
+    harness.paystack.state.unpaidReferences.add(engagement.payment.provider_ref);
+
+    const blocked = await createPayment(engagement);
+    assert.equal(blocked.status, 409, JSON.stringify(blocked.body));
+    assert.equal(blocked.body.payment_id, engagement.payment.id);
+
+    await createdHoursAgo(engagement.payment.id, 25);
+    const summary = await runPendingPaymentExpiry();
+    assert.ok(summary.abandoned >= 1);
+    assert.equal(await paymentStatus(engagement.payment.id), "abandoned");
+
+    const notices = await harness.pool.query(
+      "SELECT message FROM notifications WHERE user_id = $1 AND type = 'payment_abandoned'",
+      [engagement.company.id],
+    );
+    assert.equal(notices.rows.length, 1);
+    assert.match(notices.rows[0].message, /start a new payment/);
+
+    const replacement = await createPayment(engagement);
+    assert.equal(replacement.status, 201, JSON.stringify(replacement.body));
+    assert.equal(replacement.body.status, "pending");
+  });
+
+  it("records charges the gateway confirms and leaves fresh payments alone", async () => {
+    const stale = await createEngagement(harness, { amount: 200 });
+    const fresh = await createEngagement(harness, { amount: 150 });
+    harness.paystack.state.unpaidReferences.add(fresh.payment.provider_ref);
+    await createdHoursAgo(stale.payment.id, 30);
+    await createdHoursAgo(fresh.payment.id, 2);
+
+    await runPendingPaymentExpiry();
+
+    assert.equal(await paymentStatus(stale.payment.id), "paid");
+    assert.equal(await paymentStatus(fresh.payment.id), "pending");
+    assert.equal((await harness.getBalances(stale.company.id)).escrow, 200);
+
+    const history = await harness.pool.query(
+      "SELECT source FROM payment_status_history WHERE payment_id = $1 AND to_status = 'paid'",
+      [stale.payment.id],
+    );
+    assert.deepEqual(history.rows, [{ source: "pending_expiry" }]);
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("refunds a late charge on an abandoned payment the company funded again", async () => {
+    const engagement = await createEngagement(harness, { amount: 250 });
+    const lateReference = engagement.payment.provider_ref;
+    harness.paystack.state.unpaidReferences.add(lateReference);
+    await createdHoursAgo(engagement.payment.id, 25);
+    await runPendingPaymentExpiry();
+    assert.equal(await paymentStatus(engagement.payment.id), "abandoned");
+
+    const replacement = await createPayment(engagement);
+    assert.equal(replacement.status, 201, JSON.stringify(replacement.body));
+    await fundPayment(harness, replacement.body);
+
+    const late = await harness.sendPaystackWebhook({
+      event: "charge.success",
+      data: {
+        id: `charge_late_${engagement.payment.id}`,
+        reference: lateReference,
+        amount: 25000,
+        status: "success",
+      },
+    });
+    assert.equal(late.status, 200);
+
+    assert.equal(await paymentStatus(engagement.payment.id), "abandoned");
+    assert.equal((await harness.getBalances(engagement.company.id)).escrow, 250);
+
+    const duplicate = await harness.pool.query(
+      "SELECT payment_id, status, reason FROM duplicate_charges WHERE provider_ref = $1",
+      [lateReference],
+    );
+    assert.equal(duplicate.rows.length, 1);
+    assert.equal(duplicate.rows[0].payment_id, engagement.payment.id);
+    assert.equal(duplicate.rows[0].status, "refund_requested");
+    assert.match(duplicate.rows[0].reason, new RegExp(`payment #${replacement.body.id}`));
+    assert.ok(
+      harness.paystack.state.requests.some(
+        (entry) => entry.path === "/refund" && entry.body.transaction === lateReference,
+      ),
+    );
+
+    await harness.assertLedgerInvariants();
+  });
+});
@@ -0,0 +1,146 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import { preparePayee } from "../helpers/fixtures.js";
+
+describe("profiles, KYC and payout accounts", { skip: skipWithoutDatabase }, () => {
+  let harness;
+  let admin;
+
+  before(async () => {
+    harness = await startHarness();
+    admin = await harness.createUser({ uid: "admin-kyc", role: "admin" });
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  it("updates profile fields and rejects unknown account types", async () => {
+    const user = await harness.createUser({ uid: "profile-student" });
+
+    const updated = await harness.request("PATCH", "/api/users/me", {
+      user,
+      body: {
+        full_name: "Ada Obi",
+        phone: "+234 801-234-5678",
+        account_type: "student",
+        institution: "University of Lagos",
+      },
+    });
+    assert.equal(updated.status, 200, JSON.stringify(updated.body));
+
+    const profile = await harness.request("GET", "/api/users/me", { user });
+    assert.equal(profile.body.full_name, "Ada Obi");
+    assert.equal(profile.body.phone, "+2348012345678");
+    assert.equal(profile.body.account_type, "student");
+    assert.equal(profile.body.kyc_status, "unverified");
+
+    const invalid = await harness.request("PATCH", "/api/users/me", {
+      user,
+      body: { account_type: "agency" },
+    });
+    assert.equal(invalid.status, 400);
+  });
+
+  it("saves only accounts Paystack can resolve and tracks the default", async () => {
+    const user = await harness.createUser({ uid: "payout-accounts" });
+    harness.paystack.state.unresolvableAccounts.add("1111111111");
+
+    const rejected = await harness.request("POST", "/api/users/me/payout-accounts", {
+      user,
+      body: { bank_code: "999", account_number: "1111111111" },
+    });
+    assert.equal(rejected.status, 400);
+
+    const first = await harness.request("POST", "/api/users/me/payout-accounts", {
+      user,
+      body: { bank_code: "999", account_number: "2222222222" },
+    });
+    assert.equal(first.status, 201, JSON.stringify(first.body));
+    assert.equal(first.body.account.account_name, "TEST ACCOUNT HOLDER");
+    assert.equal(first.body.account.bank_name, "Test Bank");
+    assert.equal(first.body.account.recipient_code, "RCP_2222222222");
+    assert.equal(first.body.account.is_default, true);
+
+    const second = await harness.request("POST", "/api/users/me/payout-accounts", {
+      user,
+      body: { bank_code: "999", account_number: "3333333333", is_default: true },
+    });
+    assert.equal(second.status, 201);
+
+    const duplicate = await harness.request("POST", "/api/users/me/payout-accounts", {
+      user,
+      body: { bank_code: "999", account_number: "3333333333" },
+    });
+    assert.equal(duplicate.status, 409);
+
+    const removed = await harness.request(
+      "DELETE",
+      `/api/users/me/payout-accounts/${second.body.account.id}`,
+      { user },
+    );
+    assert.equal(removed.status, 200);
+
+    const listed = await harness.request("GET", "/api/users/me/payout-accounts", { user });
+    assert.deepEqual(
+      listed.body.accounts.map((account) => [account.id, account.is_default]),
+      [[first.body.account.id, true]],
+    );
+  });
+
+  it("requires verified KYC and an owned payout account to withdraw", async () => {
+    const student = await harness.createUser({ uid: "kyc-student" });
+    const stranger = await harness.createUser({ uid: "kyc-stranger" });
+    await harness.seedAvailableBalance(student.id, 500);
+    const strangerAccount = await preparePayee(harness, stranger, {
+      accountNumber: "4444444444",
+    });
+
+    const saved = await harness.request("POST", "/api/users/me/payout-accounts", {
+      user: student,
+      body: { bank_code: "999", account_number: "5555555555" },
+    });
+    const account = saved.body.account;
+
+    const blocked = await harness.request("POST", "/api/withdrawals", {
+      user: student,
+      body: { amount: 100, payout_account_id: account.id },
+    });
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.kyc_status, "unverified");
+
+    const submitted = await harness.request("POST", "/api/users/me/kyc", {
+      user: student,
+      body: { id_type: "nin", id_number: "12345678901" },
+    });
+    assert.equal(submitted.status, 201, JSON.stringify(submitted.body));
+    assert.equal(submitted.body.submission.id_number_last4, "8901");
+    assert.equal(submitted.body.submission.id_number, undefined);
+
+    const approved = await harness.request(
+      "PATCH",
+      `/api/admin/kyc/${submitted.body.submission.id}`,
+      { user: admin, body: { status: "approved" } },
+    );
+    assert.equal(approved.status, 200, JSON.stringify(approved.body));
+
+    const kyc = await harness.request("GET", "/api/users/me/kyc", { user: student });
+    assert.equal(kyc.body.kyc_status, "verified");
+
+    const foreign = await harness.request("POST", "/api/withdrawals", {
+      user: student,
+      body: { amount: 100, payout_account_id: strangerAccount.id },
+    });
+    assert.equal(foreign.status, 404);
+
+    const created = await harness.request("POST", "/api/withdrawals", {
+      user: student,
+      body: { amount: 100, payout_account_id: account.id },
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    assert.equal(created.body.withdrawal.payout_account_id, account.id);
+    assert.equal(created.body.withdrawal.account_name, "TEST ACCOUNT HOLDER");
+    assert.equal(created.body.withdrawal.recipient_code, "RCP_5555555555");
+  });
+});
@@ -0,0 +1,142 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import { createEngagement, fundPayment } from "../helpers/fixtures.js";
+
+describe("project cancellation", { skip: skipWithoutDatabase }, () => {
+  let harness;
+  let admin;
+  let rule;
+
+  const cancellationsPath = (engagement) =>
+    `/api/projects/${engagement.projectId}/cancellations`;
+
+  before(async () => {
+    harness = await startHarness();
+    admin = await harness.createUser({ uid: "admin-cancellation", role: "admin" });
+
+    const created = await harness.request("POST", "/api/admin/cancellation-rules", {
+      user: admin,
+      body: { name: "Work started", project_status: "in_progress", compensation_percent: 30 },
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    rule = created.body.rule;
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  it("compensates the student and refunds the rest once both parties agree", async () => {
+    const engagement = await createEngagement(harness, { amount: 1000 });
+    await fundPayment(harness, engagement.payment);
+
+    const requested = await harness.request("POST", cancellationsPath(engagement), {
+      user: engagement.company,
+      body: { reason: "Budget cut" },
+    });
+    assert.equal(requested.status, 201, JSON.stringify(requested.body));
+    const { cancellation } = requested.body;
+    assert.equal(cancellation.cancellation_rule_id, rule.id);
+    assert.equal(Number(cancellation.compensation_amount), 300);
+    assert.equal(Number(cancellation.refund_amount), 700);
+
+    const confirmPath = `${cancellationsPath(engagement)}/${cancellation.id}/confirm`;
+    const ownConfirm = await harness.request("POST", confirmPath, { user: engagement.company });
+    assert.equal(ownConfirm.status, 409);
+
+    const confirmed = await harness.request("POST", confirmPath, { user: engagement.student });
+    assert.equal(confirmed.status, 200, JSON.stringify(confirmed.body));
+    assert.equal(confirmed.body.cancellation.status, "completed");
+
+    // Only the 300 compensation is released, less the 10% fee on it; the
+    // 700 goes straight back from escrow.
+    assert.equal((await harness.getBalances(engagement.student.id)).available, 270);
+    const company = await harness.getBalances(engagement.company.id);
+    assert.equal(company.available, 700);
+    assert.equal(company.escrow, 0);
+    const fee = await harness.pool.query(
+      "SELECT gross_amount, fee_amount FROM payment_release_fees WHERE payment_id = $1",
+      [engagement.payment.id],
+    );
+    assert.equal(Number(fee.rows[0].gross_amount), 300);
+    assert.equal(Number(fee.rows[0].fee_amount), 30);
+
+    const project = await harness.pool.query("SELECT status FROM projects WHERE id = $1", [
+      engagement.projectId,
+    ]);
+    assert.equal(project.rows[0].status, "closed");
+    await harness.assertLedgerInvariants();
+  });
+
+  it("compensates below the fee and refunds in full without a rule", async () => {
+    const engagement = await createEngagement(harness, { amount: 500 });
+    await fundPayment(harness, engagement.payment);
+
+    const lowered = await harness.request("PATCH", `/api/admin/cancellation-rules/${rule.id}`, {
+      user: admin,
+      body: { compensation_percent: 5 },
+    });
+    assert.equal(lowered.status, 200, JSON.stringify(lowered.body));
+    const small = await harness.request("POST", cancellationsPath(engagement), {
+      user: engagement.student,
+    });
+    assert.equal(small.status, 201, JSON.stringify(small.body));
+    assert.equal(Number(small.body.cancellation.compensation_amount), 25);
+    const withdrawn = await harness.request(
+      "POST",
+      `${cancellationsPath(engagement)}/${small.body.cancellation.id}/decline`,
+      { user: engagement.student },
+    );
+    assert.equal(withdrawn.body.cancellation.status, "withdrawn");
+
+    const removed = await harness.request("DELETE", `/api/admin/cancellation-rules/${rule.id}`, {
+      user: admin,
+    });
+    assert.equal(removed.status, 200);
+
+    const first = await harness.request("POST", cancellationsPath(engagement), {
+      user: engagement.student,
+    });
+    assert.equal(first.status, 201, JSON.stringify(first.body));
+    assert.equal(Number(first.body.cancellation.refund_amount), 500);
+    const duplicate = await harness.request("POST", cancellationsPath(engagement), {
+      user: engagement.company,
+    });
+    assert.equal(duplicate.status, 409);
+
+    const declined = await harness.request(
+      "POST",
+      `${cancellationsPath(engagement)}/${first.body.cancellation.id}/decline`,
+      { user: engagement.company },
+    );
+    assert.equal(declined.status, 200);
+    assert.equal(declined.body.cancellation.status, "declined");
+
+    const second = await harness.request("POST", cancellationsPath(engagement), {
+      user: engagement.student,
+    });
+    assert.equal(second.status, 201, JSON.stringify(second.body));
+    const confirmed = await harness.request(
+      "POST",
+      `${cancellationsPath(engagement)}/${second.body.cancellation.id}/confirm`,
+      { user: engagement.company },
+    );
+    assert.equal(confirmed.status, 200, JSON.stringify(confirmed.body));
+
+    const payment = await harness.pool.query("SELECT status FROM payments WHERE id = $1", [
+      engagement.payment.id,
+    ]);
+    assert.ok(["refund_pending", "refunded"].includes(payment.rows[0].status));
+    assert.equal((await harness.getBalances(engagement.student.id)).available, 0);
+
+    const listed = await harness.request("GET", cancellationsPath(engagement), {
+      user: engagement.student,
+    });
+    assert.deepEqual(
+      listed.body.cancellations.map((row) => row.status),
+      ["completed", "declined", "withdrawn"],
+    );
+    await harness.assertLedgerInvariants();
+  });
+});
@@ -0,0 +1,184 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import { createEngagement, fundPayment } from "../helpers/fixtures.js";
+
+describe("project and application lifecycle", { skip: skipWithoutDatabase }, () => {
+  let harness;
+  let sequence = 0;
+
+  const createCompanyProject = async () => {
+    sequence += 1;
+    const company = await harness.createUser({ uid: `lifecycle-company-${sequence}` });
+    await harness.pool.query("INSERT INTO companies (user_id, name) VALUES ($1, $2)", [
+      company.id,
+      `Lifecycle ${sequence}`,
+    ]);
+    const project = await harness.request("POST", "/api/projects", {
+      user: company,
+      body: { title: `Lifecycle project ${sequence}`, budget: 500 },
+    });
+    assert.equal(project.status, 201, JSON.stringify(project.body));
+    return { company, project: project.body };
+  };
+
+  const apply = async (projectId, uid) => {
+    const student = await harness.createUser({ uid });
+    const application = await harness.request(
+      "POST",
+      `/api/projects/${projectId}/applications`,
+      { user: student, body: { cover_letter: "Hire me" } },
+    );
+    assert.equal(application.status, 201, JSON.stringify(application.body));
+    return { student, application: application.body };
+  };
+
+  const setPaymentStatus = async (paymentId, status) =>
+    harness.pool.query("UPDATE payments SET status = $1 WHERE id = $2", [status, paymentId]);
+
+  before(async () => {
+    harness = await startHarness();
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  it("closes an open project and rejects its pending applications", async () => {
+    const { company, project } = await createCompanyProject();
+    const { student, application } = await apply(project.id, `lifecycle-student-${sequence}`);
+
+    const byStudent = await harness.request("POST", `/api/projects/${project.id}/close`, {
+      user: student,
+    });
+    assert.equal(byStudent.status, 403);
+
+    const early = await harness.request("POST", `/api/projects/${project.id}/start`, {
+      user: company,
+    });
+    assert.equal(early.status, 400);
+
+    const closed = await harness.request("POST", `/api/projects/${project.id}/close`, {
+      user: company,
+    });
+    assert.equal(closed.status, 200, JSON.stringify(closed.body));
+
+    const row = await harness.pool.query(
+      `SELECT p.status AS project_status, p.closed_at, a.status AS application_status
+       FROM projects p JOIN applications a ON a.project_id = p.id
+       WHERE a.id = $1`,
+      [application.id],
+    );
+    assert.equal(row.rows[0].project_status, "closed");
+    assert.ok(row.rows[0].closed_at);
+    assert.equal(row.rows[0].application_status, "rejected");
+
+    const again = await harness.request("POST", `/api/projects/${project.id}/close`, {
+      user: company,
+    });
+    assert.equal(again.status, 400);
+
+    const late = await harness.request("POST", `/api/projects/${project.id}/applications`, {
+      user: student,
+      body: { cover_letter: "Still keen" },
+    });
+    assert.equal(late.status, 400);
+  });
+
+  it("lets the company decide and the applicant withdraw", async () => {
+    const { company, project } = await createCompanyProject();
+    const first = await apply(project.id, `lifecycle-first-${sequence}`);
+    const second = await apply(project.id, `lifecycle-second-${sequence}`);
+
+    const selfAccept = await harness.request(
+      "PATCH",
+      `/api/applications/${first.application.id}/status`,
+      { user: first.student, body: { status: "accepted" } },
+    );
+    assert.equal(selfAccept.status, 403);
+
+    const accepted = await harness.request(
+      "PATCH",
+      `/api/applications/${first.application.id}/status`,
+      { user: company, body: { status: "accepted" } },
+    );
+    assert.equal(accepted.status, 200, JSON.stringify(accepted.body));
+    assert.equal(accepted.body.application.status, "accepted");
+
+    const rejected = await harness.request(
+      "PATCH",
+      `/api/applications/${second.application.id}/status`,
+      { user: company, body: { status: "rejected" } },
+    );
+    assert.equal(rejected.status, 200, JSON.stringify(rejected.body));
+
+    const notMine = await harness.request(
+      "POST",
+      `/api/applications/${first.application.id}/withdraw`,
+      { user: second.student },
+    );
+    assert.equal(notMine.status, 403);
+
+    const afterRejection = await harness.request(
+      "POST",
+      `/api/applications/${second.application.id}/withdraw`,
+      { user: second.student },
+    );
+    assert.equal(afterRejection.status, 400);
+
+    const withdrawn = await harness.request(
+      "POST",
+      `/api/applications/${first.application.id}/withdraw`,
+      { user: first.student },
+    );
+    assert.equal(withdrawn.status, 200, JSON.stringify(withdrawn.body));
+    assert.equal(withdrawn.body.application.status, "withdrawn");
+    assert.ok(withdrawn.body.application.withdrawn_at);
+
+    const mine = await harness.request("GET", "/api/applications/mine", {
+      user: first.student,
+    });
+    assert.equal(mine.status, 200);
+    assert.deepEqual(mine.body.map((row) => row.status), ["withdrawn"]);
+  });
+
+  it("keeps an application with an open checkout or funded escrow", async () => {
+    const engagement = await createEngagement(harness, { amount: 400 });
+    const withdrawPath = `/api/applications/${engagement.applicationId}/withdraw`;
+    const closePath = `/api/projects/${engagement.projectId}/close`;
+
+    // The checkout can still be charged, so the application has to stay.
+    const pending = await harness.request("POST", withdrawPath, { user: engagement.student });
+    assert.equal(pending.status, 409);
+    const pendingClose = await harness.request("POST", closePath, { user: engagement.company });
+    assert.equal(pendingClose.status, 409);
+
+    await fundPayment(harness, engagement.payment);
+    const funded = await harness.request("POST", withdrawPath, { user: engagement.student });
+    assert.equal(funded.status, 409);
+    const fundedClose = await harness.request("POST", closePath, { user: engagement.company });
+    assert.equal(fundedClose.status, 409);
+
+    const project = await harness.pool.query("SELECT status FROM projects WHERE id = $1", [
+      engagement.projectId,
+    ]);
+    assert.equal(project.rows[0].status, "in_progress");
+  });
+
+  it("allows withdrawal once an unpaid checkout was abandoned", async () => {
+    const engagement = await createEngagement(harness, { amount: 400 });
+    await setPaymentStatus(engagement.payment.id, "abandoned");
+
+    const withdrawn = await harness.request(
+      "POST",
+      `/api/applications/${engagement.applicationId}/withdraw`,
+      { user: engagement.student },
+    );
+    assert.equal(withdrawn.status, 200, JSON.stringify(withdrawn.body));
+
+    const closed = await harness.request("POST", `/api/projects/${engagement.projectId}/close`, {
+      user: engagement.company,
+    });
+    assert.equal(closed.status, 200, JSON.stringify(closed.body));
+  });
+});
@@ -0,0 +1,153 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import {
+  createEngagement,
+  fundPayment,
+  sendRefundWebhook,
+} from "../helpers/fixtures.js";
+
+describe("provider refunds", { skip: skipWithoutDatabase }, () => {
+  let harness;
+  let admin;
+
+  const paymentStatus = async (paymentId) => {
+    const result = await harness.pool.query("SELECT status FROM payments WHERE id = $1", [
+      paymentId,
+    ]);
+    return result.rows[0].status;
+  };
+
+  before(async () => {
+    harness = await startHarness();
+    admin = await harness.createUser({ uid: "admin-refunds", role: "admin" });
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  it("returns a failed refund to the wallet, alerts admins and allows a retry", async () => {
+    const engagement = await createEngagement(harness, { amount: 400 });
+    await fundPayment(harness, engagement.payment);
+
+    const refunded = await harness.request(
+      "POST",
+      `/api/payments/${engagement.payment.id}/refund`,
+      { user: admin, body: { reason: "Cancelled" } },
+    );
+    assert.equal(refunded.status, 200, JSON.stringify(refunded.body));
+    assert.equal(refunded.body.refund.status, "pending");
+    assert.ok(refunded.body.refund.provider_refund_id);
+
+    await sendRefundWebhook(harness, engagement.payment, {
+      event: "refund.failed",
+      gatewayResponse: "Card expired",
+    });
+
+    assert.equal(await paymentStatus(engagement.payment.id), "refund_failed");
+    let company = await harness.getBalances(engagement.company.id);
+    assert.equal(company.locked, 0);
+    assert.equal(company.available, 400);
+
+    const alerts = await harness.pool.query(
+      "SELECT message FROM notifications WHERE user_id = $1 AND type = 'refund_failed'",
+      [admin.id],
+    );
+    assert.equal(alerts.rows.length, 1);
+    assert.match(alerts.rows[0].message, /Card expired/);
+
+    const retried = await harness.request(
+      "POST",
+      `/api/payments/${engagement.payment.id}/refund/retry`,
+      { user: admin },
+    );
+    assert.equal(retried.status, 200, JSON.stringify(retried.body));
+    assert.equal(retried.body.payment.status, "refund_pending");
+
+    await sendRefundWebhook(harness, engagement.payment);
+    assert.equal(await paymentStatus(engagement.payment.id), "refunded");
+    company = await harness.getBalances(engagement.company.id);
+    assert.equal(company.available, 0);
+    assert.equal(company.locked, 0);
+
+    const refunds = await harness.request(
+      "GET",
+      `/api/payments/${engagement.payment.id}/refunds`,
+      { user: engagement.company },
+    );
+    assert.equal(refunds.status, 200, JSON.stringify(refunds.body));
+    assert.deepEqual(
+      refunds.body.map((refund) => [refund.status, refund.failure_reason]),
+      [
+        ["failed", "Card expired"],
+        ["processed", null],
+      ],
+    );
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("fails the refund at once when the gateway refuses it", async () => {
+    const engagement = await createEngagement(harness, { amount: 150 });
+    await fundPayment(harness, engagement.payment);
+
+    harness.paystack.state.refundStatus = "reject";
+    try {
+      const refunded = await harness.request(
+        "POST",
+        `/api/payments/${engagement.payment.id}/refund`,
+        { user: admin },
+      );
+      assert.equal(refunded.status, 200, JSON.stringify(refunded.body));
+      assert.equal(refunded.body.refund.status, "failed");
+      assert.equal(refunded.body.payment.status, "refund_failed");
+    } finally {
+      harness.paystack.state.refundStatus = "pending";
+    }
+
+    const company = await harness.getBalances(engagement.company.id);
+    assert.equal(company.available, 150);
+    assert.equal(company.escrow, 0);
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("keeps the refund pending when the gateway answers with a 5xx", async () => {
+    const engagement = await createEngagement(harness, { amount: 250 });
+    await fundPayment(harness, engagement.payment);
+
+    harness.paystack.state.refundStatus = "error";
+    try {
+      const refunded = await harness.request(
+        "POST",
+        `/api/payments/${engagement.payment.id}/refund`,
+        { user: admin },
+      );
+      assert.equal(refunded.status, 200, JSON.stringify(refunded.body));
+      assert.equal(refunded.body.refund.status, "pending");
+      assert.equal(refunded.body.payment.status, "refund_pending");
+    } finally {
+      harness.paystack.state.refundStatus = "pending";
+    }
+
+    let company = await harness.getBalances(engagement.company.id);
+    assert.equal(company.available, 0);
+    assert.equal(company.locked, 250);
+
+    const alerts = await harness.pool.query(
+      "SELECT message FROM notifications WHERE user_id = $1 AND related_id = $2",
+      [admin.id, engagement.payment.id],
+    );
+    assert.match(alerts.rows[0].message, /no clear answer/);
+
+    // The gateway went on to process it.
+    await sendRefundWebhook(harness, engagement.payment);
+    assert.equal(await paymentStatus(engagement.payment.id), "refunded");
+    company = await harness.getBalances(engagement.company.id);
+    assert.equal(company.available, 0);
+    assert.equal(company.locked, 0);
+
+    await harness.assertLedgerInvariants();
+  });
+});
@@ -0,0 +1,113 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import {
+  completeProject,
+  createEngagement,
+  fundPayment,
+  preparePayee,
+} from "../helpers/fixtures.js";
+
+describe("receivables", { skip: skipWithoutDatabase }, () => {
+  let harness;
+  let admin;
+
+  const release = async (engagement) => {
+    await fundPayment(harness, engagement.payment);
+    await completeProject(harness, engagement);
+
+    const releasePath = `/api/payments/${engagement.payment.id}/release`;
+    const started = await harness.request("POST", releasePath, { user: engagement.company });
+    assert.equal(started.status, 200, JSON.stringify(started.body));
+    const confirmed = await harness.request("POST", `${releasePath}/confirm`, {
+      user: engagement.company,
+      body: { confirmation_token: started.body.confirmation_token },
+    });
+    assert.equal(confirmed.status, 200, JSON.stringify(confirmed.body));
+  };
+
+  before(async () => {
+    harness = await startHarness();
+    admin = await harness.createUser({ uid: "admin-receivables", role: "admin" });
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  it("records what a refund cannot take back and recovers it from the next release", async () => {
+    const first = await createEngagement(harness, { amount: 500 });
+    const { student } = first;
+    await release(first);
+    // Earlier earnings keep the payouts clear of the new-account review.
+    await harness.seedAvailableBalance(student.id, 300);
+    const payoutAccount = await preparePayee(harness, student);
+
+    // 750 available, all but 150 already on its way out.
+    for (const amount of [500, 100]) {
+      const withdrawn = await harness.request("POST", "/api/withdrawals", {
+        user: student,
+        body: { amount, payout_account_id: payoutAccount.id },
+      });
+      assert.equal(withdrawn.status, 201, JSON.stringify(withdrawn.body));
+    }
+
+    const refunded = await harness.request("POST", `/api/payments/${first.payment.id}/refund`, {
+      user: admin,
+      body: { reason: "Refund after release" },
+    });
+    assert.equal(refunded.status, 200, JSON.stringify(refunded.body));
+
+    let balances = await harness.getBalances(student.id);
+    assert.equal(balances.available, 0);
+    assert.equal(balances.receivable, 300);
+
+    const wallet = await harness.request("GET", "/api/wallet", { user: student });
+    assert.equal(wallet.body.receivable, 300);
+
+    const blocked = await harness.request("POST", "/api/withdrawals", {
+      user: student,
+      body: { amount: 10, payout_account_id: payoutAccount.id },
+    });
+    assert.equal(blocked.status, 409);
+    assert.equal(Number(blocked.body.receivables[0].outstanding), 300);
+
+    const report = await harness.request("GET", "/api/admin/reports/receivables", {
+      user: admin,
+    });
+    assert.equal(report.status, 200, JSON.stringify(report.body));
+    const row = report.body.receivables.find((entry) => entry.user_id === student.id);
+    assert.equal(Number(row.outstanding), 300);
+    assert.equal(Number(row.days_0_30), 300);
+    assert.equal(report.body.totals.NGN.outstanding, 300);
+
+    const invalid = await harness.request("GET", "/api/admin/reports/receivables?currency=XYZ", {
+      user: admin,
+    });
+    assert.equal(invalid.status, 400);
+
+    // A second engagement for the same student nets the debt off its release.
+    const second = await createEngagement(harness, { amount: 500 });
+    await harness.pool.query("UPDATE applications SET user_id = $1 WHERE id = $2", [
+      student.id,
+      second.applicationId,
+    ]);
+    await release(second);
+
+    balances = await harness.getBalances(student.id);
+    assert.equal(balances.receivable, 0);
+    assert.equal(balances.available, 150);
+
+    const events = await harness.pool.query(
+      `SELECT event_type FROM financial_event_log
+       WHERE user_id = $1 AND event_type LIKE 'RECEIVABLE_%'
+       ORDER BY created_at ASC`,
+      [student.id],
+    );
+    assert.deepEqual(
+      events.rows.map((event) => event.event_type),
+      ["RECEIVABLE_RECORDED", "RECEIVABLE_RECOVERED"],
+    );
+    await harness.assertLedgerInvariants();
+  });
+});
@@ -0,0 +1,209 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import {
+  completeProject,
+  createEngagement,
+  fundPayment,
+} from "../helpers/fixtures.js";
+
+describe("release reserves", { skip: skipWithoutDatabase }, () => {
+  let harness;
+  let admin;
+  let runReserveRelease;
+
+  // Funds, completes and releases an engagement through the company
+  // self-service release.
+  const releasedEngagement = async (amount, { newStudent = true } = {}) => {
+    const engagement = await createEngagement(harness, { amount });
+    if (newStudent) {
+      await harness.pool.query("UPDATE users SET created_at = NOW() WHERE id = $1", [
+        engagement.student.id,
+      ]);
+    }
+    await fundPayment(harness, engagement.payment);
+    await completeProject(harness, engagement);
+
+    const releasePath = `/api/payments/${engagement.payment.id}/release`;
+    const started = await harness.request("POST", releasePath, { user: engagement.company });
+    assert.equal(started.status, 200, JSON.stringify(started.body));
+    const confirmed = await harness.request("POST", `${releasePath}/confirm`, {
+      user: engagement.company,
+      body: { confirmation_token: started.body.confirmation_token },
+    });
+    assert.equal(confirmed.status, 200, JSON.stringify(confirmed.body));
+    return engagement;
+  };
+
+  const makeDue = (engagement) =>
+    harness.pool.query(
+      "UPDATE release_reserves SET release_after = NOW() - INTERVAL '1 minute' WHERE payment_id = $1",
+      [engagement.payment.id],
+    );
+
+  before(async () => {
+    process.env.RELEASE_RESERVE_PERCENT = "20";
+    process.env.RELEASE_RESERVE_DAYS = "14";
+    harness = await startHarness();
+    admin = await harness.createUser({ uid: "admin-reserve", role: "admin" });
+    ({ runReserveRelease } = await import("../../src/services/release_reserve.service.js"));
+  });
+
+  after(async () => {
+    delete process.env.RELEASE_RESERVE_PERCENT;
+    delete process.env.RELEASE_RESERVE_DAYS;
+    await harness?.close();
+  });
+
+  it("holds part of a new student's release until the hold period ends", async () => {
+    const engagement = await releasedEngagement(1000);
+
+    // 900 net of the 10% fee, 20% of it held back.
+    const wallet = await harness.request("GET", "/api/wallet", { user: engagement.student });
+    assert.equal(wallet.status, 200);
+    assert.equal(wallet.body.available, 720);
+    assert.equal(wallet.body.reserve, 180);
+
+    const reserves = await harness.request("GET", "/api/wallet/reserves", {
+      user: engagement.student,
+    });
+    assert.equal(reserves.status, 200);
+    assert.equal(reserves.body.reserves.length, 1);
+    assert.equal(reserves.body.reserves[0].reason, "new_account");
+    assert.equal(reserves.body.reserves[0].status, "held");
+
+    assert.equal((await runReserveRelease()).released, 0);
+    await makeDue(engagement);
+    assert.equal((await runReserveRelease()).released, 1);
+
+    const balances = await harness.getBalances(engagement.student.id);
+    assert.equal(balances.available, 900);
+    assert.equal(balances.reserve, 0);
+
+    const { generateDailySettlementReport } = await import(
+      "../../src/services/settlement.service.js"
+    );
+    const { reports } = await generateDailySettlementReport(new Date());
+    const ngn = reports.find((report) => report.currency === "NGN");
+    assert.equal(Number(ngn.reserve_held), 180);
+    assert.equal(Number(ngn.reserve_released), 180);
+    assert.equal(Number(ngn.system_reserve_total), 0);
+    await harness.assertLedgerInvariants();
+  });
+
+  it("keeps a disputed payment's reserve and skips established students", async () => {
+    const disputed = await releasedEngagement(500);
+    const dispute = await harness.request(
+      "POST",
+      `/api/payments/${disputed.payment.id}/dispute`,
+      { user: disputed.company, body: { reason: "Work was incomplete" } },
+    );
+    assert.equal(dispute.status, 201, JSON.stringify(dispute.body));
+    await makeDue(disputed);
+    await runReserveRelease();
+    assert.equal((await harness.getBalances(disputed.student.id)).reserve, 90);
+
+    const established = await releasedEngagement(500, { newStudent: false });
+    const balances = await harness.getBalances(established.student.id);
+    assert.equal(balances.available, 450);
+    assert.equal(balances.reserve, 0);
+  });
+
+  it("returns the reserve to cover a refund of the release", async () => {
+    const engagement = await releasedEngagement(500);
+    assert.equal((await harness.getBalances(engagement.student.id)).reserve, 90);
+
+    const refunded = await harness.request(
+      "POST",
+      `/api/payments/${engagement.payment.id}/refund`,
+      { user: admin, body: { reason: "Refund after release" } },
+    );
+    assert.equal(refunded.status, 200, JSON.stringify(refunded.body));
+
+    const balances = await harness.getBalances(engagement.student.id);
+    assert.equal(balances.available, 0);
+    assert.equal(balances.reserve, 0);
+    const reserve = await harness.pool.query(
+      "SELECT status FROM release_reserves WHERE payment_id = $1",
+      [engagement.payment.id],
+    );
+    assert.equal(reserve.rows[0].status, "returned");
+  });
+
+  it("draws only what a partial refund needs from the reserve", async () => {
+    const engagement = await releasedEngagement(500);
+    const before = await harness.pool.query(
+      "SELECT release_after FROM release_reserves WHERE payment_id = $1",
+      [engagement.payment.id],
+    );
+
+    const dispute = await harness.request(
+      "POST",
+      `/api/payments/${engagement.payment.id}/dispute`,
+      { user: engagement.company, body: { reason: "One deliverable missing" } },
+    );
+    assert.equal(dispute.status, 201, JSON.stringify(dispute.body));
+    const resolved = await harness.request(
+      "PATCH",
+      `/api/admin/disputes/${dispute.body.dispute.id}/resolve`,
+      { user: admin, body: { resolution: "partial_refund", partial_amount: 50 } },
+    );
+    assert.equal(resolved.status, 200, JSON.stringify(resolved.body));
+
+    // The 50 comes out of the 90 reserve; the other 40 stays held.
+    let balances = await harness.getBalances(engagement.student.id);
+    assert.equal(balances.available, 360);
+    assert.equal(balances.reserve, 40);
+    assert.equal((await harness.getBalances(engagement.company.id)).available, 50);
+    const reserve = await harness.pool.query(
+      "SELECT status, amount, release_after FROM release_reserves WHERE payment_id = $1",
+      [engagement.payment.id],
+    );
+    assert.equal(reserve.rows[0].status, "held");
+    assert.equal(Number(reserve.rows[0].amount), 40);
+    assert.deepEqual(reserve.rows[0].release_after, before.rows[0].release_after);
+
+    await makeDue(engagement);
+    assert.equal((await runReserveRelease()).released, 1);
+    balances = await harness.getBalances(engagement.student.id);
+    assert.equal(balances.available, 400);
+    assert.equal(balances.reserve, 0);
+    await harness.assertLedgerInvariants();
+  });
+
+  it("clears what the student owes before freeing the reserve", async () => {
+    const engagement = await releasedEngagement(500);
+    const company = await harness.createUser({ uid: "reserve-creditor" });
+    // A shortfall left by an earlier clawback, as a refund would record it.
+    const { createDoubleEntry } = await import("../../src/services/ledger.service.js");
+    await createDoubleEntry(harness.pool, {
+      amount: 50,
+      reference: "reserve-clawback",
+      idempotencyBase: "test:reserve-clawback",
+      currency: "NGN",
+      type: "refund",
+      debitType: "clawback_receivable",
+      debitUserId: engagement.student.id,
+      debitBalanceType: "receivable",
+      creditUserId: company.id,
+      creditBalanceType: "available",
+    });
+    assert.equal((await harness.getBalances(engagement.student.id)).receivable, 50);
+
+    await makeDue(engagement);
+    assert.equal((await runReserveRelease()).released, 1);
+
+    const balances = await harness.getBalances(engagement.student.id);
+    assert.equal(balances.available, 400);
+    assert.equal(balances.reserve, 0);
+    assert.equal(balances.receivable, 0);
+
+    const logged = await harness.pool.query(
+      `SELECT event_payload FROM financial_event_log
+       WHERE payment_id = $1 AND event_type = 'RESERVE_RELEASED'`,
+      [engagement.payment.id],
+    );
+    assert.equal(Number(logged.rows[0].event_payload.receivable_recovered), 50);
+    await harness.assertLedgerInvariants();
+  });
+});
@@ -0,0 +1,135 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import { createEngagement } from "../helpers/fixtures.js";
+
+describe("stripe gateway", { skip: skipWithoutDatabase }, () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  const paymentStatus = async (paymentId) => {
+    const row = await harness.pool.query("SELECT status FROM payments WHERE id = $1", [
+      paymentId,
+    ]);
+    return row.rows[0].status;
+  };
+
+  it("funds escrow from checkout.session.completed", async () => {
+    const engagement = await createEngagement(harness, {
+      amount: 300,
+      provider: "stripe",
+      providerRef: "cs_test_funds_escrow",
+    });
+
+    const event = {
+      id: "evt_checkout_completed",
+      type: "checkout.session.completed",
+      data: {
+        object: {
+          id: "cs_test_funds_escrow",
+          amount_total: 30000,
+          currency: "usd",
+          payment_status: "paid",
+        },
+      },
+    };
+    assert.equal((await harness.sendStripeWebhook(event)).status, 200);
+    assert.equal((await harness.sendStripeWebhook(event)).status, 200);
+
+    assert.equal(await paymentStatus(engagement.payment.id), "paid");
+    const company = await harness.getBalances(engagement.company.id);
+    assert.equal(company.escrow, 300);
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("waits for the async payment when a session completes unpaid", async () => {
+    const engagement = await createEngagement(harness, {
+      amount: 200,
+      provider: "stripe",
+      providerRef: "cs_test_bank_debit",
+    });
+    const sessionEvent = (id, type, paymentStatus) => ({
+      id,
+      type,
+      data: {
+        object: {
+          id: "cs_test_bank_debit",
+          amount_total: 20000,
+          currency: "usd",
+          payment_status: paymentStatus,
+        },
+      },
+    });
+
+    const completed = sessionEvent("evt_debit_completed", "checkout.session.completed", "unpaid");
+    assert.equal((await harness.sendStripeWebhook(completed)).status, 200);
+    assert.equal(await paymentStatus(engagement.payment.id), "pending");
+    assert.equal((await harness.getBalances(engagement.company.id)).escrow, 0);
+
+    const succeeded = sessionEvent(
+      "evt_debit_succeeded",
+      "checkout.session.async_payment_succeeded",
+      "paid",
+    );
+    assert.equal((await harness.sendStripeWebhook(succeeded)).status, 200);
+    assert.equal(await paymentStatus(engagement.payment.id), "paid");
+    assert.equal((await harness.getBalances(engagement.company.id)).escrow, 200);
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("ignores another gateway's events for a stripe payment", async () => {
+    const engagement = await createEngagement(harness, {
+      amount: 150,
+      provider: "stripe",
+      providerRef: "cs_test_wrong_gateway",
+    });
+
+    const response = await harness.sendPaystackWebhook({
+      event: "charge.success",
+      data: { id: "charge_wrong_gateway", reference: "cs_test_wrong_gateway" },
+    });
+    assert.equal(response.status, 200);
+    assert.equal(await paymentStatus(engagement.payment.id), "pending");
+  });
+
+  it("maps a failed Stripe refund onto refund.failed", async () => {
+    const { stripeProvider } = await import(
+      "../../src/services/payment_providers/stripe.js"
+    );
+    const refund = {
+      id: "re_test_failed",
+      object: "refund",
+      amount: 30000,
+      currency: "usd",
+      status: "failed",
+      failure_reason: "expired_or_canceled_card",
+      payment_intent: "pi_test_failed",
+      metadata: { acader_reference: "cs_test_refund_failed" },
+    };
+
+    for (const type of ["refund.failed", "charge.refund.updated"]) {
+      const event = await stripeProvider.parseWebhookEvent(
+        Buffer.from(JSON.stringify({ id: `evt_${type}`, type, data: { object: refund } })),
+      );
+      assert.equal(event.event, "refund.failed");
+      assert.equal(event.data.reference, "cs_test_refund_failed");
+      assert.equal(event.data.gateway_response, "expired_or_canceled_card");
+    }
+  });
+
+  it("rejects unknown providers", async () => {
+    const response = await harness.request("POST", "/api/webhooks/unknown", {
+      body: {},
+    });
+    assert.equal(response.status, 404);
+  });
+});
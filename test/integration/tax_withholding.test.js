@@ -0,0 +1,153 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import {
+  completeProject,
+  createEngagement,
+  fundPayment,
+  sendRefundWebhook,
+} from "../helpers/fixtures.js";
+
+describe("tax withholding", { skip: skipWithoutDatabase }, () => {
+  let harness;
+  let admin;
+  const today = new Date().toISOString().slice(0, 10);
+  const year = today.slice(0, 4);
+
+  const release = async (engagement) => {
+    await fundPayment(harness, engagement.payment);
+    await completeProject(harness, engagement);
+    const released = await harness.request(
+      "PATCH",
+      `/api/payments/${engagement.payment.id}/status`,
+      { user: admin, body: { status: "released" } },
+    );
+    assert.equal(released.status, 200, JSON.stringify(released.body));
+  };
+
+  const liability = async (taxType) => {
+    const report = await harness.request(
+      "GET",
+      `/api/admin/reports/tax?from=${today}&to=${today}&currency=NGN`,
+      { user: admin },
+    );
+    assert.equal(report.status, 200, JSON.stringify(report.body));
+    const row = report.body.liabilities.find((entry) => entry.tax_type === taxType);
+    return Object.fromEntries(
+      ["withheld", "reversed", "remitted", "outstanding"].map((key) => [key, Number(row[key])]),
+    );
+  };
+
+  before(async () => {
+    harness = await startHarness();
+    admin = await harness.createUser({ uid: "admin-tax", role: "admin" });
+
+    for (const body of [
+      { name: "VAT", tax_type: "vat", rate: 7.5, currency: "NGN" },
+      { name: "WHT on services", tax_type: "withholding", rate: 5, currency: "NGN" },
+    ]) {
+      const created = await harness.request("POST", "/api/admin/tax/rules", {
+        user: admin,
+        body,
+      });
+      assert.equal(created.status, 201, JSON.stringify(created.body));
+    }
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  it("withholds VAT and WHT on release, remits them and issues a certificate", async () => {
+    const engagement = await createEngagement(harness, { amount: 1000 });
+    await release(engagement);
+
+    // 100 fee, 7.50 VAT on the fee, 45 WHT on the 900 share.
+    assert.equal((await harness.getBalances(engagement.student.id)).available, 847.5);
+    assert.deepEqual(await liability("vat"), {
+      withheld: 7.5,
+      reversed: 0,
+      remitted: 0,
+      outstanding: 7.5,
+    });
+    assert.equal((await liability("withholding")).withheld, 45);
+
+    const tooMuch = await harness.request("POST", "/api/admin/tax/remittances", {
+      user: admin,
+      body: {
+        tax_type: "vat",
+        currency: "NGN",
+        amount: 100,
+        period_start: today,
+        period_end: today,
+      },
+    });
+    assert.equal(tooMuch.status, 409);
+
+    const remitted = await harness.request("POST", "/api/admin/tax/remittances", {
+      user: admin,
+      body: {
+        tax_type: "withholding",
+        currency: "NGN",
+        amount: 45,
+        period_start: today,
+        period_end: today,
+        authority_reference: "FIRS-0001",
+      },
+    });
+    assert.equal(remitted.status, 201, JSON.stringify(remitted.body));
+    assert.deepEqual(await liability("withholding"), {
+      withheld: 45,
+      reversed: 0,
+      remitted: 45,
+      outstanding: 0,
+    });
+
+    const certificate = await harness.request(
+      "GET",
+      `/api/users/me/tax-certificates/${year}`,
+      { user: engagement.student },
+    );
+    assert.equal(certificate.status, 200, JSON.stringify(certificate.body));
+    assert.deepEqual(certificate.body.certificate.totals, {
+      NGN: {
+        vat: { taxable_amount: 100, tax_amount: 7.5 },
+        withholding: { taxable_amount: 900, tax_amount: 45 },
+      },
+    });
+    assert.equal(Number(certificate.body.certificate.lines[0].gross_amount), 1000);
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("reverses withheld tax when a released payment is refunded", async () => {
+    const engagement = await createEngagement(harness, { amount: 200 });
+    const before = await liability("withholding");
+    await release(engagement);
+    assert.equal((await harness.getBalances(engagement.student.id)).available, 169.5);
+
+    const refunded = await harness.request(
+      "POST",
+      `/api/payments/${engagement.payment.id}/refund`,
+      { user: admin, body: { reason: "Work rejected" } },
+    );
+    assert.equal(refunded.status, 200, JSON.stringify(refunded.body));
+    await sendRefundWebhook(harness, engagement.payment);
+
+    assert.equal((await harness.getBalances(engagement.student.id)).available, 0);
+    const after = await liability("withholding");
+    assert.equal(after.reversed - before.reversed, 9);
+    assert.equal(after.outstanding, before.outstanding);
+
+    const certificate = await harness.request(
+      "GET",
+      `/api/admin/tax/certificates/${engagement.student.id}/${year}`,
+      { user: admin },
+    );
+    assert.equal(certificate.status, 200, JSON.stringify(certificate.body));
+    assert.deepEqual(certificate.body.certificate.totals, {});
+    assert.ok(certificate.body.certificate.lines.every((line) => line.reversed));
+
+    await harness.assertLedgerInvariants();
+  });
+});
@@ -0,0 +1,129 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import {
+  completeProject,
+  createEngagement,
+  fundPayment,
+} from "../helpers/fixtures.js";
+
+describe("team payments", { skip: skipWithoutDatabase }, () => {
+  let harness;
+  let admin;
+
+  const addTeammate = async (engagement, uid) => {
+    const teammate = await harness.createUser({ uid });
+    await harness.pool.query(
+      `INSERT INTO applications (project_id, user_id, cover_letter, status, created_at, updated_at)
+       VALUES ($1, $2, 'Team member', 'accepted', NOW(), NOW())`,
+      [engagement.projectId, teammate.id],
+    );
+    return teammate;
+  };
+
+  before(async () => {
+    harness = await startHarness();
+    admin = await harness.createUser({ uid: "admin-team", role: "admin" });
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  it("releases each member's share with its own fee and refunds pro-rata", async () => {
+    const engagement = await createEngagement(harness, { amount: 1000 });
+    const teammate = await addTeammate(engagement, "team-member-1");
+    const outsider = await harness.createUser({ uid: "team-outsider" });
+    const splitsPath = `/api/payments/${engagement.payment.id}/splits`;
+
+    const mismatched = await harness.request("PUT", splitsPath, {
+      user: engagement.company,
+      body: {
+        splits: [
+          { student_user_id: engagement.student.id, amount: 600 },
+          { student_user_id: teammate.id, amount: 300 },
+        ],
+      },
+    });
+    assert.equal(mismatched.status, 400);
+
+    const withOutsider = await harness.request("PUT", splitsPath, {
+      user: engagement.company,
+      body: {
+        splits: [
+          { student_user_id: engagement.student.id, amount: 600 },
+          { student_user_id: outsider.id, amount: 400 },
+        ],
+      },
+    });
+    assert.equal(withOutsider.status, 400);
+
+    const saved = await harness.request("PUT", splitsPath, {
+      user: engagement.company,
+      body: {
+        splits: [
+          { student_user_id: engagement.student.id, amount: 600 },
+          { student_user_id: teammate.id, amount: 400 },
+        ],
+      },
+    });
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+    assert.equal(saved.body.splits.length, 2);
+
+    const asTeammate = await harness.request("GET", splitsPath, { user: teammate });
+    assert.equal(asTeammate.status, 200);
+    const asOutsider = await harness.request("GET", splitsPath, { user: outsider });
+    assert.equal(asOutsider.status, 403);
+
+    await fundPayment(harness, engagement.payment);
+    await completeProject(harness, engagement);
+
+    const releasePath = `/api/payments/${engagement.payment.id}/release`;
+    const preview = await harness.request("POST", releasePath, { user: engagement.company });
+    assert.equal(preview.status, 200, JSON.stringify(preview.body));
+    assert.equal(preview.body.platform_fee, 100);
+    assert.equal(preview.body.student_amount, 900);
+    assert.deepEqual(
+      preview.body.shares.map((share) => share.student_amount),
+      [540, 360],
+    );
+
+    const confirmed = await harness.request("POST", `${releasePath}/confirm`, {
+      user: engagement.company,
+      body: { confirmation_token: preview.body.confirmation_token },
+    });
+    assert.equal(confirmed.status, 200, JSON.stringify(confirmed.body));
+    assert.equal((await harness.getBalances(engagement.student.id)).available, 540);
+    assert.equal((await harness.getBalances(teammate.id)).available, 360);
+    assert.equal((await harness.getBalances(engagement.company.id)).escrow, 0);
+
+    const receipts = await harness.pool.query(
+      "SELECT user_id FROM financial_documents WHERE payment_id = $1 AND document_type = 'release_receipt'",
+      [engagement.payment.id],
+    );
+    assert.equal(receipts.rows.length, 2);
+
+    const locked = await harness.request("PUT", splitsPath, {
+      user: engagement.company,
+      body: { splits: [] },
+    });
+    assert.equal(locked.status, 400);
+
+    const dispute = await harness.request(
+      "POST",
+      `/api/payments/${engagement.payment.id}/dispute`,
+      { user: engagement.company, body: { reason: "Partly delivered" } },
+    );
+    assert.equal(dispute.status, 201, JSON.stringify(dispute.body));
+
+    const resolved = await harness.request(
+      "PATCH",
+      `/api/admin/disputes/${dispute.body.dispute.id}/resolve`,
+      { user: admin, body: { resolution: "partial_refund", partial_amount: 100 } },
+    );
+    assert.equal(resolved.status, 200, JSON.stringify(resolved.body));
+    assert.equal((await harness.getBalances(engagement.student.id)).available, 480);
+    assert.equal((await harness.getBalances(teammate.id)).available, 320);
+    assert.equal((await harness.getBalances(engagement.company.id)).available, 100);
+  });
+});
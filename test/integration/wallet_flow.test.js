@@ -0,0 +1,192 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import { completeProject, createEngagement } from "../helpers/fixtures.js";
+
+describe("company wallet funding", { skip: skipWithoutDatabase }, () => {
+  let harness;
+  let admin;
+
+  const topUp = async (company, amount) => {
+    const initialized = await harness.request("POST", "/api/wallet/topups", {
+      user: company,
+      body: { amount },
+    });
+    assert.equal(initialized.status, 201, JSON.stringify(initialized.body));
+
+    const webhook = {
+      event: "charge.success",
+      data: {
+        id: `charge_topup_${initialized.body.topup.id}`,
+        reference: initialized.body.reference,
+        amount: Math.round(amount * 100),
+        status: "success",
+      },
+    };
+    assert.equal((await harness.sendPaystackWebhook(webhook)).status, 200);
+    return { topup: initialized.body.topup, webhook };
+  };
+
+  before(async () => {
+    harness = await startHarness();
+    admin = await harness.createUser({ uid: "admin-wallet", role: "admin" });
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  it("credits a top-up once and funds escrow from the balance", async () => {
+    const engagement = await createEngagement(harness, { amount: 600 });
+    harness.paystack.state.unpaidReferences.add(engagement.payment.provider_ref);
+    const { webhook } = await topUp(engagement.company, 1000);
+    assert.equal((await harness.sendPaystackWebhook(webhook)).status, 200);
+
+    const wallet = await harness.request("GET", "/api/wallet", {
+      user: engagement.company,
+    });
+    assert.equal(wallet.status, 200);
+    assert.equal(wallet.body.available, 1000);
+
+    const funded = await harness.request(
+      "POST",
+      `/api/payments/${engagement.payment.id}/pay-from-wallet`,
+      { user: engagement.company },
+    );
+    assert.equal(funded.status, 200, JSON.stringify(funded.body));
+    assert.equal(funded.body.payment.status, "paid");
+    assert.equal(funded.body.payment.funding_source, "wallet");
+
+    const company = await harness.getBalances(engagement.company.id);
+    assert.equal(company.available, 400);
+    assert.equal(company.escrow, 600);
+
+    await completeProject(harness, engagement);
+    const released = await harness.request(
+      "PATCH",
+      `/api/payments/${engagement.payment.id}/status`,
+      { user: admin, body: { status: "released" } },
+    );
+    assert.equal(released.status, 200, JSON.stringify(released.body));
+
+    const student = await harness.getBalances(engagement.student.id);
+    assert.equal(student.available, 540);
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("rejects a wallet checkout the balance cannot cover", async () => {
+    const engagement = await createEngagement(harness, { amount: 500 });
+    harness.paystack.state.unpaidReferences.add(engagement.payment.provider_ref);
+    await topUp(engagement.company, 200);
+
+    const funded = await harness.request(
+      "POST",
+      `/api/payments/${engagement.payment.id}/pay-from-wallet`,
+      { user: engagement.company },
+    );
+    assert.equal(funded.status, 400);
+    assert.equal(funded.body.message, "Insufficient wallet balance");
+
+    const row = await harness.pool.query("SELECT status FROM payments WHERE id = $1", [
+      engagement.payment.id,
+    ]);
+    assert.equal(row.rows[0].status, "pending");
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("funds from the card charge when the checkout was already paid", async () => {
+    const engagement = await createEngagement(harness, { amount: 600 });
+    await topUp(engagement.company, 1000);
+
+    const funded = await harness.request(
+      "POST",
+      `/api/payments/${engagement.payment.id}/pay-from-wallet`,
+      { user: engagement.company },
+    );
+    assert.equal(funded.status, 409, JSON.stringify(funded.body));
+
+    const row = await harness.pool.query(
+      "SELECT status, funding_source FROM payments WHERE id = $1",
+      [engagement.payment.id],
+    );
+    assert.deepEqual(row.rows[0], { status: "paid", funding_source: "card" });
+    const company = await harness.getBalances(engagement.company.id);
+    assert.equal(company.available, 1000);
+    assert.equal(company.escrow, 600);
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("refunds a card charge that lands after the wallet funded the payment", async () => {
+    const engagement = await createEngagement(harness, { amount: 300 });
+    const reference = engagement.payment.provider_ref;
+    harness.paystack.state.unpaidReferences.add(reference);
+    await topUp(engagement.company, 500);
+
+    const funded = await harness.request(
+      "POST",
+      `/api/payments/${engagement.payment.id}/pay-from-wallet`,
+      { user: engagement.company },
+    );
+    assert.equal(funded.status, 200, JSON.stringify(funded.body));
+
+    const charge = {
+      event: "charge.success",
+      data: {
+        id: `charge_late_${engagement.payment.id}`,
+        reference,
+        amount: 30000,
+        status: "success",
+      },
+    };
+    assert.equal((await harness.sendPaystackWebhook(charge)).status, 200);
+    assert.equal((await harness.sendPaystackWebhook(charge)).status, 200);
+
+    const company = await harness.getBalances(engagement.company.id);
+    assert.equal(company.available, 200);
+    assert.equal(company.escrow, 300);
+
+    const refunds = harness.paystack.state.requests.filter(
+      (entry) => entry.path === "/refund" && entry.body.transaction === reference,
+    );
+    assert.equal(refunds.length, 1);
+    assert.equal(refunds[0].body.amount, 30000);
+
+    const alerts = await harness.pool.query(
+      "SELECT message FROM notifications WHERE user_id = $1 AND type = 'duplicate_charge'",
+      [admin.id],
+    );
+    assert.equal(alerts.rows.length, 1);
+    assert.match(alerts.rows[0].message, /funded from the company wallet/);
+
+    const processed = await harness.sendPaystackWebhook({
+      event: "refund.processed",
+      data: {
+        id: `refund_late_${engagement.payment.id}`,
+        transaction_reference: reference,
+        status: "processed",
+      },
+    });
+    assert.equal(processed.status, 200);
+    const duplicate = await harness.pool.query(
+      "SELECT status FROM duplicate_charges WHERE provider_ref = $1",
+      [reference],
+    );
+    assert.deepEqual(duplicate.rows, [{ status: "refunded" }]);
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("only lets the paying company fund from its wallet", async () => {
+    const engagement = await createEngagement(harness, { amount: 100 });
+
+    const funded = await harness.request(
+      "POST",
+      `/api/payments/${engagement.payment.id}/pay-from-wallet`,
+      { user: engagement.student },
+    );
+    assert.equal(funded.status, 403);
+  });
+});
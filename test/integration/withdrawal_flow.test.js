@@ -0,0 +1,213 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { skipWithoutDatabase, startHarness } from "../helpers/harness.js";
+import { preparePayee } from "../helpers/fixtures.js";
+
+describe("withdrawal payouts", { skip: skipWithoutDatabase }, () => {
+  let harness;
+  let admin;
+
+  let sequence = 0;
+
+  const fundedStudent = async (amount) => {
+    sequence += 1;
+    const student = await harness.createUser({ uid: `payee-${sequence}` });
+    await harness.seedAvailableBalance(student.id, amount);
+    student.payoutAccount = await preparePayee(harness, student);
+    return student;
+  };
+
+  const requestWithdrawal = async (student, amount) => {
+    const created = await harness.request("POST", "/api/withdrawals", {
+      user: student,
+      body: { amount, payout_account_id: student.payoutAccount.id },
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    assert.equal(created.body.withdrawal.status, "pending");
+    return created.body.withdrawal;
+  };
+
+  before(async () => {
+    harness = await startHarness();
+    admin = await harness.createUser({ uid: "admin-withdrawals", role: "admin" });
+  });
+
+  beforeEach(() => {
+    harness.paystack.state.transferStatus = "pending";
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  it("pays out through Paystack and settles on transfer.success", async () => {
+    const student = await fundedStudent(1000);
+    const withdrawal = await requestWithdrawal(student, 500);
+
+    let balances = await harness.getBalances(student.id);
+    assert.equal(balances.available, 500);
+
+    const approved = await harness.request(
+      "PATCH",
+      `/api/withdrawals/${withdrawal.id}/status`,
+      { user: admin, body: { status: "approved" } },
+    );
+    assert.equal(approved.status, 200, JSON.stringify(approved.body));
+    assert.equal(approved.body.withdrawal.status, "processing");
+    assert.equal(approved.body.transfer.status, "pending");
+
+    const transferRequest = harness.paystack.state.requests.find(
+      (req) => req.path === "/transfer" && req.body.reference === withdrawal.provider_ref,
+    );
+    assert.ok(transferRequest, "transfer was not sent to Paystack");
+    assert.equal(transferRequest.body.amount, 50000);
+
+    const webhook = await harness.sendPaystackWebhook({
+      event: "transfer.success",
+      data: {
+        id: `transfer_${withdrawal.id}`,
+        reference: withdrawal.provider_ref,
+        transfer_code: approved.body.withdrawal.transfer_code,
+        status: "success",
+      },
+    });
+    assert.equal(webhook.status, 200);
+
+    const row = await harness.pool.query(
+      "SELECT status, transfer_status FROM withdrawals WHERE id = $1",
+      [withdrawal.id],
+    );
+    assert.equal(row.rows[0].status, "completed");
+    assert.equal(row.rows[0].transfer_status, "success");
+
+    balances = await harness.getBalances(student.id);
+    assert.equal(balances.available, 500);
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("returns the hold when Paystack rejects the transfer", async () => {
+    const student = await fundedStudent(200);
+    const withdrawal = await requestWithdrawal(student, 100);
+    harness.paystack.state.transferStatus = "reject";
+
+    const approved = await harness.request(
+      "PATCH",
+      `/api/withdrawals/${withdrawal.id}/status`,
+      { user: admin, body: { status: "approved" } },
+    );
+    assert.equal(approved.status, 200, JSON.stringify(approved.body));
+    assert.equal(approved.body.withdrawal.status, "failed");
+    assert.equal(approved.body.transfer.status, "failed");
+
+    const balances = await harness.getBalances(student.id);
+    assert.equal(balances.available, 200);
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("keeps the hold when Paystack answers the transfer with a 5xx", async () => {
+    const student = await fundedStudent(300);
+    const withdrawal = await requestWithdrawal(student, 200);
+    harness.paystack.state.transferStatus = "error";
+
+    const approved = await harness.request(
+      "PATCH",
+      `/api/withdrawals/${withdrawal.id}/status`,
+      { user: admin, body: { status: "approved" } },
+    );
+    assert.equal(approved.status, 200, JSON.stringify(approved.body));
+    assert.equal(approved.body.withdrawal.status, "processing");
+    assert.equal(approved.body.transfer.status, "initiating");
+    assert.equal((await harness.getBalances(student.id)).available, 100);
+
+    // The retry finds the transfer Paystack created instead of sending another.
+    harness.paystack.state.transferStatus = "pending";
+    const transfersSent = () =>
+      harness.paystack.state.requests.filter(
+        (req) => req.path === "/transfer" && req.body.reference === withdrawal.provider_ref,
+      ).length;
+    const retried = await harness.request(
+      "POST",
+      `/api/withdrawals/${withdrawal.id}/transfer`,
+      { user: admin },
+    );
+    assert.equal(retried.status, 200, JSON.stringify(retried.body));
+    assert.equal(retried.body.transfer.status, "pending");
+    assert.ok(retried.body.withdrawal.transfer_code);
+    assert.equal(transfersSent(), 1);
+
+    const webhook = await harness.sendPaystackWebhook({
+      event: "transfer.success",
+      data: {
+        id: `transfer_${withdrawal.id}`,
+        reference: withdrawal.provider_ref,
+        transfer_code: retried.body.withdrawal.transfer_code,
+        status: "success",
+      },
+    });
+    assert.equal(webhook.status, 200);
+    const row = await harness.pool.query("SELECT status FROM withdrawals WHERE id = $1", [
+      withdrawal.id,
+    ]);
+    assert.equal(row.rows[0].status, "completed");
+    assert.equal((await harness.getBalances(student.id)).available, 100);
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("does not return the hold on a duplicate transfer reference", async () => {
+    const student = await fundedStudent(300);
+    const withdrawal = await requestWithdrawal(student, 200);
+    harness.paystack.state.transferStatus = "duplicate";
+
+    const approved = await harness.request(
+      "PATCH",
+      `/api/withdrawals/${withdrawal.id}/status`,
+      { user: admin, body: { status: "approved" } },
+    );
+    assert.equal(approved.status, 200, JSON.stringify(approved.body));
+    assert.equal(approved.body.withdrawal.status, "processing");
+    assert.equal(approved.body.transfer.status, "initiating");
+
+    const row = await harness.pool.query(
+      "SELECT status, transfer_status FROM withdrawals WHERE id = $1",
+      [withdrawal.id],
+    );
+    assert.equal(row.rows[0].status, "processing");
+    assert.equal(row.rows[0].transfer_status, "initiating");
+    assert.equal((await harness.getBalances(student.id)).available, 100);
+
+    await harness.assertLedgerInvariants();
+  });
+
+  it("finalizes an OTP transfer", async () => {
+    const student = await fundedStudent(100);
+    const withdrawal = await requestWithdrawal(student, 50);
+    harness.paystack.state.transferStatus = "otp";
+
+    const approved = await harness.request(
+      "PATCH",
+      `/api/withdrawals/${withdrawal.id}/status`,
+      { user: admin, body: { status: "approved" } },
+    );
+    assert.equal(approved.status, 200, JSON.stringify(approved.body));
+    assert.equal(approved.body.transfer.otp_required, true);
+
+    const finalized = await harness.request(
+      "POST",
+      `/api/withdrawals/${withdrawal.id}/finalize`,
+      { user: admin, body: { otp: "123456" } },
+    );
+    assert.equal(finalized.status, 200, JSON.stringify(finalized.body));
+
+    const row = await harness.pool.query(
+      "SELECT status, transfer_status FROM withdrawals WHERE id = $1",
+      [withdrawal.id],
+    );
+    assert.equal(row.rows[0].status, "processing");
+    assert.equal(row.rows[0].transfer_status, "success");
+
+    await harness.assertLedgerInvariants();
+  });
+});
@@ -0,0 +1,80 @@
+-- Tables that predate prisma/migrations. Production databases already have
+-- them; the test harness creates them before replaying the migrations.
+
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  firebase_uid TEXT UNIQUE,
+  email TEXT,
+  role TEXT NOT NULL DEFAULT 'user',
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS companies (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS projects (
+  id SERIAL PRIMARY KEY
+);
+
+CREATE TABLE IF NOT EXISTS applications (
+  id SERIAL PRIMARY KEY
+);
+
+CREATE TABLE IF NOT EXISTS payments (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id),
+  company_id INTEGER REFERENCES companies(id),
+  project_id INTEGER REFERENCES projects(id),
+  application_id INTEGER REFERENCES applications(id),
+  amount NUMERIC(12,2) NOT NULL,
+  provider TEXT,
+  provider_ref TEXT UNIQUE,
+  status TEXT NOT NULL DEFAULT 'pending',
+  escrow BOOLEAN NOT NULL DEFAULT FALSE,
+  paid_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS wallets (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  balance NUMERIC(12,2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS withdrawals (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  amount NUMERIC(12,2) NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  bank_name TEXT,
+  account_number TEXT,
+  account_name TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  title TEXT,
+  type TEXT,
+  message TEXT,
+  related_id INTEGER,
+  is_read BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS reviews (
+  id SERIAL PRIMARY KEY,
+  reviewer_id INTEGER REFERENCES users(id),
+  reviewed_id INTEGER REFERENCES users(id),
+  project_id INTEGER REFERENCES projects(id),
+  rating INTEGER,
+  comment TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);